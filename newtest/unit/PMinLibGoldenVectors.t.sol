@@ -0,0 +1,74 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {BaseTest} from "../utils/BaseTest.sol";
+import {stdError} from "forge-std/StdError.sol";
+import {PMinLib} from "../../src/libraries/PMinLib.sol";
+
+/// @notice External wrapper so reverts can be caught with vm.expectRevert
+contract PMinLibHarness {
+    function calculate(uint256 tokReserves, uint256 qtReserves, uint256 tokTotalSupply, uint256 feeBps)
+        external
+        pure
+        returns (uint256)
+    {
+        return PMinLib.calculate(tokReserves, qtReserves, tokTotalSupply, feeBps);
+    }
+}
+
+/// @notice Pins PMinLib.calculate to scripts/fixtures/pmin-vectors.json
+/// @dev Reads the fixture itself (fs_permissions in foundry.toml), so the vectors
+///      checked here are exactly those scripts/test-pmin-vectors.js checks against
+///      the JS port. Add cases to the fixture, not to this file.
+contract PMinLibGoldenVectorsTest is BaseTest {
+    string internal constant FIXTURE = "/scripts/fixtures/pmin-vectors.json";
+
+    PMinLibHarness internal harness;
+    string internal json;
+
+    function setUp() public override {
+        super.setUp();
+        harness = new PMinLibHarness();
+        json = vm.readFile(string.concat(vm.projectRoot(), FIXTURE));
+    }
+
+    function test_GoldenVectors() public {
+        uint256 count;
+        while (vm.keyExistsJson(json, _key(count, ""))) {
+            _checkVector(count);
+            count++;
+        }
+        assertGt(count, 0, "no vectors in fixture");
+    }
+
+    function _checkVector(uint256 i) internal {
+        string memory name = vm.parseJsonString(json, _key(i, ".name"));
+        uint256 tokReserves = vm.parseJsonUint(json, _key(i, ".tokReserves"));
+        uint256 qtReserves = vm.parseJsonUint(json, _key(i, ".qtReserves"));
+        uint256 tokTotalSupply = vm.parseJsonUint(json, _key(i, ".tokTotalSupply"));
+        uint256 feeBps = vm.parseJsonUint(json, _key(i, ".feeBps"));
+
+        if (vm.keyExistsJson(json, _key(i, ".reverts"))) {
+            vm.expectRevert(_panicData(vm.parseJsonString(json, _key(i, ".reverts"))));
+            harness.calculate(tokReserves, qtReserves, tokTotalSupply, feeBps);
+        } else {
+            assertEq(
+                harness.calculate(tokReserves, qtReserves, tokTotalSupply, feeBps),
+                vm.parseJsonUint(json, _key(i, ".pMin")),
+                name
+            );
+        }
+    }
+
+    function _key(uint256 i, string memory field) internal pure returns (string memory) {
+        return string.concat(".vectors[", vm.toString(i), "]", field);
+    }
+
+    /// @dev The fixture names reverts as the JS port raises them, e.g. "Panic(0x11)"
+    function _panicData(string memory reason) internal pure returns (bytes memory) {
+        bytes32 hash = keccak256(bytes(reason));
+        if (hash == keccak256("Panic(0x11)")) return stdError.arithmeticError;
+        if (hash == keccak256("Panic(0x12)")) return stdError.divisionError;
+        revert(string.concat("unknown revert in fixture: ", reason));
+    }
+}
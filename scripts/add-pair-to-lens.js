@@ -1,37 +1,31 @@
-const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env.testnet') });
+const { connect } = require('./lib/osito');
+const { createTxManager } = require('./lib/txmanager');
+const { createLogger } = require('./lib/logger');
 
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-
-const loadABI = (contractName) => {
-  const abiPath = path.join(__dirname, '..', 'out', `${contractName}.sol`, `${contractName}.json`);
-  const artifact = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
-  return artifact.abi;
-};
+const log = createLogger('add-pair-to-lens');
+const osito = connect();
+const txManager = createTxManager(osito.wallet);
 
 async function addPairToLens() {
-  console.log('=== Adding Pair to LensLite ===\n');
-  
-  const lensABI = loadABI('LensLite');
-  const lens = new ethers.Contract(process.env.LENS_LITE, lensABI, wallet);
+  const lens = osito.lensLite;
+  const pairLog = log.child({ pair: process.env.TOK_PAIR });
   
   try {
-    console.log('Adding pair:', process.env.TOK_PAIR);
-    const tx = await lens.addPair(process.env.TOK_PAIR);
-    console.log('Transaction:', tx.hash);
+    const pending = await txManager.send(await lens.addPair.populateTransaction(process.env.TOK_PAIR), { label: 'addPair' });
+    pairLog.info('Adding pair to LensLite', { txHash: pending.hashes[0] });
     
-    const receipt = await tx.wait();
-    console.log('Status:', receipt.status === 1 ? 'SUCCESS' : 'FAILED');
+    const receipt = await txManager.wait(pending);
     
     // Check how many pairs we have now
     const pairCount = await lens.allPairsLength();
-    console.log('\nTotal pairs in LensLite:', pairCount.toString());
+    pairLog.info(receipt.status === 1 ? 'Pair added' : 'addPair failed', {
+      txHash: receipt.hash,
+      block: receipt.blockNumber,
+      totalPairs: pairCount
+    });
   } catch (error) {
-    console.error('Error:', error.message);
+    pairLog.error('Error adding pair', error);
   }
 }
 
-addPairToLens().catch(console.error);
\ No newline at end of file
+addPairToLens().catch(error => log.error('Failed', error));
\ No newline at end of file
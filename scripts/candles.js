@@ -0,0 +1,89 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { resolveAddress } = require('./lib/addresses');
+const { argValue, getNetwork, parseNetworkArgs, selectedNetwork } = require('./lib/networks');
+const { indexPath, openIndexDb } = require('./lib/indexdb');
+const { RESOLUTIONS, pairCandles } = require('./lib/candles');
+const { createLogger } = require('./lib/logger');
+
+// OHLCV candles of a pair from the local event index (run scripts/indexer.js
+// first), in the shape of the subgraph's `candles` query. Reads no RPC.
+//
+// Usage: node scripts/candles.js <pair address|SYMBOL> [options] [--network <name>]
+//   --resolution <1m|5m|1h|1d>  Bucket size (default 5m)
+//   --limit <n>                 Most recent candles to print (default 50)
+//   --confirmed                 Only blocks past the indexer's confirmation depth
+//   --json                      One JSON object per candle, amounts as strings
+//
+// INDEX_DB overrides the database file (default: STATE_DIR/index-<chainId>.sqlite)
+const { args } = parseNetworkArgs();
+const log = createLogger('candles');
+
+const USAGE = 'Usage: node scripts/candles.js <pair address|SYMBOL> [--resolution 5m] [--limit 50] [--confirmed] [--json]';
+const TARGET = args.find((arg, i) => !arg.startsWith('--') && !['--resolution', '--limit'].includes(args[i - 1]));
+const RESOLUTION = argValue(args, '--resolution') || '5m';
+const LIMIT = Number(argValue(args, '--limit') || 50);
+
+function main() {
+  if (!TARGET) throw new Error(USAGE);
+  if (!RESOLUTIONS[RESOLUTION]) throw new Error(`--resolution must be one of ${Object.keys(RESOLUTIONS).join(', ')}`);
+  if (!Number.isInteger(LIMIT) || LIMIT <= 0) throw new Error('--limit requires a positive number');
+
+  const chainId = getNetwork(selectedNetwork()).chainId;
+  const pair = ethers.isAddress(TARGET) ? ethers.getAddress(TARGET) : resolveAddress(chainId, TARGET);
+
+  const dbFile = process.env.INDEX_DB || indexPath(chainId);
+  if (!fs.existsSync(dbFile)) throw new Error(`No event index at ${dbFile}; run scripts/indexer.js first`);
+  const index = openIndexDb(dbFile, { chainId });
+  try {
+    print(index, pair);
+  } finally {
+    index.close();
+  }
+}
+
+function print(index, pair) {
+  const confirmed = args.includes('--confirmed');
+  // Fill flat candles up to the last indexed block rather than the wall clock
+  const last = confirmed ? index.lastBlockAtOrBelow(index.finalBlock()) : index.lastBlock();
+  const candles = pairCandles(index, pair, {
+    resolution: RESOLUTION,
+    confirmed,
+    toTime: last ? last.timestamp : undefined
+  }).slice(-LIMIT);
+
+  if (args.includes('--json')) {
+    for (const candle of candles) {
+      const row = Object.fromEntries(Object.entries(candle).map(([key, value]) => [key, typeof value === 'bigint' ? value.toString() : value]));
+      process.stdout.write(`${JSON.stringify(row)}\n`);
+    }
+  } else {
+    const rows = candles.map(candle => [
+      new Date(candle.timestamp * 1000).toISOString(),
+      ethers.formatEther(candle.open),
+      ethers.formatEther(candle.high),
+      ethers.formatEther(candle.low),
+      ethers.formatEther(candle.close),
+      ethers.formatEther(candle.volume),
+      String(candle.swapCount)
+    ]);
+    const header = ['Time', 'Open', 'High', 'Low', 'Close', 'Volume (QT)', 'Swaps'];
+    const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+    const line = (cells) => cells.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ');
+    const out = [
+      `${pair} ${RESOLUTION} candles, price in QT per TOK (index at block ${last ? last.number : '-'})`,
+      '',
+      line(header),
+      line(widths.map(width => '-'.repeat(width))),
+      ...rows.map(line)
+    ];
+    process.stdout.write(`${out.join('\n')}\n`);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  log.error(error.message);
+  process.exit(1);
+}
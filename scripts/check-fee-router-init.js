@@ -1,49 +1,36 @@
-const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env.testnet') });
+const { connect } = require('./lib/osito');
+const { parseNetworkArgs } = require('./lib/networks');
+const { createLogger } = require('./lib/logger');
 
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-
-const loadABI = (contractName) => {
-  const abiPath = path.join(__dirname, '..', 'out', `${contractName}.sol`, `${contractName}.json`);
-  const artifact = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
-  return artifact.abi;
-};
+// Usage: node scripts/check-fee-router-init.js [feeRouter] [--network <name>]
+// Reads a FeeRouter's immutables and checks its pair points back at it
+// (default: FEE_ROUTER from the env file, compared with TOK_PAIR when set).
+const { args } = parseNetworkArgs();
+const log = createLogger('check-fee-router-init');
+const osito = connect(undefined, { readOnly: true });
 
 async function checkFeeRouterInit() {
-  console.log('=== Checking FeeRouter Initialization ===\n');
-  
-  const feeRouterABI = loadABI('FeeRouter');
-  const feeRouter = new ethers.Contract(process.env.FEE_ROUTER, feeRouterABI, provider);
-  
-  try {
-    // Check if pair is set
-    const pair = await feeRouter.pair();
-    console.log('FeeRouter.pair():', pair);
-    console.log('Expected:', process.env.TOK_PAIR);
-    console.log('Match:', pair.toLowerCase() === process.env.TOK_PAIR.toLowerCase());
-    
-    // Check treasury
-    const treasury = await feeRouter.treasury();
-    console.log('\nFeeRouter.treasury():', treasury);
-    
-    // Check factory
-    const factory = await feeRouter.factory();
-    console.log('FeeRouter.factory():', factory);
-    
-    // Check lastReserve0 and lastReserve1
-    try {
-      const lastReserve0 = await feeRouter.lastReserve0();
-      const lastReserve1 = await feeRouter.lastReserve1();
-      console.log('\nlastReserve0:', ethers.formatEther(lastReserve0));
-      console.log('lastReserve1:', ethers.formatEther(lastReserve1));
-    } catch (e) {
-      console.log('\nCould not read lastReserve0/1 - might not exist in this version');
-    }
-  } catch (error) {
-    console.error('Error:', error.message);
-  }
+  const feeRouterAddress = args[0] || process.env.FEE_ROUTER;
+  const feeRouter = osito.feeRouter(feeRouterAddress);
+
+  const [pair, treasury, factory] = await Promise.all([
+    feeRouter.pair(),
+    feeRouter.treasury(),
+    feeRouter.factory()
+  ]);
+  const pairFeeRouter = await osito.pair(pair).feeRouter();
+
+  // The FeeRouter is stateless: it keeps no reserves of its own (the
+  // lastReserve0/1 of earlier versions are gone)
+  log.info('FeeRouter', {
+    feeRouter: feeRouterAddress,
+    pair,
+    expectedPair: process.env.TOK_PAIR || null,
+    pairMatches: process.env.TOK_PAIR ? pair.toLowerCase() === process.env.TOK_PAIR.toLowerCase() : null,
+    pairPointsBack: pairFeeRouter.toLowerCase() === feeRouterAddress.toLowerCase(),
+    treasury,
+    factory
+  });
 }
 
-checkFeeRouterInit().catch(console.error);
\ No newline at end of file
+checkFeeRouterInit().catch(error => log.error('Failed', error));
@@ -1,65 +1,56 @@
 const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env.testnet') });
+const { connect } = require('./lib/osito');
+const { parseNetworkArgs } = require('./lib/networks');
+const { createLogger } = require('./lib/logger');
 
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-
-const loadABI = (contractName) => {
-  const abiPath = path.join(__dirname, '..', 'out', `${contractName}.sol`, `${contractName}.json`);
-  const artifact = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
-  return artifact.abi;
-};
+// Usage: node scripts/check-fee-router-state.js [pair] [--network <name>]
+// Pair state and the balances of its FeeRouter, which should hold no LP and
+// no tokens between collectFees() calls (default pair: TOK_PAIR).
+const { args } = parseNetworkArgs();
+const log = createLogger('check-fee-router-state');
+const osito = connect(undefined, { readOnly: true });
 
 async function checkFeeRouterState() {
-  console.log('=== Checking FeeRouter State ===\n');
-  
-  const pairABI = loadABI('OsitoPair');
-  const feeRouterABI = loadABI('FeeRouter');
-  const tokenABI = loadABI('OsitoToken');
-  
-  const pair = new ethers.Contract(process.env.TOK_PAIR, pairABI, provider);
-  const feeRouter = new ethers.Contract(process.env.FEE_ROUTER, feeRouterABI, provider);
-  const tok = new ethers.Contract(process.env.TOK, tokenABI, provider);
-  
-  // Check LP balance
-  const lpBalance = await pair.balanceOf(process.env.FEE_ROUTER);
-  console.log('FeeRouter LP balance:', ethers.formatEther(lpBalance));
-  
+  const pairAddress = args[0] || process.env.TOK_PAIR;
+  const pair = osito.pair(pairAddress);
+  const [feeRouterAddress, tokIsToken0, token0, token1] = await Promise.all([
+    pair.feeRouter(),
+    pair.tokIsToken0(),
+    pair.token0(),
+    pair.token1()
+  ]);
+  const pairLog = log.child({ pair: pairAddress, feeRouter: feeRouterAddress });
+
   // Check pair state
-  const [r0, r1] = await pair.getReserves();
-  const totalSupply = await pair.totalSupply();
-  const kLast = await pair.kLast();
-  const currentK = r0 * r1;
-  
-  console.log('\nPair state:');
-  console.log('Reserve0 (TOK):', ethers.formatEther(r0));
-  console.log('Reserve1 (WBERA):', ethers.formatEther(r1));
-  console.log('Total LP supply:', ethers.formatEther(totalSupply));
-  console.log('Current K:', currentK.toString());
-  console.log('K Last:', kLast.toString());
-  
-  // Check FeeRouter state
-  const lastReserve0 = await feeRouter.lastReserve0();
-  const lastReserve1 = await feeRouter.lastReserve1();
-  
-  console.log('\nFeeRouter state:');
-  console.log('Last Reserve0:', ethers.formatEther(lastReserve0));
-  console.log('Last Reserve1:', ethers.formatEther(lastReserve1));
-  
-  // Check token balances
-  const tokBalance = await tok.balanceOf(process.env.FEE_ROUTER);
-  const wberaBalance = await provider.getBalance(process.env.FEE_ROUTER);
-  
-  console.log('\nFeeRouter token balances:');
-  console.log('TOK balance:', ethers.formatEther(tokBalance));
-  console.log('WBERA balance:', ethers.formatEther(wberaBalance));
-  
-  // Check if FeeRouter is set on pair
-  const pairFeeRouter = await pair.feeRouter();
-  console.log('\nPair fee router:', pairFeeRouter);
-  console.log('Expected:', process.env.FEE_ROUTER);
-  console.log('Match:', pairFeeRouter.toLowerCase() === process.env.FEE_ROUTER.toLowerCase());
+  const [[r0, r1], totalSupply, kLast] = await Promise.all([pair.getReserves(), pair.totalSupply(), pair.kLast()]);
+  pairLog.info('Pair state', {
+    tokIsToken0,
+    reserve0: ethers.formatEther(r0),
+    reserve1: ethers.formatEther(r1),
+    lpTotalSupply: ethers.formatEther(totalSupply),
+    k: r0 * r1,
+    kLast
+  });
+
+  // Check LP and token balances
+  const tok = osito.token(tokIsToken0 ? token0 : token1);
+  const qt = osito.token(tokIsToken0 ? token1 : token0);
+  const [lpBalance, tokBalance, qtBalance, nativeBalance] = await Promise.all([
+    pair.balanceOf(feeRouterAddress),
+    tok.balanceOf(feeRouterAddress),
+    qt.balanceOf(feeRouterAddress),
+    osito.provider.getBalance(feeRouterAddress)
+  ]);
+  pairLog.info('FeeRouter balances', {
+    lp: ethers.formatEther(lpBalance),
+    tok: ethers.formatEther(tokBalance),
+    qt: ethers.formatEther(qtBalance),
+    native: ethers.formatEther(nativeBalance)
+  });
+
+  if (process.env.FEE_ROUTER && feeRouterAddress.toLowerCase() !== process.env.FEE_ROUTER.toLowerCase()) {
+    pairLog.warn('Pair fee router differs from FEE_ROUTER', { expected: process.env.FEE_ROUTER });
+  }
 }
 
-checkFeeRouterState().catch(console.error);
\ No newline at end of file
+checkFeeRouterState().catch(error => log.error('Failed', error));
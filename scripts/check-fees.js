@@ -1,70 +1,67 @@
 const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env.testnet') });
+const { connect } = require('./lib/osito');
+const { parseNetworkArgs } = require('./lib/networks');
+const { decodeLog } = require('./lib/receipts');
+const { createLogger } = require('./lib/logger');
 
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-
-const loadABI = (contractName) => {
-  const abiPath = path.join(__dirname, '..', 'out', `${contractName}.sol`, `${contractName}.json`);
-  const artifact = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
-  return artifact.abi;
-};
+// Usage: node scripts/check-fees.js [txHash] [--network <name>]
+// Prints the logs of a collectFees() transaction, then the supply of the TOK
+// and the state of the pair whose FeeRouter emitted FeesCollected.
+const { args } = parseNetworkArgs();
+const log = createLogger('check-fees');
+const osito = connect(undefined, { readOnly: true });
 
 async function checkFeeCollection() {
-  const txHash = '0xb1e3a8e38a39387439da15ccf0b45bced7efab653507ddb0a4de1714921c0928';
+  const { provider } = osito;
+  const txHash = args[0] || '0xb1e3a8e38a39387439da15ccf0b45bced7efab653507ddb0a4de1714921c0928';
+  const txLog = log.child({ txHash });
   const receipt = await provider.getTransactionReceipt(txHash);
+  if (!receipt) throw new Error(`No receipt for ${txHash} on ${osito.profile.name}`);
   
-  console.log('Fee Collection Transaction:', txHash);
-  console.log('Block:', receipt.blockNumber);
-  console.log('Gas Used:', receipt.gasUsed.toString());
-  console.log('\nLogs:');
-  
-  const FEE_ROUTER_ABI = loadABI('FeeRouter');
-  const feeRouterInterface = new ethers.Interface(FEE_ROUTER_ABI);
+  txLog.info('Fee collection transaction', { block: receipt.blockNumber, gasUsed: receipt.gasUsed, logs: receipt.logs.length });
   
-  for (const log of receipt.logs) {
-    console.log('\nLog from:', log.address);
-    console.log('Topics:', log.topics);
-    console.log('Data:', log.data);
-    
-    try {
-      const parsed = feeRouterInterface.parseLog(log);
-      if (parsed) {
-        console.log('Parsed Event:', parsed.name);
-        console.log('Args:', parsed.args);
-      }
-    } catch (e) {
-      // Not a FeeRouter event
-    }
+  let feeRouterAddress = null;
+  for (const entry of receipt.logs) {
+    const event = decodeLog(entry);
+    txLog.info(event ? event.name : 'Unknown log', {
+      logIndex: entry.index,
+      address: entry.address,
+      topics: entry.topics,
+      data: entry.data,
+      args: event ? event.args : null
+    });
+    if (event && event.name === 'FeesCollected') feeRouterAddress = event.address;
+  }
+  if (!feeRouterAddress) {
+    txLog.warn('No FeesCollected event in this transaction');
+    return;
   }
   
-  // Check token supply
-  const tokAddress = '0xEF059a38E7566285aC2577824ABcd9Ba64080899';
-  const tokABI = loadABI('OsitoToken');
-  const tok = new ethers.Contract(tokAddress, tokABI, provider);
-  
-  const totalSupply = await tok.totalSupply();
-  console.log('\n\nTOK Total Supply:', ethers.formatEther(totalSupply), 'TOK');
-  
-  // Check fee router balance
-  const pairAddress = '0x8f596aABc36863E82f0C61456b0f311E16e2e9a6';
-  const pairABI = loadABI('OsitoPair');
-  const pair = new ethers.Contract(pairAddress, pairABI, provider);
-  
-  const feeRouterAddress = await pair.feeRouter();
-  console.log('FeeRouter address:', feeRouterAddress);
+  const pairAddress = await osito.feeRouter(feeRouterAddress).pair();
+  const pair = osito.pair(pairAddress);
+  const [tokIsToken0, token0, token1] = await Promise.all([pair.tokIsToken0(), pair.token0(), pair.token1()]);
+  const tokAddress = tokIsToken0 ? token0 : token1;
   
-  // Check current K and kLast
-  const [r0, r1] = await pair.getReserves();
-  const currentK = r0 * r1;
-  const kLast = await pair.kLast();
+  // Token supply, current K and kLast
+  const [totalSupply, [r0, r1], kLast] = await Promise.all([
+    osito.token(tokAddress).totalSupply(),
+    pair.getReserves(),
+    pair.kLast()
+  ]);
   
-  console.log('\nPair State:');
-  console.log('Reserve0 (TOK):', ethers.formatEther(r0));
-  console.log('Reserve1 (WBERA):', ethers.formatEther(r1));
-  console.log('Current K:', currentK.toString());
-  console.log('kLast:', kLast.toString());
+  log.info('Pair state', {
+    pair: pairAddress,
+    feeRouter: feeRouterAddress,
+    tok: tokAddress,
+    tokTotalSupply: ethers.formatEther(totalSupply),
+    reserve0: ethers.formatEther(r0),
+    reserve1: ethers.formatEther(r1),
+    k: r0 * r1,
+    kLast
+  });
 }
 
-checkFeeCollection().catch(console.error);
\ No newline at end of file
+checkFeeCollection().catch(error => {
+  log.error('Failed', error);
+  process.exit(1);
+});
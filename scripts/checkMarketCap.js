@@ -1,44 +1,19 @@
 const { ethers } = require("ethers");
+const { connect, loadProfile } = require("./lib/osito");
+const { fetchAllMarkets } = require("./lib/lens");
+const { resolveAddress } = require("./lib/addresses");
+const { createLogger } = require("./lib/logger");
 
-// Configuration
-const RPC_URL = "https://palpable-icy-valley.bera-bepolia.quiknode.pro/b2800b4de9d7290d7750adfc75463992a80dfabb/";
-const LENS_LITE = "0xADfd8BC5Bcb4a202Ad5e8Cc6cfff1f93D79410D6";
+const log = createLogger("check-market-cap");
 
-// Token addresses from user
-const TOKEN_1 = "0x3a369629DbFBF6E8f3201F5489696486b752bF7e";
-const TOKEN_2 = "0x0F9065E9F71d6e86305a4815b3397829AEAa52C9";
+// Configuration (select the network with --network). FROB and CHOP were
+// launched on the berachain-bepolia deployment, so read them through its LensLite
+const osito = connect(loadProfile(undefined, { deployment: "berachain-bepolia" }), { readOnly: true });
+const CHAIN_ID = osito.profile.chainId;
 
-// ABI fragments - Match actual LensLite struct order
-const LENS_LITE_ABI = [
-  {
-    "inputs": [{"name": "from", "type": "uint256"}, {"name": "count", "type": "uint256"}],
-    "name": "markets",
-    "outputs": [{
-      "components": [
-        {"name": "core", "type": "address"},
-        {"name": "token", "type": "address"},
-        {"name": "T", "type": "uint128"},
-        {"name": "Q", "type": "uint128"},
-        {"name": "B", "type": "uint128"},
-        {"name": "pMin", "type": "uint256"},
-        {"name": "feeBp", "type": "uint256"},
-        {"name": "spotPrice", "type": "uint256"},
-        {"name": "tvl", "type": "uint256"},
-        {"name": "utilization", "type": "uint256"},
-        {"name": "apy", "type": "uint256"},
-        {"name": "totalSupply", "type": "uint256"},
-        {"name": "totalSupplyImmutable", "type": "uint256"},
-        {"name": "name", "type": "string"},
-        {"name": "symbol", "type": "string"},
-        {"name": "metadataURI", "type": "string"}
-      ],
-      "name": "out",
-      "type": "tuple[]"
-    }],
-    "stateMutability": "view",
-    "type": "function"
-  }
-];
+// Tokens to inspect
+const TOKEN_1 = resolveAddress(CHAIN_ID, "FROB.token", osito.profile.deployment);
+const TOKEN_2 = resolveAddress(CHAIN_ID, "CHOP.token", osito.profile.deployment);
 
 const ERC20_ABI = [
   "function totalSupply() view returns (uint256)",
@@ -55,35 +30,28 @@ const PAIR_ABI = [
 ];
 
 async function main() {
-  const provider = new ethers.JsonRpcProvider(RPC_URL);
-  
-  console.log("Checking market data from LensLite...\n");
+  const { provider } = osito;
   
   // Get all markets from LensLite
-  const lensLite = new ethers.Contract(LENS_LITE, LENS_LITE_ABI, provider);
-  const markets = await lensLite.markets(0, 50);
-  
-  console.log(`Total markets found: ${markets.length}\n`);
+  const markets = await fetchAllMarkets(osito.lensLite);
+  log.info("Checked market data from LensLite", { markets: markets.length });
   
   // Find our specific tokens
   for (const market of markets) {
     if (market.token.toLowerCase() === TOKEN_1.toLowerCase() || 
         market.token.toLowerCase() === TOKEN_2.toLowerCase()) {
-      
-      console.log("=".repeat(60));
-      console.log(`Token: ${market.symbol} (${market.token})`);
-      console.log(`Pair: ${market.core}`);
-      console.log("-".repeat(60));
+      const marketLog = log.child({ symbol: market.symbol, token: market.token, pair: market.core });
       
       // Raw data from LensLite
-      console.log("Raw LensLite Data:");
-      console.log(`  T (TOK reserves): ${market.T.toString()}`);
-      console.log(`  Q (QT reserves): ${market.Q.toString()}`);
-      console.log(`  Total Supply: ${market.totalSupply.toString()}`);
-      console.log(`  Initial Supply: ${market.totalSupplyImmutable.toString()}`);
-      console.log(`  Burned (B): ${market.B.toString()}`);
-      console.log(`  Spot Price (wei): ${market.spotPrice.toString()}`);
-      console.log(`  pMin (wei): ${market.pMin.toString()}`);
+      marketLog.info("Raw LensLite data", {
+        T: market.T,
+        Q: market.Q,
+        totalSupply: market.totalSupply,
+        initialSupply: market.totalSupplyImmutable,
+        B: market.B,
+        spotPriceWei: market.spotPrice,
+        pMinWei: market.pMin
+      });
       
       // Calculate human-readable values
       const spotPriceDecimal = Number(market.spotPrice) / 1e18;
@@ -92,60 +60,54 @@ async function main() {
       const tokReservesDecimal = Number(market.T) / 1e18;
       const qtReservesDecimal = Number(market.Q) / 1e18;
       
-      console.log("\nCalculated Values:");
-      console.log(`  Spot Price: ${spotPriceDecimal.toFixed(18)} QT per TOK`);
-      console.log(`  pMin (Floor): ${pMinDecimal.toFixed(18)} QT per TOK`);
-      console.log(`  Total Supply: ${totalSupplyDecimal.toLocaleString()} tokens`);
-      console.log(`  TOK in Pool: ${tokReservesDecimal.toLocaleString()} (${(tokReservesDecimal/totalSupplyDecimal*100).toFixed(2)}% of supply)`);
-      console.log(`  QT in Pool: ${qtReservesDecimal.toFixed(6)} WBERA`);
-      
       // Market cap calculation (assuming BERA = $0.05 for testnet)
       const beraPrice = 0.05; // USD per BERA
       const marketCapBera = spotPriceDecimal * totalSupplyDecimal;
       const marketCapUsd = marketCapBera * beraPrice;
       
-      console.log("\nMarket Cap:");
-      console.log(`  In BERA: ${marketCapBera.toFixed(6)} BERA`);
-      console.log(`  In USD: $${marketCapUsd.toFixed(2)}`);
+      // Prices in QT per TOK
+      marketLog.info("Calculated values", {
+        spotPrice: spotPriceDecimal.toFixed(18),
+        pMin: pMinDecimal.toFixed(18),
+        totalSupply: totalSupplyDecimal,
+        tokInPool: tokReservesDecimal,
+        tokInPoolPctOfSupply: Number((tokReservesDecimal / totalSupplyDecimal * 100).toFixed(2)),
+        qtInPool: qtReservesDecimal.toFixed(6),
+        marketCapBera: marketCapBera.toFixed(6),
+        marketCapUsd: marketCapUsd.toFixed(2)
+      });
       
       // Verify pair data directly
-      console.log("\nDirect Pair Verification:");
       const pair = new ethers.Contract(market.core, PAIR_ABI, provider);
       const [r0, r1] = await pair.getReserves();
       const tokIsToken0 = await pair.tokIsToken0();
       
-      console.log(`  Reserve0: ${r0.toString()}`);
-      console.log(`  Reserve1: ${r1.toString()}`);
-      console.log(`  tokIsToken0: ${tokIsToken0}`);
-      
       const actualTokReserves = tokIsToken0 ? r0 : r1;
       const actualQtReserves = tokIsToken0 ? r1 : r0;
       const actualSpotPrice = Number(actualQtReserves) * 1e18 / Number(actualTokReserves);
       
-      console.log(`  Actual TOK reserves: ${actualTokReserves.toString()}`);
-      console.log(`  Actual QT reserves: ${actualQtReserves.toString()}`);
-      console.log(`  Actual Spot Price: ${(actualSpotPrice/1e18).toFixed(18)}`);
-      
       // Check token directly
       const token = new ethers.Contract(market.token, ERC20_ABI, provider);
       const directTotalSupply = await token.totalSupply();
-      console.log(`  Direct Total Supply: ${directTotalSupply.toString()}`);
       
-      console.log("=".repeat(60));
-      console.log();
+      marketLog.info("Direct pair verification", {
+        reserve0: r0,
+        reserve1: r1,
+        tokIsToken0,
+        tokReserves: actualTokReserves,
+        qtReserves: actualQtReserves,
+        spotPrice: (actualSpotPrice / 1e18).toFixed(18),
+        totalSupply: directTotalSupply
+      });
     }
   }
   
   // Check if tokens exist in markets
-  const token1Found = markets.some(m => m.token.toLowerCase() === TOKEN_1.toLowerCase());
-  const token2Found = markets.some(m => m.token.toLowerCase() === TOKEN_2.toLowerCase());
-  
-  if (!token1Found) {
-    console.log(`⚠️  Token ${TOKEN_1} not found in LensLite markets`);
-  }
-  if (!token2Found) {
-    console.log(`⚠️  Token ${TOKEN_2} not found in LensLite markets`);
+  for (const token of [TOKEN_1, TOKEN_2]) {
+    if (!markets.some(m => m.token.toLowerCase() === token.toLowerCase())) {
+      log.warn("Token not found in LensLite markets", { token });
+    }
   }
 }
 
-main().catch(console.error);
\ No newline at end of file
+main().catch(error => log.error("Failed", error));
@@ -1,73 +1,67 @@
 const fetch = require('node-fetch');
+const { resolveAddress } = require('./lib/addresses');
+const { getNetwork, selectedNetwork } = require('./lib/networks');
+const { createLogger } = require('./lib/logger');
+
+const CHAIN_ID = getNetwork(selectedNetwork()).chainId;
+// FROB and CHOP were launched on this deployment
+const DEPLOYMENT = 'berachain-bepolia';
 
 // Subgraph data from test
 const SUBGRAPH_DATA = {
   FROB: {
     subgraphPrice: 34755532378,  // From subgraph (in wei?)
     onChainSpotPrice: 57125228612,  // From LensLite (in wei)
-    pair: "0x5B0a2eB91E0b72221e98C0A506870A7fD515e047"
+    pair: resolveAddress(CHAIN_ID, "FROB", DEPLOYMENT)
   },
   CHOP: {
     subgraphPrice: 1045932138,  // From subgraph (in wei?)
     onChainSpotPrice: 1041783217,  // From LensLite (in wei)
-    pair: "0x45b0A2EE6d3F91584647D3ac8B94A50bf456F69C"
+    pair: resolveAddress(CHAIN_ID, "CHOP", DEPLOYMENT)
   }
 };
 
-console.log("PRICE COMPARISON: Subgraph vs On-Chain");
-console.log("=".repeat(60));
+const log = createLogger('compare-prices');
 
 for (const [token, data] of Object.entries(SUBGRAPH_DATA)) {
-  console.log(`\n${token} TOKEN:`);
-  console.log("-".repeat(40));
-  
-  // Raw values
-  console.log("Raw Values:");
-  console.log(`  Subgraph price: ${data.subgraphPrice}`);
-  console.log(`  On-chain price: ${data.onChainSpotPrice}`);
-  
   // As decimals (assuming wei units / 1e18)
   const subgraphDecimal = data.subgraphPrice / 1e18;
   const onChainDecimal = data.onChainSpotPrice / 1e18;
-  
-  console.log("\nAs Decimals (÷ 1e18):");
-  console.log(`  Subgraph: ${subgraphDecimal.toFixed(18)}`);
-  console.log(`  On-chain: ${onChainDecimal.toFixed(18)}`);
-  
-  // Ratio
-  const ratio = data.subgraphPrice / data.onChainSpotPrice;
-  console.log(`\nRatio (subgraph/onchain): ${ratio.toFixed(2)}x`);
-  
+
   // Market cap calculation
   const totalSupply = token === "FROB" ? 982133839947425838011265670n : 986030942309065543984571051n;
   const totalSupplyDecimal = Number(totalSupply) / 1e18;
-  
-  console.log("\nMarket Cap Calculations:");
-  console.log(`  Total Supply: ${totalSupplyDecimal.toLocaleString()} tokens`);
-  
-  // Using subgraph price
   const mcapSubgraph = subgraphDecimal * totalSupplyDecimal;
-  console.log(`  MCap (subgraph price): ${mcapSubgraph.toFixed(6)} BERA`);
-  console.log(`                         $${(mcapSubgraph * 0.05).toFixed(2)} USD`);
-  
-  // Using on-chain price
   const mcapOnChain = onChainDecimal * totalSupplyDecimal;
-  console.log(`  MCap (on-chain price): ${mcapOnChain.toFixed(6)} BERA`);
-  console.log(`                         $${(mcapOnChain * 0.05).toFixed(2)} USD`);
-  
+
   // What frontend might show if treating subgraph price as already decimal
-  console.log("\nIf Frontend Treats Subgraph Price as Decimal (BUG):");
   const buggyMcap = data.subgraphPrice * totalSupplyDecimal;
-  console.log(`  Buggy MCap: ${buggyMcap.toExponential(2)} BERA`);
-  console.log(`              $${(buggyMcap * 0.05).toExponential(2)} USD`);
+
+  log.info('Price comparison: subgraph vs on-chain', {
+    token,
+    pair: data.pair,
+    subgraphPriceRaw: data.subgraphPrice,
+    onChainPriceRaw: data.onChainSpotPrice,
+    subgraphPrice: subgraphDecimal.toFixed(18),
+    onChainPrice: onChainDecimal.toFixed(18),
+    ratio: Number((data.subgraphPrice / data.onChainSpotPrice).toFixed(2)),
+    totalSupply: totalSupplyDecimal,
+    mcapSubgraphBera: mcapSubgraph.toFixed(6),
+    mcapSubgraphUsd: (mcapSubgraph * 0.05).toFixed(2),
+    mcapOnChainBera: mcapOnChain.toFixed(6),
+    mcapOnChainUsd: (mcapOnChain * 0.05).toFixed(2),
+    // If the frontend treats the subgraph price as a decimal (bug)
+    buggyMcapBera: buggyMcap.toExponential(2),
+    buggyMcapUsd: (buggyMcap * 0.05).toExponential(2)
+  });
 }
 
-console.log("\n" + "=".repeat(60));
-console.log("CONCLUSION:");
-console.log("-".repeat(40));
-console.log("FROB subgraph price is 608x higher than on-chain!");
-console.log("CHOP subgraph price matches on-chain (within 0.4%)");
-console.log("\nPossible issues:");
-console.log("1. FROB swap events are being processed incorrectly");
-console.log("2. Price calculation in subgraph has a bug for certain swaps");
-console.log("3. Frontend is not converting wei to decimal properly");
\ No newline at end of file
+log.info('Conclusion', {
+  FROB: 'subgraph price is 608x higher than on-chain',
+  CHOP: 'subgraph price matches on-chain (within 0.4%)',
+  possibleIssues: [
+    'FROB swap events are being processed incorrectly',
+    'Price calculation in subgraph has a bug for certain swaps',
+    'Frontend is not converting wei to decimal properly'
+  ]
+});
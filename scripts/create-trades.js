@@ -1,55 +1,52 @@
 const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env.testnet') });
+const { connect } = require('./lib/osito');
+const quote = require('./lib/quote');
+const { createTxManager } = require('./lib/txmanager');
+const { createLogger } = require('./lib/logger');
 
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+const log = createLogger('create-trades');
+const osito = connect();
+const { wallet } = osito;
+const txManager = createTxManager(wallet);
 
-const loadABI = (contractName) => {
-  const abiPath = path.join(__dirname, '..', 'out', `${contractName}.sol`, `${contractName}.json`);
-  const artifact = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
-  return artifact.abi;
-};
+const SLIPPAGE_BPS = 100n; // 1%
 
 async function createTrades() {
-  console.log('=== Creating Trades to Generate Fees ===\n');
-  
-  const swapRouterABI = loadABI('SwapRouter');
-  const pairABI = loadABI('OsitoPair');
-  
-  const swapRouter = new ethers.Contract(process.env.SWAP_ROUTER, swapRouterABI, wallet);
-  const pair = new ethers.Contract(process.env.TOK_PAIR, pairABI, wallet);
+  const { swapRouter } = osito;
+  const pair = osito.pair(process.env.TOK_PAIR);
+  const pairLog = log.child({ pair: process.env.TOK_PAIR });
   
   // Check initial state
   const [r0, r1] = await pair.getReserves();
   const kBefore = r0 * r1;
   const kLastBefore = await pair.kLast();
   
-  console.log('Initial State:');
-  console.log('Reserve0 (TOK):', ethers.formatEther(r0));
-  console.log('Reserve1 (WBERA):', ethers.formatEther(r1));
-  console.log('K before:', kBefore.toString());
-  console.log('kLast before:', kLastBefore.toString());
+  pairLog.info('Initial state', {
+    reserveTok: ethers.formatEther(r0),
+    reserveWbera: ethers.formatEther(r1),
+    k: kBefore,
+    kLast: kLastBefore
+  });
   
   // Do 5 buy trades to create K growth
-  console.log('\nExecuting trades...');
-  
   for (let i = 0; i < 5; i++) {
     const ethAmount = ethers.parseEther('0.1'); // Buy with 0.1 BERA each time
     
-    console.log(`\nTrade ${i + 1}: Buying TOK with 0.1 BERA`);
-    const tx = await swapRouter.swapExactETHForTokens(
+    const state = await quote.fetchPairState(pair);
+    const { amountOut, priceImpactBps } = quote.quoteExactIn(state, ethAmount, false);
+    const amountOutMin = quote.minAmountOut(amountOut, SLIPPAGE_BPS);
+    
+    pairLog.info('Buying TOK', { trade: i + 1, amountIn: '0.1', quotedTok: ethers.formatEther(amountOut), priceImpactPct: Number(priceImpactBps) / 100 });
+    const request = await swapRouter.swapExactETHForTokens.populateTransaction(
       process.env.TOK_PAIR,
-      0, // minAmountOut
+      amountOutMin,
       wallet.address,
       Math.floor(Date.now() / 1000) + 300,
       { value: ethAmount }
     );
     
-    const receipt = await tx.wait();
-    console.log(`TX: ${tx.hash}`);
-    console.log(`Gas used: ${receipt.gasUsed.toString()}`);
+    const receipt = await txManager.sendAndWait(request, { label: `buy ${i + 1}` });
+    pairLog.info('Trade confirmed', { trade: i + 1, txHash: receipt.hash, block: receipt.blockNumber, gasUsed: receipt.gasUsed });
   }
   
   // Check final state
@@ -57,16 +54,14 @@ async function createTrades() {
   const kAfter = r0After * r1After;
   const kLastAfter = await pair.kLast();
   
-  console.log('\nFinal State:');
-  console.log('Reserve0 (TOK):', ethers.formatEther(r0After));
-  console.log('Reserve1 (WBERA):', ethers.formatEther(r1After));
-  console.log('K after:', kAfter.toString());
-  console.log('kLast after:', kLastAfter.toString());
-  
   const kGrowth = ((kAfter - kLastAfter) * 10000n) / kLastAfter;
-  console.log('\n📈 K Growth:', Number(kGrowth) / 100, '%');
-  
-  console.log('\n✅ Trades complete! Ready to test fee collection.');
+  pairLog.info('Trades complete, ready to test fee collection', {
+    reserveTok: ethers.formatEther(r0After),
+    reserveWbera: ethers.formatEther(r1After),
+    k: kAfter,
+    kLast: kLastAfter,
+    kGrowthPct: Number(kGrowth) / 100
+  });
 }
 
-createTrades().catch(console.error);
\ No newline at end of file
+createTrades().catch(error => log.error('Failed', error));
\ No newline at end of file
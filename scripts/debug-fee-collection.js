@@ -1,63 +1,48 @@
 const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env.testnet') });
+const { connect } = require('./lib/osito');
+const { parseNetworkArgs } = require('./lib/networks');
+const { predictCollect, fetchCollectState } = require('./lib/collect');
+const { createLogger } = require('./lib/logger');
 
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-
-const loadABI = (contractName) => {
-  const abiPath = path.join(__dirname, '..', 'out', `${contractName}.sol`, `${contractName}.json`);
-  const artifact = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
-  return artifact.abi;
-};
+// Usage: node scripts/debug-fee-collection.js [pair] [--network <name>]
+// Checks the pair/FeeRouter wiring and whether burning the fee LP of the next
+// collectFees() would succeed (default pair: TOK_PAIR).
+const { args } = parseNetworkArgs();
+const log = createLogger('debug-fee-collection');
+const osito = connect(undefined, { readOnly: true });
 
 async function debugFeeCollection() {
-  console.log('=== Debugging Fee Collection ===\n');
-  
-  const feeRouterABI = loadABI('FeeRouter');
-  const pairABI = loadABI('OsitoPair');
-  
-  const feeRouter = new ethers.Contract(process.env.FEE_ROUTER, feeRouterABI, provider);
-  const pair = new ethers.Contract(process.env.TOK_PAIR, pairABI, provider);
-  
-  // Check state
-  console.log('FeeRouter:', process.env.FEE_ROUTER);
-  console.log('Pair:', process.env.TOK_PAIR);
-  
+  const pairAddress = args[0] || process.env.TOK_PAIR;
+  const pair = osito.pair(pairAddress);
+
   // Check if FeeRouter is set on pair
-  const pairFeeRouter = await pair.feeRouter();
-  console.log('\nPair\'s feeRouter:', pairFeeRouter);
-  console.log('Match:', pairFeeRouter === process.env.FEE_ROUTER);
-  
-  // Check LP balance
-  const lpBalance = await pair.balanceOf(process.env.FEE_ROUTER);
-  console.log('\nFeeRouter LP balance:', ethers.formatEther(lpBalance));
-  
+  const feeRouterAddress = await pair.feeRouter();
+  const pairLog = log.child({ pair: pairAddress, feeRouter: feeRouterAddress });
+  if (process.env.FEE_ROUTER && feeRouterAddress.toLowerCase() !== process.env.FEE_ROUTER.toLowerCase()) {
+    pairLog.warn('Pair fee router differs from FEE_ROUTER', { expected: process.env.FEE_ROUTER });
+  }
+
   // Check pair state
-  const [r0, r1] = await pair.getReserves();
-  const totalSupply = await pair.totalSupply();
-  console.log('\nPair state:');
-  console.log('Reserve0:', ethers.formatEther(r0));
-  console.log('Reserve1:', ethers.formatEther(r1));
-  console.log('Total LP:', ethers.formatEther(totalSupply));
-  
-  // Check what burning all LP would give
-  const amt0 = (lpBalance * r0) / totalSupply;
-  const amt1 = (lpBalance * r1) / totalSupply;
-  console.log('\nBurning all LP would give:');
-  console.log('TOK:', ethers.formatEther(amt0));
-  console.log('WBERA:', ethers.formatEther(amt1));
-  
-  // Check if amounts are > 0
-  console.log('\nWould burn succeed?');
-  console.log('amt0 > 0:', amt0 > 0n);
-  console.log('amt1 > 0:', amt1 > 0n);
-  
+  const state = await fetchCollectState(pair, feeRouterAddress, address => osito.token(address));
+  pairLog.info('Pair state', {
+    reserve0: ethers.formatEther(state.reserve0),
+    reserve1: ethers.formatEther(state.reserve1),
+    lpTotalSupply: ethers.formatEther(state.lpTotalSupply),
+    routerLp: ethers.formatEther(state.routerLp)
+  });
+
+  // Check what burning the minted fee LP would give
+  const prediction = predictCollect(state);
+  pairLog.info('Burning the fee LP would give', {
+    lpBurned: ethers.formatEther(prediction.lpBurned),
+    tok: ethers.formatEther(prediction.tokBurned),
+    qt: ethers.formatEther(prediction.qtToTreasury)
+  });
+
   // The burn function in OsitoPair requires both amounts > 0
-  if (amt0 === 0n || amt1 === 0n) {
-    console.log('\n⚠️  ERROR: One of the amounts is 0!');
-    console.log('This would cause INSUFFICIENT_LIQUIDITY_BURNED');
+  if (prediction.lpBurned > 0n && prediction.burnReverts) {
+    pairLog.warn('One of the amounts is 0: burn would revert with INSUFFICIENT_LIQUIDITY_BURNED');
   }
 }
 
-debugFeeCollection().catch(console.error);
\ No newline at end of file
+debugFeeCollection().catch(error => log.error('Failed', error));
@@ -1,101 +1,53 @@
 const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env.testnet') });
+const { connect } = require('./lib/osito');
+const { parseNetworkArgs } = require('./lib/networks');
+const { predictCollect, fetchCollectState } = require('./lib/collect');
+const { sqrt } = require('./lib/math');
+const { createLogger } = require('./lib/logger');
 
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-
-const loadABI = (contractName) => {
-  const abiPath = path.join(__dirname, '..', 'out', `${contractName}.sol`, `${contractName}.json`);
-  const artifact = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
-  return artifact.abi;
-};
+// Usage: node scripts/debug-feerouter.js [pair] [--network <name>]
+// K growth since the last fee mint and what the next collectFees() would mint
+// and burn (default pair: TOK_PAIR).
+const { args } = parseNetworkArgs();
+const log = createLogger('debug-feerouter');
+const osito = connect(undefined, { readOnly: true });
 
 async function debugFeeRouter() {
-  const pairAddress = process.env.TOK_PAIR;
-  const pairABI = loadABI('OsitoPair');
-  const feeRouterABI = loadABI('FeeRouter');
-  
-  const pair = new ethers.Contract(pairAddress, pairABI, provider);
+  const pairAddress = args[0] || process.env.TOK_PAIR;
+  const pair = osito.pair(pairAddress);
   const feeRouterAddress = await pair.feeRouter();
-  const feeRouter = new ethers.Contract(feeRouterAddress, feeRouterABI, provider);
-  
-  console.log('=== FEE ROUTER DEBUG ===');
-  console.log('Pair:', pairAddress);
-  console.log('FeeRouter:', feeRouterAddress);
-  
-  // Get all relevant values
-  const lpBalance = await pair.balanceOf(feeRouterAddress);
-  const principalLp = await feeRouter.principalLp();
-  const totalSupply = await pair.totalSupply();
-  
-  console.log('\nLP Token State:');
-  console.log('Total LP Supply:', ethers.formatEther(totalSupply));
-  console.log('FeeRouter LP Balance:', ethers.formatEther(lpBalance));
-  console.log('Principal LP:', ethers.formatEther(principalLp));
-  console.log('Excess LP:', ethers.formatEther(lpBalance - principalLp));
-  
+  const pairLog = log.child({ pair: pairAddress, feeRouter: feeRouterAddress });
+
+  const state = await fetchCollectState(pair, feeRouterAddress, address => osito.token(address));
+  pairLog.info('LP state', {
+    lpTotalSupply: ethers.formatEther(state.lpTotalSupply),
+    routerLp: ethers.formatEther(state.routerLp)
+  });
+
   // Get K values
-  const [r0, r1] = await pair.getReserves();
-  const currentK = r0 * r1;
-  const kLast = await pair.kLast();
-  
-  console.log('\nK Values:');
-  console.log('Current K:', currentK.toString());
-  console.log('kLast:', kLast.toString());
-  console.log('K Growth:', ((currentK - kLast) * 10000n / kLast).toString(), 'bps');
-  
-  // Calculate expected fee LP
-  if (currentK > kLast && kLast > 0n) {
-    const rootK = sqrt(currentK);
-    const rootKLast = sqrt(kLast);
-    const numerator = totalSupply * (rootK - rootKLast);
-    const denominator = (rootK * 5n) + rootKLast;
-    const expectedFeeLp = numerator / denominator;
-    
-    console.log('\nExpected Fee Calculation:');
-    console.log('sqrt(K):', rootK.toString());
-    console.log('sqrt(kLast):', rootKLast.toString());
-    console.log('Expected Fee LP:', ethers.formatEther(expectedFeeLp));
-  }
-  
-  // Simulate collectFees to see what would happen
-  console.log('\n=== SIMULATING collectFees ===');
-  
-  if (lpBalance <= principalLp) {
-    console.log('❌ Would return early: lpBalance <= principalLp');
-    console.log('No excess LP to collect!');
-  } else {
-    const excessLp = lpBalance - principalLp;
-    const feeLp = excessLp * 9000n / 10000n;
-    console.log('✅ Would proceed with collection:');
-    console.log('Excess LP:', ethers.formatEther(excessLp));
-    console.log('Fee LP (90%):', ethers.formatEther(feeLp));
-  }
-  
-  // The key issue: Fees haven't been minted as LP yet!
-  console.log('\n=== ROOT CAUSE ===');
-  console.log('Fees accumulate as K growth but are NOT minted as LP until:');
-  console.log('1. Someone calls mint() - but it\'s restricted to FeeRouter only!');
-  console.log('2. Someone calls burn() - but who has LP to burn?');
-  console.log('\nThis appears to be a design issue in V5.');
-}
+  const currentK = state.reserve0 * state.reserve1;
+  const { kLast } = state;
+  pairLog.info('K values', {
+    k: currentK,
+    kLast,
+    kGrowthBps: kLast > 0n ? (currentK - kLast) * 10000n / kLast : null,
+    rootK: sqrt(currentK),
+    rootKLast: sqrt(kLast)
+  });
 
-// Babylonian square root
-function sqrt(y) {
-  if (y > 3n) {
-    let z = y;
-    let x = y / 2n + 1n;
-    while (x < z) {
-      z = x;
-      x = (y / x + x) / 2n;
-    }
-    return z;
-  } else if (y != 0n) {
-    return 1n;
-  } else {
-    return 0n;
+  // Fees accumulate as K growth and are minted as LP to the FeeRouter only
+  // when collectFees() calls pair.collectFees()
+  const prediction = predictCollect(state);
+  pairLog.info('collectFees() prediction', {
+    lpMinted: ethers.formatEther(prediction.lpMinted),
+    lpBurned: ethers.formatEther(prediction.lpBurned),
+    tokBurned: ethers.formatEther(prediction.tokBurned),
+    qtToTreasury: ethers.formatEther(prediction.qtToTreasury),
+    burnReverts: prediction.burnReverts
+  });
+  if (prediction.lpBurned === 0n) {
+    pairLog.warn('No K growth since the last fee mint: nothing to collect');
   }
 }
 
-debugFeeRouter().catch(console.error);
\ No newline at end of file
+debugFeeRouter().catch(error => log.error('Failed', error));
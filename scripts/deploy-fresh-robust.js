@@ -1,36 +1,35 @@
-const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env.testnet') });
+const { ROOT_DIR, loadProfile } = require('./lib/osito');
+const { getNetwork } = require('./lib/networks');
+const { createLogger } = require('./lib/logger');
 
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+// Usage: node scripts/deploy-fresh-robust.js [--network <name>]
+// After `forge script script/DeployFreshV5.s.sol --broadcast`, copies the
+// TOK / pair / FeeRouter it returned into the network's env file.
+const log = createLogger('deploy-fresh-robust');
+const profile = loadProfile();
 
 async function deployFreshRobust() {
-  console.log('=== Deploying Fresh Token with Robust FeeRouter ===\n');
-  
-  const deployOutput = fs.readFileSync(
-    path.join(__dirname, '..', 'broadcast/DeployFreshV5.s.sol/80069/run-latest.json'),
-    'utf8'
-  );
-  
-  const deployment = JSON.parse(deployOutput);
-  
-  console.log('Fresh deployment addresses:');
-  console.log('TOK:', deployment.returns['0'].value);
-  console.log('Pair:', deployment.returns['1'].value);
-  console.log('FeeRouter:', deployment.returns['2'].value);
-  
-  // Update .env.testnet with new addresses
-  const envPath = path.join(__dirname, '..', '.env.testnet');
+  const broadcastFile = path.join(ROOT_DIR, 'broadcast', 'DeployFreshV5.s.sol', String(profile.chainId), 'run-latest.json');
+  const deployment = JSON.parse(fs.readFileSync(broadcastFile, 'utf8'));
+
+  const tok = deployment.returns['0'].value;
+  const pair = deployment.returns['1'].value;
+  const feeRouter = deployment.returns['2'].value;
+  log.info('Fresh deployment addresses', { network: profile.name, tok, pair, feeRouter });
+
+  // Update the env file with new addresses
+  const envFile = getNetwork(profile.name).envFile;
+  const envPath = path.join(ROOT_DIR, envFile);
   let envContent = fs.readFileSync(envPath, 'utf8');
-  
-  envContent = envContent.replace(/TOK=.*/g, `TOK=${deployment.returns['0'].value}`);
-  envContent = envContent.replace(/TOK_PAIR=.*/g, `TOK_PAIR=${deployment.returns['1'].value}`);
-  envContent = envContent.replace(/FEE_ROUTER=.*/g, `FEE_ROUTER=${deployment.returns['2'].value}`);
-  
+
+  envContent = envContent.replace(/^TOK=.*/gm, `TOK=${tok}`);
+  envContent = envContent.replace(/^TOK_PAIR=.*/gm, `TOK_PAIR=${pair}`);
+  envContent = envContent.replace(/^FEE_ROUTER=.*/gm, `FEE_ROUTER=${feeRouter}`);
+
   fs.writeFileSync(envPath, envContent);
-  console.log('\n✅ Updated .env.testnet with fresh addresses');
+  log.info('Updated env file with fresh addresses', { envFile });
 }
 
-deployFreshRobust().catch(console.error);
\ No newline at end of file
+deployFreshRobust().catch(error => log.error('Failed', error));
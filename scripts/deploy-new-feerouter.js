@@ -1,51 +1,45 @@
 const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env.testnet') });
+const { execSync } = require('child_process');
+const { ROOT_DIR, connect, loadArtifact } = require('./lib/osito');
+const { parseNetworkArgs } = require('./lib/networks');
+const { createTxManager } = require('./lib/txmanager');
+const { createLogger } = require('./lib/logger');
 
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+// Usage: node scripts/deploy-new-feerouter.js [pair] [--network <name>]
+// Rebuilds the contracts and deploys a standalone FeeRouter for a pair, with
+// TREASURY (or the pair's current FeeRouter treasury) as treasury, for
+// testing FeeRouter changes (default pair: TOK_PAIR). OsitoPair.setFeeRouter
+// can only be called once, by the factory, so the pair keeps its router.
+const { args } = parseNetworkArgs();
+const log = createLogger('deploy-new-feerouter');
+const osito = connect();
+const { wallet } = osito;
+if (!wallet) throw new Error(`No PRIVATE_KEY for network ${osito.profile.name}`);
+const txManager = createTxManager(wallet);
 
 async function deployNewFeeRouter() {
-  console.log('=== Deploying Updated FeeRouter ===\n');
-  
+  const pairAddress = args[0] || process.env.TOK_PAIR;
+  const pair = osito.pair(pairAddress);
+
   // First, compile the contract
-  console.log('Compiling contracts...');
-  const { execSync } = require('child_process');
-  execSync('forge build', { stdio: 'inherit' });
-  
-  // Load the compiled contract
-  const contractPath = path.join(__dirname, '..', 'out', 'FeeRouter.sol', 'FeeRouter.json');
-  const artifact = JSON.parse(fs.readFileSync(contractPath, 'utf8'));
-  
-  // Deploy new FeeRouter (for testing purposes)
-  const FeeRouter = new ethers.ContractFactory(artifact.abi, artifact.bytecode, wallet);
-  
-  // Treasury address from env
-  const treasury = '0xBfff8b5C308CBb00a114EF2651f9EC7819b69557';
-  
-  console.log('Deploying FeeRouter...');
-  console.log('Treasury:', treasury);
-  
-  const feeRouter = await FeeRouter.deploy(treasury);
-  await feeRouter.waitForDeployment();
-  
-  const feeRouterAddress = await feeRouter.getAddress();
-  console.log('\n✅ FeeRouter deployed at:', feeRouterAddress);
-  
-  console.log('\nNOTE: This is just for testing the fix.');
-  console.log('In production, you would:');
-  console.log('1. Update the FeeRouter code');
-  console.log('2. Redeploy the entire protocol with the fix');
-  console.log('3. Or implement a migration strategy if needed');
-  
-  // Test the new collectFees function works
-  console.log('\n=== Testing New FeeRouter ===');
-  console.log('The new FeeRouter will:');
-  console.log('1. Check if K > kLast');
-  console.log('2. Burn 1 wei LP to trigger fee minting');
-  console.log('3. Collect the newly minted fees');
-  console.log('4. All in one simple call from the keeper');
+  log.info('Compiling contracts');
+  execSync('forge build', { cwd: ROOT_DIR, stdio: 'inherit' });
+  const artifact = loadArtifact('FeeRouter');
+
+  const currentFeeRouter = await pair.feeRouter();
+  const treasury = osito.profile.addresses.Treasury || await osito.feeRouter(currentFeeRouter).treasury();
+  log.info('Deploying FeeRouter', { pair: pairAddress, treasury, currentFeeRouter });
+
+  const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, wallet);
+  const receipt = await txManager.sendAndWait(
+    await factory.getDeployTransaction(treasury, pairAddress),
+    { label: 'deploy FeeRouter' }
+  );
+  log.info('FeeRouter deployed', { feeRouter: receipt.contractAddress, txHash: receipt.hash, block: receipt.blockNumber });
+
+  // The pair only lets its own FeeRouter mint fee LP, so this one's
+  // collectFees() reverts with ONLY_FEE_ROUTER until a pair is launched with it
+  log.warn('The pair still uses its original FeeRouter', { pair: pairAddress, feeRouter: currentFeeRouter });
 }
 
-deployNewFeeRouter().catch(console.error);
\ No newline at end of file
+deployNewFeeRouter().catch(error => log.error('Failed', error));
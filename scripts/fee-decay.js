@@ -0,0 +1,58 @@
+const { ethers } = require('ethers');
+const { connect, loadProfile } = require('./lib/osito');
+const { parseNetworkArgs } = require('./lib/networks');
+const fees = require('./lib/fees');
+const { createLogger } = require('./lib/logger');
+
+// Usage: node scripts/fee-decay.js <pair> [moreBurnedTok] [windowDays] [--network <name>]
+const { args } = parseNetworkArgs();
+const log = createLogger('fee-decay');
+const osito = connect(loadProfile(), { readOnly: true });
+
+const PAIR_ADDRESS = args[0] || process.env.TOK_PAIR;
+const MORE_BURNED = ethers.parseEther(args[1] || '1000000');
+const WINDOW_DAYS = Number(args[2] || 7);
+const LOG_CHUNK_SIZE = Number(process.env.LOG_CHUNK_SIZE || 10000);
+
+async function main() {
+  if (!PAIR_ADDRESS) throw new Error('Usage: node scripts/fee-decay.js <pair> [moreBurnedTok] [windowDays]');
+
+  const pair = osito.pair(PAIR_ADDRESS);
+  const { params, totalSupply } = await fees.fetchFeeState(pair, osito.token);
+
+  // Sanity check the model against the contract
+  const onChainFee = await pair.currentFeeBps();
+  const modelFee = fees.currentFeeBps(params, totalSupply);
+  if (onChainFee !== modelFee) {
+    throw new Error(`Model fee ${modelFee} != on-chain ${onChainFee}`);
+  }
+
+  const feeRouter = osito.feeRouter(await pair.feeRouter());
+  const history = await fees.fetchBurnHistory(feeRouter, {
+    fromBlock: osito.profile.deploymentBlock || 0,
+    chunkSize: LOG_CHUNK_SIZE
+  });
+  const projection = fees.projectFeeDecay(params, totalSupply, history, { window: WINDOW_DAYS * 86400 });
+
+  // TOK amounts; the ETA is null when there were no recent burns
+  log.info('Fee decay', {
+    pair: PAIR_ADDRESS,
+    startFeeBps: params.startFeeBps,
+    endFeeBps: params.endFeeBps,
+    decayTarget: ethers.formatEther(params.feeDecayTarget),
+    burned: ethers.formatEther(projection.burned),
+    progressPct: Number(projection.progressBps) / 100,
+    feeBps: projection.feeBps,
+    moreBurned: ethers.formatEther(MORE_BURNED),
+    feeBpsAfterMoreBurned: fees.feeAfterBurn(params, totalSupply, MORE_BURNED),
+    windowDays: WINDOW_DAYS,
+    collections: projection.samples,
+    burnedPerDay: ethers.formatEther(projection.burnedPerDay),
+    endFeeEta: projection.endFeeAt === null ? null : new Date(projection.endFeeAt * 1000).toISOString()
+  });
+}
+
+main().catch(error => {
+  log.error(error.message);
+  process.exit(1);
+});
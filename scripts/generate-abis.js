@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const { CONTRACTS, ROOT_DIR, loadABI } = require('./lib/osito');
+const { renderPackage } = require('./lib/abigen');
+const { createLogger } = require('./lib/logger');
+
+// Build the ABI package consumed by the frontend and the bots from out/.
+// Run `forge build` first.
+//
+// Usage: node scripts/generate-abis.js [--out <dir>] [--version <semver>] [--name <package>] [--contracts A,B]
+//   --out        Output directory (default: $ABI_OUT_DIR or dist/abis)
+//   --version    Package version (default: 0.0.0-<abi hash>)
+//   --name       Package name (default: @osito/abis)
+//   --contracts  Comma-separated subset of contracts (default: every SDK contract)
+
+const USAGE = 'Usage: node scripts/generate-abis.js [--out <dir>] [--version <semver>] [--name <package>] [--contracts A,B]';
+const log = createLogger('generate-abis');
+
+function parseArgs(argv) {
+  const options = {
+    out: process.env.ABI_OUT_DIR || path.join(ROOT_DIR, 'dist', 'abis'),
+    version: null,
+    name: '@osito/abis',
+    contracts: CONTRACTS
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split('=', 2);
+    const value = inline !== undefined ? inline : argv[++i];
+    if (value === undefined) throw new Error(USAGE);
+
+    if (flag === '--out') options.out = path.resolve(value);
+    else if (flag === '--version') options.version = value;
+    else if (flag === '--name') options.name = value;
+    else if (flag === '--contracts') options.contracts = value.split(',').map(name => name.trim()).filter(Boolean);
+    else throw new Error(`Unknown option ${flag}\n${USAGE}`);
+  }
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const contracts = Object.fromEntries(options.contracts.map(name => [name, loadABI(name)]));
+  const files = renderPackage(contracts, { packageName: options.name, version: options.version });
+
+  for (const [file, content] of Object.entries(files)) {
+    const target = path.join(options.out, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+  }
+
+  const { version } = JSON.parse(files['build.json']);
+  log.info('Wrote ABI package', {
+    package: `${options.name}@${version}`,
+    out: options.out,
+    contracts: options.contracts.length,
+    errorSelectors: Object.keys(JSON.parse(files['errors.json'])).length
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  log.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,95 @@
+const { connect } = require('./lib/osito');
+const { parseNetworkArgs } = require('./lib/networks');
+const { createLoop, handleShutdownSignals } = require('./lib/loop');
+const { indexPath, openIndexDb } = require('./lib/indexdb');
+const { createIndexer } = require('./lib/indexer');
+const { createLogger } = require('./lib/logger');
+
+// Self-hosted event indexer: follows the RPC with chunked eth_getLogs and
+// stores every Osito event in SQLite (see lib/indexdb.js), so analytics do
+// not depend on the hosted subgraph. Progress is checkpointed per chunk, and
+// a restart continues from the checkpoint. Reorgs are rolled back and
+// re-indexed; blocks CONFIRMATIONS below the head count as final (the
+// `confirmed` filter of the index only returns those).
+//
+// Usage: node scripts/indexer.js [--once] [--network <name>]
+//   --once  Index up to the current head and exit
+//
+// INDEX_DB overrides the database file (default: STATE_DIR/index-<chainId>.sqlite)
+// CONFIRMATIONS sets the confirmation depth (default 5)
+//
+// Needs the better-sqlite3 package, a native module the other scripts do not
+// use: install it once with `npm install better-sqlite3` (it builds against
+// the local Node, so reinstall after switching Node versions)
+const { args } = parseNetworkArgs();
+const log = createLogger('indexer');
+
+// Reads only; a PRIVATE_KEY in the env file is not needed
+const osito = connect(undefined, { readOnly: true });
+
+// Configuration
+const CONFIG = {
+  POLLING_INTERVAL: Number(process.env.POLLING_INTERVAL || 15000),
+  ONCE: args.includes('--once'),
+  CHAIN_ID: osito.profile.chainId,
+  INDEX_DB: process.env.INDEX_DB || indexPath(osito.profile.chainId),
+  START_BLOCK: process.env.START_BLOCK ? Number(process.env.START_BLOCK) : (osito.profile.deploymentBlock || 0),
+  LOG_CHUNK_SIZE: Number(process.env.LOG_CHUNK_SIZE || 2000),
+  CONFIRMATIONS: Number(process.env.CONFIRMATIONS || 5)
+};
+
+const index = openIndexDb(CONFIG.INDEX_DB, { chainId: CONFIG.CHAIN_ID, startBlock: CONFIG.START_BLOCK });
+const indexer = createIndexer(osito, index, {
+  chunkSize: CONFIG.LOG_CHUNK_SIZE,
+  confirmations: CONFIG.CONFIRMATIONS,
+  logger: log
+});
+
+async function runTick({ stopping }) {
+  // Synced even when the head is behind the checkpoint: the chain may have
+  // been replaced by a shorter one
+  const head = await osito.provider.getBlockNumber();
+  const result = await indexer.sync(head, { stopping });
+  if (result.reorgs > 0 || result.toBlock >= result.fromBlock) {
+    log.info('Indexed', {
+      fromBlock: result.fromBlock,
+      toBlock: result.toBlock,
+      events: result.events,
+      reorgs: result.reorgs,
+      head,
+      finalBlock: index.finalBlock()
+    });
+  }
+}
+
+async function runIndexer() {
+  log.info('Starting Osito event indexer', {
+    chainId: CONFIG.CHAIN_ID,
+    db: CONFIG.INDEX_DB,
+    factories: indexer.factories,
+    nextBlock: index.nextBlock(),
+    confirmations: CONFIG.CONFIRMATIONS,
+    mode: CONFIG.ONCE ? 'single pass' : `polling every ${CONFIG.POLLING_INTERVAL / 1000}s`
+  });
+
+  const loop = createLoop(runTick, {
+    name: 'indexer',
+    intervalMs: CONFIG.POLLING_INTERVAL,
+    once: CONFIG.ONCE
+  });
+  const removeSignalHandlers = handleShutdownSignals(loop, 'indexer');
+
+  const failures = await loop.run();
+  removeSignalHandlers();
+  const nextBlock = index.nextBlock();
+  index.close();
+  osito.provider.destroy();
+
+  log.info('Indexer stopped', { nextBlock });
+  if (CONFIG.ONCE && failures > 0) process.exitCode = 1;
+}
+
+runIndexer().catch(error => {
+  log.error('Fatal error', error);
+  process.exit(1);
+});
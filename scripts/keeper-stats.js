@@ -0,0 +1,90 @@
+const { ethers } = require('ethers');
+const { getNetwork, parseNetworkArgs, selectedNetwork } = require('./lib/networks');
+const { openKeeperStore, storePath } = require('./lib/keeperstore');
+const { createLogger } = require('./lib/logger');
+
+// Report from the keeper's local history, without touching the chain.
+//
+// Usage: node scripts/keeper-stats.js [--since <7d|24h|ISO date>] [--pair <address>] [--list] [--network <name>]
+//   node scripts/keeper-stats.js --since 7d    -> burned / collected this week, per pair
+const USAGE = 'Usage: node scripts/keeper-stats.js [--since <7d|24h|ISO date>] [--pair <address>] [--list] [--network <name>]';
+const log = createLogger('keeper-stats');
+
+const UNITS = { m: 60, h: 3600, d: 86400, w: 604800 };
+
+// "7d" / "24h" relative to now, or anything Date can parse
+function parseSince(value) {
+  const relative = value.match(/^(\d+)([mhdw])$/);
+  if (relative) return Math.floor(Date.now() / 1000) - Number(relative[1]) * UNITS[relative[2]];
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw new Error(`Invalid --since ${value}\n${USAGE}`);
+  return Math.floor(time / 1000);
+}
+
+function parseArgs(args) {
+  const options = { since: 0, pair: null, list: false };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--since') options.since = parseSince(args[++i] || '');
+    else if (args[i] === '--pair') options.pair = ethers.getAddress(args[++i] || '');
+    else if (args[i] === '--list') options.list = true;
+    else throw new Error(USAGE);
+  }
+  return options;
+}
+
+function totalsFields(totals) {
+  return {
+    collections: totals.count,
+    tokBurned: ethers.formatEther(totals.tokBurned),
+    qtToTreasury: ethers.formatEther(totals.qtToTreasury),
+    gasUsed: totals.gasUsed
+  };
+}
+
+function main() {
+  const options = parseArgs(parseNetworkArgs().args);
+  const network = selectedNetwork();
+  const store = openKeeperStore(storePath(getNetwork(network).chainId));
+
+  log.info('Keeper history', {
+    network,
+    since: options.since ? new Date(options.since * 1000).toISOString() : 'all time',
+    store: store.file
+  });
+
+  const pairs = options.pair ? [options.pair.toLowerCase()] : store.pairs();
+  for (const pair of pairs) {
+    const filter = { pair, since: options.since };
+    const seen = store.lastKLast(pair);
+    log.info('Pair totals', {
+      pair: ethers.getAddress(pair),
+      ...totalsFields(store.totals(filter)),
+      lastKLast: seen ? seen.kLast : null,
+      lastKLastBlock: seen ? seen.block : null
+    });
+
+    if (options.list) {
+      for (const collection of store.collections(filter)) {
+        log.info('Collection', {
+          pair: ethers.getAddress(pair),
+          collectedAt: new Date(collection.timestamp * 1000).toISOString(),
+          block: collection.block,
+          txHash: collection.txHash,
+          tokBurned: ethers.formatEther(collection.tokBurned),
+          qtToTreasury: ethers.formatEther(collection.qtToTreasury),
+          gasUsed: collection.gasUsed
+        });
+      }
+    }
+  }
+
+  if (!options.pair) log.info('All pairs', totalsFields(store.totals({ since: options.since })));
+}
+
+try {
+  main();
+} catch (error) {
+  log.error(error.message);
+  process.exit(1);
+}
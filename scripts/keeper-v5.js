@@ -1,154 +1,446 @@
 const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env.testnet') });
+const { connect } = require('./lib/osito');
+const { argValue, parseNetworkArgs } = require('./lib/networks');
+const { createLoop, handleShutdownSignals } = require('./lib/loop');
+const { decideCollect, fetchCollectStates, precheckCollect, predictCollect } = require('./lib/collect');
+const { createMulticall, encodeCall } = require('./lib/multicall');
+const { createPairDiscovery } = require('./lib/discovery');
+const { createTxManager } = require('./lib/txmanager');
+const { openKeeperStore, storePath } = require('./lib/keeperstore');
+const { createMetrics, startMetricsServer } = require('./lib/metrics');
+const { createLogger } = require('./lib/logger');
+const { decodeReceipt } = require('./lib/receipts');
+
+// Usage: node scripts/keeper-v5.js [--once] [--dry-run [--block <number>]] [--network <name>]
+//   --once     Run a single pass and exit (for cron); non-zero exit if it failed
+//   --dry-run  Single pass that sends nothing and writes no keeper history:
+//              every collectFees() is simulated with eth_call and the would-be
+//              actions are printed as a table. Needs no private key.
+//   --block    Run the dry run against a historical block instead of the head
+//
+// Unless METRICS_PORT=off, a long-running keeper serves on METRICS_HOST:METRICS_PORT
+//   /metrics  Prometheus counters
+//   /healthz  503 once the last successful tick is older than HEALTH_MAX_AGE ms
+//   /status   JSON with the last decision and collection per pair
+const { args } = parseNetworkArgs();
+const log = createLogger('keeper');
+
+const blockArg = argValue(args, '--block');
+if (blockArg !== undefined && !/^\d+$/.test(blockArg)) throw new Error('--block requires a block number');
+if (blockArg !== undefined && !args.includes('--dry-run')) throw new Error('--block only works with --dry-run');
+
+const osito = connect();
+const { wallet } = osito;
+const store = openKeeperStore(storePath(osito.profile.chainId));
 
 // Configuration
 const CONFIG = {
-  RPC_URL: process.env.RPC_URL,
-  PRIVATE_KEY: process.env.PRIVATE_KEY,
-  LENS_LITE: process.env.LENS_LITE,
-  POLLING_INTERVAL: process.env.POLLING_INTERVAL || 30000,
-  MIN_K_GROWTH: 10n, // 0.1% minimum K growth to collect
-  GAS_LIMIT: process.env.GAS_LIMIT || 500000,
-  CHAIN_ID: process.env.CHAIN_ID
+  LENS_LITE: osito.profile.addresses.LensLite,
+  POLLING_INTERVAL: Number(process.env.POLLING_INTERVAL || 30000),
+  DRY_RUN: args.includes('--dry-run'),
+  ONCE: args.includes('--once') || args.includes('--dry-run'),
+  BLOCK_TAG: blockArg !== undefined ? Number(blockArg) : null, // dry run only; null is the head
+  GAS_LIMIT: process.env.GAS_LIMIT ? BigInt(process.env.GAS_LIMIT) : undefined, // default: estimate + 20%
+  CHAIN_ID: osito.profile.chainId,
+  COLLECT_COOLDOWN: Number(process.env.COLLECT_COOLDOWN || 3600), // seconds between collections of one pair
+  MULTICALL3: process.env.MULTICALL3 || osito.profile.addresses.Multicall3, // default: canonical address
+  BATCH_COLLECT: process.env.BATCH_COLLECT !== 'false', // collect several pairs in one aggregate3 tx
+  MAX_COLLECT_BATCH: Number(process.env.MAX_COLLECT_BATCH || 20),
+  LOG_CHUNK_SIZE: Number(process.env.LOG_CHUNK_SIZE || 10000),
+  METRICS_PORT: process.env.METRICS_PORT === 'off' ? null : Number(process.env.METRICS_PORT || 9464),
+  METRICS_HOST: process.env.METRICS_HOST || '127.0.0.1',
+  HEALTH_MAX_AGE: process.env.HEALTH_MAX_AGE ? Number(process.env.HEALTH_MAX_AGE) : null, // default: 3 polling intervals
+  // Profitability policy for collectFees()
+  POLICY: {
+    minQt: ethers.parseEther(process.env.MIN_QT_PER_TX || '0'),
+    maxGasPrice: process.env.MAX_GAS_PRICE_GWEI ? ethers.parseUnits(process.env.MAX_GAS_PRICE_GWEI, 'gwei') : null,
+    minProfitMultiple: BigInt(process.env.MIN_PROFIT_MULTIPLE || 1)
+  }
 };
 
-// Load ABIs
-const loadABI = (contractName) => {
-  const abiPath = path.join(__dirname, '..', 'out', `${contractName}.sol`, `${contractName}.json`);
-  const artifact = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
-  return artifact.abi;
+if (!wallet && !CONFIG.DRY_RUN) throw new Error('The keeper needs PRIVATE_KEY (or --dry-run)');
+const txManager = CONFIG.DRY_RUN ? null : createTxManager(wallet);
+const keeperAddress = wallet ? wallet.address : null;
+
+// Contract instances
+const multicall = createMulticall(wallet || osito.provider, { address: CONFIG.MULTICALL3 });
+const discovery = createPairDiscovery(osito, { multicall, chunkSize: CONFIG.LOG_CHUNK_SIZE, logger: log });
+
+// Metrics, and what /healthz and /status report
+const metrics = createMetrics('osito_keeper_');
+const METRICS = {
+  ticks: metrics.counter('ticks_total', 'Keeper ticks by result'),
+  pairsScanned: metrics.counter('pairs_scanned_total', 'Pairs checked, summed over ticks'),
+  pairs: metrics.gauge('pairs', 'Pairs known in the last tick'),
+  collections: metrics.counter('collections_total', 'Pair fee collections by result (sent or failed)'),
+  tokBurned: metrics.counter('tok_burned_wei_total', 'TOK burned by collections, in wei'),
+  qtCollected: metrics.counter('qt_collected_wei_total', 'QT sent to the treasury by collections, in wei'),
+  gasUsed: metrics.counter('gas_used_total', 'Gas used by collection transactions'),
+  gasSpent: metrics.counter('gas_spent_wei_total', 'Gas cost of collection transactions, in wei'),
+  lastSuccess: metrics.gauge('last_success_timestamp_seconds', 'Unix time the last tick completed'),
+  rpcErrors: metrics.counter('rpc_errors_total', 'Failed RPC requests per endpoint', () =>
+    osito.provider.endpointStatus().map(endpoint => ({ labels: { endpoint: endpoint.endpoint }, value: endpoint.errors })))
 };
+const health = { startedAt: Date.now(), lastSuccessAt: null, lastTick: 0, lastBlock: null };
+// Latest decision per pair (lowercase address), in the order pairs were seen
+const decisions = new Map();
 
-// Initialize provider and wallet
-const provider = new ethers.JsonRpcProvider(CONFIG.RPC_URL);
-const wallet = new ethers.Wallet(CONFIG.PRIVATE_KEY, provider);
+/**
+ * @param {string} pair
+ * @param {string} action skip, collect, collected or failed
+ * @param {string} reason
+ * @param {Object} [details] Predicted amounts, gas and txHash where known
+ */
+function noteDecision(pair, action, reason, details = {}) {
+  decisions.set(pair.toLowerCase(), { action, reason, ...details, at: new Date().toISOString() });
+}
 
-// Contract ABIs
-const LENS_LITE_ABI = loadABI('LensLite');
-const PAIR_ABI = loadABI('OsitoPair');
-const FEE_ROUTER_ABI = loadABI('FeeRouter');
+const predicted = ({ prediction }) => ({ tokBurned: prediction.tokBurned, qtToTreasury: prediction.qtToTreasury });
 
-// Contract instances
-const lensLite = new ethers.Contract(CONFIG.LENS_LITE, LENS_LITE_ABI, wallet);
+async function getAllPairs(blockNumber) {
+  const pairs = await discovery.refresh(blockNumber);
+  const unregistered = pairs.filter(pair => !pair.inLens).length;
+  log.info('Found pairs', { count: pairs.length, notInLens: unregistered, block: blockNumber });
+  METRICS.pairs.set(pairs.length);
+  METRICS.pairsScanned.inc({}, pairs.length);
+  return pairs.map(pair => pair.pair);
+}
 
-async function getAllPairs() {
-  try {
-    const pairCount = await lensLite.allPairsLength();
-    const pairs = [];
-    
-    for (let i = 0; i < pairCount; i++) {
-      const pairAddress = await lensLite.allPairs(i);
-      pairs.push(pairAddress);
+// Cooldown, prediction and precheck for one pair; the pair's collection
+// candidate, or null when it is skipped. A dry run at a historical block
+// measures the cooldown from that block's timestamp.
+function evaluatePair({ pair: pairAddress, feeRouter: feeRouterAddress, state, reason }, block) {
+  if (!state) {
+    // A pair that cannot be read is skipped this tick; the others go ahead
+    const level = reason === 'no fee router' ? 'info' : 'warn';
+    log[level]('Decision: skip', { pair: pairAddress, reason });
+    noteDecision(pairAddress, 'skip', reason);
+    return null;
+  }
+  const pairLog = log.child({ pair: pairAddress, block: block.number });
+
+  const now = CONFIG.BLOCK_TAG !== null ? block.timestamp : undefined;
+  const cooldown = store.cooldownRemaining(pairAddress, CONFIG.COLLECT_COOLDOWN, now);
+  if (cooldown > 0) {
+    pairLog.info('Decision: skip', { reason: 'cooldown', cooldownRemaining: cooldown });
+    noteDecision(pairAddress, 'skip', `cooldown, ${cooldown}s left`);
+    return null;
+  }
+
+  // Predict what collectFees() would mint, burn and send
+  if (!CONFIG.DRY_RUN) store.recordKLast(pairAddress, state.kLast, block.number);
+  const prediction = predictCollect(state);
+  pairLog.info('Predicted collection', {
+    lpMinted: ethers.formatEther(prediction.lpMinted),
+    tokBurned: ethers.formatEther(prediction.tokBurned),
+    qtToTreasury: ethers.formatEther(prediction.qtToTreasury)
+  });
+
+  const precheck = precheckCollect(prediction);
+  if (precheck) {
+    pairLog.info('Decision: skip', { reason: precheck });
+    noteDecision(pairAddress, 'skip', precheck, predicted({ prediction }));
+    return null;
+  }
+
+  return { pair: pairAddress, feeRouter: osito.feeRouter(feeRouterAddress), prediction };
+}
+
+// Block the keeper reads at: the head, or the dry run's --block
+const blockTag = () => (CONFIG.BLOCK_TAG !== null ? CONFIG.BLOCK_TAG : 'latest');
+
+// Simulate every candidate's collectFees() with eth_call, all in one
+// aggregate3 call; a revert here would only burn gas on-chain
+async function simulate(candidates) {
+  const results = await multicall.tryRead(
+    candidates.map(candidate => encodeCall(candidate.feeRouter, 'collectFees')),
+    { blockTag: blockTag() }
+  );
+  return candidates.filter((candidate, i) => {
+    if (results[i].success) return true;
+    log.info('Decision: skip', { pair: candidate.pair, reason: `simulation reverted: ${results[i].error}` });
+    noteDecision(candidate.pair, 'skip', `simulation reverted: ${results[i].error}`, predicted(candidate));
+    return false;
+  });
+}
+
+// The fee the keeper bids (maxFeePerGas). At a historical block it is
+// derived the way ethers does, from that block's base fee.
+async function gasPrice(block) {
+  const feeData = await osito.provider.getFeeData();
+  if (CONFIG.BLOCK_TAG === null || block.baseFeePerGas === null) return feeData.maxFeePerGas || feeData.gasPrice;
+  return block.baseFeePerGas * 2n + (feeData.maxPriorityFeePerGas || 0n);
+}
+
+// Gas for a request sent by the keeper. ethers' estimateGas takes no block,
+// so a historical estimate asks the node directly.
+async function estimateGas(request) {
+  const tx = keeperAddress ? { ...request, from: keeperAddress } : request;
+  if (CONFIG.BLOCK_TAG === null) return osito.provider.estimateGas(tx);
+  const rpcTx = osito.provider.getRpcTransaction(tx);
+  return BigInt(await osito.provider.send('eth_estimateGas', [rpcTx, ethers.toQuantity(CONFIG.BLOCK_TAG)]));
+}
+
+// A plain collectFees() for one pair, an aggregate3 batch for several
+async function collectRequest(candidates) {
+  return candidates.length > 1
+    ? multicall.populateBatch(candidates.map(candidate => encodeCall(candidate.feeRouter, 'collectFees')))
+    : candidates[0].feeRouter.collectFees.populateTransaction();
+}
+
+// Decide each candidate against its share of the gas; with a batch the
+// estimate is split evenly between the pairs in it
+function decideAll(candidates, gasEstimate, price) {
+  const share = gasEstimate / BigInt(candidates.length);
+  return candidates.filter(candidate => {
+    const decision = decideCollect(candidate.prediction, { gasEstimate: share, gasPrice: price }, CONFIG.POLICY);
+    const action = decision.collect ? 'collect' : 'skip';
+    log.info(`Decision: ${action}`, {
+      pair: candidate.pair,
+      reason: decision.reason,
+      gas: share,
+      gasPriceGwei: ethers.formatUnits(price, 'gwei'),
+      gasCost: ethers.formatEther(decision.gasCost)
+    });
+    noteDecision(candidate.pair, action, decision.reason, {
+      ...predicted(candidate),
+      gas: share,
+      gasPrice: price,
+      gasCost: decision.gasCost
+    });
+    return decision.collect;
+  });
+}
+
+// Send one transaction collecting every candidate: a plain collectFees()
+// for one pair, an aggregate3 batch for several. Each pair's history gets
+// an even share of the gas used.
+async function sendCollect(candidates) {
+  const request = await collectRequest(candidates);
+  const label = candidates.length > 1 ? `collectFees batch of ${candidates.length}` : `collectFees ${candidates[0].pair}`;
+
+  const pending = await txManager.send({ ...request, gasLimit: CONFIG.GAS_LIMIT }, { label });
+  log.info('Collecting fees', { label, pairs: candidates.map(candidate => candidate.pair), txHash: pending.hashes[0] });
+
+  const receipt = await txManager.wait(pending);
+  METRICS.gasUsed.inc({}, receipt.gasUsed);
+  METRICS.gasSpent.inc({}, receipt.gasUsed * receipt.gasPrice);
+  if (receipt.status !== 1) throw new Error(`transaction reverted in block ${receipt.blockNumber}`);
+  const txLog = log.child({ txHash: receipt.hash, block: receipt.blockNumber });
+  txLog.info('Collection confirmed', { gasUsed: receipt.gasUsed });
+
+  const block = await osito.provider.getBlock(receipt.blockNumber);
+  const { feesCollected } = decodeReceipt(receipt);
+  for (const candidate of candidates) {
+    // A FeeRouter with no FeesCollected log had its call fail inside the batch
+    const collected = feesCollected.find(entry => entry.feeRouter.toLowerCase() === candidate.feeRouter.target.toLowerCase());
+    if (!collected) {
+      txLog.warn('collectFees failed inside the batch', { pair: candidate.pair });
+      METRICS.collections.inc({ result: 'failed' });
+      noteDecision(candidate.pair, 'failed', 'collectFees reverted inside the batch', { txHash: receipt.hash });
+      continue;
     }
-    
-    console.log(`Found ${pairs.length} pairs from LensLite`);
-    return pairs;
-  } catch (error) {
-    console.error('Error fetching pairs:', error);
-    return [];
+    const { tokBurned, qtCollected } = collected;
+    METRICS.collections.inc({ result: 'sent' });
+    METRICS.tokBurned.inc({}, tokBurned);
+    METRICS.qtCollected.inc({}, qtCollected);
+    noteDecision(candidate.pair, 'collected', 'confirmed', { tokBurned, qtToTreasury: qtCollected, txHash: receipt.hash });
+    txLog.info('Fees collected', {
+      pair: candidate.pair,
+      tokBurned: ethers.formatEther(tokBurned),
+      qtToTreasury: ethers.formatEther(qtCollected)
+    });
+    store.recordCollection(candidate.pair, {
+      txHash: receipt.hash,
+      block: receipt.blockNumber,
+      timestamp: block.timestamp,
+      tokBurned,
+      qtToTreasury: qtCollected,
+      gasUsed: receipt.gasUsed / BigInt(candidates.length)
+    });
   }
 }
 
-async function checkAndCollectFees(pairAddress) {
+// Collect a set of simulated candidates in one transaction. Pairs that do
+// not pay for their share of the gas are dropped and the rest re-estimated,
+// since a smaller batch gives each pair a larger share. A dry run stops
+// once the batch is decided.
+async function collectBatch(candidates, block) {
+  let batch = candidates;
+  while (batch.length > 0) {
+    const gasEstimate = await estimateGas(await collectRequest(batch));
+    const approved = decideAll(batch, gasEstimate, await gasPrice(block));
+    if (approved.length === batch.length) break;
+    batch = approved;
+  }
+  if (batch.length === 0) return;
+  if (CONFIG.DRY_RUN) {
+    log.info('Dry run: not sending', { pairs: batch.map(candidate => candidate.pair) });
+    return;
+  }
+
   try {
-    const pair = new ethers.Contract(pairAddress, PAIR_ABI, wallet);
-    
-    // Get fee router address
-    const feeRouterAddress = await pair.feeRouter();
-    if (!feeRouterAddress || feeRouterAddress === ethers.ZeroAddress) {
-      console.log(`No fee router for pair ${pairAddress}`);
-      return false;
-    }
-    
-    const feeRouter = new ethers.Contract(feeRouterAddress, FEE_ROUTER_ABI, wallet);
-    
-    // Check K growth
-    const [reserve0, reserve1] = await pair.getReserves();
-    const currentK = reserve0 * reserve1;
-    const kLast = await pair.kLast();
-    
-    console.log(`\nPair ${pairAddress}:`);
-    console.log(`  Current K: ${currentK}`);
-    console.log(`  Last K: ${kLast}`);
-    
-    if (kLast === 0n) {
-      console.log(`  New pair, no trades yet`);
-      return false;
-    }
-    
-    if (currentK <= kLast) {
-      console.log(`  No K growth`);
-      return false;
-    }
-    
-    // Calculate growth
-    const kGrowth = ((currentK - kLast) * 10000n) / kLast;
-    console.log(`  K growth: ${Number(kGrowth) / 100}%`);
-    
-    if (kGrowth < CONFIG.MIN_K_GROWTH) {
-      console.log(`  K growth too small`);
-      return false;
-    }
-    
-    // Just call collectFees - it handles everything internally now
-    console.log(`  💰 Collecting fees...`);
-    const tx = await feeRouter.collectFees({ gasLimit: CONFIG.GAS_LIMIT });
-    console.log(`  Transaction: ${tx.hash}`);
-    
-    const receipt = await tx.wait();
-    console.log(`  ✅ Confirmed in block ${receipt.blockNumber}`);
-    console.log(`  Gas used: ${receipt.gasUsed}`);
-    
-    // Parse logs to see what was collected
-    for (const log of receipt.logs) {
-      if (log.address.toLowerCase() === feeRouterAddress.toLowerCase()) {
-        try {
-          const parsed = feeRouter.interface.parseLog(log);
-          if (parsed && parsed.name === 'FeesCollected') {
-            console.log(`  🔥 TOK burned: ${ethers.formatEther(parsed.args[0])}`);
-            console.log(`  💎 QT to treasury: ${ethers.formatEther(parsed.args[1])}`);
-          }
-        } catch (e) {
-          // Try manual parsing
-          if (log.topics[0] === ethers.id('FeesCollected(uint256,uint256)')) {
-            const tokBurned = BigInt(log.topics[1]);
-            const qtCollected = BigInt(log.topics[2]);
-            console.log(`  🔥 TOK burned: ${ethers.formatEther(tokBurned)}`);
-            console.log(`  💎 QT to treasury: ${ethers.formatEther(qtCollected)}`);
-          }
-        }
-      }
-    }
-    
-    return true;
+    await sendCollect(batch);
   } catch (error) {
-    console.error(`Error collecting fees for ${pairAddress}:`, error.message);
-    return false;
+    log.error('Error collecting fees', { pairs: batch.map(candidate => candidate.pair), err: error });
+    METRICS.collections.inc({ result: 'failed' }, batch.length);
+    for (const candidate of batch) noteDecision(candidate.pair, 'failed', error.message, predicted(candidate));
   }
 }
 
+// One pass over every pair: state is read for all pairs at one block, and
+// the pairs worth collecting go out in batches of up to MAX_COLLECT_BATCH.
+// Shutdown is checked between batches so no new transaction is sent once
+// it was requested; a pending one is still awaited.
+async function collectTick({ tick, stopping }) {
+  log.info('Tick', { tick });
+
+  const block = await osito.provider.getBlock(blockTag());
+  health.lastBlock = block.number;
+  const pairs = await getAllPairs(block.number);
+  const states = await fetchCollectStates(multicall, pairs, osito.pair, osito.token, block.number);
+
+  const candidates = states.map(entry => evaluatePair(entry, block)).filter(Boolean);
+  // One write for every kLast evaluatePair recorded
+  if (!CONFIG.DRY_RUN) store.save();
+  if (candidates.length === 0) return;
+
+  const simulated = await simulate(candidates);
+  const batchSize = CONFIG.BATCH_COLLECT ? CONFIG.MAX_COLLECT_BATCH : 1;
+  for (let i = 0; i < simulated.length; i += batchSize) {
+    if (stopping()) break;
+    await collectBatch(simulated.slice(i, i + batchSize), block);
+  }
+}
+
+async function runTick(context) {
+  health.lastTick = context.tick;
+  await collectTick(context);
+  health.lastSuccessAt = Date.now();
+  METRICS.ticks.inc({ result: 'ok' });
+  METRICS.lastSuccess.set(Math.floor(health.lastSuccessAt / 1000));
+}
+
+// Unhealthy once no tick has succeeded for HEALTH_MAX_AGE, counting from
+// startup until the first one does
+function healthCheck() {
+  const maxAgeMs = CONFIG.HEALTH_MAX_AGE || 3 * CONFIG.POLLING_INTERVAL;
+  const ageMs = Date.now() - (health.lastSuccessAt || health.startedAt);
+  return {
+    ok: ageMs <= maxAgeMs,
+    lastSuccess: health.lastSuccessAt ? new Date(health.lastSuccessAt).toISOString() : null,
+    ageMs,
+    maxAgeMs
+  };
+}
+
+function statusReport() {
+  const pairs = new Set([...store.pairs(), ...decisions.keys()]);
+  return {
+    chainId: CONFIG.CHAIN_ID,
+    keeper: keeperAddress,
+    tick: health.lastTick,
+    lastSuccess: health.lastSuccessAt ? new Date(health.lastSuccessAt).toISOString() : null,
+    endpoints: osito.provider.endpointStatus(),
+    pairs: [...pairs].map(pair => ({
+      pair: ethers.getAddress(pair),
+      lastDecision: decisions.get(pair) || null,
+      lastCollection: store.lastCollection(pair),
+      cooldownRemaining: store.cooldownRemaining(pair, CONFIG.COLLECT_COOLDOWN)
+    }))
+  };
+}
+
+// Amount in ether, cut to 6 decimals for the table
+function shortEther(wei) {
+  if (wei === undefined) return '-';
+  const [whole, fraction = ''] = ethers.formatEther(wei).split('.');
+  return `${whole}.${fraction.slice(0, 6).padEnd(6, '0')}`;
+}
+
+// The dry run's result: one row per pair with what the keeper would have
+// done, the predicted burn and treasury QT, and the gas it would have paid
+function printDryRun() {
+  const rows = [...decisions.entries()].map(([pair, entry]) => [
+    ethers.getAddress(pair),
+    entry.action === 'collect' ? 'COLLECT' : entry.action,
+    shortEther(entry.tokBurned),
+    shortEther(entry.qtToTreasury),
+    entry.gas !== undefined ? entry.gas.toString() : '-',
+    entry.gasPrice !== undefined ? ethers.formatUnits(entry.gasPrice, 'gwei') : '-',
+    shortEther(entry.gasCost),
+    entry.reason
+  ]);
+  const header = ['Pair', 'Action', 'TOK burned', 'QT to treasury', 'Gas', 'Gwei', 'Gas cost', 'Reason'];
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+  // Text columns left-aligned, numbers right-aligned; the reason is not padded
+  const line = (cells) => cells
+    .map((cell, i) => (i === cells.length - 1 ? cell : i < 2 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])))
+    .join('  ');
+
+  const collect = [...decisions.values()].filter(entry => entry.action === 'collect');
+  const sum = (field) => collect.reduce((total, entry) => total + entry[field], 0n);
+  const out = [
+    `Dry run at block ${health.lastBlock}: nothing was sent`,
+    '',
+    line(header),
+    line(widths.map(width => '-'.repeat(width))),
+    ...rows.map(line),
+    '',
+    `Would collect ${collect.length} of ${decisions.size} pairs: ` +
+      `TOK burned ${shortEther(sum('tokBurned'))}, QT to treasury ${shortEther(sum('qtToTreasury'))}, gas cost ${shortEther(sum('gasCost'))}`
+  ];
+  process.stdout.write(`${out.join('\n')}\n`);
+}
+
 async function runKeeper() {
-  console.log('🤖 Starting Osito V5 Fee Collector Keeper');
-  console.log(`Chain: ${CONFIG.CHAIN_ID}`);
-  console.log(`Keeper: ${wallet.address}`);
-  console.log(`LensLite: ${CONFIG.LENS_LITE}`);
-  console.log('---');
-  
-  // Run once immediately
-  try {
-    const pairs = await getAllPairs();
-    for (const pairAddress of pairs) {
-      await checkAndCollectFees(pairAddress);
+  log.info('Starting Osito V5 Fee Collector Keeper', {
+    chainId: CONFIG.CHAIN_ID,
+    keeper: keeperAddress,
+    lensLite: CONFIG.LENS_LITE,
+    state: store.file,
+    pairCache: discovery.file,
+    multicall3: multicall.address,
+    maxBatch: CONFIG.BATCH_COLLECT ? CONFIG.MAX_COLLECT_BATCH : 1,
+    mode: CONFIG.DRY_RUN ? `dry run at ${CONFIG.BLOCK_TAG !== null ? `block ${CONFIG.BLOCK_TAG}` : 'the head'}`
+      : CONFIG.ONCE ? 'single pass' : `polling every ${CONFIG.POLLING_INTERVAL / 1000}s`
+  });
+
+  const loop = createLoop(runTick, {
+    name: 'keeper',
+    intervalMs: CONFIG.POLLING_INTERVAL,
+    once: CONFIG.ONCE,
+    onError: error => {
+      METRICS.ticks.inc({ result: 'failed' });
+      log.error('Tick failed', error);
     }
-  } catch (error) {
-    console.error('Error:', error);
-  }
+  });
+  const removeSignalHandlers = handleShutdownSignals(loop, 'keeper');
+
+  const server = CONFIG.ONCE || CONFIG.METRICS_PORT === null ? null : await startMetricsServer({
+    port: CONFIG.METRICS_PORT,
+    host: CONFIG.METRICS_HOST,
+    metrics,
+    health: healthCheck,
+    status: statusReport
+  });
+  if (server) log.info('Serving metrics', { url: `${server.address}/metrics` });
+
+  // Finish whatever a previous run left in flight before sending more
+  if (txManager) await txManager.resumePending();
+
+  const failures = await loop.run();
+  removeSignalHandlers();
+  if (CONFIG.DRY_RUN && failures === 0) printDryRun();
+  if (server) await server.close();
+  osito.provider.destroy();
+
+  log.info('Keeper stopped');
+  if (CONFIG.ONCE && failures > 0) process.exitCode = 1;
 }
 
 // Start keeper
 runKeeper().catch(error => {
-  console.error('Fatal error:', error);
+  log.error('Fatal error', error);
   process.exit(1);
 });
\ No newline at end of file
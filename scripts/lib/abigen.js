@@ -0,0 +1,227 @@
+const { ethers } = require('ethers');
+const crypto = require('crypto');
+
+// Renders the ABI package built by scripts/generate-abis.js: ABI constants
+// for ESM and CommonJS, TypeScript declarations for every function, event
+// and error, and a selector table for decoding revert data.
+
+// Custom errors every contract can surface in addition to its own
+const BUILTIN_ERRORS = ['error Error(string)', 'error Panic(uint256)'];
+
+const GENERATED_HEADER = '// Generated by scripts/generate-abis.js from Foundry artifacts. Do not edit.';
+
+/** TypeScript type for an ethers ParamType, matching what ethers v6 returns */
+function tsType(param) {
+  const type = param.baseType;
+
+  if (type === 'array') {
+    const child = tsType(param.arrayChildren);
+    return `${/^\w+$/.test(child) ? child : `(${child})`}[]`;
+  }
+  if (type === 'tuple') {
+    const fields = param.components.map((component, i) => `${propertyName(component.name || `arg${i}`)}: ${tsType(component)}`);
+    return `{ ${fields.join('; ')} }`;
+  }
+  if (/^u?int\d*$/.test(type)) return 'bigint';
+  if (type === 'bool') return 'boolean';
+  return 'string'; // address, string, bytes, bytesN
+}
+
+function propertyName(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+// Labelled tuple of a fragment's inputs: [pair: string, amountIn: bigint]
+function argsType(params) {
+  return `[${params.map((param, i) => `${param.name || `arg${i}`}: ${tsType(param)}`).join(', ')}]`;
+}
+
+// ethers unwraps a single return value and returns a Result for several
+function returnsType(outputs) {
+  if (outputs.length === 0) return 'void';
+  if (outputs.length === 1) return tsType(outputs[0]);
+  return argsType(outputs);
+}
+
+// Overloaded members are keyed by full signature, the rest by name
+function memberKeys(fragments) {
+  const counts = new Map();
+  for (const fragment of fragments) counts.set(fragment.name, (counts.get(fragment.name) || 0) + 1);
+  return fragments.map(fragment => (counts.get(fragment.name) > 1 ? fragment.format('sighash') : fragment.name));
+}
+
+// JSON value as a literal TypeScript type with readonly arrays, so the
+// declared constant has the same shape as an `as const` ABI
+function literalType(value, indent = '') {
+  const next = `${indent}  `;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return 'readonly []';
+    return `readonly [\n${value.map(item => next + literalType(item, next)).join(',\n')}\n${indent}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return '{}';
+    return `{\n${entries.map(([key, item]) => `${next}readonly ${propertyName(key)}: ${literalType(item, next)}`).join(';\n')};\n${indent}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Selector table for every custom error in `contracts` plus Error(string)
+ * and Panic(uint256).
+ * @param {Object<string, Array>} contracts Contract name => ABI
+ * @returns {Object<string, { name: string, signature: string, contracts: string[] }>}
+ */
+function errorSelectors(contracts) {
+  const table = {};
+  const add = (fragment, contractName) => {
+    const entry = table[fragment.selector] || (table[fragment.selector] = {
+      name: fragment.name,
+      signature: fragment.format('sighash'),
+      contracts: []
+    });
+    if (contractName && !entry.contracts.includes(contractName)) entry.contracts.push(contractName);
+  };
+
+  for (const signature of BUILTIN_ERRORS) add(ethers.ErrorFragment.from(signature), null);
+  for (const [contractName, abi] of Object.entries(contracts)) {
+    new ethers.Interface(abi).forEachError(fragment => add(fragment, contractName));
+  }
+
+  return Object.fromEntries(Object.entries(table).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/** Stable content hash of the ABIs, used as the default prerelease version */
+function abiHash(contracts) {
+  const canonical = JSON.stringify(Object.keys(contracts).sort().map(name => [name, contracts[name]]));
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+function renderEsm(contracts, selectors) {
+  const lines = [GENERATED_HEADER, ''];
+  for (const [contractName, abi] of Object.entries(contracts)) {
+    lines.push(`export const ${contractName}Abi = ${JSON.stringify(abi, null, 2)};`, '');
+  }
+  lines.push(`export const abis = { ${Object.keys(contracts).map(name => `${name}: ${name}Abi`).join(', ')} };`, '');
+  lines.push(`export const errorSelectors = ${JSON.stringify(selectors, null, 2)};`, '');
+  return lines.join('\n');
+}
+
+function renderCjs(contracts, selectors) {
+  const lines = [GENERATED_HEADER, ''];
+  for (const [contractName, abi] of Object.entries(contracts)) {
+    lines.push(`const ${contractName}Abi = ${JSON.stringify(abi, null, 2)};`, '');
+  }
+  lines.push(`const abis = { ${Object.keys(contracts).map(name => `${name}: ${name}Abi`).join(', ')} };`, '');
+  lines.push(`const errorSelectors = ${JSON.stringify(selectors, null, 2)};`, '');
+  lines.push('module.exports = {');
+  lines.push(...Object.keys(contracts).map(name => `  ${name}Abi,`));
+  lines.push('  abis,', '  errorSelectors', '};', '');
+  return lines.join('\n');
+}
+
+function renderContractTypes(contractName, abi) {
+  const iface = new ethers.Interface(abi);
+  const functions = iface.fragments.filter(fragment => fragment.type === 'function');
+  const events = iface.fragments.filter(fragment => fragment.type === 'event');
+  const errors = iface.fragments.filter(fragment => fragment.type === 'error');
+  const lines = [];
+
+  lines.push(`export declare const ${contractName}Abi: ${literalType(abi)};`, '');
+
+  lines.push(`export interface ${contractName}Functions {`);
+  memberKeys(functions).forEach((key, i) => {
+    const fragment = functions[i];
+    lines.push(`  ${propertyName(key)}: {`);
+    lines.push(`    selector: ${JSON.stringify(fragment.selector)};`);
+    lines.push(`    stateMutability: ${JSON.stringify(fragment.stateMutability)};`);
+    lines.push(`    args: ${argsType(fragment.inputs)};`);
+    lines.push(`    returns: ${returnsType(fragment.outputs)};`);
+    lines.push('  };');
+  });
+  lines.push('}', '');
+
+  lines.push(`export interface ${contractName}Events {`);
+  memberKeys(events).forEach((key, i) => {
+    const fields = events[i].inputs.map((param, j) => `${propertyName(param.name || `arg${j}`)}: ${tsType(param)}`);
+    lines.push(`  ${propertyName(key)}: { ${fields.join('; ')} };`);
+  });
+  lines.push('}', '');
+
+  lines.push(`export interface ${contractName}Errors {`);
+  memberKeys(errors).forEach((key, i) => {
+    lines.push(`  ${propertyName(key)}: ${argsType(errors[i].inputs)};`);
+  });
+  lines.push('}', '');
+
+  lines.push(`export type ${contractName}FunctionName = keyof ${contractName}Functions;`);
+  lines.push(`export type ${contractName}EventName = keyof ${contractName}Events;`);
+  lines.push(`export type ${contractName}ErrorName = keyof ${contractName}Errors;`, '');
+  return lines.join('\n');
+}
+
+function renderTypes(contracts) {
+  const lines = [GENERATED_HEADER, ''];
+  for (const [contractName, abi] of Object.entries(contracts)) {
+    lines.push(renderContractTypes(contractName, abi));
+  }
+
+  lines.push('export interface ErrorSelector {', '  name: string;', '  signature: string;', '  contracts: string[];', '}', '');
+  lines.push(`export declare const abis: { ${Object.keys(contracts).map(name => `${name}: typeof ${name}Abi`).join('; ')} };`);
+  lines.push('export declare const errorSelectors: Record<string, ErrorSelector>;', '');
+  return lines.join('\n');
+}
+
+/**
+ * Every file of the package, keyed by path relative to the output directory.
+ * @param {Object<string, Array>} contracts Contract name => ABI
+ * @param {Object} options
+ * @param {string} options.packageName
+ * @param {string} [options.version] Defaults to 0.0.0-<abi hash>
+ * @returns {Object<string, string>}
+ */
+function renderPackage(contracts, options) {
+  const hash = abiHash(contracts);
+  const version = options.version || `0.0.0-${hash.slice(0, 12)}`;
+  const selectors = errorSelectors(contracts);
+
+  const files = {
+    'package.json': JSON.stringify({
+      name: options.packageName,
+      version,
+      description: 'Osito contract ABIs, TypeScript types and error selectors',
+      main: './index.cjs',
+      module: './index.mjs',
+      types: './index.d.ts',
+      exports: {
+        '.': {
+          types: './index.d.ts',
+          import: './index.mjs',
+          require: './index.cjs'
+        },
+        './abi/*.json': './abi/*.json',
+        './build.json': './build.json'
+      },
+      sideEffects: false
+    }, null, 2) + '\n',
+    'build.json': JSON.stringify({ version, abiHash: hash, contracts: Object.keys(contracts) }, null, 2) + '\n',
+    'index.mjs': renderEsm(contracts, selectors),
+    'index.cjs': renderCjs(contracts, selectors),
+    'index.d.ts': renderTypes(contracts),
+    'errors.json': JSON.stringify(selectors, null, 2) + '\n'
+  };
+
+  // Same shape as the Foundry artifact's abi field, for consumers that
+  // import one JSON per contract
+  for (const [contractName, abi] of Object.entries(contracts)) {
+    files[`abi/${contractName}.json`] = JSON.stringify({ contractName, abi }, null, 2) + '\n';
+  }
+  return files;
+}
+
+module.exports = {
+  abiHash,
+  errorSelectors,
+  renderPackage,
+  tsType
+};
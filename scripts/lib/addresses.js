@@ -0,0 +1,157 @@
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+
+// Address book built from deployments/*.json, keyed by chainId. Scripts
+// resolve contracts and pairs by name here instead of pasting hex.
+//
+// Two file layouts exist:
+//   latest.json               { chainId, contracts: { Name: "0x.." }, deploymentBlock }
+//   <network>.json            { chainId, name, contracts: { Name: { address, abi } }, pairs }
+// Each file is a separate deployment and is never merged with another: pairs
+// launched on an old deployment belong with that deployment's launchpad and
+// LensLite. When several files describe the same chainId, latest.json is the
+// current deployment, since it records the most recent one; the others are
+// reached by name (the file's `name`, or its basename).
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', '..', 'deployments');
+const LATEST_FILE = 'latest.json';
+
+/**
+ * @typedef {Object} PairEntry
+ * @property {string} pair OsitoPair
+ * @property {string} token OsitoToken
+ * @property {string} [feeRouter] FeeRouter
+ */
+
+/**
+ * @typedef {Object} Deployment
+ * @property {number} chainId
+ * @property {string} name `name` in the file, else the file's basename
+ * @property {string} file File it was read from
+ * @property {number|null} deploymentBlock
+ * @property {Object<string, string>} contracts Contract name => checksummed address
+ * @property {Object<string, PairEntry>} pairs Symbol => pair entry
+ */
+
+// Every address must carry its EIP-55 checksum. getAddress() accepts
+// all-lowercase hex, which has none, so compare with its output instead.
+function checksum(value, where) {
+  let address;
+  try {
+    address = ethers.getAddress(value);
+  } catch (error) {
+    throw new Error(`Invalid address ${value} at ${where}: ${error.shortMessage || error.message}`);
+  }
+  if (address !== value) throw new Error(`Address ${value} at ${where} is not checksummed (expected ${address})`);
+  return address;
+}
+
+function readDeploymentFile(file) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const where = (key) => `${path.basename(file)}:${key}`;
+
+  if (!raw.chainId) throw new Error(`${path.basename(file)} has no chainId`);
+
+  const contracts = {};
+  for (const [contractName, entry] of Object.entries(raw.contracts || {})) {
+    const address = typeof entry === 'string' ? entry : entry.address;
+    contracts[contractName] = checksum(address, where(`contracts.${contractName}`));
+  }
+
+  const pairs = {};
+  for (const [symbol, entry] of Object.entries(raw.pairs || {})) {
+    pairs[symbol] = {};
+    for (const [role, address] of Object.entries(entry)) {
+      pairs[symbol][role] = checksum(address, where(`pairs.${symbol}.${role}`));
+    }
+    if (!pairs[symbol].pair) throw new Error(`${where(`pairs.${symbol}`)} has no pair address`);
+  }
+
+  return {
+    chainId: Number(raw.chainId),
+    name: raw.name || path.basename(file, '.json'),
+    file: path.basename(file),
+    deploymentBlock: raw.deploymentBlock || null,
+    contracts,
+    pairs
+  };
+}
+
+/**
+ * Load every deployments/*.json into an address book. Each chainId maps to
+ * its deployments, oldest first; the last one is the current deployment.
+ * @returns {Map<number, Deployment[]>}
+ */
+function loadAddressBook(dir = DEPLOYMENTS_DIR) {
+  const files = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort((a, b) => (a === LATEST_FILE) - (b === LATEST_FILE) || a.localeCompare(b));
+
+  const book = new Map();
+  for (const file of files) {
+    const entry = readDeploymentFile(path.join(dir, file));
+    const deployments = book.get(entry.chainId) || [];
+    if (deployments.some(deployment => deployment.name === entry.name)) {
+      throw new Error(`Two deployments named ${entry.name} for chainId ${entry.chainId} in ${dir}`);
+    }
+    deployments.push(entry);
+    book.set(entry.chainId, deployments);
+  }
+  return book;
+}
+
+let cachedBook = null;
+
+/**
+ * Deployment for a chainId from the default address book, or null
+ * @param {number} chainId
+ * @param {string} [name] Deployment name or file; defaults to the current deployment
+ */
+function findDeployment(chainId, name) {
+  if (!cachedBook) cachedBook = loadAddressBook();
+  const deployments = cachedBook.get(Number(chainId)) || [];
+  if (name === undefined || name === null) return deployments[deployments.length - 1] || null;
+  return deployments.find(deployment => deployment.name === name || deployment.file === name) || null;
+}
+
+/** Deployment for a chainId from the default address book */
+function getDeployment(chainId, name) {
+  const deployment = findDeployment(chainId, name);
+  if (!deployment) {
+    throw new Error(`No deployment ${name ? `${name} ` : ''}for chainId ${chainId} in ${DEPLOYMENTS_DIR}`);
+  }
+  return deployment;
+}
+
+/**
+ * Resolve a name to an address: a contract ("LensLite"), a pair by symbol
+ * ("FROB"), or a role of a pair ("FROB.token", "CHOP.feeRouter"). Only the
+ * given deployment (default: the current one) is searched.
+ * @param {number} chainId
+ * @param {string} name
+ * @param {string} [deploymentName]
+ */
+function resolveAddress(chainId, name, deploymentName) {
+  const deployment = getDeployment(chainId, deploymentName);
+  const [head, role = 'pair'] = name.split('.');
+
+  if (!name.includes('.') && deployment.contracts[head]) return deployment.contracts[head];
+
+  const pair = deployment.pairs[head];
+  if (pair && pair[role]) return pair[role];
+
+  const elsewhere = (cachedBook.get(Number(chainId)) || [])
+    .filter(other => other !== deployment && (other.pairs[head] || (!name.includes('.') && other.contracts[head])))
+    .map(other => other.name);
+  const hint = elsewhere.length > 0 ? ` (defined in deployment ${elsewhere.join(', ')})` : '';
+  throw new Error(`Unknown address ${name} in deployment ${deployment.name} for chainId ${chainId}${hint}`);
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  findDeployment,
+  getDeployment,
+  loadAddressBook,
+  resolveAddress
+};
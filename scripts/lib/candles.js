@@ -0,0 +1,186 @@
+// OHLCV candles for an OsitoPair, built from indexed Swap and Sync events
+// (./indexdb) and shaped like the subgraph's Candle entity: timestamp, open,
+// high, low, close, volume, swapCount.
+//
+// Prices are QT per TOK scaled by 1e18, from the reserves in each Sync, as
+// LensLite.spotPrice computes them: which reserve is TOK depends on
+// tokIsToken0, and reading reserve1 / reserve0 regardless of it gives the
+// inverted prices seen for some pairs on the subgraph. Every Sync moves the
+// price (liquidity changes and fee collection included); only Swaps add
+// volume, counted in QT (wei) in and out. A candle opens at the previous
+// candle's close, so candles chain without gaps and the close is always the
+// pair's price at the end of the bucket.
+
+const { WAD } = require('./math');
+
+/** Resolution name => bucket length in seconds */
+const RESOLUTIONS = {
+  '1m': 60,
+  '5m': 300,
+  '1h': 3600,
+  '1d': 86400
+};
+
+/**
+ * @typedef {Object} Candle
+ * @property {number} timestamp Bucket start, unix seconds
+ * @property {bigint} open QT per TOK, 1e18 scale
+ * @property {bigint} high
+ * @property {bigint} low
+ * @property {bigint} close
+ * @property {bigint} volume QT traded, in wei
+ * @property {number} swapCount
+ */
+
+/**
+ * @typedef {Object} PricePoint
+ * @property {number} timestamp Unix seconds
+ * @property {bigint} [price] Price after this point; absent for a Swap
+ * @property {bigint} [volume] QT traded; Swaps only
+ */
+
+/**
+ * Spot price from pair reserves, as LensLite.spotPrice
+ * @returns {bigint|null} QT per TOK (1e18 scale); null with no TOK reserve
+ */
+function priceFromReserves(reserve0, reserve1, tokIsToken0) {
+  const [rTOK, rQT] = tokIsToken0 ? [BigInt(reserve0), BigInt(reserve1)] : [BigInt(reserve1), BigInt(reserve0)];
+  if (rTOK === 0n) return null;
+  return rQT * WAD / rTOK;
+}
+
+/** QT in plus QT out of one Swap */
+function swapVolume(args, tokIsToken0) {
+  return tokIsToken0
+    ? BigInt(args.amount1In) + BigInt(args.amount1Out)
+    : BigInt(args.amount0In) + BigInt(args.amount0Out);
+}
+
+function bucketSeconds(resolution) {
+  const seconds = typeof resolution === 'number' ? resolution : RESOLUTIONS[resolution];
+  if (!seconds) throw new Error(`Unknown resolution ${resolution} (expected ${Object.keys(RESOLUTIONS).join(', ')})`);
+  return seconds;
+}
+
+/**
+ * Aggregate price points into candles
+ * @param {PricePoint[]} points In chain order
+ * @param {Object} options
+ * @param {string|number} options.resolution '1m' | '5m' | '1h' | '1d', or seconds
+ * @param {number} [options.fromTime] Drop candles starting before this
+ * @param {number} [options.toTime] Fill empty candles up to this time
+ * @param {boolean} [options.fill] Emit flat, zero-volume candles for buckets
+ *   without events (default true)
+ * @returns {Candle[]} Oldest first
+ */
+function buildCandles(points, options) {
+  const seconds = bucketSeconds(options.resolution);
+  const fill = options.fill !== false;
+  const bucketOf = (timestamp) => timestamp - (timestamp % seconds);
+  const candles = [];
+  let current = null;
+  let lastPrice = null;
+
+  const flat = (timestamp, price) => ({ timestamp, open: price, high: price, low: price, close: price, volume: 0n, swapCount: 0 });
+  const openBucket = (timestamp) => {
+    if (current && fill) {
+      for (let t = current.timestamp + seconds; t < timestamp; t += seconds) candles.push(flat(t, lastPrice));
+    }
+    current = flat(timestamp, lastPrice);
+    candles.push(current);
+  };
+
+  for (const point of points) {
+    const bucket = bucketOf(point.timestamp);
+    if (!current || current.timestamp !== bucket) {
+      // Nothing to chart before the first price (normally the launch Sync)
+      if (lastPrice === null && point.price === undefined) continue;
+      openBucket(bucket);
+    }
+
+    if (point.price !== undefined) {
+      if (current.open === null) current.open = current.high = current.low = point.price;
+      if (point.price > current.high) current.high = point.price;
+      if (point.price < current.low) current.low = point.price;
+      current.close = lastPrice = point.price;
+    } else {
+      current.volume += point.volume;
+      current.swapCount++;
+    }
+  }
+
+  if (current && fill && options.toTime !== undefined) {
+    for (let t = current.timestamp + seconds; t <= options.toTime; t += seconds) candles.push(flat(t, lastPrice));
+  }
+  const fromBucket = options.fromTime !== undefined ? bucketOf(options.fromTime) : -Infinity;
+  return candles.filter(candle => candle.timestamp >= fromBucket);
+}
+
+/**
+ * Price points from a pair's decoded Sync and Swap events (other events are
+ * skipped)
+ * @param {Array<{ block: number, name: string, args: Object }>} events In chain order
+ * @param {boolean} tokIsToken0
+ * @param {(block: number) => number} timestampOf Block timestamp
+ * @returns {PricePoint[]}
+ */
+function pricePoints(events, tokIsToken0, timestampOf) {
+  const points = [];
+  for (const event of events) {
+    if (event.name === 'Sync') {
+      const price = priceFromReserves(event.args.reserve0, event.args.reserve1, tokIsToken0);
+      if (price !== null) points.push({ timestamp: timestampOf(event.block), price });
+    } else if (event.name === 'Swap') {
+      points.push({ timestamp: timestampOf(event.block), volume: swapVolume(event.args, tokIsToken0) });
+    }
+  }
+  return points;
+}
+
+/**
+ * Price points of a pair from the index
+ * @param {ReturnType<import('./indexdb').openIndexDb>} index
+ * @param {string} pair
+ * @param {Object} [options]
+ * @param {number} [options.toBlock]
+ * @param {boolean} [options.confirmed] Final blocks only
+ * @returns {PricePoint[]}
+ */
+function pairPricePoints(index, pair, options = {}) {
+  const entry = index.pair(pair);
+  if (!entry || entry.tokIsToken0 === null) throw new Error(`Pair ${pair} is not in the index`);
+
+  const timestamps = new Map();
+  const timestampOf = (number) => {
+    if (!timestamps.has(number)) {
+      const block = index.block(number);
+      if (!block) throw new Error(`Block ${number} missing from the index`);
+      timestamps.set(number, block.timestamp);
+    }
+    return timestamps.get(number);
+  };
+
+  const events = index.events({ address: pair, name: ['Sync', 'Swap'], toBlock: options.toBlock, confirmed: options.confirmed });
+  return pricePoints(events, entry.tokIsToken0, timestampOf);
+}
+
+/**
+ * Candles of one pair from the index
+ * @param {ReturnType<import('./indexdb').openIndexDb>} index
+ * @param {string} pair
+ * @param {Object} options buildCandles options, plus pairPricePoints' toBlock / confirmed
+ * @returns {Candle[]}
+ */
+function pairCandles(index, pair, options) {
+  return buildCandles(pairPricePoints(index, pair, options), options);
+}
+
+module.exports = {
+  RESOLUTIONS,
+  buildCandles,
+  pairCandles,
+  pairPricePoints,
+  priceFromReserves,
+  pricePoints,
+  swapVolume
+};
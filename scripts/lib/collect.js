@@ -0,0 +1,219 @@
+const { ethers } = require('ethers');
+const { sqrt } = require('./math');
+const { encodeCall } = require('./multicall');
+
+// Prediction of FeeRouter.collectFees() and the keeper's decision whether
+// it is worth sending. collectFees() returns nothing, so its outcome is
+// modelled here from pair state: OsitoPair._mintFee mints LP to the router,
+// the router burns all of its LP and splits the underlying into TOK (burned)
+// and QT (sent to the treasury). staticCall is only used to confirm the call
+// would not revert.
+
+/**
+ * @typedef {Object} CollectState
+ * @property {bigint} reserve0
+ * @property {bigint} reserve1
+ * @property {bigint} balance0 token0.balanceOf(pair)
+ * @property {bigint} balance1 token1.balanceOf(pair)
+ * @property {bigint} kLast
+ * @property {bigint} lpTotalSupply
+ * @property {bigint} routerLp LP the FeeRouter already holds (normally 0)
+ * @property {boolean} tokIsToken0
+ */
+
+/**
+ * @typedef {Object} CollectPolicy
+ * @property {bigint} minQt Minimum QT to the treasury per transaction
+ * @property {bigint|null} maxGasPrice Skip while the gas price is above this (wei)
+ * @property {bigint} minProfitMultiple QT must be at least this many times the gas cost
+ */
+
+/** LP minted to the fee router by OsitoPair._mintFee for the current reserves */
+function predictMintFee(state) {
+  const kLast = BigInt(state.kLast);
+  if (kLast === 0n) return 0n;
+
+  const k = BigInt(state.reserve0) * BigInt(state.reserve1);
+  if (k <= kLast) return 0n;
+
+  const rootK = sqrt(k);
+  const rootKLast = sqrt(kLast);
+  if (rootK <= rootKLast) return 0n;
+
+  // Canonical V2 formula (1/6 of fee value) scaled to 90%
+  const oneSixth = BigInt(state.lpTotalSupply) * (rootK - rootKLast) / (rootK * 5n + rootKLast);
+  return oneSixth * 54n / 10n;
+}
+
+/**
+ * Predicted outcome of FeeRouter.collectFees()
+ * @param {CollectState} state
+ * @returns {{ lpMinted: bigint, lpBurned: bigint, tokBurned: bigint, qtToTreasury: bigint, burnReverts: boolean }}
+ */
+function predictCollect(state) {
+  const lpMinted = predictMintFee(state);
+  const lpBurned = BigInt(state.routerLp) + lpMinted;
+  if (lpBurned === 0n) {
+    return { lpMinted, lpBurned, tokBurned: 0n, qtToTreasury: 0n, burnReverts: false };
+  }
+
+  // burn() runs _mintFee again, but collectFees() has just reset kLast to
+  // the current reserves, so it mints nothing more
+  const supply = BigInt(state.lpTotalSupply) + lpMinted;
+  const amount0 = lpBurned * BigInt(state.balance0) / supply;
+  const amount1 = lpBurned * BigInt(state.balance1) / supply;
+
+  return {
+    lpMinted,
+    lpBurned,
+    tokBurned: state.tokIsToken0 ? amount0 : amount1,
+    qtToTreasury: state.tokIsToken0 ? amount1 : amount0,
+    // OsitoPair.burn: INSUFFICIENT_LIQUIDITY_BURNED
+    burnReverts: amount0 === 0n || amount1 === 0n
+  };
+}
+
+/**
+ * Reason to skip that needs no gas estimate, or null. Lets the keeper avoid
+ * simulating pairs with nothing to collect.
+ */
+function precheckCollect(prediction) {
+  if (prediction.lpBurned === 0n) return 'no fee LP to mint';
+  if (prediction.burnReverts) return 'fee LP too small to burn';
+  return null;
+}
+
+/**
+ * Collect or skip, with the reason. Checks run cheapest first.
+ * @param {ReturnType<typeof predictCollect>} prediction
+ * @param {{ gasEstimate: bigint, gasPrice: bigint }} cost
+ * @param {CollectPolicy} policy
+ * @returns {{ collect: boolean, reason: string, gasCost: bigint }}
+ */
+function decideCollect(prediction, cost, policy) {
+  const gasCost = BigInt(cost.gasEstimate) * BigInt(cost.gasPrice);
+  const skip = (reason) => ({ collect: false, reason, gasCost });
+  const fmt = ethers.formatEther;
+
+  const precheck = precheckCollect(prediction);
+  if (precheck) return skip(precheck);
+  if (policy.maxGasPrice !== null && BigInt(cost.gasPrice) > policy.maxGasPrice) {
+    return skip(`gas price ${ethers.formatUnits(cost.gasPrice, 'gwei')} gwei above max ${ethers.formatUnits(policy.maxGasPrice, 'gwei')} gwei`);
+  }
+  if (prediction.qtToTreasury < policy.minQt) {
+    return skip(`QT ${fmt(prediction.qtToTreasury)} below min ${fmt(policy.minQt)}`);
+  }
+  if (prediction.qtToTreasury < gasCost * policy.minProfitMultiple) {
+    return skip(`QT ${fmt(prediction.qtToTreasury)} does not cover ${policy.minProfitMultiple}x gas cost ${fmt(gasCost)}`);
+  }
+
+  return {
+    collect: true,
+    reason: `QT ${fmt(prediction.qtToTreasury)} covers gas cost ${fmt(gasCost)}`,
+    gasCost
+  };
+}
+
+/**
+ * Read everything predictCollect needs from chain
+ * @param {ethers.Contract} pair OsitoPair
+ * @param {string} feeRouterAddress
+ * @param {(address: string) => ethers.Contract} tokenAt ERC20 handle factory
+ * @param {string|number} [blockTag]
+ * @returns {Promise<CollectState>}
+ */
+async function fetchCollectState(pair, feeRouterAddress, tokenAt, blockTag) {
+  const overrides = blockTag !== undefined ? { blockTag } : {};
+  const [[reserve0, reserve1], kLast, lpTotalSupply, routerLp, tokIsToken0, token0, token1] = await Promise.all([
+    pair.getReserves(overrides),
+    pair.kLast(overrides),
+    pair.totalSupply(overrides),
+    pair.balanceOf(feeRouterAddress, overrides),
+    pair.tokIsToken0(overrides),
+    pair.token0(overrides),
+    pair.token1(overrides)
+  ]);
+  const pairAddress = await pair.getAddress();
+  const [balance0, balance1] = await Promise.all([
+    tokenAt(token0).balanceOf(pairAddress, overrides),
+    tokenAt(token1).balanceOf(pairAddress, overrides)
+  ]);
+
+  return { reserve0, reserve1, balance0, balance1, kLast, lpTotalSupply, routerLp, tokIsToken0 };
+}
+
+/**
+ * fetchCollectState() for many pairs in two multicall rounds, all at one block.
+ * A pair whose reads fail (e.g. not an OsitoPair, or a token that reverts)
+ * comes back with state null and the reason, without failing the others;
+ * so do pairs without a fee router.
+ * @param {ReturnType<import('./multicall').createMulticall>} multicall
+ * @param {string[]} pairAddresses
+ * @param {(address: string) => ethers.Contract} pairAt
+ * @param {(address: string) => ethers.Contract} tokenAt
+ * @returns {Promise<Array<{ pair: string, feeRouter: string|null, state: CollectState|null, reason: string|null }>>}
+ */
+async function fetchCollectStates(multicall, pairAddresses, pairAt, tokenAt, blockTag) {
+  const PAIR_READS = ['feeRouter', 'getReserves', 'kLast', 'totalSupply', 'tokIsToken0', 'token0', 'token1'];
+  const pairs = pairAddresses.map(address => pairAt(address));
+  const first = await multicall.tryRead(
+    pairs.flatMap(pair => PAIR_READS.map(method => encodeCall(pair, method))),
+    { blockTag }
+  );
+
+  // The first failed read among `results`, as a skip reason
+  const failure = (results, methods) => {
+    const failed = results.findIndex(result => !result.success);
+    return failed === -1 ? null : `${methods[failed]} failed: ${results[failed].error}`;
+  };
+
+  const reads = pairs.map((pair, i) => {
+    const results = first.slice(i * PAIR_READS.length, (i + 1) * PAIR_READS.length);
+    const reason = failure(results, PAIR_READS);
+    if (reason) return { pair, feeRouter: results[0].success ? results[0].value : null, reason };
+    const [feeRouter, [reserve0, reserve1], kLast, lpTotalSupply, tokIsToken0, token0, token1] = results.map(result => result.value);
+    return {
+      pair, feeRouter, reserve0, reserve1, kLast, lpTotalSupply, tokIsToken0, token0, token1,
+      reason: feeRouter === ethers.ZeroAddress ? 'no fee router' : null
+    };
+  });
+  const ready = reads.filter(read => read.reason === null);
+
+  const BALANCE_READS = ['router LP balanceOf', 'token0 balanceOf', 'token1 balanceOf'];
+  const second = await multicall.tryRead(ready.flatMap(read => [
+    encodeCall(read.pair, 'balanceOf', [read.feeRouter]),
+    encodeCall(tokenAt(read.token0), 'balanceOf', [read.pair.target]),
+    encodeCall(tokenAt(read.token1), 'balanceOf', [read.pair.target])
+  ]), { blockTag });
+
+  ready.forEach((read, i) => {
+    const results = second.slice(i * 3, i * 3 + 3);
+    read.reason = failure(results, BALANCE_READS);
+    [read.routerLp, read.balance0, read.balance1] = results.map(result => result.value);
+  });
+
+  return reads.map(read => ({
+    pair: read.pair.target,
+    feeRouter: read.feeRouter,
+    reason: read.reason,
+    state: read.reason !== null ? null : {
+      reserve0: read.reserve0,
+      reserve1: read.reserve1,
+      balance0: read.balance0,
+      balance1: read.balance1,
+      kLast: read.kLast,
+      lpTotalSupply: read.lpTotalSupply,
+      routerLp: read.routerLp,
+      tokIsToken0: read.tokIsToken0
+    }
+  }));
+}
+
+module.exports = {
+  decideCollect,
+  fetchCollectState,
+  fetchCollectStates,
+  precheckCollect,
+  predictCollect,
+  predictMintFee
+};
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { STATE_DIR } = require('./osito');
+const { encodeCall } = require('./multicall');
+const { createLogger } = require('./logger');
+
+// Pair discovery beyond LensLite: every OsitoLaunchpad TokenLaunched and
+// LendingFactory MarketCreated log since the deployment block, merged with
+// the pairs registered in LensLite. Logs are scanned incrementally and
+// cached under STATE_DIR, so a restart resumes where the last scan stopped.
+// The cache records the launchpad, lending factory and start block it was
+// scanned for; when any of them changes (a redeploy on the same chain) the
+// cache is rebuilt from the new start block.
+//
+// Cache layout:
+//   { version: 1, source: { launchpad, lendingFactory, startBlock }, nextBlock,
+//     pairs: { <pair>: { token, feeRouter, launchBlock, collateralVault, marketBlock } } }
+
+const CACHE_VERSION = 1;
+const DEFAULT_CHUNK_SIZE = 10000;
+
+/**
+ * @typedef {Object} DiscoveredPair
+ * @property {string} pair
+ * @property {string|null} token From TokenLaunched
+ * @property {string|null} feeRouter From TokenLaunched
+ * @property {string|null} collateralVault From MarketCreated
+ * @property {boolean} launched Seen in a TokenLaunched log
+ * @property {boolean} market Has a lending market
+ * @property {boolean} inLens Registered in LensLite
+ */
+
+/** Default cache file for a chain */
+function cachePath(chainId, dir = STATE_DIR) {
+  return path.join(dir, `pairs-${chainId}.json`);
+}
+
+/**
+ * @param {ReturnType<import('./osito').connect>} osito
+ * @param {Object} [options]
+ * @param {string} [options.cacheFile] Default: cachePath(chainId)
+ * @param {number} [options.startBlock] Default: the profile's deployment block
+ * @param {number} [options.chunkSize] Blocks per getLogs request
+ * @param {ReturnType<import('./multicall').createMulticall>} [options.multicall] Batches the LensLite reads
+ * @param {ReturnType<import('./logger').createLogger>} [options.logger]
+ */
+function createPairDiscovery(osito, options = {}) {
+  const file = options.cacheFile || cachePath(osito.profile.chainId);
+  const startBlock = options.startBlock !== undefined ? options.startBlock : (osito.profile.deploymentBlock || 0);
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const { launchpad, lendingFactory, lensLite } = osito;
+  const log = options.logger || createLogger('discovery');
+
+  // What the cached logs were scanned for
+  const source = {
+    launchpad: launchpad ? launchpad.target.toLowerCase() : null,
+    lendingFactory: lendingFactory ? lendingFactory.target.toLowerCase() : null,
+    startBlock
+  };
+  const sameSource = (cached) => Boolean(cached) &&
+    cached.launchpad === source.launchpad &&
+    cached.lendingFactory === source.lendingFactory &&
+    cached.startBlock === source.startBlock;
+
+  let cache = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+  if (cache && cache.version !== CACHE_VERSION) {
+    throw new Error(`${file} has cache version ${cache.version}, expected ${CACHE_VERSION}`);
+  }
+  if (cache && !sameSource(cache.source)) {
+    log.warn('Discovery cache was scanned for other contracts, rebuilding', { file, cached: cache.source || null, current: source });
+    cache = null;
+  }
+  if (!cache) cache = { version: CACHE_VERSION, source, nextBlock: startBlock, pairs: {} };
+
+  // Written through a temp file so a crash never leaves half a file
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(cache, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function entry(pair) {
+    const key = pair.toLowerCase();
+    if (!cache.pairs[key]) {
+      cache.pairs[key] = { token: null, feeRouter: null, launchBlock: null, collateralVault: null, marketBlock: null };
+    }
+    return cache.pairs[key];
+  }
+
+  async function scanChunk(from, to) {
+    const [launches, markets] = await Promise.all([
+      launchpad ? launchpad.queryFilter(launchpad.filters.TokenLaunched(), from, to) : [],
+      lendingFactory ? lendingFactory.queryFilter(lendingFactory.filters.MarketCreated(), from, to) : []
+    ]);
+    for (const event of launches) {
+      const item = entry(event.args.pair);
+      item.token = ethers.getAddress(event.args.token);
+      item.feeRouter = ethers.getAddress(event.args.feeRouter);
+      item.launchBlock = event.blockNumber;
+    }
+    for (const event of markets) {
+      const item = entry(event.args.pair);
+      item.collateralVault = ethers.getAddress(event.args.collateralVault);
+      item.marketBlock = event.blockNumber;
+    }
+  }
+
+  /** Extend the cache with logs up to toBlock; progress is saved per chunk */
+  async function scan(toBlock) {
+    for (let from = cache.nextBlock; from <= toBlock; from += chunkSize) {
+      const to = Math.min(from + chunkSize - 1, toBlock);
+      await scanChunk(from, to);
+      cache.nextBlock = to + 1;
+      save();
+    }
+  }
+
+  /** Pairs registered in LensLite at blockTag */
+  async function lensPairs(blockTag) {
+    if (!lensLite) return [];
+    const count = await lensLite.allPairsLength({ blockTag });
+    if (options.multicall) {
+      const calls = [];
+      for (let i = 0n; i < count; i++) calls.push(encodeCall(lensLite, 'allPairs', [i]));
+      return options.multicall.read(calls, { blockTag });
+    }
+
+    const pairs = [];
+    for (let i = 0n; i < count; i++) pairs.push(await lensLite.allPairs(i, { blockTag }));
+    return pairs;
+  }
+
+  /**
+   * Scan new logs up to toBlock and merge with LensLite's list. For a block
+   * behind the cache, logs after it are ignored, so the result is the set
+   * of pairs as it was at that block.
+   * @param {number} [toBlock] Default: the current block
+   * @returns {Promise<DiscoveredPair[]>} Logged pairs in cache order, then LensLite-only pairs
+   */
+  async function refresh(toBlock) {
+    const block = toBlock !== undefined ? toBlock : await osito.provider.getBlockNumber();
+    await scan(block);
+    const inLens = new Set((await lensPairs(block)).map(pair => pair.toLowerCase()));
+    const seenBy = (logBlock) => logBlock !== undefined && logBlock !== null && logBlock <= block;
+
+    const known = Object.keys(cache.pairs)
+      .filter(pair => seenBy(cache.pairs[pair].launchBlock) || seenBy(cache.pairs[pair].marketBlock) || inLens.has(pair));
+    const lensOnly = [...inLens].filter(pair => !cache.pairs[pair]);
+    return [...known, ...lensOnly].map(pair => {
+      const item = cache.pairs[pair] || {};
+      const launched = seenBy(item.launchBlock);
+      const market = seenBy(item.marketBlock);
+      return {
+        pair: ethers.getAddress(pair),
+        token: launched ? item.token : null,
+        feeRouter: launched ? item.feeRouter : null,
+        collateralVault: market ? item.collateralVault : null,
+        launched,
+        market,
+        inLens: inLens.has(pair)
+      };
+    });
+  }
+
+  return {
+    file,
+    nextBlock: () => cache.nextBlock,
+    refresh,
+    scan
+  };
+}
+
+module.exports = {
+  cachePath,
+  createPairDiscovery
+};
@@ -0,0 +1,191 @@
+// Model of OsitoPair.currentFeeBps(): the swap fee decays linearly from
+// startFeeBps to endFeeBps as (initialSupply - totalSupply) approaches
+// feeDecayTarget. All arithmetic mirrors the contract's integer rounding.
+
+const { PANIC_ARITHMETIC, revertError } = require('./math');
+
+// Blocks per getLogs request in fetchBurnHistory()
+const DEFAULT_CHUNK_SIZE = 10000;
+
+/**
+ * @typedef {Object} FeeParams
+ * @property {bigint} startFeeBps
+ * @property {bigint} endFeeBps
+ * @property {bigint} feeDecayTarget TOK that must be burned to reach endFeeBps
+ * @property {bigint} initialSupply TOK supply when the pair was created
+ */
+
+function normalize(params) {
+  return {
+    startFeeBps: BigInt(params.startFeeBps),
+    endFeeBps: BigInt(params.endFeeBps),
+    feeDecayTarget: BigInt(params.feeDecayTarget),
+    initialSupply: BigInt(params.initialSupply)
+  };
+}
+
+/** TOK burned so far, as the pair sees it */
+function burnedAmount(params, totalSupply) {
+  const { initialSupply } = normalize(params);
+  const supply = BigInt(totalSupply);
+  return initialSupply > supply ? initialSupply - supply : 0n;
+}
+
+/**
+ * OsitoPair.currentFeeBps() for a given TOK total supply
+ * @param {FeeParams} params
+ * @param {bigint} totalSupply
+ * @returns {bigint}
+ */
+function currentFeeBps(params, totalSupply) {
+  const { startFeeBps, endFeeBps, feeDecayTarget } = normalize(params);
+  const burned = burnedAmount(params, totalSupply);
+
+  if (burned >= feeDecayTarget) return endFeeBps;
+
+  if (startFeeBps < endFeeBps) throw revertError('OsitoPair', PANIC_ARITHMETIC);
+  const range = startFeeBps - endFeeBps;
+  const reduction = range * burned / feeDecayTarget;
+  return startFeeBps - reduction;
+}
+
+/** Fee after `additionalBurn` more TOK is burned from `totalSupply` */
+function feeAfterBurn(params, totalSupply, additionalBurn) {
+  const supply = BigInt(totalSupply) - BigInt(additionalBurn);
+  return currentFeeBps(params, supply > 0n ? supply : 0n);
+}
+
+/**
+ * Smallest total burn (from initialSupply) at which the fee is <= targetFeeBps.
+ * Returns null when the target is below endFeeBps and can never be reached.
+ */
+function burnForFee(params, targetFeeBps) {
+  const { startFeeBps, endFeeBps, feeDecayTarget } = normalize(params);
+  const target = BigInt(targetFeeBps);
+
+  if (target < endFeeBps) return null;
+  if (target >= startFeeBps) return 0n;
+
+  // fee = start - floor(range * burned / decayTarget) <= target
+  //   <=> range * burned >= (start - target) * decayTarget
+  const range = startFeeBps - endFeeBps;
+  const needed = (startFeeBps - target) * feeDecayTarget;
+  const burned = (needed + range - 1n) / range;
+  return burned < feeDecayTarget ? burned : feeDecayTarget;
+}
+
+/**
+ * Project when the pair reaches endFeeBps from recent burn velocity.
+ * @param {FeeParams} params
+ * @param {bigint} totalSupply Current TOK supply
+ * @param {Array<{timestamp: number, tokBurned: bigint}>} history FeesCollected events, any order
+ * @param {Object} [options]
+ * @param {number} [options.now] Unix seconds, defaults to the wall clock
+ * @param {number} [options.window] Only use events from the last `window` seconds
+ */
+function projectFeeDecay(params, totalSupply, history, options = {}) {
+  const { endFeeBps, feeDecayTarget } = normalize(params);
+  const now = options.now !== undefined ? options.now : Math.floor(Date.now() / 1000);
+  const since = options.window !== undefined ? now - options.window : -Infinity;
+
+  const burned = burnedAmount(params, totalSupply);
+  const remaining = burned >= feeDecayTarget ? 0n : feeDecayTarget - burned;
+
+  const events = history
+    .filter(e => e.timestamp >= since && e.timestamp <= now)
+    .sort((a, b) => a.timestamp - b.timestamp);
+  const windowBurned = events.reduce((sum, e) => sum + BigInt(e.tokBurned), 0n);
+  const elapsed = events.length > 0 ? now - events[0].timestamp : 0;
+
+  // TOK per second, kept as a rational to avoid losing small velocities
+  const velocity = elapsed > 0 && windowBurned > 0n
+    ? { burned: windowBurned, seconds: BigInt(elapsed) }
+    : null;
+
+  let secondsToEndFee = null;
+  if (remaining === 0n) {
+    secondsToEndFee = 0;
+  } else if (velocity) {
+    secondsToEndFee = Number((remaining * velocity.seconds + velocity.burned - 1n) / velocity.burned);
+  }
+
+  return {
+    feeBps: currentFeeBps(params, totalSupply),
+    endFeeBps,
+    burned,
+    remaining,
+    progressBps: feeDecayTarget === 0n ? 10000n : (burned >= feeDecayTarget ? 10000n : burned * 10000n / feeDecayTarget),
+    samples: events.length,
+    burnedPerDay: velocity ? velocity.burned * 86400n / velocity.seconds : 0n,
+    secondsToEndFee,
+    endFeeAt: secondsToEndFee === null ? null : now + secondsToEndFee
+  };
+}
+
+/** Read the decay parameters and current supply from an OsitoPair handle */
+async function fetchFeeState(pair, tokenAt) {
+  const [startFeeBps, endFeeBps, feeDecayTarget, initialSupply, tokIsToken0] = await Promise.all([
+    pair.startFeeBps(),
+    pair.endFeeBps(),
+    pair.feeDecayTarget(),
+    pair.initialSupply(),
+    pair.tokIsToken0()
+  ]);
+  const tokAddress = tokIsToken0 ? await pair.token0() : await pair.token1();
+  const totalSupply = await tokenAt(tokAddress).totalSupply();
+
+  return {
+    params: { startFeeBps, endFeeBps, feeDecayTarget, initialSupply },
+    totalSupply
+  };
+}
+
+/**
+ * FeesCollected history for a FeeRouter handle, with block timestamps.
+ * Logs are read in chunks of `chunkSize` blocks, as RPC endpoints cap the
+ * range of a single getLogs.
+ * @param {ethers.Contract} feeRouter
+ * @param {Object} [options]
+ * @param {number} [options.fromBlock] Pass the profile's deploymentBlock; default 0
+ * @param {number} [options.toBlock] Default: the latest block
+ * @param {number} [options.chunkSize] Blocks per getLogs request
+ */
+async function fetchBurnHistory(feeRouter, options = {}) {
+  const fromBlock = options.fromBlock || 0;
+  const toBlock = options.toBlock !== undefined
+    ? options.toBlock
+    : await (feeRouter.runner.provider || feeRouter.runner).getBlockNumber();
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+
+  const logs = [];
+  for (let from = fromBlock; from <= toBlock; from += chunkSize) {
+    const to = Math.min(from + chunkSize - 1, toBlock);
+    logs.push(...await feeRouter.queryFilter(feeRouter.filters.FeesCollected(), from, to));
+  }
+  const timestamps = new Map();
+
+  for (const log of logs) {
+    if (!timestamps.has(log.blockNumber)) {
+      const block = await log.getBlock();
+      timestamps.set(log.blockNumber, block.timestamp);
+    }
+  }
+
+  return logs.map(log => ({
+    blockNumber: log.blockNumber,
+    transactionHash: log.transactionHash,
+    timestamp: timestamps.get(log.blockNumber),
+    tokBurned: log.args.tokBurned,
+    qtCollected: log.args.qtCollected
+  }));
+}
+
+module.exports = {
+  burnForFee,
+  burnedAmount,
+  currentFeeBps,
+  feeAfterBurn,
+  fetchBurnHistory,
+  fetchFeeState,
+  projectFeeDecay
+};
@@ -0,0 +1,348 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { STATE_DIR } = require('./osito');
+const { getOsitoInterface } = require('./receipts');
+
+// SQLite store of the local event indexer (scripts/indexer.js). Every Osito
+// event is kept as a row of `events` with its decoded arguments as JSON;
+// `pairs` and `contracts` hold what the launchpad and lending factory logs
+// announced, and `blocks` the hash and timestamp of each block with events
+// and of the last block of every indexed range.
+//
+// Rows above the final block (meta final_block, the head minus the
+// indexer's confirmation depth when it last synced) may still be rolled
+// back by a reorg; queries can ask for confirmed rows only.
+//
+// Amounts are stored as decimal strings (they overflow SQLite integers) and
+// addresses in lowercase.
+//
+// Requires better-sqlite3 (`npm install better-sqlite3`), needed only by the
+// indexer and what reads its database (candles.js, reconcile-subgraph.js and
+// the index tests).
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS contracts (
+    address TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,
+    pair TEXT NOT NULL,
+    first_block INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS pairs (
+    pair TEXT PRIMARY KEY,
+    token TEXT,
+    fee_router TEXT,
+    tok_is_token0 INTEGER,
+    name TEXT,
+    symbol TEXT,
+    supply TEXT,
+    metadata_uri TEXT,
+    launch_block INTEGER,
+    lender_vault TEXT,
+    collateral_vault TEXT,
+    market_block INTEGER
+  );
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    address TEXT NOT NULL,
+    name TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_by_address ON events (address, name, block_number);
+  CREATE INDEX IF NOT EXISTS events_by_name ON events (name, block_number);
+`;
+
+/**
+ * @typedef {Object} IndexedEvent
+ * @property {number} block
+ * @property {number} logIndex
+ * @property {string} txHash
+ * @property {string} address Lowercase
+ * @property {string} name
+ * @property {Object<string, *>} args Decoded arguments; integers as bigints
+ */
+
+/**
+ * @typedef {Object} IndexedContract
+ * @property {string} address
+ * @property {'pair'|'token'|'feeRouter'|'lenderVault'|'collateralVault'} kind
+ * @property {string} pair The pair it belongs to
+ * @property {number} firstBlock Block of the log that announced it
+ */
+
+const lower = (address) => (address ? address.toLowerCase() : null);
+
+// Decoded argument values => JSON (bigints as strings, addresses lowercase)
+function encodeArgs(args) {
+  return JSON.stringify(args, (key, value) => {
+    if (typeof value === 'bigint') return value.toString();
+    if (typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value)) return value.toLowerCase();
+    return value;
+  });
+}
+
+// Stored JSON back to arguments, with the event's integer parameters as bigints
+function decodeArgs(name, json) {
+  const args = JSON.parse(json);
+  for (const input of getOsitoInterface().getEvent(name).inputs) {
+    if (/^u?int\d*$/.test(input.type) && args[input.name] !== undefined) args[input.name] = BigInt(args[input.name]);
+  }
+  return args;
+}
+
+/** Default database file for a chain */
+function indexPath(chainId, dir = STATE_DIR) {
+  return path.join(dir, `index-${chainId}.sqlite`);
+}
+
+/**
+ * Open (creating if needed) an index database
+ * @param {string} file See indexPath(); ':memory:' for a throwaway one
+ * @param {Object} options
+ * @param {number} options.chainId Refuses a file written for another chain
+ * @param {number} [options.startBlock] First block to index in a new file
+ */
+function openIndexDb(file, options) {
+  if (file !== ':memory:') fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const getMeta = db.prepare('SELECT value FROM meta WHERE key = ?');
+  const setMeta = db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value');
+  const meta = (key) => {
+    const row = getMeta.get(key);
+    return row ? row.value : null;
+  };
+
+  if (meta('version') === null) {
+    db.transaction(() => {
+      setMeta.run('version', String(SCHEMA_VERSION));
+      setMeta.run('chain_id', String(options.chainId));
+      setMeta.run('next_block', String(options.startBlock || 0));
+      setMeta.run('final_block', String((options.startBlock || 0) - 1));
+    })();
+  }
+  if (Number(meta('version')) !== SCHEMA_VERSION) {
+    throw new Error(`${file} has schema version ${meta('version')}, expected ${SCHEMA_VERSION}`);
+  }
+  if (Number(meta('chain_id')) !== options.chainId) {
+    throw new Error(`${file} indexes chain ${meta('chain_id')}, not ${options.chainId}`);
+  }
+
+  const statements = {
+    insertBlock: db.prepare('INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)'),
+    insertContract: db.prepare('INSERT OR IGNORE INTO contracts (address, kind, pair, first_block) VALUES (?, ?, ?, ?)'),
+    launchPair: db.prepare(`
+      INSERT INTO pairs (pair, token, fee_router, tok_is_token0, name, symbol, supply, metadata_uri, launch_block)
+      VALUES (@pair, @token, @feeRouter, @tokIsToken0, @name, @symbol, @supply, @metadataURI, @block)
+      ON CONFLICT (pair) DO UPDATE SET token = excluded.token, fee_router = excluded.fee_router,
+        tok_is_token0 = excluded.tok_is_token0, name = excluded.name, symbol = excluded.symbol,
+        supply = excluded.supply, metadata_uri = excluded.metadata_uri, launch_block = excluded.launch_block
+    `),
+    marketPair: db.prepare(`
+      INSERT INTO pairs (pair, lender_vault, collateral_vault, market_block)
+      VALUES (@pair, @lenderVault, @collateralVault, @block)
+      ON CONFLICT (pair) DO UPDATE SET lender_vault = excluded.lender_vault,
+        collateral_vault = excluded.collateral_vault, market_block = excluded.market_block
+    `),
+    insertEvent: db.prepare(`
+      INSERT OR REPLACE INTO events (block_number, log_index, tx_hash, address, name, args)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `),
+    contracts: db.prepare('SELECT address, kind, pair, first_block AS firstBlock FROM contracts ORDER BY first_block, address'),
+    pairs: db.prepare('SELECT * FROM pairs ORDER BY COALESCE(launch_block, market_block), pair'),
+    pair: db.prepare('SELECT * FROM pairs WHERE pair = ?'),
+    block: db.prepare('SELECT number, hash, timestamp FROM blocks WHERE number = ?'),
+    lastBlock: db.prepare('SELECT number, hash, timestamp FROM blocks ORDER BY number DESC LIMIT 1'),
+    blocksAbove: db.prepare('SELECT number, hash, timestamp FROM blocks WHERE number > ? ORDER BY number DESC'),
+    lastBlockAtOrBelow: db.prepare('SELECT number, hash, timestamp FROM blocks WHERE number <= ? ORDER BY number DESC LIMIT 1'),
+    deleteEvents: db.prepare('DELETE FROM events WHERE block_number > ?'),
+    deleteBlocks: db.prepare('DELETE FROM blocks WHERE number > ?'),
+    deleteContracts: db.prepare('DELETE FROM contracts WHERE first_block > ?'),
+    unlaunchPairs: db.prepare(`
+      UPDATE pairs SET token = NULL, fee_router = NULL, tok_is_token0 = NULL, name = NULL, symbol = NULL,
+        supply = NULL, metadata_uri = NULL, launch_block = NULL
+      WHERE launch_block > ?
+    `),
+    unmarketPairs: db.prepare(`
+      UPDATE pairs SET lender_vault = NULL, collateral_vault = NULL, market_block = NULL
+      WHERE market_block > ?
+    `),
+    deleteEmptyPairs: db.prepare('DELETE FROM pairs WHERE launch_block IS NULL AND market_block IS NULL')
+  };
+
+  const toEvent = (row) => ({
+    block: row.block_number,
+    logIndex: row.log_index,
+    txHash: row.tx_hash,
+    address: row.address,
+    name: row.name,
+    args: decodeArgs(row.name, row.args)
+  });
+
+  const toPair = (row) => row && {
+    pair: row.pair,
+    token: row.token,
+    feeRouter: row.fee_router,
+    tokIsToken0: row.tok_is_token0 === null ? null : Boolean(row.tok_is_token0),
+    name: row.name,
+    symbol: row.symbol,
+    supply: row.supply === null ? null : BigInt(row.supply),
+    metadataURI: row.metadata_uri,
+    launchBlock: row.launch_block,
+    lenderVault: row.lender_vault,
+    collateralVault: row.collateral_vault,
+    marketBlock: row.market_block
+  };
+
+  /**
+   * Store one indexed block range in a single transaction, advancing the
+   * checkpoint with it: after a crash the range is either fully stored or
+   * indexed again.
+   * @param {Object} batch
+   * @param {number} batch.nextBlock Checkpoint after this range
+   * @param {Array<{ number: number, hash: string, timestamp: number }>} batch.blocks
+   * @param {IndexedContract[]} batch.contracts
+   * @param {Object[]} batch.launches TokenLaunched args plus block and tokIsToken0
+   * @param {Object[]} batch.markets MarketCreated args plus block
+   * @param {IndexedEvent[]} batch.events
+   */
+  const writeBatch = db.transaction((batch) => {
+    for (const block of batch.blocks) statements.insertBlock.run(block.number, block.hash, block.timestamp);
+    for (const contract of batch.contracts) {
+      statements.insertContract.run(lower(contract.address), contract.kind, lower(contract.pair), contract.firstBlock);
+    }
+    for (const launch of batch.launches) {
+      statements.launchPair.run({
+        pair: lower(launch.pair),
+        token: lower(launch.token),
+        feeRouter: lower(launch.feeRouter),
+        tokIsToken0: launch.tokIsToken0 === null ? null : Number(launch.tokIsToken0),
+        name: launch.name,
+        symbol: launch.symbol,
+        supply: launch.supply.toString(),
+        metadataURI: launch.metadataURI,
+        block: launch.block
+      });
+    }
+    for (const market of batch.markets) {
+      statements.marketPair.run({
+        pair: lower(market.pair),
+        lenderVault: lower(market.lenderVault),
+        collateralVault: lower(market.collateralVault),
+        block: market.block
+      });
+    }
+    for (const event of batch.events) {
+      statements.insertEvent.run(event.block, event.logIndex, event.txHash, lower(event.address), event.name, encodeArgs(event.args));
+    }
+    setMeta.run('next_block', String(batch.nextBlock));
+  });
+
+  const nextBlock = () => Number(meta('next_block'));
+  const finalBlock = () => (meta('final_block') === null ? -1 : Number(meta('final_block')));
+
+  /**
+   * Mark blocks up to `block` as final. Never moves backwards and never
+   * past what is indexed.
+   */
+  function setFinalBlock(block) {
+    const final = Math.min(block, nextBlock() - 1);
+    if (final > finalBlock()) setMeta.run('final_block', String(final));
+  }
+
+  /**
+   * Drop everything indexed after `block` and move the checkpoint back to
+   * the block after it, so that range is indexed again
+   * @param {number} block Last block to keep; not below the final block
+   */
+  const rollback = db.transaction((block) => {
+    if (block < finalBlock()) throw new Error(`Cannot roll back to ${block}, below the final block ${finalBlock()}`);
+    for (const statement of ['deleteEvents', 'deleteBlocks', 'deleteContracts', 'unlaunchPairs', 'unmarketPairs']) {
+      statements[statement].run(block);
+    }
+    statements.deleteEmptyPairs.run();
+    setMeta.run('next_block', String(block + 1));
+  });
+
+  /**
+   * Events in block order
+   * @param {Object} [filter]
+   * @param {string} [filter.address]
+   * @param {string|string[]} [filter.name]
+   * @param {number} [filter.fromBlock]
+   * @param {number} [filter.toBlock]
+   * @param {boolean} [filter.confirmed] Only events at or below the final block
+   * @returns {IndexedEvent[]}
+   */
+  function events(filter = {}) {
+    const where = [];
+    const params = [];
+    if (filter.address) {
+      where.push('address = ?');
+      params.push(lower(filter.address));
+    }
+    if (filter.name) {
+      const names = [].concat(filter.name);
+      where.push(`name IN (${names.map(() => '?').join(', ')})`);
+      params.push(...names);
+    }
+    if (filter.fromBlock !== undefined) {
+      where.push('block_number >= ?');
+      params.push(filter.fromBlock);
+    }
+    if (filter.toBlock !== undefined) {
+      where.push('block_number <= ?');
+      params.push(filter.toBlock);
+    }
+    if (filter.confirmed) {
+      where.push('block_number <= ?');
+      params.push(finalBlock());
+    }
+    const sql = `SELECT * FROM events ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY block_number, log_index`;
+    return db.prepare(sql).all(...params).map(toEvent);
+  }
+
+  return {
+    db,
+    file,
+    close: () => db.close(),
+    nextBlock,
+    finalBlock,
+    setFinalBlock,
+    contracts: () => statements.contracts.all(),
+    pairs: () => statements.pairs.all().map(toPair),
+    pair: (address) => toPair(statements.pair.get(lower(address))) || null,
+    block: (number) => statements.block.get(number) || null,
+    /** Highest stored block, normally nextBlock() - 1 */
+    lastBlock: () => statements.lastBlock.get() || null,
+    /** Stored blocks above `number`, newest first */
+    blocksAbove: (number) => statements.blocksAbove.all(number),
+    /** Newest stored block at or below `number` */
+    lastBlockAtOrBelow: (number) => statements.lastBlockAtOrBelow.get(number) || null,
+    events,
+    rollback,
+    writeBatch
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  indexPath,
+  openIndexDb
+};
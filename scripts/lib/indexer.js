@@ -0,0 +1,229 @@
+const { ethers } = require('ethers');
+const { decodeLog } = require('./receipts');
+const { createLogger } = require('./logger');
+
+// Follows the chain with chunked eth_getLogs and writes every Osito event to
+// an index database (./indexdb). The launchpad and lending factory are read
+// first in each chunk, so contracts they announce (pair, TOK, FeeRouter,
+// vaults) have their own logs in that chunk indexed too.
+//
+// Reorgs: every range is stored with the hash of its last block. Before a
+// range is indexed, that stored tip is compared with the chain; if it was
+// replaced, the index rolls back to the newest stored block the chain still
+// has and indexes again from there. A range whose logs and blocks do not
+// line up (the chain changed while it was read) is dropped and retried.
+// Besides each log's block hash, the range's last block is read before the
+// logs and again after: a reorg that happens in between changes that hash
+// even when the replaced blocks had no logs to compare.
+// Blocks deeper than the confirmation depth count as final and are never
+// rolled back; a reorg below them is an error that needs a rebuild.
+
+const DEFAULT_CHUNK_SIZE = 2000;
+const DEFAULT_CONFIRMATIONS = 5;
+// Ranges retried in one sync when the chain keeps changing under them
+const MAX_RANGE_RETRIES = 5;
+// Addresses per eth_getLogs request; RPCs limit the filter size
+const DEFAULT_ADDRESS_BATCH = 200;
+// getBlock requests in flight at once
+const BLOCK_CONCURRENCY = 8;
+
+/**
+ * @param {ReturnType<import('./osito').connect>} osito
+ * @param {ReturnType<import('./indexdb').openIndexDb>} index
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize] Blocks per eth_getLogs range
+ * @param {number} [options.addressBatch] Addresses per eth_getLogs request
+ * @param {number} [options.confirmations] Blocks below the head before data is final
+ * @param {import('./logger').Logger} [options.logger]
+ */
+function createIndexer(osito, index, options = {}) {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const confirmations = options.confirmations !== undefined ? options.confirmations : DEFAULT_CONFIRMATIONS;
+  const addressBatch = options.addressBatch || DEFAULT_ADDRESS_BATCH;
+  const log = options.logger || createLogger('indexer');
+  const { provider, launchpad, lendingFactory } = osito;
+  const factories = [launchpad, lendingFactory].filter(Boolean).map(contract => contract.target);
+  if (factories.length === 0) throw new Error(`Network ${osito.profile.name} has no launchpad or lending factory address`);
+
+  async function getLogs(addresses, fromBlock, toBlock) {
+    const logs = [];
+    for (let i = 0; i < addresses.length; i += addressBatch) {
+      logs.push(...await provider.getLogs({ address: addresses.slice(i, i + addressBatch), fromBlock, toBlock }));
+    }
+    return logs;
+  }
+
+  async function getBlocks(numbers) {
+    const blocks = [];
+    for (let i = 0; i < numbers.length; i += BLOCK_CONCURRENCY) {
+      const chunk = numbers.slice(i, i + BLOCK_CONCURRENCY);
+      const fetched = await Promise.all(chunk.map(number => provider.getBlock(number)));
+      fetched.forEach((block, j) => {
+        if (!block) throw new Error(`Block ${chunk[j]} not found`);
+        blocks.push({ number: block.number, hash: block.hash, parentHash: block.parentHash, timestamp: block.timestamp });
+      });
+    }
+    return blocks;
+  }
+
+  const toEvent = (entry, event) => ({
+    block: entry.blockNumber,
+    blockHash: entry.blockHash,
+    logIndex: entry.index,
+    txHash: entry.transactionHash,
+    address: event.address,
+    name: event.name,
+    args: event.args
+  });
+
+  /**
+   * Index fromBlock..toBlock and move the checkpoint past it
+   * @returns {Promise<number|null>} Events stored, or null if the chain
+   *   changed while the range was read and nothing was stored
+   */
+  async function indexRange(fromBlock, toBlock) {
+    // Any change to the range after this point changes toBlock's hash
+    const [expectedTip] = await getBlocks([toBlock]);
+    const events = [];
+    const contracts = [];
+    const launches = [];
+    const markets = [];
+
+    for (const entry of await getLogs(factories, fromBlock, toBlock)) {
+      const event = decodeLog(entry);
+      if (!event) continue;
+      events.push(toEvent(entry, event));
+
+      const { args } = event;
+      if (event.name === 'TokenLaunched') {
+        // Immutable, so read at the head rather than the launch block
+        const tokIsToken0 = await osito.pair(args.pair).tokIsToken0();
+        launches.push({ ...args, tokIsToken0, block: entry.blockNumber });
+        for (const [kind, address] of [['pair', args.pair], ['token', args.token], ['feeRouter', args.feeRouter]]) {
+          contracts.push({ address, kind, pair: args.pair, firstBlock: entry.blockNumber });
+        }
+      } else if (event.name === 'MarketCreated') {
+        markets.push({ ...args, block: entry.blockNumber });
+        for (const [kind, address] of [['lenderVault', args.lenderVault], ['collateralVault', args.collateralVault]]) {
+          contracts.push({ address, kind, pair: args.pair, firstBlock: entry.blockNumber });
+        }
+      }
+    }
+
+    const tracked = [...new Set([
+      ...index.contracts().map(contract => contract.address),
+      ...contracts.map(contract => contract.address.toLowerCase())
+    ])];
+    for (const entry of await getLogs(tracked, fromBlock, toBlock)) {
+      const event = decodeLog(entry);
+      if (event) events.push(toEvent(entry, event));
+    }
+
+    events.sort((a, b) => a.block - b.block || a.logIndex - b.logIndex);
+    const numbers = [...new Set([fromBlock, ...events.map(event => event.block), toBlock])].sort((a, b) => a - b);
+    const blocks = await getBlocks(numbers);
+
+    // Every log must come from the blocks we store, and the range must
+    // continue the stored chain
+    const hashes = new Map(blocks.map(block => [block.number, block.hash]));
+    const parent = index.block(fromBlock - 1);
+    const changed = events.find(event => event.blockHash !== hashes.get(event.block));
+    const tipChanged = hashes.get(toBlock) !== expectedTip.hash;
+    if (changed || tipChanged || (parent && blocks[0].parentHash !== parent.hash)) {
+      const block = changed ? changed.block : (tipChanged ? toBlock : fromBlock);
+      log.warn('Chain changed while indexing; retrying', { fromBlock, toBlock, block });
+      return null;
+    }
+
+    index.writeBatch({ nextBlock: toBlock + 1, blocks, contracts, launches, markets, events });
+    return events.length;
+  }
+
+  /**
+   * Roll back to the newest stored block that is still on the chain
+   * @returns {Promise<number>} The block rolled back to
+   */
+  async function rewind() {
+    const final = index.finalBlock();
+    for (const stored of index.blocksAbove(final)) {
+      const canonical = await provider.getBlock(stored.number);
+      if (canonical && canonical.hash === stored.hash) {
+        index.rollback(stored.number);
+        return stored.number;
+      }
+    }
+
+    // Nothing above the final block survived; the final block itself must
+    const anchor = index.lastBlockAtOrBelow(final);
+    if (anchor) {
+      const canonical = await provider.getBlock(anchor.number);
+      if (!canonical || canonical.hash !== anchor.hash) {
+        throw new Error(`Reorg deeper than ${confirmations} confirmations: final block ${anchor.number} was replaced; rebuild the index`);
+      }
+    }
+    index.rollback(final);
+    return final;
+  }
+
+  /**
+   * Compare the stored tip with the chain and roll back if it was reorged
+   * away (or the chain is now shorter)
+   * @returns {Promise<boolean>} Whether a rollback happened
+   */
+  async function checkTip() {
+    const tip = index.lastBlock();
+    if (!tip) return false;
+    const canonical = await provider.getBlock(tip.number);
+    if (canonical && canonical.hash === tip.hash) return false;
+
+    const ancestor = await rewind();
+    log.warn('Chain reorganisation; rolled back', { tip: tip.number, rolledBackTo: ancestor, blocks: tip.number - ancestor });
+    return true;
+  }
+
+  /**
+   * Index every block from the checkpoint up to head, one chunk per
+   * database transaction, rolling back first if the chain reorganised.
+   * Blocks `confirmations` below head become final.
+   * @param {number} head
+   * @param {Object} [syncOptions]
+   * @param {() => boolean} [syncOptions.stopping] Checked between chunks
+   * @returns {Promise<{ fromBlock: number, toBlock: number, events: number, reorgs: number }>}
+   *   What was indexed; fromBlock is after any rollback
+   */
+  async function sync(head, syncOptions = {}) {
+    const stopping = syncOptions.stopping || (() => false);
+    let reorgs = Number(await checkTip());
+    const fromBlock = index.nextBlock();
+    let events = 0;
+    let retries = 0;
+
+    while (!stopping() && index.nextBlock() <= head) {
+      const from = index.nextBlock();
+      const to = Math.min(from + chunkSize - 1, head);
+      const count = await indexRange(from, to);
+      if (count === null) {
+        if (++retries > MAX_RANGE_RETRIES) throw new Error(`Chain kept changing while indexing ${from}-${to}`);
+        reorgs += Number(await checkTip());
+        continue;
+      }
+      events += count;
+      index.setFinalBlock(head - confirmations);
+      log.debug('Indexed blocks', { fromBlock: from, toBlock: to, events: count });
+    }
+    index.setFinalBlock(head - confirmations);
+    return { fromBlock: Math.min(fromBlock, index.nextBlock()), toBlock: index.nextBlock() - 1, events, reorgs };
+  }
+
+  return {
+    confirmations,
+    factories: factories.map(address => ethers.getAddress(address)),
+    checkTip,
+    indexRange,
+    sync
+  };
+}
+
+module.exports = {
+  createIndexer
+};
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { STATE_DIR } = require('./osito');
+
+// Keeper history per pair, kept in a JSON file under STATE_DIR: every fee
+// collection the keeper sent and the last kLast it saw. The keeper uses it
+// for per-pair cooldowns; scripts/keeper-stats.js reports from it.
+// Collections are written as they are recorded; kLast values are only kept
+// in memory until save(), which the keeper calls once per tick.
+//
+// File layout (amounts are decimal strings):
+//   { version: 1, pairs: { <pair>: { kLast, kLastBlock, collections: [Collection] } } }
+
+const STORE_VERSION = 1;
+
+/**
+ * @typedef {Object} Collection
+ * @property {string} txHash
+ * @property {number} block
+ * @property {number} timestamp Block timestamp (seconds)
+ * @property {bigint} tokBurned
+ * @property {bigint} qtToTreasury
+ * @property {bigint} gasUsed
+ */
+
+const AMOUNT_FIELDS = ['tokBurned', 'qtToTreasury', 'gasUsed'];
+
+function toRecord(collection) {
+  const record = { ...collection };
+  for (const field of AMOUNT_FIELDS) record[field] = BigInt(collection[field]).toString();
+  return record;
+}
+
+function fromRecord(record) {
+  const collection = { ...record };
+  for (const field of AMOUNT_FIELDS) collection[field] = BigInt(record[field]);
+  return collection;
+}
+
+/** Default store file for a chain */
+function storePath(chainId, dir = STATE_DIR) {
+  return path.join(dir, `keeper-${chainId}.json`);
+}
+
+/**
+ * Open (or create on first write) a keeper store
+ * @param {string} file See storePath()
+ */
+function openKeeperStore(file) {
+  let data = fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, 'utf8'))
+    : { version: STORE_VERSION, pairs: {} };
+  if (data.version !== STORE_VERSION) {
+    throw new Error(`${file} has store version ${data.version}, expected ${STORE_VERSION}`);
+  }
+
+  // Written through a temp file so a crash never leaves half a file
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function entry(pair) {
+    const key = pair.toLowerCase();
+    if (!data.pairs[key]) data.pairs[key] = { kLast: null, kLastBlock: null, collections: [] };
+    return data.pairs[key];
+  }
+
+  /** Record a confirmed collection for a pair */
+  function recordCollection(pair, collection) {
+    entry(pair).collections.push(toRecord(collection));
+    save();
+  }
+
+  /** Remember the last kLast seen for a pair; written by the next save() */
+  function recordKLast(pair, kLast, block) {
+    const item = entry(pair);
+    item.kLast = BigInt(kLast).toString();
+    item.kLastBlock = block;
+  }
+
+  /** Last seen kLast and the block it was read at, or null */
+  function lastKLast(pair) {
+    const item = data.pairs[pair.toLowerCase()];
+    return item && item.kLast !== null ? { kLast: BigInt(item.kLast), block: item.kLastBlock } : null;
+  }
+
+  /** Most recent collection for a pair, or null */
+  function lastCollection(pair) {
+    const item = data.pairs[pair.toLowerCase()];
+    if (!item || item.collections.length === 0) return null;
+    return fromRecord(item.collections[item.collections.length - 1]);
+  }
+
+  /**
+   * Seconds left before a pair may be collected again (0 when it may)
+   * @param {number} cooldown Seconds between collections of one pair
+   * @param {number} [now] Unix seconds
+   */
+  function cooldownRemaining(pair, cooldown, now = Math.floor(Date.now() / 1000)) {
+    const last = lastCollection(pair);
+    if (!last) return 0;
+    return Math.max(0, last.timestamp + cooldown - now);
+  }
+
+  /**
+   * Collections, oldest first
+   * @param {Object} [filter]
+   * @param {string} [filter.pair]
+   * @param {number} [filter.since] Unix seconds, inclusive
+   * @returns {Array<Collection & { pair: string }>}
+   */
+  function collections(filter = {}) {
+    const pairs = filter.pair ? [filter.pair.toLowerCase()] : Object.keys(data.pairs);
+    const since = filter.since || 0;
+    return pairs
+      .flatMap(pair => ((data.pairs[pair] || {}).collections || []).map(record => ({ pair, ...fromRecord(record) })))
+      .filter(collection => collection.timestamp >= since)
+      .sort((a, b) => a.timestamp - b.timestamp || a.block - b.block);
+  }
+
+  /** Sums over collections(filter) */
+  function totals(filter = {}) {
+    return collections(filter).reduce((sum, collection) => ({
+      count: sum.count + 1,
+      tokBurned: sum.tokBurned + collection.tokBurned,
+      qtToTreasury: sum.qtToTreasury + collection.qtToTreasury,
+      gasUsed: sum.gasUsed + collection.gasUsed
+    }), { count: 0, tokBurned: 0n, qtToTreasury: 0n, gasUsed: 0n });
+  }
+
+  /** Pair addresses with any history (lowercase) */
+  function pairs() {
+    return Object.keys(data.pairs);
+  }
+
+  /** Re-read the file, e.g. after another process wrote it */
+  function reload() {
+    if (fs.existsSync(file)) data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  return {
+    file,
+    collections,
+    cooldownRemaining,
+    lastCollection,
+    lastKLast,
+    pairs,
+    recordCollection,
+    recordKLast,
+    reload,
+    save,
+    totals
+  };
+}
+
+module.exports = {
+  openKeeperStore,
+  storePath
+};
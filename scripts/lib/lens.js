@@ -0,0 +1,84 @@
+const { ethers } = require('ethers');
+const { loadABI } = require('./osito');
+
+// LensLite.markets() decoding driven by the compiled artifact, so the shape of
+// a market object always follows LensLite's `M` struct instead of a
+// hand-copied tuple ABI.
+
+const lensInterface = new ethers.Interface(loadABI('LensLite'));
+const marketsFragment = lensInterface.getFunction('markets');
+// markets() returns M[]; this is the M tuple
+const marketType = marketsFragment.outputs[0].arrayChildren;
+
+// Field names of LensLite.M in declaration order
+const MARKET_FIELDS = marketType.components.map(component => component.name);
+
+const DEFAULT_PAGE_SIZE = 25;
+
+// Convert an ethers Result into a plain object keyed by the ABI names.
+// Integers stay BigInt; addresses are checksummed.
+function toPlain(value, param) {
+  if (param.baseType === 'tuple') {
+    return Object.fromEntries(param.components.map((component, i) => [component.name, toPlain(value[i], component)]));
+  }
+  if (param.baseType === 'array') {
+    return Array.from(value, item => toPlain(item, param.arrayChildren));
+  }
+  if (param.baseType === 'address') return ethers.getAddress(value);
+  return value;
+}
+
+/** Decode one LensLite.M tuple (an ethers Result or array) into a named object */
+function decodeMarket(tuple) {
+  return toPlain(tuple, marketType);
+}
+
+/** Decode raw markets() return data, e.g. from eth_call or a multicall */
+function decodeMarketsResult(data) {
+  const [markets] = lensInterface.decodeFunctionResult(marketsFragment, data);
+  return markets.map(decodeMarket);
+}
+
+/** Calldata for markets(from, count) */
+function encodeMarketsCall(from, count) {
+  return lensInterface.encodeFunctionData(marketsFragment, [from, count]);
+}
+
+/**
+ * Page through every market registered in LensLite.
+ * @param {ethers.Contract} lensLite
+ * @param {Object} [options]
+ * @param {number} [options.pageSize]
+ * @param {string|number} [options.blockTag] Block to read at; defaults to the latest block when iteration starts
+ */
+async function* iterateMarkets(lensLite, options = {}) {
+  const pageSize = BigInt(options.pageSize || DEFAULT_PAGE_SIZE);
+  // Pin every page to the same block so pages never mix two states
+  const blockTag = options.blockTag !== undefined
+    ? options.blockTag
+    : await lensLite.runner.provider.getBlockNumber();
+  const overrides = { blockTag };
+  const total = await lensLite.allPairsLength(overrides);
+
+  for (let from = 0n; from < total; from += pageSize) {
+    const page = await lensLite.markets(from, pageSize, overrides);
+    for (const market of page) yield decodeMarket(market);
+  }
+}
+
+/** Collect iterateMarkets() into an array */
+async function fetchAllMarkets(lensLite, options = {}) {
+  const markets = [];
+  for await (const market of iterateMarkets(lensLite, options)) markets.push(market);
+  return markets;
+}
+
+module.exports = {
+  MARKET_FIELDS,
+  decodeMarket,
+  decodeMarketsResult,
+  encodeMarketsCall,
+  fetchAllMarkets,
+  iterateMarkets,
+  lensInterface
+};
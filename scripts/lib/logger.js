@@ -0,0 +1,176 @@
+// Shared logger: levels, a context carried by every record (pair, txHash,
+// block, ...) and two output formats.
+//
+//   LOG_FORMAT=json    One JSON object per line on stdout, for log pipelines
+//   LOG_FORMAT=pretty  Aligned, coloured lines for humans
+//   LOG_LEVEL=debug|info|warn|error (default info)
+//
+// The format defaults to pretty on a terminal and json otherwise. Private
+// keys and RPC URLs never reach the output: fields with secret-looking names
+// are masked, RPC URLs are cut down to their host, and the PRIVATE_KEY /
+// RPC_URL(S) values from the environment (plus anything passed to
+// addSecret) are replaced wherever they appear, e.g. inside error messages.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const COLORS = { debug: '\x1b[90m', info: '\x1b[36m', warn: '\x1b[33m', error: '\x1b[31m' };
+const RESET = '\x1b[0m';
+const DIM = '\x1b[2m';
+
+const REDACTED = '[redacted]';
+const SECRET_FIELD = /private.?key|secret|password|mnemonic|api.?key|authorization/i;
+const URL_FIELD = /rpc/i;
+// A raw private key: 64 hex digits not part of a 0x-prefixed hash
+const BARE_KEY = /(?<![0-9a-fA-Fx])[0-9a-fA-F]{64}(?![0-9a-fA-F])/g;
+const URL_PATTERN = /\b(?:https?|wss?):\/\/[^\s"'<>]+/g;
+// Path segments and query parameters that look like API keys
+const TOKEN_SEGMENT = /^(?!0x)[A-Za-z0-9_-]{20,}$/;
+const TOKEN_PARAM = /key|token|secret|auth/i;
+
+const extraSecrets = new Set();
+
+/** Treat a value as secret from now on: a key, or an RPC URL (shown as its host) */
+function addSecret(value) {
+  if (value && String(value).length >= 8) extraSecrets.add(String(value));
+}
+
+// Read lazily: dotenv may load the network's env file after this module
+function envSecrets() {
+  const keys = [process.env.PRIVATE_KEY, process.env.PRIVATE_KEY && process.env.PRIVATE_KEY.replace(/^0x/, '')];
+  const urls = [process.env.RPC_URL, ...(process.env.RPC_URLS || '').split(',')]
+    .map(url => url && url.trim());
+  return { keys: [...keys, ...extraSecrets].filter(Boolean), urls: urls.filter(Boolean) };
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return REDACTED;
+  }
+}
+
+// Drop credentials, key-like path segments and key-like query parameters
+function redactUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+  const sensitive = parsed.username || parsed.password ||
+    parsed.pathname.split('/').some(segment => TOKEN_SEGMENT.test(segment)) ||
+    [...parsed.searchParams.keys()].some(key => TOKEN_PARAM.test(key));
+  return sensitive ? `${parsed.protocol}//${parsed.host}/${REDACTED}` : url;
+}
+
+function redactString(value) {
+  const { keys, urls } = envSecrets();
+  let result = value;
+  for (const url of urls) result = result.split(url).join(hostOf(url));
+  for (const key of keys) result = result.split(key).join(/^\w+:\/\//.test(key) ? hostOf(key) : REDACTED);
+  return result.replace(URL_PATTERN, redactUrl).replace(BARE_KEY, REDACTED);
+}
+
+function serializeError(error) {
+  const fields = { message: error.shortMessage || error.message };
+  for (const key of ['code', 'reason']) {
+    if (error[key] !== undefined && error[key] !== null) fields[key] = error[key];
+  }
+  if (error.stack) fields.stack = error.stack;
+  return fields;
+}
+
+/** Plain JSON-safe copy of a field value with secrets removed */
+function redact(value, key = '') {
+  if (value === null || value === undefined) return value;
+  if (SECRET_FIELD.test(key) && typeof value !== 'object') return REDACTED;
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'string') {
+    return URL_FIELD.test(key) && /^\w+:\/\//.test(value) ? hostOf(value) : redactString(value);
+  }
+  if (value instanceof Error) return redact(serializeError(value), key);
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(item => redact(item, key));
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, redact(item, field)]));
+  }
+  return value;
+}
+
+function formatValue(value) {
+  if (value !== null && typeof value === 'object') {
+    return value.message !== undefined && value.stack !== undefined ? value.message : JSON.stringify(value);
+  }
+  return String(value);
+}
+
+function prettyLine(record, color) {
+  const { time, level, name, msg, ...fields } = record;
+  const paint = (code, text) => (color ? `${code}${text}${RESET}` : text);
+  const head = `${paint(DIM, time.slice(11, 23))} ${paint(COLORS[level], level.toUpperCase().padEnd(5))} ${paint(DIM, `[${name}]`)} ${msg}`;
+
+  const entries = Object.entries(fields).map(([key, value]) => [key, formatValue(value)]);
+  const inline = entries.map(([key, value]) => `${key}=${value}`).join(' ');
+  // Short records stay on one line; reports get one field per line
+  if (head.length + inline.length < 120 && entries.length <= 4) return inline ? `${head} ${paint(DIM, inline)}` : head;
+  const width = Math.max(...entries.map(([key]) => key.length));
+  return [head, ...entries.map(([key, value]) => `    ${paint(DIM, `${key.padEnd(width)}:`)} ${value}`)].join('\n');
+}
+
+/**
+ * @typedef {Object} Logger
+ * @property {(msg: string, fields?: Object) => void} debug
+ * @property {(msg: string, fields?: Object) => void} info
+ * @property {(msg: string, fields?: Object) => void} warn
+ * @property {(msg: string, fields?: Object|Error) => void} error An Error may be passed as the fields
+ * @property {(context: Object) => Logger} child Logger whose records also carry `context`
+ */
+
+/**
+ * @param {string} name Component name, e.g. 'keeper'
+ * @param {Object} [options]
+ * @param {Object} [options.context] Fields added to every record
+ * @param {'json'|'pretty'} [options.format] Default: LOG_FORMAT, else pretty on a TTY
+ * @param {string} [options.level] Default: LOG_LEVEL or info
+ * @param {{ write: (chunk: string) => void }} [options.stdout]
+ * @param {{ write: (chunk: string) => void }} [options.stderr] Pretty warn/error lines
+ * @returns {Logger}
+ */
+function createLogger(name, options = {}) {
+  const stdout = options.stdout || process.stdout;
+  const stderr = options.stderr || (options.stdout ? stdout : process.stderr);
+  const format = options.format || process.env.LOG_FORMAT || (stdout.isTTY ? 'pretty' : 'json');
+  const levelName = options.level || process.env.LOG_LEVEL || 'info';
+  if (!LEVELS[levelName]) throw new Error(`Unknown log level ${levelName}`);
+  if (!['json', 'pretty'].includes(format)) throw new Error(`Unknown log format ${format}`);
+  const context = options.context || {};
+
+  function write(level, msg, fields) {
+    if (LEVELS[level] < LEVELS[levelName]) return;
+    const extra = fields instanceof Error ? { err: fields } : fields;
+    // Fields cannot override the record's own keys, which keep their place first
+    const base = { time: new Date().toISOString(), level, name, msg: String(msg) };
+    const record = redact({ ...base, ...context, ...extra, ...base });
+
+    if (format === 'json') {
+      stdout.write(`${JSON.stringify(record)}\n`);
+    } else {
+      const stream = LEVELS[level] >= LEVELS.warn ? stderr : stdout;
+      stream.write(`${prettyLine(record, Boolean(stream.isTTY))}\n`);
+    }
+  }
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: (extra) => createLogger(name, { ...options, context: { ...context, ...extra } })
+  };
+}
+
+module.exports = {
+  addSecret,
+  createLogger,
+  redact
+};
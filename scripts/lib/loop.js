@@ -0,0 +1,90 @@
+// Polling loop for the long-running bots. Ticks run back to back and never
+// overlap: the next tick starts one interval after the previous one started,
+// or immediately if it overran. On SIGINT/SIGTERM the loop stops scheduling
+// ticks and lets the current one finish, so transactions it already sent
+// are waited for; a second signal exits at once.
+
+const { createLogger } = require('./logger');
+
+/**
+ * @typedef {Object} TickContext
+ * @property {number} tick 1-based tick counter
+ * @property {() => boolean} stopping True once shutdown was requested; check before sending new transactions
+ */
+
+/**
+ * @param {(context: TickContext) => Promise<void>} tick
+ * @param {Object} options
+ * @param {number} options.intervalMs
+ * @param {boolean} [options.once] Run a single tick and return (cron mode)
+ * @param {string} [options.name] Used in log lines
+ * @param {(error: Error) => void} [options.onError] Called when a tick throws; the loop keeps going
+ */
+function createLoop(tick, options) {
+  const name = options.name || 'loop';
+  const log = createLogger(name);
+  const onError = options.onError || (error => log.error('Tick failed', error));
+
+  let stopping = false;
+  let wake = null;
+  let failures = 0;
+
+  // Interruptible sleep so a shutdown does not wait out the interval
+  const sleep = (ms) => new Promise(resolve => {
+    const timer = setTimeout(() => { wake = null; resolve(); }, ms);
+    wake = () => { clearTimeout(timer); wake = null; resolve(); };
+  });
+
+  function stop() {
+    stopping = true;
+    if (wake) wake();
+  }
+
+  /** Run until stopped (or a single tick with `once`). Resolves to the number of failed ticks. */
+  async function run() {
+    for (let count = 1; !stopping; count++) {
+      const startedAt = Date.now();
+      try {
+        await tick({ tick: count, stopping: () => stopping });
+      } catch (error) {
+        failures++;
+        onError(error);
+      }
+      if (options.once) break;
+
+      const wait = options.intervalMs - (Date.now() - startedAt);
+      if (!stopping && wait > 0) await sleep(wait);
+    }
+    return failures;
+  }
+
+  return { run, stop, isStopping: () => stopping };
+}
+
+/**
+ * Stop `loop` on SIGINT/SIGTERM; a second signal exits immediately.
+ * @returns {() => void} Removes the handlers
+ */
+function handleShutdownSignals(loop, name = 'loop') {
+  const log = createLogger(name);
+  const onSignal = (signal) => {
+    if (loop.isStopping()) {
+      log.warn('Signal received again, exiting without waiting', { signal });
+      process.exit(1);
+    }
+    log.info('Signal received, finishing current tick', { signal });
+    loop.stop();
+  };
+
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+  return () => {
+    process.off('SIGINT', onSignal);
+    process.off('SIGTERM', onSignal);
+  };
+}
+
+module.exports = {
+  createLoop,
+  handleShutdownSignals
+};
@@ -0,0 +1,85 @@
+// uint256 arithmetic with Solidity 0.8 semantics, shared by the BigInt ports
+// of on-chain math. Operations that would revert on-chain throw an Error whose
+// `reason` is the revert reason / panic the contract would produce.
+
+const WAD = 10n ** 18n;
+const BASIS_POINTS = 10000n;
+const MAX_UINT112 = (1n << 112n) - 1n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+const PANIC_ARITHMETIC = 'Panic(0x11)';
+const PANIC_DIVISION_BY_ZERO = 'Panic(0x12)';
+// Solady FixedPointMathLib.mulDiv
+const MUL_DIV_FAILED = 'MulDivFailed';
+
+function revertError(contractName, reason) {
+  const error = new Error(`${contractName} reverted: ${reason}`);
+  error.reason = reason;
+  return error;
+}
+
+function toUint(value, name, max = MAX_UINT256) {
+  const n = BigInt(value);
+  if (n < 0n || n > max) throw new RangeError(`${name} out of range: ${value}`);
+  return n;
+}
+
+function add(a, b) {
+  const c = a + b;
+  if (c > MAX_UINT256) throw revertError('Checked math', PANIC_ARITHMETIC);
+  return c;
+}
+
+function sub(a, b) {
+  if (b > a) throw revertError('Checked math', PANIC_ARITHMETIC);
+  return a - b;
+}
+
+function mul(a, b) {
+  const c = a * b;
+  if (c > MAX_UINT256) throw revertError('Checked math', PANIC_ARITHMETIC);
+  return c;
+}
+
+function div(a, b) {
+  if (b === 0n) throw revertError('Checked math', PANIC_DIVISION_BY_ZERO);
+  return a / b;
+}
+
+// floor(x * y / d), as Solady FixedPointMathLib.mulDiv: reverts when d == 0
+// or when x * y itself overflows 256 bits, even if the quotient would fit
+// (that is fullMulDiv, which the contracts do not use)
+function mulDiv(x, y, d) {
+  if (d === 0n || x * y > MAX_UINT256) throw revertError('FixedPointMathLib', MUL_DIV_FAILED);
+  return (x * y) / d;
+}
+
+// floor(sqrt(x)), as Solady FixedPointMathLib.sqrt
+function sqrt(x) {
+  if (x < 2n) return x;
+  let z = x;
+  let y = (x + 1n) >> 1n;
+  while (y < z) {
+    z = y;
+    y = (x / y + y) >> 1n;
+  }
+  return z;
+}
+
+module.exports = {
+  BASIS_POINTS,
+  MAX_UINT112,
+  MAX_UINT256,
+  MUL_DIV_FAILED,
+  PANIC_ARITHMETIC,
+  PANIC_DIVISION_BY_ZERO,
+  WAD,
+  add,
+  div,
+  mul,
+  mulDiv,
+  revertError,
+  sqrt,
+  sub,
+  toUint
+};
@@ -0,0 +1,143 @@
+const http = require('http');
+
+// Minimal Prometheus text-format metrics and the HTTP server the bots
+// expose them on, next to /healthz and /status. No client library: the
+// bots only need counters and gauges.
+
+/**
+ * @typedef {Object<string, string>} Labels
+ * @typedef {{ labels: Labels, value: number|bigint }} Sample
+ */
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatSample(name, { labels, value }) {
+  const entries = Object.entries(labels);
+  const suffix = entries.length
+    ? `{${entries.map(([key, label]) => `${key}="${escapeLabel(label)}"`).join(',')}}`
+    : '';
+  return `${name}${suffix} ${value.toString()}`;
+}
+
+/**
+ * A registry of counters and gauges. Values may be bigints (e.g. wei) and
+ * are rendered exactly.
+ * @param {string} prefix Prepended to every metric name, e.g. 'osito_keeper_'
+ */
+function createMetrics(prefix = '') {
+  const metrics = [];
+
+  function define(type, name, help, collect) {
+    const samples = new Map();
+    const metric = { type, name: prefix + name, help, samples, collect };
+    metrics.push(metric);
+
+    const get = (labels) => (samples.get(labelKey(labels)) || { value: 0 }).value;
+    const set = (labels, value) => samples.set(labelKey(labels), { labels, value });
+    return { get, set };
+  }
+
+  /**
+   * Monotonic counter
+   * @param {() => Sample[]} [collect] Read the values at scrape time instead
+   */
+  function counter(name, help, collect) {
+    const { get, set } = define('counter', name, help, collect);
+    return {
+      inc(labels = {}, amount = 1) {
+        const current = get(labels);
+        set(labels, typeof current === 'bigint' || typeof amount === 'bigint'
+          ? BigInt(current) + BigInt(amount)
+          : current + amount);
+      },
+      get: (labels = {}) => get(labels)
+    };
+  }
+
+  /**
+   * Gauge
+   * @param {() => Sample[]} [collect] Read the values at scrape time instead
+   */
+  function gauge(name, help, collect) {
+    const { get, set } = define('gauge', name, help, collect);
+    return {
+      set: (labels, value) => (value === undefined ? set({}, labels) : set(labels, value)),
+      get: (labels = {}) => get(labels)
+    };
+  }
+
+  /** Prometheus text exposition format */
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      const samples = metric.collect ? metric.collect() : [...metric.samples.values()];
+      for (const sample of samples) lines.push(formatSample(metric.name, sample));
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, gauge, render };
+}
+
+const jsonReplacer = (key, value) => (typeof value === 'bigint' ? value.toString() : value);
+
+/**
+ * Serve /metrics, /healthz and /status
+ * @param {Object} options
+ * @param {number} options.port
+ * @param {string} [options.host] Default 127.0.0.1
+ * @param {ReturnType<typeof createMetrics>} options.metrics
+ * @param {() => { ok: boolean }} options.health Non-ok answers 503
+ * @param {() => Object} options.status JSON body of /status (bigints become strings)
+ * @returns {Promise<{ address: string, close: () => Promise<void> }>}
+ */
+function startMetricsServer(options) {
+  const server = http.createServer((request, response) => {
+    const send = (statusCode, contentType, body) => {
+      response.writeHead(statusCode, { 'content-type': contentType });
+      response.end(body);
+    };
+
+    try {
+      const { pathname } = new URL(request.url, 'http://localhost');
+      if (request.method !== 'GET') return send(405, 'text/plain', 'Method Not Allowed\n');
+
+      if (pathname === '/metrics') {
+        return send(200, 'text/plain; version=0.0.4', options.metrics.render());
+      }
+      if (pathname === '/healthz') {
+        const health = options.health();
+        return send(health.ok ? 200 : 503, 'application/json', JSON.stringify(health, jsonReplacer));
+      }
+      if (pathname === '/status') {
+        return send(200, 'application/json', JSON.stringify(options.status(), jsonReplacer, 2));
+      }
+      return send(404, 'text/plain', 'Not Found\n');
+    } catch (error) {
+      return send(500, 'text/plain', `${error.message}\n`);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host || '127.0.0.1', () => {
+      const { address, port } = server.address();
+      resolve({
+        address: `http://${address}:${port}`,
+        close: () => new Promise(done => {
+          server.close(() => done());
+          server.closeAllConnections();
+        })
+      });
+    });
+  });
+}
+
+module.exports = {
+  createMetrics,
+  startMetricsServer
+};
@@ -0,0 +1,148 @@
+const { ethers } = require('ethers');
+const { loadABI } = require('./osito');
+const { describeError } = require('./receipts');
+
+// Batching over Multicall3's aggregate3. Reads are grouped into as few
+// eth_calls as the batch size allows, all pinned to one block; writes are
+// bundled into a single aggregate3 transaction.
+
+// Same address on every chain that has Multicall3 deployed
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const DEFAULT_BATCH_SIZE = 200;
+
+/**
+ * @typedef {Object} Call
+ * @property {string} target
+ * @property {string} callData
+ * @property {ethers.Interface} iface Used to decode the result
+ * @property {ethers.FunctionFragment} fragment
+ */
+
+/**
+ * @typedef {Object} CallResult
+ * @property {boolean} success
+ * @property {*} value Decoded return value (unwrapped when there is one output)
+ * @property {string|null} error Revert reason when success is false
+ */
+
+/** Encode contract.method(...args) as a multicall Call */
+function encodeCall(contract, method, args = []) {
+  const fragment = contract.interface.getFunction(method);
+  return {
+    target: contract.target,
+    callData: contract.interface.encodeFunctionData(fragment, args),
+    iface: contract.interface,
+    fragment
+  };
+}
+
+/**
+ * Human-readable revert reason from return data: an error of the called
+ * contract's interface, else any Osito error (one bubbled up from a
+ * contract it called)
+ */
+function describeRevert(iface, data) {
+  if (!data || data === '0x') return 'reverted without data';
+  try {
+    const parsed = iface.parseError(data);
+    if (parsed) return `${parsed.name}(${parsed.args.map(String).join(', ')})`;
+  } catch (error) {
+    // Not an error of this interface; fall through
+  }
+  return describeError(data);
+}
+
+function decodeResult(call, { success, returnData }) {
+  if (!success) return { success: false, value: null, error: describeRevert(call.iface, returnData) };
+  try {
+    const decoded = call.iface.decodeFunctionResult(call.fragment, returnData);
+    return { success: true, value: decoded.length === 1 ? decoded[0] : decoded, error: null };
+  } catch (error) {
+    // e.g. the target has no code and returned nothing
+    return { success: false, value: null, error: `undecodable result: ${error.shortMessage || error.message}` };
+  }
+}
+
+/**
+ * @param {ethers.ContractRunner} runner Provider for reads; a signer also lets
+ *   simulations run with the signer as msg.sender
+ * @param {Object} [options]
+ * @param {string} [options.address] Multicall3 address (default: canonical)
+ * @param {number} [options.batchSize] Calls per eth_call
+ */
+function createMulticall(runner, options = {}) {
+  const address = options.address || MULTICALL3_ADDRESS;
+  const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  const multicall = new ethers.Contract(address, loadABI('IMulticall3'), runner);
+  const provider = runner.provider || runner;
+
+  const toCall3 = (call) => ({ target: call.target, allowFailure: true, callData: call.callData });
+
+  /**
+   * Run calls and report each one's outcome
+   * @param {Call[]} calls
+   * @param {Object} [options]
+   * @param {string|number} [options.blockTag] Defaults to the current block, shared by every batch
+   * @returns {Promise<CallResult[]>}
+   */
+  async function tryRead(calls, readOptions = {}) {
+    if (calls.length === 0) return [];
+    const blockTag = readOptions.blockTag !== undefined ? readOptions.blockTag : await provider.getBlockNumber();
+
+    const results = [];
+    for (let i = 0; i < calls.length; i += batchSize) {
+      const chunk = calls.slice(i, i + batchSize);
+      const raw = await multicall.aggregate3.staticCall(chunk.map(toCall3), { blockTag });
+      raw.forEach((result, j) => results.push(decodeResult(chunk[j], result)));
+    }
+    return results;
+  }
+
+  /**
+   * Run calls and return their values; throws if any call fails
+   * @param {Call[]} calls
+   * @returns {Promise<Array>}
+   */
+  async function read(calls, readOptions = {}) {
+    const results = await tryRead(calls, readOptions);
+    const failed = results.findIndex(result => !result.success);
+    if (failed !== -1) {
+      throw new Error(`Multicall: call ${failed} to ${calls[failed].target} (${calls[failed].fragment.name}) failed: ${results[failed].error}`);
+    }
+    return results.map(result => result.value);
+  }
+
+  /**
+   * Unsigned aggregate3 transaction running every call; with allowFailure a
+   * failing call does not revert the others
+   * @param {Call[]} calls
+   */
+  async function populateBatch(calls, { allowFailure = true } = {}) {
+    return multicall.aggregate3.populateTransaction(
+      calls.map(call => ({ ...toCall3(call), allowFailure }))
+    );
+  }
+
+  /** Gas estimate for populateBatch(calls) sent by the runner */
+  async function estimateBatch(calls, { allowFailure = true } = {}) {
+    return multicall.aggregate3.estimateGas(
+      calls.map(call => ({ ...toCall3(call), allowFailure }))
+    );
+  }
+
+  return {
+    address,
+    contract: multicall,
+    estimateBatch,
+    populateBatch,
+    read,
+    tryRead
+  };
+}
+
+module.exports = {
+  MULTICALL3_ADDRESS,
+  createMulticall,
+  describeRevert,
+  encodeCall
+};
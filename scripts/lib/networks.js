@@ -0,0 +1,131 @@
+// Named network profiles. Public endpoints live here; private endpoints
+// (anything carrying an API key) come from the network's env file as RPC_URL
+// or a comma-separated RPC_URLS, and are tried before the public ones.
+//
+// Scripts select a network with `--network <name>`, falling back to
+// OSITO_NETWORK and then DEFAULT_NETWORK.
+
+const DEFAULT_NETWORK = 'bepolia';
+
+/**
+ * @typedef {Object} RpcEndpoint
+ * @property {string} url
+ * @property {number} priority Lower is tried first
+ * @property {number} [rateLimit] Max requests per second to this endpoint
+ */
+
+/**
+ * @typedef {Object} NetworkDefinition
+ * @property {number} chainId
+ * @property {RpcEndpoint[]} rpcUrls
+ * @property {string|null} explorer Block-explorer base URL
+ * @property {string|null} subgraph GraphQL endpoint of the hosted subgraph
+ * @property {string} envFile Env file (relative to the repo root) with PRIVATE_KEY / private RPC URLs
+ */
+
+/** @type {Object<string, NetworkDefinition>} */
+const NETWORKS = {
+  anvil: {
+    chainId: 31337,
+    rpcUrls: [{ url: 'http://127.0.0.1:8545', priority: 10 }],
+    explorer: null,
+    subgraph: null,
+    envFile: '.env.local'
+  },
+  bepolia: {
+    chainId: 80069,
+    rpcUrls: [{ url: 'https://bepolia.rpc.berachain.com', priority: 10, rateLimit: 10 }],
+    explorer: 'https://testnet.berascan.com',
+    subgraph: 'https://api.goldsky.com/api/public/project_cmdt3hzm9tc4201z12e277v83/subgraphs/osito-v5-charts/v2/gn',
+    envFile: '.env.testnet'
+  },
+  mainnet: {
+    chainId: 80094,
+    rpcUrls: [{ url: 'https://rpc.berachain.com', priority: 10, rateLimit: 10 }],
+    explorer: 'https://berascan.com',
+    subgraph: null,
+    envFile: '.env.mainnet'
+  }
+};
+
+/**
+ * Split `--network <name>` / `--network=<name>` out of a script's arguments.
+ * @param {string[]} [argv] Defaults to process.argv.slice(2)
+ * @returns {{ network: string|null, args: string[] }} args without the flag
+ */
+function parseNetworkArgs(argv = process.argv.slice(2)) {
+  const args = [];
+  let network = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--network') {
+      network = argv[++i];
+      if (!network) throw new Error('--network requires a value');
+    } else if (arg.startsWith('--network=')) {
+      network = arg.slice('--network='.length);
+    } else {
+      args.push(arg);
+    }
+  }
+  return { network, args };
+}
+
+/**
+ * Value of `--name <value>` or `--name=<value>` in a script's arguments.
+ * @param {string[]} args Arguments, e.g. from parseNetworkArgs()
+ * @param {string} name Flag including the dashes
+ * @returns {string|undefined}
+ */
+function argValue(args, name) {
+  const index = args.indexOf(name);
+  if (index !== -1) return args[index + 1];
+  const inline = args.find(arg => arg.startsWith(`${name}=`));
+  return inline ? inline.slice(name.length + 1) : undefined;
+}
+
+/** Network selected for this process: --network, then OSITO_NETWORK, then the default */
+function selectedNetwork(argv) {
+  return parseNetworkArgs(argv).network || process.env.OSITO_NETWORK || DEFAULT_NETWORK;
+}
+
+/** Definition for a named network */
+function getNetwork(name) {
+  const network = NETWORKS[name];
+  if (!network) {
+    throw new Error(`Unknown network ${name} (known: ${Object.keys(NETWORKS).join(', ')})`);
+  }
+  return network;
+}
+
+/** Endpoints from RPC_URL / RPC_URLS, ahead of every public endpoint */
+function envEndpoints(env) {
+  const urls = [
+    ...(env.RPC_URLS ? env.RPC_URLS.split(',') : []),
+    ...(env.RPC_URL ? [env.RPC_URL] : [])
+  ].map(url => url.trim()).filter(Boolean);
+
+  return [...new Set(urls)].map((url, i) => ({ url, priority: i }));
+}
+
+/**
+ * Explorer link for a profile, e.g. explorerUrl(profile, 'tx', hash).
+ * Returns null on networks without an explorer.
+ * @param {{ explorer: string|null }} profile
+ * @param {'tx'|'address'|'block'|'token'} kind
+ */
+function explorerUrl(profile, kind, value) {
+  if (!profile.explorer) return null;
+  return `${profile.explorer.replace(/\/$/, '')}/${kind}/${value}`;
+}
+
+module.exports = {
+  DEFAULT_NETWORK,
+  NETWORKS,
+  argValue,
+  envEndpoints,
+  explorerUrl,
+  getNetwork,
+  parseNetworkArgs,
+  selectedNetwork
+};
@@ -0,0 +1,212 @@
+const { ethers } = require('ethers');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findDeployment, getDeployment } = require('./addresses');
+const { envEndpoints, getNetwork, selectedNetwork } = require('./networks');
+const { FailoverProvider } = require('./provider');
+const { addSecret } = require('./logger');
+
+// Shared setup for the scripts in this directory: artifact loading, network
+// profile resolution and contract handles. Scripts should require this instead
+// of re-declaring loadABI / provider / wallet.
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const OUT_DIR = path.join(ROOT_DIR, 'out');
+// Runtime state of the bots (pending transactions, keeper history)
+const STATE_DIR = process.env.OSITO_STATE_DIR || path.join(os.homedir(), '.osito');
+
+// Contracts the SDK knows how to build handles for
+const CONTRACTS = [
+  'OsitoLaunchpad',
+  'OsitoPair',
+  'OsitoToken',
+  'FeeRouter',
+  'LendingFactory',
+  'LenderVault',
+  'CollateralVault',
+  'LensLite',
+  'SwapRouter'
+];
+
+// Singleton contracts whose address comes from the network profile
+const PROFILE_CONTRACTS = {
+  launchpad: 'OsitoLaunchpad',
+  lendingFactory: 'LendingFactory',
+  lensLite: 'LensLite',
+  swapRouter: 'SwapRouter'
+};
+
+/**
+ * @typedef {Object} NetworkProfile
+ * @property {string} name
+ * @property {number} chainId
+ * @property {import('./networks').RpcEndpoint[]} rpcUrls Private endpoints first, then public ones
+ * @property {string|null} explorer Block-explorer base URL
+ * @property {string|null} [subgraph] Subgraph GraphQL endpoint (SUBGRAPH_URL overrides the network's)
+ * @property {string} [privateKey]
+ * @property {Object<string, string>} addresses Contract name => address
+ * @property {string|null} [deployment] Name of the deployments/ entry the addresses come from
+ * @property {Object<string, Object>} [pairs] Symbol => { pair, token, feeRouter }
+ * @property {number|null} [deploymentBlock]
+ */
+
+/**
+ * @typedef {Object} OsitoSDK
+ * @property {NetworkProfile} profile
+ * @property {FailoverProvider} provider
+ * @property {ethers.Wallet|null} wallet Signer, or null for read-only profiles
+ * @property {ethers.Contract|null} launchpad OsitoLaunchpad
+ * @property {ethers.Contract|null} lendingFactory LendingFactory
+ * @property {ethers.Contract|null} lensLite LensLite
+ * @property {ethers.Contract|null} swapRouter SwapRouter
+ * @property {(address: string) => ethers.Contract} pair OsitoPair at address
+ * @property {(address: string) => ethers.Contract} token OsitoToken at address
+ * @property {(address: string) => ethers.Contract} feeRouter FeeRouter at address
+ * @property {(address: string) => ethers.Contract} lenderVault LenderVault at address
+ * @property {(address: string) => ethers.Contract} collateralVault CollateralVault at address
+ * @property {(name: string, address: string) => ethers.Contract} contract Any artifact at address
+ */
+
+const artifactCache = new Map();
+
+// Foundry names the output directory after the source file, which does not
+// always match the contract name (src/periphery/lenslite.sol -> LensLite)
+function artifactPath(contractName) {
+  const direct = path.join(OUT_DIR, `${contractName}.sol`, `${contractName}.json`);
+  if (fs.existsSync(direct)) return direct;
+
+  const dir = fs.readdirSync(OUT_DIR).find(entry =>
+    entry.toLowerCase() === `${contractName.toLowerCase()}.sol` &&
+    fs.existsSync(path.join(OUT_DIR, entry, `${contractName}.json`))
+  );
+  if (!dir) throw new Error(`No artifact for ${contractName} in ${OUT_DIR}`);
+  return path.join(OUT_DIR, dir, `${contractName}.json`);
+}
+
+// OSITO_ABI_DIR points at a package built by scripts/generate-abis.js, so
+// bots can pin the same ABI build the frontend ships instead of reading out/
+function artifactFile(contractName) {
+  const abiDir = process.env.OSITO_ABI_DIR;
+  return abiDir ? path.join(abiDir, 'abi', `${contractName}.json`) : artifactPath(contractName);
+}
+
+/** Load a Foundry artifact from out/, or its ABI from OSITO_ABI_DIR (cached) */
+function loadArtifact(contractName) {
+  if (!artifactCache.has(contractName)) {
+    const artifact = JSON.parse(fs.readFileSync(artifactFile(contractName), 'utf8'));
+    artifactCache.set(contractName, artifact);
+  }
+  return artifactCache.get(contractName);
+}
+
+const loadABI = (contractName) => loadArtifact(contractName).abi;
+
+/**
+ * Build the profile for a named network (see ./networks). The network's env
+ * file supplies PRIVATE_KEY and any private RPC endpoints; values already in
+ * process.env take precedence, as with dotenv. Contract addresses come from
+ * the deployments/ address book; the env file's address variables are only
+ * used for chains with no deployment file (e.g. a local anvil).
+ * @param {string} [networkName] Defaults to --network / OSITO_NETWORK / bepolia
+ * @param {Object} [options]
+ * @param {string} [options.deployment] A deployment other than the chain's
+ *   current one, e.g. 'berachain-bepolia' for the pairs launched on it
+ * @returns {NetworkProfile}
+ */
+function loadProfile(networkName = selectedNetwork(), options = {}) {
+  const network = getNetwork(networkName);
+  const envFile = path.join(ROOT_DIR, network.envFile);
+  if (fs.existsSync(envFile)) require('dotenv').config({ path: envFile });
+
+  const env = process.env;
+  if (env.CHAIN_ID && Number(env.CHAIN_ID) !== network.chainId) {
+    throw new Error(`CHAIN_ID ${env.CHAIN_ID} does not match network ${networkName} (${network.chainId})`);
+  }
+  const deployment = options.deployment
+    ? getDeployment(network.chainId, options.deployment)
+    : findDeployment(network.chainId);
+
+  return {
+    name: networkName,
+    chainId: network.chainId,
+    rpcUrls: [...envEndpoints(env), ...network.rpcUrls],
+    explorer: network.explorer,
+    subgraph: env.SUBGRAPH_URL || network.subgraph,
+    privateKey: env.PRIVATE_KEY,
+    addresses: deployment ? { ...deployment.contracts } : {
+      OsitoLaunchpad: env.OSITO_LAUNCHPAD,
+      LendingFactory: env.LENDING_FACTORY,
+      LensLite: env.LENS_LITE,
+      SwapRouter: env.SWAP_ROUTER,
+      WBERA: env.WBERA_ADDRESS,
+      Treasury: env.TREASURY
+    },
+    deployment: deployment ? deployment.name : null,
+    pairs: deployment ? deployment.pairs : {},
+    deploymentBlock: deployment ? deployment.deploymentBlock : null
+  };
+}
+
+/**
+ * Connect to a network profile and return contract handles.
+ * @param {NetworkProfile} [profile] Defaults to loadProfile()
+ * @param {Object} [options]
+ * @param {boolean} [options.readOnly] Do not construct a wallet even if a key is set
+ * @param {Object} [options.provider] Extra FailoverProvider options (retries, timeouts)
+ * @returns {OsitoSDK}
+ */
+function connect(profile = loadProfile(), options = {}) {
+  if (!profile.rpcUrls || profile.rpcUrls.length === 0) {
+    throw new Error(`Network profile ${profile.name} has no RPC endpoints`);
+  }
+
+  // Keep the key and endpoint URLs (which may embed API keys) out of logs
+  addSecret(profile.privateKey);
+  for (const endpoint of profile.rpcUrls) addSecret(typeof endpoint === 'string' ? endpoint : endpoint.url);
+
+  const network = ethers.Network.from(profile.chainId);
+  const provider = new FailoverProvider(profile.rpcUrls, network, {
+    staticNetwork: network,
+    ...options.provider
+  });
+  const wallet = profile.privateKey && !options.readOnly
+    ? new ethers.Wallet(profile.privateKey, provider)
+    : null;
+  const runner = wallet || provider;
+
+  const contract = (contractName, address) => {
+    if (!address) throw new Error(`Missing address for ${contractName}`);
+    return new ethers.Contract(address, loadABI(contractName), runner);
+  };
+
+  const sdk = {
+    profile,
+    provider,
+    wallet,
+    contract,
+    pair: (address) => contract('OsitoPair', address),
+    token: (address) => contract('OsitoToken', address),
+    feeRouter: (address) => contract('FeeRouter', address),
+    lenderVault: (address) => contract('LenderVault', address),
+    collateralVault: (address) => contract('CollateralVault', address)
+  };
+
+  for (const [key, contractName] of Object.entries(PROFILE_CONTRACTS)) {
+    const address = profile.addresses && profile.addresses[contractName];
+    sdk[key] = address ? contract(contractName, address) : null;
+  }
+
+  return sdk;
+}
+
+module.exports = {
+  CONTRACTS,
+  OUT_DIR,
+  ROOT_DIR,
+  STATE_DIR,
+  connect,
+  loadABI,
+  loadArtifact,
+  loadProfile
+};
@@ -0,0 +1,75 @@
+// Bit-exact BigInt port of src/libraries/PMinLib.sol.
+// Every intermediate is rounded exactly as the contract rounds it, and every
+// input that makes the contract revert throws here instead of returning.
+
+const {
+  BASIS_POINTS,
+  MAX_UINT256,
+  MUL_DIV_FAILED,
+  PANIC_ARITHMETIC,
+  PANIC_DIVISION_BY_ZERO,
+  WAD,
+  add,
+  div,
+  mul,
+  mulDiv,
+  sub,
+  toUint
+} = require('./math');
+
+const LIQ_BOUNTY_BPS = 50n; // 0.5%
+
+/**
+ * PMinLib.calculate: average execution price if every TOK outside the pool
+ * were dumped into it, after the swap fee and the liquidation bounty haircut.
+ * @param {bigint|string|number} tokReserves Current TOK reserves (x)
+ * @param {bigint|string|number} qtReserves Current QT reserves (y)
+ * @param {bigint|string|number} tokTotalSupply Total TOK supply (S)
+ * @param {bigint|string|number} feeBps Current swap fee in basis points
+ * @returns {bigint} pMin in WAD (QT per TOK)
+ */
+function calculate(tokReserves, qtReserves, tokTotalSupply, feeBps) {
+  const x = toUint(tokReserves, 'tokReserves');
+  const y = toUint(qtReserves, 'qtReserves');
+  const supply = toUint(tokTotalSupply, 'tokTotalSupply');
+  const fee = toUint(feeBps, 'feeBps');
+
+  // Early return: nothing outside pool
+  if (supply <= x) return 0n;
+
+  // Tokens to dump and effective amount after fees
+  const deltaX = sub(supply, x);
+  const deltaXEff = mulDiv(deltaX, sub(BASIS_POINTS, fee), BASIS_POINTS);
+  const xFinal = add(x, deltaXEff);
+
+  // Constant product k. The multiplication is checked, so an overflowing k
+  // reverts before the contract's own guard is reached.
+  const k = mul(x, y);
+  if (x !== 0n && k / x !== y) return 0n;
+
+  // Quote reserve after dump
+  const yFinal = div(k, xFinal);
+
+  // No output case
+  if (y <= yFinal) return 0n;
+
+  const deltaY = y - yFinal;
+
+  // Average execution price: deltaY / deltaX
+  const pMinGross = mulDiv(deltaY, WAD, deltaX);
+
+  // Liquidation bounty haircut
+  return mulDiv(pMinGross, BASIS_POINTS - LIQ_BOUNTY_BPS, BASIS_POINTS);
+}
+
+module.exports = {
+  BASIS_POINTS,
+  LIQ_BOUNTY_BPS,
+  MAX_UINT256,
+  MUL_DIV_FAILED,
+  PANIC_ARITHMETIC,
+  PANIC_DIVISION_BY_ZERO,
+  WAD,
+  calculate,
+  mulDiv
+};
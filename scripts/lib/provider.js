@@ -0,0 +1,181 @@
+const { ethers } = require('ethers');
+
+// JSON-RPC provider over several endpoints. Each request goes to the
+// highest-priority endpoint that is not cooling down; transport failures,
+// HTTP 429/5xx and provider rate-limit errors move on to the next endpoint,
+// and once a whole pass has failed it is retried with exponential backoff.
+// Ordinary JSON-RPC errors (reverts, bad params) are returned untouched.
+
+const DEFAULT_OPTIONS = {
+  maxAttempts: 4, // passes over the endpoint list
+  backoffMs: 250,
+  maxBackoffMs: 8000,
+  cooldownMs: 30000, // how long a failed endpoint is skipped
+  timeoutMs: 15000
+};
+
+// JSON-RPC error codes providers use for throttling
+const RATE_LIMIT_CODES = new Set([-32005, -32029, 429]);
+const RATE_LIMIT_MESSAGE = /rate.?limit|too many requests|exceeded.*capacity/i;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Endpoints are reported by host only; full URLs often carry an API key
+function endpointLabel(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return 'invalid-url';
+  }
+}
+
+function retryableError(endpoint, message, retryAfterMs = 0) {
+  const error = new Error(`RPC ${endpoint.label}: ${message}`);
+  error.retryable = true;
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+function isRateLimited(item) {
+  return Boolean(item && item.error) &&
+    (RATE_LIMIT_CODES.has(item.error.code) || RATE_LIMIT_MESSAGE.test(item.error.message || ''));
+}
+
+function retryAfterMs(response) {
+  const value = response.headers['retry-after'];
+  return value && /^\d+$/.test(value) ? Number(value) * 1000 : 0;
+}
+
+class FailoverProvider extends ethers.JsonRpcProvider {
+  /**
+   * @param {Array<string|import('./networks').RpcEndpoint>} endpoints
+   * @param {ethers.Networkish} [network]
+   * @param {Object} [options] ethers JsonRpcApiProviderOptions plus
+   *   maxAttempts, backoffMs, maxBackoffMs, cooldownMs and timeoutMs
+   */
+  constructor(endpoints, network, options = {}) {
+    const list = endpoints
+      .map(entry => (typeof entry === 'string' ? { url: entry, priority: 0 } : entry))
+      .map((entry, i) => ({ ...entry, index: i }))
+      .sort((a, b) => (a.priority || 0) - (b.priority || 0) || a.index - b.index);
+    if (list.length === 0) throw new Error('FailoverProvider needs at least one RPC endpoint');
+
+    const { maxAttempts, backoffMs, maxBackoffMs, cooldownMs, timeoutMs, ...providerOptions } = options;
+    super(list[0].url, network, providerOptions);
+
+    this.failoverOptions = {
+      ...DEFAULT_OPTIONS,
+      ...Object.fromEntries(Object.entries({ maxAttempts, backoffMs, maxBackoffMs, cooldownMs, timeoutMs })
+        .filter(([, value]) => value !== undefined))
+    };
+    this.endpoints = list.map(entry => ({
+      url: entry.url,
+      label: endpointLabel(entry.url),
+      priority: entry.priority || 0,
+      rateLimit: entry.rateLimit || 0,
+      nextSlot: 0,
+      cooldownUntil: 0,
+      failures: 0,
+      errors: 0
+    }));
+  }
+
+  /** Health of each endpoint, safe to log (no URLs) */
+  endpointStatus() {
+    const now = Date.now();
+    return this.endpoints.map(endpoint => ({
+      endpoint: endpoint.label,
+      priority: endpoint.priority,
+      failures: endpoint.failures,
+      errors: endpoint.errors,
+      coolingDown: endpoint.cooldownUntil > now
+    }));
+  }
+
+  // Healthy endpoints first, in priority order; endpoints that are cooling
+  // down are still tried last rather than failing outright
+  candidates() {
+    const now = Date.now();
+    const healthy = this.endpoints.filter(endpoint => endpoint.cooldownUntil <= now);
+    const cooling = this.endpoints.filter(endpoint => endpoint.cooldownUntil > now);
+    return [...healthy, ...cooling];
+  }
+
+  // Space requests to stay under an endpoint's requests-per-second limit
+  async throttle(endpoint) {
+    if (!endpoint.rateLimit) return;
+    const now = Date.now();
+    const slot = Math.max(now, endpoint.nextSlot);
+    endpoint.nextSlot = slot + 1000 / endpoint.rateLimit;
+    if (slot > now) await sleep(slot - now);
+  }
+
+  async sendTo(endpoint, payload) {
+    await this.throttle(endpoint);
+
+    const request = new ethers.FetchRequest(endpoint.url);
+    request.timeout = this.failoverOptions.timeoutMs;
+    // 429s are handled here by failing over, not by ethers' in-place retry
+    request.retryFunc = async () => false;
+    request.body = JSON.stringify(payload);
+    request.setHeader('content-type', 'application/json');
+
+    let response;
+    try {
+      response = await request.send();
+    } catch (error) {
+      throw retryableError(endpoint, error.shortMessage || error.message);
+    }
+
+    if (response.statusCode === 429) {
+      throw retryableError(endpoint, 'HTTP 429', retryAfterMs(response));
+    }
+    if (response.statusCode >= 500) {
+      throw retryableError(endpoint, `HTTP ${response.statusCode}`);
+    }
+    response.assertOk();
+
+    let body;
+    try {
+      body = response.bodyJson;
+    } catch (error) {
+      throw retryableError(endpoint, 'invalid JSON response');
+    }
+    const items = Array.isArray(body) ? body : [body];
+    if (items.some(isRateLimited)) throw retryableError(endpoint, 'rate limited');
+    return items;
+  }
+
+  async _send(payload) {
+    const { maxAttempts, backoffMs, maxBackoffMs, cooldownMs } = this.failoverOptions;
+    let lastError;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      if (attempt > 0) {
+        const delay = Math.min(maxBackoffMs, backoffMs * 2 ** (attempt - 1));
+        await sleep(delay / 2 + Math.random() * delay / 2);
+      }
+
+      for (const endpoint of this.candidates()) {
+        try {
+          const result = await this.sendTo(endpoint, payload);
+          endpoint.failures = 0;
+          endpoint.cooldownUntil = 0;
+          return result;
+        } catch (error) {
+          if (!error.retryable) throw error;
+          lastError = error;
+          endpoint.failures++;
+          endpoint.errors++;
+          endpoint.cooldownUntil = Date.now() + Math.max(cooldownMs, error.retryAfterMs);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+module.exports = {
+  FailoverProvider
+};
@@ -0,0 +1,211 @@
+// Offline swap quoting that mirrors src/periphery/SwapRouter.sol. Quotes are
+// computed from a pair snapshot (reserves + currentFeeBps), so any number of
+// sizes can be priced from a single set of RPC reads.
+
+const {
+  BASIS_POINTS,
+  MAX_UINT112,
+  PANIC_ARITHMETIC,
+  WAD,
+  add,
+  div,
+  mul,
+  revertError,
+  sub,
+  toUint
+} = require('./math');
+const pmin = require('./pmin');
+
+/**
+ * @typedef {Object} PairState
+ * @property {bigint} reserve0
+ * @property {bigint} reserve1
+ * @property {boolean} tokIsToken0
+ * @property {bigint} feeBps OsitoPair.currentFeeBps()
+ * @property {bigint} [totalSupply] TOK total supply, needed for pMin
+ * @property {string} [token0]
+ * @property {string} [token1]
+ */
+
+/** SwapRouter._calculateAmountOut */
+function calculateAmountOut(amountIn, reserveIn, reserveOut, feeBps) {
+  const amount = toUint(amountIn, 'amountIn');
+  const rIn = toUint(reserveIn, 'reserveIn', MAX_UINT112);
+  const rOut = toUint(reserveOut, 'reserveOut', MAX_UINT112);
+  const fee = toUint(feeBps, 'feeBps');
+
+  if (amount === 0n) throw revertError('SwapRouter', 'INSUFFICIENT_INPUT_AMOUNT');
+  if (rIn === 0n || rOut === 0n) throw revertError('SwapRouter', 'INSUFFICIENT_LIQUIDITY');
+
+  const amountInWithFee = mul(amount, sub(BASIS_POINTS, fee));
+  const numerator = mul(amountInWithFee, rOut);
+  // reserveIn * 10000 is uint112 arithmetic in the router, as both operands are
+  if (rIn * BASIS_POINTS > MAX_UINT112) throw revertError('SwapRouter', PANIC_ARITHMETIC);
+  const denominator = add(rIn * BASIS_POINTS, amountInWithFee);
+  return div(numerator, denominator);
+}
+
+/**
+ * Smallest amountIn for which calculateAmountOut returns at least amountOut.
+ * The inverse of the router formula, rounded up.
+ */
+function calculateAmountIn(amountOut, reserveIn, reserveOut, feeBps) {
+  const amount = toUint(amountOut, 'amountOut');
+  const rIn = toUint(reserveIn, 'reserveIn', MAX_UINT112);
+  const rOut = toUint(reserveOut, 'reserveOut', MAX_UINT112);
+  const fee = toUint(feeBps, 'feeBps');
+
+  if (amount === 0n) throw revertError('SwapRouter', 'INSUFFICIENT_OUTPUT_AMOUNT');
+  // OsitoPair.swap requires amountOut < reserve
+  if (rIn === 0n || amount >= rOut) throw revertError('OsitoPair', 'INSUFFICIENT_LIQUIDITY');
+  if (fee >= BASIS_POINTS) throw revertError('SwapRouter', 'INSUFFICIENT_OUTPUT_AMOUNT');
+  // No input gets past the router's uint112 reserveIn * 10000
+  if (rIn * BASIS_POINTS > MAX_UINT112) throw revertError('SwapRouter', PANIC_ARITHMETIC);
+
+  // floor(a * f * rOut / (rIn * 10000 + a * f)) >= out
+  //   <=> a >= out * rIn * 10000 / (f * (rOut - out))
+  const numerator = amount * rIn * BASIS_POINTS;
+  const denominator = (BASIS_POINTS - fee) * (rOut - amount);
+  return (numerator + denominator - 1n) / denominator;
+}
+
+/** TOK / QT reserves of a pair snapshot */
+function tokQtReserves(state) {
+  const r0 = BigInt(state.reserve0);
+  const r1 = BigInt(state.reserve1);
+  return state.tokIsToken0
+    ? { rTok: r0, rQt: r1 }
+    : { rTok: r1, rQt: r0 };
+}
+
+/** SwapRouter.getAmountOut(pair, amountIn, tokIn) */
+function getAmountOut(state, amountIn, tokIn) {
+  const { rTok, rQt } = tokQtReserves(state);
+  return tokIn
+    ? calculateAmountOut(amountIn, rTok, rQt, state.feeBps)
+    : calculateAmountOut(amountIn, rQt, rTok, state.feeBps);
+}
+
+/** SwapRouter.getAmountsOut(amountIn, path, pair) */
+function getAmountsOut(state, amountIn, path) {
+  if (path.length !== 2) throw revertError('SwapRouter', 'InvalidPath');
+
+  const tokAddress = state.tokIsToken0 ? state.token0 : state.token1;
+  if (!tokAddress) throw new Error('Pair state has no token0/token1 addresses');
+
+  const tokIn = path[0].toLowerCase() === tokAddress.toLowerCase();
+  return [BigInt(amountIn), getAmountOut(state, amountIn, tokIn)];
+}
+
+/** QT per TOK in WAD, as LensLite reports spotPrice */
+function spotPrice(rTok, rQt) {
+  return rTok > 0n ? rQt * WAD / rTok : 0n;
+}
+
+/**
+ * Full exact-input quote: output, execution price, price impact and the
+ * post-trade spot price.
+ * @param {PairState} state
+ * @param {bigint} amountIn
+ * @param {boolean} tokIn True for TOK -> QT, false for QT -> TOK
+ */
+function quoteExactIn(state, amountIn, tokIn) {
+  const amount = BigInt(amountIn);
+  const amountOut = getAmountOut(state, amount, tokIn);
+  const { rTok, rQt } = tokQtReserves(state);
+
+  const rTokAfter = tokIn ? rTok + amount : rTok - amountOut;
+  const rQtAfter = tokIn ? rQt - amountOut : rQt + amount;
+
+  const tokAmount = tokIn ? amount : amountOut;
+  const qtAmount = tokIn ? amountOut : amount;
+
+  const spotBefore = spotPrice(rTok, rQt);
+  const spotAfter = spotPrice(rTokAfter, rQtAfter);
+  const executionPrice = tokAmount > 0n ? qtAmount * WAD / tokAmount : 0n;
+
+  // Buys execute above spot and sells below it; both are reported as a positive cost
+  const diff = executionPrice > spotBefore ? executionPrice - spotBefore : spotBefore - executionPrice;
+  const priceImpactBps = spotBefore > 0n ? diff * BASIS_POINTS / spotBefore : 0n;
+
+  // A swap changes neither supply nor fee, only the reserves pMin is taken from
+  const pMinAfter = state.totalSupply !== undefined
+    ? pmin.calculate(rTokAfter, rQtAfter, state.totalSupply, state.feeBps)
+    : null;
+
+  return {
+    amountIn: amount,
+    amountOut,
+    tokIn,
+    feeBps: BigInt(state.feeBps),
+    executionPrice,
+    spotPriceBefore: spotBefore,
+    spotPriceAfter: spotAfter,
+    priceImpactBps,
+    pMinAfter,
+    reservesAfter: state.tokIsToken0
+      ? { reserve0: rTokAfter, reserve1: rQtAfter }
+      : { reserve0: rQtAfter, reserve1: rTokAfter }
+  };
+}
+
+/**
+ * Exact-output quote: the input needed to receive at least `amountOut`,
+ * plus everything quoteExactIn reports for that input. The realised output
+ * can exceed the request by the rounding of a single input wei.
+ * @param {PairState} state
+ * @param {bigint} amountOut Desired output
+ * @param {boolean} tokIn True for TOK -> QT, false for QT -> TOK (buying TOK)
+ */
+function quoteExactOut(state, amountOut, tokIn) {
+  const { rTok, rQt } = tokQtReserves(state);
+  const amountIn = tokIn
+    ? calculateAmountIn(amountOut, rTok, rQt, state.feeBps)
+    : calculateAmountIn(amountOut, rQt, rTok, state.feeBps);
+
+  return {
+    ...quoteExactIn(state, amountIn, tokIn),
+    amountOutRequested: BigInt(amountOut)
+  };
+}
+
+/** amountOutMin for a quoted output and a slippage tolerance in bps */
+function minAmountOut(amountOut, slippageBps) {
+  return BigInt(amountOut) * (BASIS_POINTS - BigInt(slippageBps)) / BASIS_POINTS;
+}
+
+/**
+ * Snapshot an OsitoPair handle into a PairState
+ * @param {Object} [options]
+ * @param {string|number} [options.blockTag]
+ * @param {(address: string) => Object} [options.tokenAt] Token handle factory; when set, totalSupply is read too
+ */
+async function fetchPairState(pair, options = {}) {
+  const overrides = options.blockTag !== undefined ? { blockTag: options.blockTag } : {};
+  const [[reserve0, reserve1], tokIsToken0, feeBps, token0, token1] = await Promise.all([
+    pair.getReserves(overrides),
+    pair.tokIsToken0(overrides),
+    pair.currentFeeBps(overrides),
+    pair.token0(overrides),
+    pair.token1(overrides)
+  ]);
+  const state = { reserve0, reserve1, tokIsToken0, feeBps, token0, token1 };
+
+  if (options.tokenAt) {
+    state.totalSupply = await options.tokenAt(tokIsToken0 ? token0 : token1).totalSupply(overrides);
+  }
+  return state;
+}
+
+module.exports = {
+  calculateAmountIn,
+  calculateAmountOut,
+  fetchPairState,
+  getAmountOut,
+  getAmountsOut,
+  minAmountOut,
+  quoteExactIn,
+  quoteExactOut,
+  spotPrice,
+  tokQtReserves
+};
@@ -0,0 +1,205 @@
+const { ethers } = require('ethers');
+const { CONTRACTS, loadABI } = require('./osito');
+
+// One decoder for every event and custom error the Osito contracts define,
+// so scripts stop trying one contract interface after another. Events are
+// matched by topic alone: the emitting address does not have to be known,
+// and a log only decodes if its data and indexed topics fit the ABI.
+
+/**
+ * @typedef {Object} DecodedEvent
+ * @property {string} address Emitting contract
+ * @property {number} logIndex
+ * @property {string} name e.g. 'FeesCollected'
+ * @property {string} signature e.g. 'FeesCollected(uint256,uint256)'
+ * @property {Object<string, *>} args Named arguments (bigints for integers)
+ */
+
+/**
+ * @typedef {Object} DecodedError
+ * @property {string} name e.g. 'MarketExists', or 'Error' / 'Panic' for the builtins
+ * @property {string} signature
+ * @property {Object<string, *>} args Named arguments; positional ('0', ...) when unnamed
+ */
+
+/**
+ * @typedef {Object} TxSummary
+ * @property {string} txHash
+ * @property {number} block
+ * @property {string} from
+ * @property {string|null} to
+ * @property {boolean} success
+ * @property {bigint} gasUsed
+ * @property {bigint} gasCost gasUsed at the effective gas price, in wei
+ * @property {DecodedEvent[]} events Every decoded log, in order
+ * @property {ethers.Log[]} unknown Logs no Osito ABI matches
+ * @property {Array<{ feeRouter: string, tokBurned: bigint, qtCollected: bigint }>} feesCollected
+ * @property {Array<{ pair: string, sender: string, amount0: bigint, amount1: bigint }>} mints OsitoPair Mint
+ * @property {Array<{ pair: string, sender: string, to: string, amount0: bigint, amount1: bigint }>} burns OsitoPair Burn
+ * @property {Array<{ pair: string, sender: string, to: string, amount0In: bigint, amount1In: bigint, amount0Out: bigint, amount1Out: bigint }>} swaps
+ * @property {Array<{ pair: string, reserve0: bigint, reserve1: bigint }>} syncs
+ * @property {Array<{ launchpad: string, token: string, pair: string, feeRouter: string, name: string, symbol: string, supply: bigint, metadataURI: string }>} launches
+ * @property {Array<{ lendingFactory: string, pair: string, lenderVault: string, collateralVault: string, marketIndex: bigint }>} markets
+ * @property {Array<{ collateralVault: string, event: 'PositionOpened'|'PositionClosed'|'Recovered', account: string }>} positions
+ *   Plus the event's amounts: collateral/debt, repaid, or collateralSwapped/debtRepaid/bonus
+ * @property {Array<{ token: string, from: string, amount: bigint, kind: 'token'|'lp'|'shares' }>} tokenBurns
+ *   ERC20 Transfers to the zero address. kind is inferred from the other logs
+ *   of the same contract: a pair (Mint/Burn/Swap/Sync) burns LP, a LenderVault
+ *   (Deposit/Withdraw) burns shares, anything else is a token burn (TOK).
+ */
+
+// Event name => summary list and the name its emitting address goes under
+const GROUPS = {
+  FeesCollected: ['feesCollected', 'feeRouter'],
+  Mint: ['mints', 'pair'],
+  Burn: ['burns', 'pair'],
+  Swap: ['swaps', 'pair'],
+  Sync: ['syncs', 'pair'],
+  TokenLaunched: ['launches', 'launchpad'],
+  MarketCreated: ['markets', 'lendingFactory'],
+  PositionOpened: ['positions', 'collateralVault'],
+  PositionClosed: ['positions', 'collateralVault'],
+  Recovered: ['positions', 'collateralVault']
+};
+const PAIR_EVENTS = new Set(['Mint', 'Burn', 'Swap', 'Sync']);
+const VAULT_EVENTS = new Set(['Deposit', 'Withdraw']);
+
+let ositoInterface = null;
+
+/**
+ * Every event and error of the Osito contracts in one interface (built on
+ * first use). Fragments shared by several contracts, such as the ERC20
+ * Transfer, appear once.
+ * @returns {ethers.Interface}
+ */
+function getOsitoInterface() {
+  if (!ositoInterface) {
+    const fragments = new Map();
+    for (const contractName of CONTRACTS) {
+      for (const fragment of ethers.Interface.from(loadABI(contractName)).fragments) {
+        if (fragment.type !== 'event' && fragment.type !== 'error') continue;
+        fragments.set(`${fragment.type} ${fragment.format('sighash')}`, fragment);
+      }
+    }
+    ositoInterface = new ethers.Interface([...fragments.values()]);
+  }
+  return ositoInterface;
+}
+
+// Result => plain object keyed by parameter name
+function namedArgs(fragment, values) {
+  return Object.fromEntries(fragment.inputs.map((input, i) => [input.name || String(i), values[i]]));
+}
+
+/**
+ * Decode one log against every Osito event
+ * @param {{ address: string, topics: string[], data: string, index?: number }} log
+ * @returns {DecodedEvent|null} null when no Osito event matches
+ */
+function decodeLog(log) {
+  let parsed;
+  try {
+    parsed = getOsitoInterface().parseLog(log);
+  } catch (error) {
+    // Known topic, but the log does not fit it (e.g. a foreign event with
+    // the same signature and different indexing)
+    return null;
+  }
+  if (!parsed) return null;
+  return {
+    address: ethers.getAddress(log.address),
+    logIndex: log.index !== undefined ? log.index : log.logIndex,
+    name: parsed.name,
+    signature: parsed.signature,
+    args: namedArgs(parsed.fragment, parsed.args)
+  };
+}
+
+/**
+ * Decode revert data against every Osito custom error and the builtin
+ * Error(string) / Panic(uint256)
+ * @param {string} data
+ * @returns {DecodedError|null} null for empty or unknown data
+ */
+function decodeError(data) {
+  if (!data || data === '0x') return null;
+  try {
+    const parsed = getOsitoInterface().parseError(data);
+    if (!parsed) return null;
+    return { name: parsed.name, signature: parsed.signature, args: namedArgs(parsed.fragment, parsed.args) };
+  } catch (error) {
+    // Matching selector but undecodable arguments
+    return null;
+  }
+}
+
+/**
+ * Short reason for revert data: the message of an Error(string), otherwise
+ * e.g. 'MarketExists()' or 'Panic(17)'
+ * @param {string} data
+ */
+function describeError(data) {
+  if (!data || data === '0x') return 'reverted without data';
+  const decoded = decodeError(data);
+  if (!decoded) return `reverted with ${data.slice(0, 10)}`;
+  const values = Object.values(decoded.args);
+  if (decoded.name === 'Error') return String(values[0]);
+  return `${decoded.name}(${values.map(String).join(', ')})`;
+}
+
+/**
+ * Typed summary of everything a transaction emitted
+ * @param {ethers.TransactionReceipt} receipt
+ * @returns {TxSummary}
+ */
+function decodeReceipt(receipt) {
+  const summary = {
+    txHash: receipt.hash,
+    block: receipt.blockNumber,
+    from: receipt.from,
+    to: receipt.to,
+    success: receipt.status === 1,
+    gasUsed: receipt.gasUsed,
+    gasCost: receipt.gasUsed * (receipt.gasPrice || 0n),
+    events: [],
+    unknown: [],
+    feesCollected: [],
+    mints: [],
+    burns: [],
+    swaps: [],
+    syncs: [],
+    launches: [],
+    markets: [],
+    positions: [],
+    tokenBurns: []
+  };
+
+  for (const log of receipt.logs) {
+    const event = decodeLog(log);
+    if (event) summary.events.push(event);
+    else summary.unknown.push(log);
+  }
+
+  const emitted = (address, names) => summary.events.some(event => event.address === address && names.has(event.name));
+  for (const event of summary.events) {
+    const group = GROUPS[event.name];
+    if (group) {
+      const [list, addressField] = group;
+      const entry = { [addressField]: event.address, ...event.args };
+      if (list === 'positions') entry.event = event.name;
+      summary[list].push(entry);
+    } else if (event.name === 'Transfer' && event.args.to === ethers.ZeroAddress) {
+      const kind = emitted(event.address, PAIR_EVENTS) ? 'lp' : emitted(event.address, VAULT_EVENTS) ? 'shares' : 'token';
+      summary.tokenBurns.push({ token: event.address, from: event.args.from, amount: event.args.amount, kind });
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  decodeError,
+  decodeLog,
+  decodeReceipt,
+  describeError,
+  getOsitoInterface
+};
@@ -0,0 +1,232 @@
+const { ethers } = require('ethers');
+const { fetchAllMarkets } = require('./lens');
+const { pairCandles, priceFromReserves } = require('./candles');
+
+// Reconciles the hosted subgraph with the chain. For every pair it compares
+// the subgraph's lastPrice, swapCount and candles with the pair reserves,
+// LensLite.spotPrice and the local event index (./indexdb), all read at the
+// block the subgraph has indexed up to, and names the likely cause of each
+// divergence:
+//
+//   inverted token order  the subgraph price is TOK per QT (1 / price)
+//   wei scaling           off by an exact power of ten, e.g. a 1e18-scaled
+//                         value read as a decimal or the reverse
+//   missing swaps         the subgraph saw fewer Swap events than the chain
+//
+// Prices are QT per TOK scaled by 1e18, as LensLite.spotPrice; the
+// subgraph's are read in the same unit.
+
+const DEFAULT_TOLERANCE_BPS = 50;
+const DEFAULT_CANDLE_COUNT = 24;
+
+/**
+ * @typedef {Object} Divergence
+ * @property {string} pair
+ * @property {string|null} symbol
+ * @property {string} check e.g. 'lastPrice vs reserves', 'candle 2024-01-01T00:00:00.000Z close'
+ * @property {string|null} subgraph Value on the subgraph
+ * @property {string|null} chain Value on the chain / index
+ * @property {number|null} ratio subgraph / chain
+ * @property {string} cause
+ */
+
+/**
+ * @typedef {Object} Reconciliation
+ * @property {number} block Block the subgraph has indexed, where everything was read
+ * @property {number} pairs Pairs compared
+ * @property {number} checks Comparisons made
+ * @property {Divergence[]} divergences
+ * @property {string[]} skipped Checks not made, and why
+ */
+
+const near = (value, target, tolerance) => Math.abs(value / target - 1) <= tolerance;
+
+/**
+ * Why a subgraph value differs from the chain's, or null when they agree
+ * within the tolerance
+ * @param {string|number} subgraphValue
+ * @param {bigint} chainValue
+ * @param {Object} options
+ * @param {number} options.toleranceBps
+ * @param {boolean} [options.price] Also test for an inverted price
+ * @param {{ subgraph: number, chain: number }} [options.swaps] Swap counts, when known
+ * @returns {string|null}
+ */
+function classify(subgraphValue, chainValue, options) {
+  const tolerance = options.toleranceBps / 10000;
+  const value = Number(subgraphValue);
+  const expected = Number(chainValue);
+  if (!Number.isFinite(value)) return `unparseable subgraph value ${subgraphValue}`;
+  if (expected === 0 || value === 0) return value === expected ? null : 'unexplained';
+
+  const ratio = value / expected;
+  if (near(ratio, 1, tolerance)) return null;
+
+  const powerOfTen = (r) => {
+    const exponent = Math.round(Math.log10(r));
+    return exponent !== 0 && near(r, 10 ** exponent, tolerance) ? exponent : null;
+  };
+  const scaled = powerOfTen(ratio);
+  if (scaled !== null) return `wei scaling (x1e${scaled})`;
+
+  if (options.price) {
+    // TOK per QT at the same 1e18 scale
+    const inverted = value / (1e36 / expected);
+    if (near(inverted, 1, tolerance)) return 'inverted token order';
+    const invertedScaled = powerOfTen(inverted);
+    if (invertedScaled !== null) return `inverted token order and wei scaling (x1e${invertedScaled})`;
+  }
+
+  if (options.swaps && options.swaps.subgraph < options.swaps.chain) {
+    return `missing swaps (subgraph has ${options.swaps.subgraph} of ${options.swaps.chain})`;
+  }
+  return 'unexplained';
+}
+
+/**
+ * Compare the subgraph with the chain and the local index
+ * @param {Object} sources
+ * @param {ReturnType<import('./osito').connect>} sources.osito
+ * @param {ReturnType<import('./subgraph').createSubgraphClient>} sources.subgraph
+ * @param {ReturnType<import('./indexdb').openIndexDb>|null} [sources.index] Without it
+ *   swap counts and candles are not checked
+ * @param {Object} [options]
+ * @param {number} [options.toleranceBps] Relative difference tolerated (default 50 = 0.5%)
+ * @param {string} [options.resolution] Candle resolution of the subgraph (default 1h)
+ * @param {number} [options.candleCount] Most recent subgraph candles compared per pair
+ * @returns {Promise<Reconciliation>}
+ */
+async function reconcile(sources, options = {}) {
+  const { osito, subgraph, index } = sources;
+  const toleranceBps = options.toleranceBps !== undefined ? options.toleranceBps : DEFAULT_TOLERANCE_BPS;
+  const resolution = options.resolution || '1h';
+  const candleCount = options.candleCount || DEFAULT_CANDLE_COUNT;
+
+  const block = await subgraph.indexedBlock();
+  const divergences = [];
+  const skipped = [];
+  let checks = 0;
+
+  // Compare one value, recording a divergence with its likely cause
+  const compare = (entry, check, subgraphValue, chainValue, classifyOptions = {}) => {
+    checks++;
+    const cause = classify(subgraphValue, chainValue, { toleranceBps, ...classifyOptions });
+    if (cause === null) return;
+    const ratio = Number(chainValue) === 0 ? null : Number(subgraphValue) / Number(chainValue);
+    divergences.push({
+      pair: entry.pair,
+      symbol: entry.symbol,
+      check,
+      subgraph: String(subgraphValue),
+      chain: String(chainValue),
+      ratio: Number.isFinite(ratio) ? ratio : null,
+      cause
+    });
+  };
+  const diverge = (entry, check, cause, values = {}) => {
+    checks++;
+    divergences.push({ pair: entry.pair, symbol: entry.symbol, check, subgraph: null, chain: null, ratio: null, cause, ...values });
+  };
+  const compareSwapCount = (entry, check, subgraphCount, chainCount) => {
+    if (subgraphCount === chainCount) {
+      checks++;
+      return;
+    }
+    diverge(entry, check, subgraphCount < chainCount
+      ? `missing swaps (subgraph has ${subgraphCount} of ${chainCount})`
+      : 'subgraph counts swaps the chain does not have', {
+      subgraph: String(subgraphCount),
+      chain: String(chainCount),
+      ratio: chainCount === 0 ? null : subgraphCount / chainCount
+    });
+  };
+
+  // Every pair either side knows about, keyed by lowercase address
+  const entries = new Map();
+  const entryFor = (address) => {
+    const key = address.toLowerCase();
+    if (!entries.has(key)) entries.set(key, { pair: ethers.getAddress(key), symbol: null, subgraph: null, market: null });
+    return entries.get(key);
+  };
+  for (const pair of await subgraph.pairs()) entryFor(pair.id).subgraph = pair;
+  if (osito.lensLite) {
+    for (const market of await fetchAllMarkets(osito.lensLite, { blockTag: block })) {
+      const entry = entryFor(market.core);
+      entry.market = market;
+      entry.symbol = market.symbol;
+    }
+  } else {
+    skipped.push('LensLite spotPrice: no LensLite address for this network');
+  }
+  for (const [symbol, pair] of Object.entries(osito.profile.pairs || {})) {
+    const entry = entryFor(pair.pair);
+    entry.symbol = entry.symbol || symbol;
+  }
+
+  const indexReady = Boolean(index) && index.nextBlock() > block;
+  if (index && !indexReady) skipped.push(`swap counts and candles: index at block ${index.nextBlock() - 1}, behind the subgraph (${block})`);
+  if (!index) skipped.push('swap counts and candles: no event index');
+  if (indexReady) {
+    for (const pair of index.pairs()) {
+      if (pair.launchBlock === null || pair.launchBlock > block) continue;
+      const entry = entryFor(pair.pair);
+      entry.symbol = entry.symbol || pair.symbol;
+    }
+  }
+
+  for (const entry of entries.values()) {
+    const pair = osito.pair(entry.pair);
+    let reserves;
+    let tokIsToken0;
+    try {
+      [reserves, tokIsToken0] = await Promise.all([pair.getReserves({ blockTag: block }), pair.tokIsToken0({ blockTag: block })]);
+    } catch (error) {
+      diverge(entry, 'pair on chain', `not an OsitoPair at block ${block}`);
+      continue;
+    }
+    const reservesPrice = priceFromReserves(reserves[0], reserves[1], tokIsToken0);
+
+    if (!entry.subgraph) {
+      diverge(entry, 'pair on subgraph', 'missing from the subgraph', { chain: String(reservesPrice) });
+      continue;
+    }
+    const indexed = indexReady ? index.pair(entry.pair) : null;
+    const swaps = indexed
+      ? { subgraph: Number(entry.subgraph.swapCount), chain: index.events({ address: entry.pair, name: 'Swap', toBlock: block }).length }
+      : undefined;
+
+    if (reservesPrice !== null) compare(entry, 'lastPrice vs reserves', entry.subgraph.lastPrice, reservesPrice, { price: true, swaps });
+    if (entry.market) compare(entry, 'lastPrice vs LensLite spotPrice', entry.subgraph.lastPrice, entry.market.spotPrice, { price: true, swaps });
+
+    if (!indexed) {
+      if (indexReady) skipped.push(`swap count and candles of ${entry.pair}: not in the index`);
+      continue;
+    }
+    compareSwapCount(entry, 'swapCount vs index', swaps.subgraph, swaps.chain);
+
+    // Only the close is compared: the subgraph may open a candle at its
+    // first trade, ours open at the previous close
+    const local = new Map(pairCandles(index, entry.pair, { resolution, toBlock: block }).map(candle => [candle.timestamp, candle]));
+    for (const candle of await subgraph.candles(entry.pair, candleCount)) {
+      const ours = local.get(Number(candle.timestamp));
+      const label = `candle ${new Date(Number(candle.timestamp) * 1000).toISOString()}`;
+      if (!ours) {
+        diverge(entry, label, `no ${resolution} candle at this time in the index (different resolution?)`);
+        continue;
+      }
+      const candleSwaps = { subgraph: Number(candle.swapCount), chain: ours.swapCount };
+      compare(entry, `${label} close`, candle.close, ours.close, { price: true, swaps: candleSwaps });
+      compare(entry, `${label} volume`, candle.volume, ours.volume, { swaps: candleSwaps });
+      compareSwapCount(entry, `${label} swapCount`, candleSwaps.subgraph, candleSwaps.chain);
+    }
+  }
+
+  return { block, pairs: entries.size, checks, divergences, skipped };
+}
+
+module.exports = {
+  DEFAULT_CANDLE_COUNT,
+  DEFAULT_TOLERANCE_BPS,
+  classify,
+  reconcile
+};
@@ -0,0 +1,177 @@
+const { ethers } = require('ethers');
+const { WAD, BASIS_POINTS } = require('./math');
+
+// Model of CollateralVault.recover(): which positions are recoverable and
+// how the swapped collateral is split between debt repayment, the caller's
+// bonus, lender profit and loss absorbed by LenderVault. recover() returns
+// nothing, so the amounts come from here; staticCall only confirms it would
+// not revert.
+
+const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+const GRACE_PERIOD = 72n * 60n * 60n;
+const RECOVERY_BONUS_BPS = 100n;
+
+/**
+ * @typedef {Object} Position
+ * @property {string} account
+ * @property {bigint} collateral collateralBalances(account)
+ * @property {bigint} principal accountBorrows(account).principal
+ * @property {bigint} interestIndex accountBorrows(account).interestIndex
+ * @property {bigint} lastHealthy accountBorrows(account).lastHealthy
+ * @property {boolean} healthy isPositionHealthy(account)
+ */
+
+/**
+ * LenderVault.borrowIndex after _accrue() at `timestamp`
+ * @param {{ borrowIndex: bigint, borrowRate: bigint, lastAccrueTime: bigint }} lender
+ */
+function accruedBorrowIndex(lender, timestamp) {
+  const now = BigInt(timestamp);
+  const last = BigInt(lender.lastAccrueTime);
+  if (now <= last) return BigInt(lender.borrowIndex);
+
+  const interestFactor = BigInt(lender.borrowRate) * (now - last) / SECONDS_PER_YEAR;
+  return BigInt(lender.borrowIndex) + BigInt(lender.borrowIndex) * interestFactor / WAD;
+}
+
+/** Debt with interest, as CollateralVault computes it */
+function currentDebt(position, borrowIndex) {
+  const principal = BigInt(position.principal);
+  const interestIndex = BigInt(position.interestIndex);
+  return interestIndex === 0n ? principal : principal * BigInt(borrowIndex) / interestIndex;
+}
+
+/**
+ * Why a position cannot be recovered at `timestamp`, or null if it can.
+ * Mirrors the require()s at the top of recover().
+ */
+function recoverBlocker(position, timestamp) {
+  if (BigInt(position.principal) === 0n) return 'no debt';
+  if (position.healthy) return 'position healthy';
+  const graceEnd = BigInt(position.lastHealthy) + GRACE_PERIOD;
+  if (BigInt(timestamp) < graceEnd) return `grace period ends in ${graceEnd - BigInt(timestamp)}s`;
+  if (BigInt(position.collateral) === 0n) return 'no collateral';
+  return null;
+}
+
+/**
+ * Predicted outcome of recover(account)
+ * @param {Position} position
+ * @param {{ rTok: bigint, rQt: bigint }} reserves Pair reserves before the swap
+ * @param {bigint} debt Debt at the recovery block, see currentDebt()
+ */
+function predictRecover(position, reserves, debt) {
+  const collateral = BigInt(position.collateral);
+  const rTok = BigInt(reserves.rTok);
+  const rQt = BigInt(reserves.rQt);
+
+  // Constant-product output without the swap fee
+  const qtOut = collateral * rQt / (rTok + collateral);
+  const repaid = qtOut > debt ? debt : qtOut;
+  const loss = debt - repaid;
+  const excess = qtOut > debt ? qtOut - debt : 0n;
+  const bonus = excess * RECOVERY_BONUS_BPS / BASIS_POINTS;
+
+  return {
+    qtOut,
+    debt,
+    repaid,
+    loss,
+    bonus,
+    lenderProfit: excess - bonus,
+    // recover(): DUST_POSITION
+    dust: qtOut === 0n
+  };
+}
+
+/**
+ * Recover or skip, with the reason.
+ *
+ * A position only pays a bonus while its collateral is worth more than its
+ * debt; once it is underwater the bonus is 0 and no gas price makes it pay.
+ * With policy.protectLenders the bot recovers such positions at its own
+ * cost, as long as what lenders get back is worth the gas (repaid at least
+ * minProfitMultiple x the gas cost, and the gas cost within maxProtectCost).
+ * Waiting only lets the loss grow as interest accrues.
+ * @param {ReturnType<typeof predictRecover>} prediction
+ * @param {{ gasEstimate: bigint, gasPrice: bigint }} cost
+ * @param {{ minBonus: bigint, maxGasPrice: bigint|null, minProfitMultiple: bigint, protectLenders?: boolean, maxProtectCost?: bigint|null }} policy
+ */
+function decideRecover(prediction, cost, policy) {
+  const gasCost = BigInt(cost.gasEstimate) * BigInt(cost.gasPrice);
+  const skip = (reason) => ({ recover: false, reason, gasCost });
+  const fmt = ethers.formatEther;
+
+  if (prediction.dust) return skip('dust position');
+  if (policy.maxGasPrice !== null && BigInt(cost.gasPrice) > policy.maxGasPrice) {
+    return skip(`gas price ${ethers.formatUnits(cost.gasPrice, 'gwei')} gwei above max ${ethers.formatUnits(policy.maxGasPrice, 'gwei')} gwei`);
+  }
+
+  let unprofitable = null;
+  if (prediction.bonus < policy.minBonus) {
+    unprofitable = `bonus ${fmt(prediction.bonus)} below min ${fmt(policy.minBonus)}`;
+  } else if (prediction.bonus < gasCost * policy.minProfitMultiple) {
+    unprofitable = `bonus ${fmt(prediction.bonus)} below ${policy.minProfitMultiple}x gas cost ${fmt(gasCost)}`;
+  }
+  if (unprofitable === null) {
+    return {
+      recover: true,
+      reason: `bonus ${fmt(prediction.bonus)} covers gas cost ${fmt(gasCost)}`,
+      gasCost
+    };
+  }
+
+  if (!policy.protectLenders) return skip(unprofitable);
+  const maxProtectCost = policy.maxProtectCost === undefined ? null : policy.maxProtectCost;
+  if (maxProtectCost !== null && gasCost > maxProtectCost) {
+    return skip(`${unprofitable}; gas cost above max ${fmt(maxProtectCost)} to protect lenders`);
+  }
+  if (prediction.repaid < gasCost * policy.minProfitMultiple) {
+    return skip(`${unprofitable}; repaid ${fmt(prediction.repaid)} below ${policy.minProfitMultiple}x gas cost ${fmt(gasCost)}`);
+  }
+  const netCost = gasCost > prediction.bonus ? gasCost - prediction.bonus : 0n;
+  return {
+    recover: true,
+    reason: `protecting lenders at a cost of ${fmt(netCost)}: repays ${fmt(prediction.repaid)}, lenders lose ${fmt(prediction.loss)}`,
+    gasCost
+  };
+}
+
+/**
+ * Read a position from a CollateralVault
+ * @returns {Promise<Position>}
+ */
+async function fetchPosition(collateralVault, account, blockTag) {
+  const overrides = blockTag !== undefined ? { blockTag } : {};
+  const [collateral, [principal, interestIndex, lastHealthy], healthy] = await Promise.all([
+    collateralVault.collateralBalances(account, overrides),
+    collateralVault.accountBorrows(account, overrides),
+    collateralVault.isPositionHealthy(account, overrides)
+  ]);
+  return { account, collateral, principal, interestIndex, lastHealthy, healthy };
+}
+
+/**
+ * Read the LenderVault values accruedBorrowIndex() needs
+ */
+async function fetchLenderState(lenderVault, blockTag) {
+  const overrides = blockTag !== undefined ? { blockTag } : {};
+  const [borrowIndex, borrowRate, lastAccrueTime] = await Promise.all([
+    lenderVault.borrowIndex(overrides),
+    lenderVault.borrowRate(overrides),
+    lenderVault.lastAccrueTime(overrides)
+  ]);
+  return { borrowIndex, borrowRate, lastAccrueTime };
+}
+
+module.exports = {
+  GRACE_PERIOD,
+  RECOVERY_BONUS_BPS,
+  accruedBorrowIndex,
+  currentDebt,
+  decideRecover,
+  fetchLenderState,
+  fetchPosition,
+  predictRecover,
+  recoverBlocker
+};
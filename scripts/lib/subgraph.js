@@ -0,0 +1,126 @@
+// Minimal client for the hosted Osito subgraph (see testSubgraph.js for the
+// schema): the indexed block, pairs with lastPrice / swapCount, and candles.
+// Values come back as the subgraph returns them, numbers as strings.
+
+const DEFAULT_TIMEOUT_MS = 15000;
+// The graph-node maximum for `first`
+const PAGE_SIZE = 1000;
+
+/**
+ * @typedef {Object} SubgraphPair
+ * @property {string} id Pair address, lowercase
+ * @property {string} token0
+ * @property {string} token1
+ * @property {string} token0Symbol
+ * @property {string} token1Symbol
+ * @property {string} lastPrice
+ * @property {string} swapCount
+ */
+
+/**
+ * @typedef {Object} SubgraphCandle
+ * @property {string} timestamp Bucket start, unix seconds
+ * @property {string} open
+ * @property {string} high
+ * @property {string} low
+ * @property {string} close
+ * @property {string} volume
+ * @property {string} swapCount
+ */
+
+/**
+ * @param {string} url GraphQL endpoint
+ * @param {Object} [options]
+ * @param {typeof fetch} [options.fetch] Defaults to node-fetch
+ * @param {number} [options.timeoutMs]
+ */
+function createSubgraphClient(url, options = {}) {
+  if (!url) throw new Error('No subgraph URL: set SUBGRAPH_URL or pass --subgraph');
+  const fetchImpl = options.fetch || require('node-fetch');
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+  /**
+   * Run one query; GraphQL errors are thrown
+   * @returns {Promise<Object>} The `data` of the response
+   */
+  async function query(text, variables = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let response;
+    try {
+      response = await fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query: text, variables }),
+        signal: controller.signal
+      });
+    } catch (error) {
+      throw new Error(`Subgraph request failed: ${controller.signal.aborted ? `no answer in ${timeoutMs}ms` : error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+    if (!response.ok) throw new Error(`Subgraph returned HTTP ${response.status}`);
+
+    const body = await response.json();
+    if (body.errors && body.errors.length > 0) {
+      throw new Error(`Subgraph error: ${body.errors.map(error => error.message).join('; ')}`);
+    }
+    return body.data;
+  }
+
+  /** Block the subgraph has indexed up to */
+  async function indexedBlock() {
+    const data = await query('query { _meta { block { number } } }');
+    return Number(data._meta.block.number);
+  }
+
+  /**
+   * Every pair, paged by id
+   * @returns {Promise<SubgraphPair[]>}
+   */
+  async function pairs() {
+    const all = [];
+    let lastId = '';
+    for (;;) {
+      const data = await query(`
+        query ($lastId: String!, $first: Int!) {
+          ositoPairs(first: $first, orderBy: id, where: { id_gt: $lastId }) {
+            id token0 token1 token0Symbol token1Symbol lastPrice swapCount
+          }
+        }
+      `, { lastId, first: PAGE_SIZE });
+      all.push(...data.ositoPairs);
+      if (data.ositoPairs.length < PAGE_SIZE) return all;
+      lastId = data.ositoPairs[data.ositoPairs.length - 1].id;
+    }
+  }
+
+  /**
+   * Most recent candles of a pair, oldest first
+   * @param {string} pair
+   * @param {number} [count]
+   * @returns {Promise<SubgraphCandle[]>}
+   */
+  async function candles(pair, count = 100) {
+    const data = await query(`
+      query ($pair: String!, $first: Int!) {
+        candles(first: $first, orderBy: timestamp, orderDirection: desc, where: { pair: $pair }) {
+          timestamp open high low close volume swapCount
+        }
+      }
+    `, { pair: pair.toLowerCase(), first: Math.min(count, PAGE_SIZE) });
+    return data.candles.slice().reverse();
+  }
+
+  return {
+    url,
+    candles,
+    indexedBlock,
+    pairs,
+    query
+  };
+}
+
+module.exports = {
+  createSubgraphClient
+};
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { ethers } = require('ethers');
+const { OUT_DIR, connect, loadArtifact } = require('./osito');
+
+// Throwaway anvil chain for the scripts/test-*.js that need a node: start
+// anvil on a port of its own, deploy MockWBERA and an OsitoLaunchpad, and
+// connect the SDK to it. The tests call skipReason() first and exit 0 with
+// a SKIP line when anvil or the forge build output is not there.
+
+// anvil's default account #0
+const DEPLOYER_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const CHAIN_ID = 31337;
+const WBERA_ARTIFACT = path.join(OUT_DIR, 'TestBase.sol', 'MockWBERA.json');
+
+/** Why the anvil tests cannot run here, or null when they can */
+function skipReason() {
+  const probe = spawnSync('anvil', ['--version'], { stdio: 'ignore' });
+  if (probe.error) return 'anvil not found on PATH (install Foundry: https://getfoundry.sh)';
+  if (!fs.existsSync(WBERA_ARTIFACT)) return `no forge build output at ${WBERA_ARTIFACT} (run forge build)`;
+  return null;
+}
+
+async function waitForRpc(provider, url) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      return await provider.getBlockNumber();
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+  }
+  throw new Error(`anvil did not answer on ${url}`);
+}
+
+/**
+ * Start anvil on `port` and wait until it answers
+ * @returns {Promise<{ url: string, rpc: ethers.JsonRpcProvider, wallet: ethers.Wallet, stop: () => void }>}
+ */
+async function startTestChain(port) {
+  const url = `http://127.0.0.1:${port}`;
+  const anvil = spawn('anvil', ['--port', String(port), '--silent'], { stdio: 'ignore' });
+  let failed = null;
+  anvil.on('error', error => { failed = error; });
+  const network = ethers.Network.from(CHAIN_ID);
+  const rpc = new ethers.JsonRpcProvider(url, network, { staticNetwork: network, cacheTimeout: -1 });
+  const stop = () => {
+    rpc.destroy();
+    anvil.kill();
+  };
+
+  try {
+    await waitForRpc(rpc, url);
+  } catch (error) {
+    stop();
+    throw failed ? new Error(`Cannot start anvil: ${failed.message}`) : error;
+  }
+  return { url, rpc, wallet: new ethers.Wallet(DEPLOYER_KEY, rpc), stop };
+}
+
+const deployArtifact = async (artifact, wallet, ...args) => {
+  const contract = await new ethers.ContractFactory(artifact.abi, artifact.bytecode, wallet).deploy(...args);
+  await contract.waitForDeployment();
+  return contract;
+};
+
+/**
+ * Deploy MockWBERA and an OsitoLaunchpad, mint `mint` WBERA to the wallet and
+ * approve the launchpad for it
+ */
+async function deployLaunchpad(wallet, { mint = ethers.parseEther('100') } = {}) {
+  const wbera = await deployArtifact(require(WBERA_ARTIFACT), wallet);
+  const launchpad = await deployArtifact(loadArtifact('OsitoLaunchpad'), wallet, wbera.target, wallet.address);
+  await (await wbera.mint(wallet.address, mint)).wait();
+  await (await wbera.approve(launchpad.target, ethers.MaxUint256)).wait();
+  return { wbera, launchpad };
+}
+
+/** Read-only SDK on the test chain, with the given contract addresses */
+function connectTestChain(chain, name, addresses) {
+  return connect({
+    name,
+    chainId: CHAIN_ID,
+    rpcUrls: [chain.url],
+    addresses,
+    pairs: {},
+    deploymentBlock: 0
+  }, { readOnly: true, provider: { cacheTimeout: -1 } });
+}
+
+module.exports = {
+  CHAIN_ID,
+  DEPLOYER_KEY,
+  connectTestChain,
+  deployArtifact,
+  deployLaunchpad,
+  skipReason,
+  startTestChain
+};
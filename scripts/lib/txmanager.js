@@ -0,0 +1,422 @@
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const { STATE_DIR } = require('./osito');
+const { createLogger } = require('./logger');
+
+// Transaction manager shared by the bots and the write scripts. It assigns
+// nonces locally, prices EIP-1559 fees from recent blocks, replaces
+// transactions that sit unmined past a timeout with a fee bump, and keeps
+// pending transactions in a JSON file so a restart picks them up again. A
+// transaction still unmined after maxBumps is cancelled: replaced by a
+// 0-value self-transfer at the same nonce, so later nonces do not queue
+// behind a gap if the node drops it.
+//
+// The pending file is per chain and address, and nonce assignment takes a
+// lock on it, so two processes sending from the same key do not collide.
+
+const DEFAULT_OPTIONS = {
+  stuckTimeoutMs: 90000, // replace a transaction unmined for this long
+  pollIntervalMs: 4000,
+  maxBumps: 5,
+  bumpPercent: 125n, // nodes require >= 110% to accept a replacement
+  gasLimitPercent: 120n, // headroom over estimateGas
+  feeHistoryBlocks: 10,
+  priorityPercentile: 50,
+  maxFeePerGas: null, // hard cap in wei, or null
+  minPriorityFeePerGas: ethers.parseUnits('1', 'gwei')
+};
+
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 30000;
+// The holder touches the lock this often, so a slow RPC call inside the lock
+// does not make it look stale
+const LOCK_HEARTBEAT_MS = 5000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Pending entries are stored with decimal strings in place of BigInt
+function serialize(entry) {
+  return JSON.parse(JSON.stringify(entry, (key, value) => (typeof value === 'bigint' ? value.toString() : value)));
+}
+
+function deserialize(entry) {
+  const tx = { ...entry.tx };
+  for (const key of ['value', 'gasLimit', 'maxFeePerGas', 'maxPriorityFeePerGas']) {
+    if (tx[key] !== undefined && tx[key] !== null) tx[key] = BigInt(tx[key]);
+  }
+  return { ...entry, tx };
+}
+
+// Exclusive lock file next to the state file; a lock not touched for
+// LOCK_STALE_MS is assumed to belong to a crashed process
+async function withLock(file, fn) {
+  const lock = `${file}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lock, 'wx'));
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      try {
+        if (Date.now() - fs.statSync(lock).mtimeMs > LOCK_STALE_MS) fs.rmSync(lock, { force: true });
+      } catch (statError) {
+        // Removed by its owner in the meantime
+      }
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for ${lock}`);
+      await sleep(50);
+    }
+  }
+
+  const heartbeat = setInterval(() => {
+    const now = new Date();
+    try {
+      fs.utimesSync(lock, now, now);
+    } catch (error) {
+      // Only happens if someone else removed it; nothing to refresh
+    }
+  }, LOCK_HEARTBEAT_MS);
+  heartbeat.unref();
+
+  try {
+    return await fn();
+  } finally {
+    clearInterval(heartbeat);
+    fs.rmSync(lock, { force: true });
+  }
+}
+
+/**
+ * EIP-1559 fees from eth_feeHistory: the priority fee is a percentile of
+ * recent tips, the max fee leaves room for two full base-fee increases.
+ * Falls back to getFeeData() on nodes without eth_feeHistory.
+ */
+async function suggestFees(provider, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  let baseFee;
+  let priorityFee;
+
+  try {
+    const history = await provider.send('eth_feeHistory', [
+      ethers.toQuantity(settings.feeHistoryBlocks),
+      'latest',
+      [settings.priorityPercentile]
+    ]);
+    const baseFees = history.baseFeePerGas.map(BigInt);
+    // The last entry is the next block's base fee
+    baseFee = baseFees[baseFees.length - 1];
+    const tips = (history.reward || []).map(reward => BigInt(reward[0])).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    priorityFee = tips.length ? tips[Math.floor(tips.length / 2)] : 0n;
+  } catch (error) {
+    const feeData = await provider.getFeeData();
+    baseFee = feeData.gasPrice || 0n;
+    priorityFee = feeData.maxPriorityFeePerGas || 0n;
+  }
+
+  if (priorityFee < settings.minPriorityFeePerGas) priorityFee = settings.minPriorityFeePerGas;
+  let maxFeePerGas = baseFee * 2n + priorityFee;
+  if (settings.maxFeePerGas !== null && maxFeePerGas > settings.maxFeePerGas) maxFeePerGas = settings.maxFeePerGas;
+  const maxPriorityFeePerGas = priorityFee > maxFeePerGas ? maxFeePerGas : priorityFee;
+
+  return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+/**
+ * @typedef {Object} PendingTx
+ * @property {string} id Stable id across replacements
+ * @property {string} [label] What the transaction does, for logs
+ * @property {number} nonce
+ * @property {Object} tx Unsigned transaction of the latest attempt
+ * @property {string[]} hashes Every hash broadcast for this nonce, oldest first
+ * @property {number} bumps
+ * @property {number} sentAt Time of the latest broadcast (ms)
+ * @property {number} [cancelFrom] Once cancelled, index in hashes of the first cancel attempt
+ */
+
+/**
+ * @param {ethers.Wallet} wallet Signer connected to a provider
+ * @param {Object} [options] See DEFAULT_OPTIONS, plus stateDir and logger
+ */
+function createTxManager(wallet, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const log = options.logger || createLogger('tx');
+  const { provider } = wallet;
+
+  let file = null;
+  let nextNonce = null;
+
+  async function stateFile() {
+    if (!file) {
+      const { chainId } = await provider.getNetwork();
+      const dir = options.stateDir || STATE_DIR;
+      fs.mkdirSync(dir, { recursive: true });
+      file = path.join(dir, `pending-${chainId}-${wallet.address.toLowerCase()}.json`);
+    }
+    return file;
+  }
+
+  function readPending(target) {
+    if (!fs.existsSync(target)) return [];
+    return JSON.parse(fs.readFileSync(target, 'utf8')).map(deserialize);
+  }
+
+  function writePending(target, entries) {
+    const tmp = `${target}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(entries.map(serialize), null, 2));
+    fs.renameSync(tmp, target);
+  }
+
+  async function updatePending(mutate) {
+    const target = await stateFile();
+    return withLock(target, async () => {
+      const entries = readPending(target);
+      const result = await mutate(entries);
+      writePending(target, entries);
+      return result;
+    });
+  }
+
+  /** Pending transactions recorded for this key, including other processes' */
+  async function pending() {
+    return readPending(await stateFile());
+  }
+
+  async function broadcast(entry) {
+    const signed = await wallet.signTransaction(entry.tx);
+    const hash = ethers.keccak256(signed);
+    try {
+      await provider.broadcastTransaction(signed);
+    } catch (error) {
+      // A rebroadcast of something the node already has is not a failure
+      if (!/already known|known transaction/i.test(error.message)) throw error;
+    }
+    return hash;
+  }
+
+  /**
+   * Sign and broadcast a transaction request with a locally assigned nonce
+   * @param {ethers.TransactionRequest} request e.g. from contract.method.populateTransaction()
+   * @param {{ label?: string }} [meta]
+   * @returns {Promise<PendingTx>}
+   */
+  async function send(request, meta = {}) {
+    const { chainId } = await provider.getNetwork();
+    const gasLimit = request.gasLimit !== undefined
+      ? BigInt(request.gasLimit)
+      : (await provider.estimateGas({ ...request, from: wallet.address })) * settings.gasLimitPercent / 100n;
+    const fees = await suggestFees(provider, settings);
+
+    return updatePending(async (entries) => {
+      // Highest of: the node's pending count, anything recorded by any
+      // process, and what this process already handed out
+      const chainNonce = await provider.getTransactionCount(wallet.address, 'pending');
+      const recorded = entries.reduce((max, entry) => Math.max(max, entry.nonce + 1), 0);
+      const nonce = Math.max(chainNonce, recorded, nextNonce || 0);
+
+      const entry = {
+        id: `${nonce}-${Date.now()}`,
+        label: meta.label || null,
+        nonce,
+        tx: {
+          type: 2,
+          chainId,
+          to: request.to,
+          data: request.data || '0x',
+          value: request.value !== undefined ? BigInt(request.value) : 0n,
+          gasLimit,
+          maxFeePerGas: fees.maxFeePerGas,
+          maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+          nonce
+        },
+        hashes: [],
+        bumps: 0,
+        sentAt: Date.now()
+      };
+      // Only a broadcast that went through uses up the nonce; after a
+      // failure the next send() reuses it instead of leaving a gap
+      entry.hashes.push(await broadcast(entry));
+      nextNonce = nonce + 1;
+      entries.push(entry);
+      log.info('Sent transaction', { label: entry.label || 'tx', nonce, txHash: entry.hashes[0] });
+      return entry;
+    });
+  }
+
+  // Fees for a replacement of the entry's latest attempt: at least
+  // bumpPercent of the current ones, or null when already at the fee cap
+  async function replacementFees(entry) {
+    const fees = await suggestFees(provider, settings);
+    const bumped = (current, suggested) => {
+      const minimum = BigInt(current) * settings.bumpPercent / 100n;
+      return suggested > minimum ? suggested : minimum;
+    };
+
+    let maxFeePerGas = bumped(entry.tx.maxFeePerGas, fees.maxFeePerGas);
+    const maxPriorityFeePerGas = bumped(entry.tx.maxPriorityFeePerGas, fees.maxPriorityFeePerGas);
+    if (settings.maxFeePerGas !== null && maxFeePerGas > settings.maxFeePerGas) {
+      if (BigInt(entry.tx.maxFeePerGas) >= settings.maxFeePerGas) return null;
+      maxFeePerGas = settings.maxFeePerGas;
+    }
+    return {
+      maxFeePerGas,
+      maxPriorityFeePerGas: maxPriorityFeePerGas > maxFeePerGas ? maxFeePerGas : maxPriorityFeePerGas
+    };
+  }
+
+  // Replace a stuck attempt with the same nonce and bumped fees
+  async function bump(entry) {
+    const fees = await replacementFees(entry);
+    if (!fees) {
+      log.warn('At the fee cap; rebroadcasting without a bump', { nonce: entry.nonce });
+      await broadcast(entry);
+      entry.sentAt = Date.now();
+      return entry;
+    }
+
+    entry.tx = { ...entry.tx, ...fees };
+    entry.bumps++;
+    entry.sentAt = Date.now();
+    entry.hashes.push(await broadcast(entry));
+    log.info('Replaced stuck transaction', { nonce: entry.nonce, bump: entry.bumps, txHash: entry.hashes[entry.hashes.length - 1] });
+    return entry;
+  }
+
+  // Out of bumps: replace the transaction with a 0-value self-transfer at
+  // the same nonce and bumped fees. The cancel gets maxBumps of its own.
+  async function cancel(entry) {
+    // At the fee cap the node will likely refuse the replacement; broadcast
+    // then throws and wait() gives the nonce up
+    const fees = (await replacementFees(entry)) || {};
+    entry.tx = { ...entry.tx, to: wallet.address, data: '0x', value: 0n, gasLimit: 21000n, ...fees };
+    entry.cancelFrom = entry.hashes.length;
+    entry.bumps = 0;
+    entry.sentAt = Date.now();
+    entry.hashes.push(await broadcast(entry));
+    log.warn('Cancelling stuck transaction', { label: entry.label || 'tx', nonce: entry.nonce, txHash: entry.hashes[entry.cancelFrom] });
+    return entry;
+  }
+
+  async function forget(id) {
+    await updatePending(async (entries) => {
+      const index = entries.findIndex(entry => entry.id === id);
+      if (index !== -1) entries.splice(index, 1);
+    });
+  }
+
+  // Stop tracking an entry whose nonce may still be unused; the next send()
+  // takes its nonce from the node again, so it can fill the gap
+  async function abandon(entry) {
+    await forget(entry.id);
+    nextNonce = null;
+  }
+
+  // A mined attempt: the receipt, or an error when it was the cancel
+  function settle(entry, index, receipt) {
+    if (entry.cancelFrom === undefined || index < entry.cancelFrom) {
+      log.info('Transaction mined', { nonce: entry.nonce, block: receipt.blockNumber, txHash: receipt.hash });
+      return receipt;
+    }
+    log.warn('Cancel mined', { label: entry.label || 'tx', nonce: entry.nonce, block: receipt.blockNumber, txHash: receipt.hash });
+    throw new Error(`Nonce ${entry.nonce} cancelled after ${settings.maxBumps} fee bumps: ${entry.label || 'transaction'} was not executed`);
+  }
+
+  /**
+   * Wait until one of the entry's attempts is mined, replacing it whenever
+   * it is stuck. Throws if the nonce was consumed by a transaction this
+   * manager did not send, or the transaction had to be cancelled. Every
+   * throw other than an RPC error also drops the entry from the pending file.
+   * @param {PendingTx} entry
+   * @returns {Promise<ethers.TransactionReceipt>}
+   */
+  async function wait(entry) {
+    let current = entry;
+
+    for (;;) {
+      for (const [index, hash] of current.hashes.entries()) {
+        const receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) {
+          await forget(current.id);
+          return settle(current, index, receipt);
+        }
+      }
+
+      const minedNonce = await provider.getTransactionCount(wallet.address, 'latest');
+      if (minedNonce > current.nonce) {
+        // The nonce was used, but not by any hash we broadcast; give the
+        // node one more poll before declaring it replaced externally
+        await sleep(settings.pollIntervalMs);
+        const receipts = await Promise.all(current.hashes.map(hash => provider.getTransactionReceipt(hash)));
+        const index = receipts.findIndex(Boolean);
+        await forget(current.id);
+        if (index !== -1) return settle(current, index, receipts[index]);
+        throw new Error(`Nonce ${current.nonce} was consumed by a transaction not sent by this manager`);
+      }
+
+      if (Date.now() - current.sentAt > settings.stuckTimeoutMs) {
+        const cancelling = current.cancelFrom !== undefined;
+        if (cancelling && current.bumps >= settings.maxBumps) {
+          await abandon(current);
+          throw new Error(`Cancel of nonce ${current.nonce} still unmined after ${current.bumps} fee bumps`);
+        }
+        const replace = current.bumps >= settings.maxBumps ? cancel : bump;
+        const id = current.id;
+        try {
+          current = await updatePending(async (entries) => {
+            const stored = entries.find(item => item.id === id) || current;
+            const updated = await replace(stored);
+            if (!entries.includes(stored)) entries.push(updated);
+            return updated;
+          });
+        } catch (error) {
+          if (replace !== cancel) throw error;
+          await abandon(current);
+          throw new Error(`Could not cancel nonce ${current.nonce} after ${current.bumps} fee bumps: ${error.message}`);
+        }
+      }
+
+      await sleep(settings.pollIntervalMs);
+    }
+  }
+
+  /** send() then wait() */
+  async function sendAndWait(request, meta = {}) {
+    return wait(await send(request, meta));
+  }
+
+  /**
+   * Wait for everything left pending by a previous run of this key, e.g. at
+   * startup. Failures are logged; wait() has dropped the entry unless an
+   * RPC error stopped it, and then it is retried on the next start.
+   * @returns {Promise<ethers.TransactionReceipt[]>}
+   */
+  async function resumePending() {
+    const entries = await pending();
+    if (entries.length === 0) return [];
+    log.info('Resuming pending transactions', { count: entries.length });
+
+    const receipts = [];
+    for (const entry of entries.sort((a, b) => a.nonce - b.nonce)) {
+      try {
+        receipts.push(await wait(entry));
+      } catch (error) {
+        log.warn('Pending transaction failed', { nonce: entry.nonce, err: error });
+      }
+    }
+    return receipts;
+  }
+
+  return {
+    pending,
+    resumePending,
+    send,
+    sendAndWait,
+    wait
+  };
+}
+
+module.exports = {
+  createTxManager,
+  suggestFees
+};
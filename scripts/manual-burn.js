@@ -1,107 +1,59 @@
 const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env.testnet') });
+const { connect } = require('./lib/osito');
+const { parseNetworkArgs } = require('./lib/networks');
+const { createTxManager } = require('./lib/txmanager');
+const { decodeReceipt } = require('./lib/receipts');
+const { createLogger } = require('./lib/logger');
 
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-
-const loadABI = (contractName) => {
-  const abiPath = path.join(__dirname, '..', 'out', `${contractName}.sol`, `${contractName}.json`);
-  const artifact = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
-  return artifact.abi;
-};
+// Usage: node scripts/manual-burn.js [pair] [--network <name>]
+// Runs a TOK burn end to end by hand: buys TOK with 0.1 BERA to grow K, then
+// calls collectFees() and prints the TOK burned, the QT sent to the treasury
+// and the TOK supply (default pair: TOK_PAIR).
+const { args } = parseNetworkArgs();
+const log = createLogger('manual-burn');
+const osito = connect();
+const { wallet } = osito;
+if (!wallet) throw new Error(`No PRIVATE_KEY for network ${osito.profile.name}`);
+const txManager = createTxManager(wallet);
 
 async function manualBurn() {
-  // First, let me add some liquidity as a different user to trigger fee mint
-  const pairAddress = process.env.TOK_PAIR;
-  const tokAddress = '0xEF059a38E7566285aC2577824ABcd9Ba64080899';
-  const wberaAddress = '0x6969696969696969696969696969696969696969';
-  
-  const pairABI = loadABI('OsitoPair');
-  const tokABI = loadABI('OsitoToken');
-  const pair = new ethers.Contract(pairAddress, pairABI, wallet);
-  const tok = new ethers.Contract(tokAddress, tokABI, wallet);
-  
+  const pairAddress = args[0] || process.env.TOK_PAIR;
+  const pair = osito.pair(pairAddress);
+  const [feeRouterAddress, tokIsToken0, token0, token1] = await Promise.all([
+    pair.feeRouter(),
+    pair.tokIsToken0(),
+    pair.token0(),
+    pair.token1()
+  ]);
+  const tok = osito.token(tokIsToken0 ? token0 : token1);
+  const pairLog = log.child({ pair: pairAddress, feeRouter: feeRouterAddress });
+
   // Buy some TOK first via SwapRouter
-  const swapRouterABI = loadABI('SwapRouter');
-  const swapRouter = new ethers.Contract(process.env.SWAP_ROUTER, swapRouterABI, wallet);
-  
-  console.log('Buying TOK to add liquidity...');
-  let tx = await swapRouter.swapExactETHForTokens(
+  pairLog.info('Buying TOK to grow K', { amountIn: '0.1' });
+  await txManager.sendAndWait(await osito.swapRouter.swapExactETHForTokens.populateTransaction(
     pairAddress,
     0, // minAmountOut
     wallet.address,
     Math.floor(Date.now() / 1000) + 300,
     { value: ethers.parseEther('0.1') }
+  ), { label: 'buy' });
+
+  const supplyBefore = await tok.totalSupply();
+  const receipt = await txManager.sendAndWait(
+    await osito.feeRouter(feeRouterAddress).collectFees.populateTransaction(),
+    { label: 'collectFees' }
   );
-  await tx.wait();
-  console.log('Bought TOK');
-  
-  // Now add liquidity
-  const tokBalance = await tok.balanceOf(wallet.address);
-  console.log('TOK balance:', ethers.formatEther(tokBalance));
-  
-  // Get reserves to calculate proportional amounts
-  const [r0, r1] = await pair.getReserves();
-  const tokAmount = tokBalance / 2n; // Use half our TOK
-  const wberaAmount = (tokAmount * r1) / r0;
-  
-  console.log('\nAdding liquidity:');
-  console.log('TOK:', ethers.formatEther(tokAmount));
-  console.log('WBERA:', ethers.formatEther(wberaAmount));
-  
-  // Wrap BERA
-  const wberaABI = [
-    { inputs: [], name: "deposit", outputs: [], type: "function", payable: true },
-    { inputs: [{ name: "to", type: "address" }, { name: "amount", type: "uint256" }], name: "transfer", outputs: [{ name: "", type: "bool" }], type: "function" }
-  ];
-  const wbera = new ethers.Contract(wberaAddress, wberaABI, wallet);
-  
-  tx = await wbera.deposit({ value: wberaAmount });
-  await tx.wait();
-  
-  // Transfer to pair
-  tx = await tok.transfer(pairAddress, tokAmount);
-  await tx.wait();
-  
-  tx = await wbera.transfer(pairAddress, wberaAmount);
-  await tx.wait();
-  
-  // Check FeeRouter balance before mint
-  const feeRouterAddress = await pair.feeRouter();
-  const lpBefore = await pair.balanceOf(feeRouterAddress);
-  console.log('\nFeeRouter LP before mint:', ethers.formatEther(lpBefore));
-  
-  // THIS is the key - we need to mint to someone OTHER than FeeRouter
-  // to trigger fee minting TO the FeeRouter
-  console.log('\nCalling mint (this should trigger fee mint to FeeRouter)...');
-  
-  // Since mint is restricted to FeeRouter, we need to use OsitoLaunchpad
-  // Actually, let's just try to understand the error first
-  try {
-    tx = await pair.mint(wallet.address);
-    await tx.wait();
-  } catch (e) {
-    console.log('Expected error - mint restricted to FeeRouter');
-    console.log('Error:', e.reason || e.message);
-  }
-  
-  // The key insight: In V5, ONLY the FeeRouter can receive LP tokens from mint
-  // This means regular users can't add liquidity after launch!
-  // The initial liquidity is locked in the FeeRouter
-  
-  console.log('\nV5 Design insight:');
-  console.log('- Initial liquidity is minted to FeeRouter');
-  console.log('- No one else can add liquidity (mint restricted)');  
-  console.log('- Fees accumulate as K growth');
-  console.log('- When FeeRouter burns LP, fees are realized');
-  
-  // So the solution is: FeeRouter needs to burn some LP to realize fees
-  // But it can only burn excess LP (above principal)
-  // And fees haven't been minted as LP yet...
-  
-  // This is a chicken-and-egg problem!
+  const { feesCollected, tokenBurns } = decodeReceipt(receipt);
+  const supplyAfter = await tok.totalSupply();
+
+  pairLog.info('Fees collected', {
+    txHash: receipt.hash,
+    tokBurned: feesCollected.length > 0 ? ethers.formatEther(feesCollected[0].tokBurned) : '0',
+    qtCollected: feesCollected.length > 0 ? ethers.formatEther(feesCollected[0].qtCollected) : '0',
+    lpBurned: ethers.formatEther(tokenBurns.filter(burn => burn.kind === 'lp').reduce((sum, burn) => sum + burn.amount, 0n)),
+    tokSupplyBefore: ethers.formatEther(supplyBefore),
+    tokSupplyAfter: ethers.formatEther(supplyAfter)
+  });
 }
 
-manualBurn().catch(console.error);
\ No newline at end of file
+manualBurn().catch(error => log.error('Failed', error));
@@ -1,27 +1,19 @@
-const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env.testnet') });
+const { connect, loadProfile } = require('./lib/osito');
+const { createLogger } = require('./lib/logger');
 
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-
-const loadABI = (contractName) => {
-  const abiPath = path.join(__dirname, '..', 'out', `${contractName}.sol`, `${contractName}.json`);
-  const artifact = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
-  return artifact.abi;
-};
+const log = createLogger('migrate-fee-router');
+const osito = connect(loadProfile(), { readOnly: true });
 
 async function migrateFeeRouter() {
-  console.log('=== Checking FeeRouter Setup ===\n');
-  
-  const pairABI = loadABI('OsitoPair');
-  const pair = new ethers.Contract(process.env.TOK_PAIR, pairABI, provider);
+  const pair = osito.pair(process.env.TOK_PAIR);
   
   // Check current fee router
   const currentFeeRouter = await pair.feeRouter();
-  console.log('Current FeeRouter:', currentFeeRouter);
-  console.log('Expected:', process.env.FEE_ROUTER);
+  log.info('FeeRouter setup', {
+    pair: pair.target,
+    current: currentFeeRouter,
+    expected: process.env.FEE_ROUTER
+  });
   
   // Since feeRouter is immutable, we need to redeploy the entire pair
   // This would require:
@@ -29,11 +21,7 @@ async function migrateFeeRouter() {
   // 2. Deploy new pair with new FeeRouter
   // 3. Add liquidity to new pair
   
-  console.log('\n⚠️  WARNING: FeeRouter is immutable in OsitoPair');
-  console.log('To use a new FeeRouter, you would need to:');
-  console.log('1. Deploy a new TOK token');
-  console.log('2. Deploy a new pair with the updated FeeRouter');
-  console.log('3. Migrate liquidity to the new pair');
+  log.warn('FeeRouter is immutable in OsitoPair: to use a new one, launch a new TOK and pair with it and migrate the liquidity');
 }
 
-migrateFeeRouter().catch(console.error);
\ No newline at end of file
+migrateFeeRouter().catch(error => log.error('Failed', error));
@@ -0,0 +1,60 @@
+const { ethers } = require('ethers');
+const { connect, loadProfile } = require('./lib/osito');
+const { parseNetworkArgs } = require('./lib/networks');
+const pmin = require('./lib/pmin');
+const quote = require('./lib/quote');
+const { createLogger } = require('./lib/logger');
+
+// Usage: node scripts/quote.js <pair> <buy|sell> <amount> [exact-in|exact-out] [slippageBps] [--network <name>]
+//   buy  exact-out 1000000  -> BERA needed to receive 1,000,000 TOK
+//   buy  exact-in  0.5      -> TOK received for 0.5 BERA
+//   sell exact-out 0.5      -> TOK needed to receive 0.5 BERA
+const USAGE = 'Usage: node scripts/quote.js <pair> <buy|sell> <amount> [exact-in|exact-out] [slippageBps] [--network <name>]';
+
+const log = createLogger('quote');
+const osito = connect(loadProfile(), { readOnly: true });
+
+async function main() {
+  const [pairAddress, side, amountArg, mode = 'exact-out', slippageArg = '100'] = parseNetworkArgs().args;
+  if (!pairAddress || !['buy', 'sell'].includes(side) || !amountArg || !['exact-in', 'exact-out'].includes(mode)) {
+    throw new Error(USAGE);
+  }
+
+  const tokIn = side === 'sell';
+  const amount = ethers.parseEther(amountArg);
+  const state = await quote.fetchPairState(osito.pair(pairAddress), { tokenAt: osito.token });
+  const result = mode === 'exact-out'
+    ? quote.quoteExactOut(state, amount, tokIn)
+    : quote.quoteExactIn(state, amount, tokIn);
+
+  const inUnit = tokIn ? 'TOK' : 'BERA';
+  const outUnit = tokIn ? 'BERA' : 'TOK';
+  const { rTok, rQt } = quote.tokQtReserves(state);
+  const pMinBefore = pmin.calculate(rTok, rQt, state.totalSupply, state.feeBps);
+
+  // Prices are in BERA/TOK
+  const slippage = mode === 'exact-out'
+    ? { maxIn: ethers.formatEther(result.amountIn * (10000n + BigInt(slippageArg)) / 10000n) }
+    : { minOut: ethers.formatEther(quote.minAmountOut(result.amountOut, slippageArg)) };
+  log.info(`${side.toUpperCase()} ${mode}`, {
+    pair: pairAddress,
+    feeBps: state.feeBps,
+    amountIn: ethers.formatEther(result.amountIn),
+    tokenIn: inUnit,
+    amountOut: ethers.formatEther(result.amountOut),
+    tokenOut: outUnit,
+    slippageBps: Number(slippageArg),
+    ...slippage,
+    executionPrice: ethers.formatEther(result.executionPrice),
+    spotBefore: ethers.formatEther(result.spotPriceBefore),
+    spotAfter: ethers.formatEther(result.spotPriceAfter),
+    priceImpactPct: Number(result.priceImpactBps) / 100,
+    pMinBefore: ethers.formatEther(pMinBefore),
+    pMinAfter: ethers.formatEther(result.pMinAfter)
+  });
+}
+
+main().catch(error => {
+  log.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const { connect } = require('./lib/osito');
+const { argValue, parseNetworkArgs } = require('./lib/networks');
+const { indexPath, openIndexDb } = require('./lib/indexdb');
+const { createSubgraphClient } = require('./lib/subgraph');
+const { RESOLUTIONS } = require('./lib/candles');
+const { DEFAULT_CANDLE_COUNT, DEFAULT_TOLERANCE_BPS, reconcile } = require('./lib/reconcile');
+const { createLogger } = require('./lib/logger');
+
+// Subgraph-vs-chain reconciliation (see lib/reconcile.js): every pair's
+// subgraph lastPrice, swapCount and candles against the reserves, LensLite
+// and the local event index, at the block the subgraph has reached. Replaces
+// the pasted literals of comparePrices.js.
+//
+// Usage: node scripts/reconcile-subgraph.js [options] [--network <name>]
+//   --subgraph <url>           GraphQL endpoint (default: SUBGRAPH_URL, then the network's)
+//   --tolerance <bps>          Difference tolerated (default 50 = 0.5%)
+//   --resolution <1m|5m|1h|1d> Resolution of the subgraph's candles (default 1h)
+//   --candles <n>              Recent candles compared per pair (default 24)
+//
+// Swap counts and candles need the event index (scripts/indexer.js; INDEX_DB
+// overrides its file). Exits 1 when anything diverges.
+const { args } = parseNetworkArgs();
+const log = createLogger('reconcile');
+
+// Reads only; a PRIVATE_KEY in the env file is not needed
+const osito = connect(undefined, { readOnly: true });
+
+// Configuration
+const CONFIG = {
+  SUBGRAPH_URL: argValue(args, '--subgraph') || osito.profile.subgraph,
+  TOLERANCE_BPS: Number(argValue(args, '--tolerance') || DEFAULT_TOLERANCE_BPS),
+  RESOLUTION: argValue(args, '--resolution') || '1h',
+  CANDLES: Number(argValue(args, '--candles') || DEFAULT_CANDLE_COUNT),
+  INDEX_DB: process.env.INDEX_DB || indexPath(osito.profile.chainId)
+};
+if (!RESOLUTIONS[CONFIG.RESOLUTION]) throw new Error(`--resolution must be one of ${Object.keys(RESOLUTIONS).join(', ')}`);
+if (!(CONFIG.TOLERANCE_BPS >= 0)) throw new Error('--tolerance requires a number of basis points');
+if (!Number.isInteger(CONFIG.CANDLES) || CONFIG.CANDLES <= 0) throw new Error('--candles requires a positive number');
+
+async function main() {
+  const subgraph = createSubgraphClient(CONFIG.SUBGRAPH_URL);
+  const index = fs.existsSync(CONFIG.INDEX_DB) ? openIndexDb(CONFIG.INDEX_DB, { chainId: osito.profile.chainId }) : null;
+
+  try {
+    log.info('Reconciling subgraph with chain', {
+      network: osito.profile.name,
+      subgraph: subgraph.url,
+      index: index ? CONFIG.INDEX_DB : null,
+      toleranceBps: CONFIG.TOLERANCE_BPS,
+      resolution: CONFIG.RESOLUTION
+    });
+
+    const result = await reconcile({ osito, subgraph, index }, {
+      toleranceBps: CONFIG.TOLERANCE_BPS,
+      resolution: CONFIG.RESOLUTION,
+      candleCount: CONFIG.CANDLES
+    });
+
+    for (const reason of result.skipped) log.warn('Check skipped', { reason });
+    for (const divergence of result.divergences) log.warn('Divergence', divergence);
+    log.info('Reconciliation done', {
+      block: result.block,
+      pairs: result.pairs,
+      checks: result.checks,
+      divergences: result.divergences.length
+    });
+    if (result.divergences.length > 0) process.exitCode = 1;
+  } finally {
+    if (index) index.close();
+    osito.provider.destroy();
+  }
+}
+
+main().catch(error => {
+  log.error('Fatal error', error);
+  process.exit(1);
+});
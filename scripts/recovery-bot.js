@@ -0,0 +1,214 @@
+const { ethers } = require('ethers');
+const { connect } = require('./lib/osito');
+const { parseNetworkArgs } = require('./lib/networks');
+const { createLoop, handleShutdownSignals } = require('./lib/loop');
+const { fetchPairState, tokQtReserves } = require('./lib/quote');
+const recovery = require('./lib/recovery');
+const { createTxManager } = require('./lib/txmanager');
+const { createLogger } = require('./lib/logger');
+const { decodeReceipt } = require('./lib/receipts');
+
+// Recovers CollateralVault positions that have been unhealthy for longer
+// than GRACE_PERIOD. Borrowers are found from PositionOpened events; each
+// recoverable position is simulated and only sent when the caller bonus
+// pays for the gas.
+//
+// Underwater positions pay no bonus. RECOVER_AT_COST=1 recovers them anyway
+// when the debt repaid is worth the gas, paying up to MAX_RECOVERY_COST
+// (QT, unlimited if unset) per transaction to cut the lenders' loss.
+//
+// Usage: node scripts/recovery-bot.js [--once] [--network <name>]
+//   --once  Run a single pass and exit (for cron); non-zero exit if it failed
+const { args } = parseNetworkArgs();
+const log = createLogger('recovery');
+
+const osito = connect();
+const { wallet } = osito;
+const txManager = createTxManager(wallet);
+
+// Configuration
+const CONFIG = {
+  POLLING_INTERVAL: Number(process.env.POLLING_INTERVAL || 60000),
+  ONCE: args.includes('--once'),
+  LOG_CHUNK_SIZE: Number(process.env.LOG_CHUNK_SIZE || 10000),
+  START_BLOCK: osito.profile.deploymentBlock || 0,
+  CHAIN_ID: osito.profile.chainId,
+  // Profitability policy for recover()
+  POLICY: {
+    minBonus: ethers.parseEther(process.env.MIN_RECOVERY_BONUS || '0'),
+    maxGasPrice: process.env.MAX_GAS_PRICE_GWEI ? ethers.parseUnits(process.env.MAX_GAS_PRICE_GWEI, 'gwei') : null,
+    minProfitMultiple: BigInt(process.env.MIN_PROFIT_MULTIPLE || 1),
+    protectLenders: process.env.RECOVER_AT_COST === '1' || process.env.RECOVER_AT_COST === 'true',
+    maxProtectCost: process.env.MAX_RECOVERY_COST ? ethers.parseEther(process.env.MAX_RECOVERY_COST) : null
+  }
+};
+
+// Borrowers seen per collateral vault, and the last block scanned for them
+const borrowers = new Map();
+
+async function getMarkets() {
+  const { lendingFactory } = osito;
+  const count = await lendingFactory.allMarketsLength();
+  const markets = [];
+
+  for (let i = 0n; i < count; i++) {
+    const pair = await lendingFactory.allMarkets(i);
+    const collateralVault = await lendingFactory.collateralVaults(pair);
+    markets.push({ pair, collateralVault });
+  }
+  return markets;
+}
+
+// Extend the borrower set of a vault with PositionOpened events up to toBlock
+async function scanBorrowers(collateralVault, vaultAddress, toBlock) {
+  const entry = borrowers.get(vaultAddress) || { accounts: new Set(), nextBlock: CONFIG.START_BLOCK };
+  const filter = collateralVault.filters.PositionOpened();
+
+  for (let from = entry.nextBlock; from <= toBlock; from += CONFIG.LOG_CHUNK_SIZE) {
+    const to = Math.min(from + CONFIG.LOG_CHUNK_SIZE - 1, toBlock);
+    const events = await collateralVault.queryFilter(filter, from, to);
+    for (const event of events) entry.accounts.add(ethers.getAddress(event.args.account));
+    entry.nextBlock = to + 1;
+  }
+
+  borrowers.set(vaultAddress, entry);
+  return [...entry.accounts];
+}
+
+async function tryRecover(collateralVault, position, context) {
+  const blocker = recovery.recoverBlocker(position, context.timestamp);
+  if (blocker) return false;
+
+  // recover() accrues interest first; the next block is at least one second later
+  const borrowIndex = recovery.accruedBorrowIndex(context.lender, context.timestamp + 1n);
+  const debt = recovery.currentDebt(position, borrowIndex);
+  const prediction = recovery.predictRecover(position, context.reserves, debt);
+
+  const accountLog = context.log.child({ account: position.account });
+  accountLog.info('Predicted recovery', {
+    collateral: ethers.formatEther(position.collateral),
+    debt: ethers.formatEther(debt),
+    qtOut: ethers.formatEther(prediction.qtOut),
+    bonus: ethers.formatEther(prediction.bonus),
+    lenderLoss: ethers.formatEther(prediction.loss)
+  });
+
+  if (prediction.dust) {
+    accountLog.info('Decision: skip', { reason: 'dust position' });
+    return false;
+  }
+
+  try {
+    await collateralVault.recover.staticCall(position.account);
+  } catch (error) {
+    accountLog.info('Decision: skip', { reason: `simulation reverted: ${error.shortMessage || error.message}` });
+    return false;
+  }
+
+  const [gasEstimate, feeData] = await Promise.all([
+    collateralVault.recover.estimateGas(position.account),
+    osito.provider.getFeeData()
+  ]);
+  const gasPrice = feeData.maxFeePerGas || feeData.gasPrice;
+  const decision = recovery.decideRecover(prediction, { gasEstimate, gasPrice }, CONFIG.POLICY);
+  accountLog.info(`Decision: ${decision.recover ? 'recover' : 'skip'}`, {
+    reason: decision.reason,
+    gas: gasEstimate,
+    gasPriceGwei: ethers.formatUnits(gasPrice, 'gwei'),
+    gasCost: ethers.formatEther(decision.gasCost)
+  });
+  if (!decision.recover) return false;
+
+  const request = await collateralVault.recover.populateTransaction(position.account);
+  const pending = await txManager.send({ ...request, gasLimit: gasEstimate * 120n / 100n }, { label: `recover ${position.account}` });
+  accountLog.info('Recovering', { txHash: pending.hashes[0] });
+  const receipt = await txManager.wait(pending);
+  const txLog = accountLog.child({ txHash: receipt.hash, block: receipt.blockNumber });
+  txLog.info('Recovery confirmed', { gasUsed: receipt.gasUsed });
+
+  for (const position of decodeReceipt(receipt).positions) {
+    if (position.event !== 'Recovered') continue;
+    if (position.collateralVault.toLowerCase() !== collateralVault.target.toLowerCase()) continue;
+    txLog.info('Recovered', {
+      collateralSwapped: ethers.formatEther(position.collateralSwapped),
+      debtRepaid: ethers.formatEther(position.debtRepaid),
+      bonus: ethers.formatEther(position.bonus)
+    });
+  }
+  return true;
+}
+
+async function checkMarket(market, lender, block, stopping) {
+  const collateralVault = osito.collateralVault(market.collateralVault);
+  const accounts = await scanBorrowers(collateralVault, market.collateralVault, block.number);
+  const marketLog = log.child({ pair: market.pair, block: block.number });
+  marketLog.info('Market', { borrowers: accounts.length });
+  if (accounts.length === 0) return;
+
+  const pairState = await fetchPairState(osito.pair(market.pair), { blockTag: block.number });
+  const context = {
+    lender,
+    timestamp: BigInt(block.timestamp),
+    reserves: tokQtReserves(pairState),
+    log: marketLog
+  };
+
+  for (const account of accounts) {
+    if (stopping()) return;
+    try {
+      const position = await recovery.fetchPosition(collateralVault, account, block.number);
+      await tryRecover(collateralVault, position, context);
+    } catch (error) {
+      marketLog.error('Error checking account', { account, err: error });
+    }
+  }
+}
+
+async function runTick({ tick, stopping }) {
+  log.info('Tick', { tick });
+
+  const block = await osito.provider.getBlock('latest');
+  const lenderVault = osito.lenderVault(await osito.lendingFactory.lenderVault());
+  const lender = await recovery.fetchLenderState(lenderVault, block.number);
+
+  const markets = await getMarkets();
+  log.info('Found lending markets', { count: markets.length, block: block.number });
+
+  for (const market of markets) {
+    if (stopping()) break;
+    await checkMarket(market, lender, block, stopping);
+  }
+}
+
+async function runRecoveryBot() {
+  log.info('Starting Osito V5 Recovery Bot', {
+    chainId: CONFIG.CHAIN_ID,
+    caller: wallet.address,
+    lendingFactory: osito.profile.addresses.LendingFactory,
+    recoverAtCost: CONFIG.POLICY.protectLenders,
+    mode: CONFIG.ONCE ? 'single pass' : `polling every ${CONFIG.POLLING_INTERVAL / 1000}s`
+  });
+
+  const loop = createLoop(runTick, {
+    name: 'recovery',
+    intervalMs: CONFIG.POLLING_INTERVAL,
+    once: CONFIG.ONCE,
+    onError: error => log.error('Tick failed', error)
+  });
+  const removeSignalHandlers = handleShutdownSignals(loop, 'recovery');
+
+  // Finish whatever a previous run left in flight before sending more
+  await txManager.resumePending();
+
+  const failures = await loop.run();
+  removeSignalHandlers();
+  osito.provider.destroy();
+
+  log.info('Recovery bot stopped');
+  if (CONFIG.ONCE && failures > 0) process.exitCode = 1;
+}
+
+runRecoveryBot().catch(error => {
+  log.error('Fatal error', error);
+  process.exit(1);
+});
@@ -0,0 +1,178 @@
+const path = require('path');
+const { ethers } = require('ethers');
+const { STATE_DIR, connect } = require('./lib/osito');
+const { parseNetworkArgs } = require('./lib/networks');
+const { createLoop, handleShutdownSignals } = require('./lib/loop');
+const { createMulticall } = require('./lib/multicall');
+const { createPairDiscovery } = require('./lib/discovery');
+const { createTxManager } = require('./lib/txmanager');
+const { createLogger } = require('./lib/logger');
+
+// Makes sure every pair from a TokenLaunched event is registered in
+// LensLite and has a lending market, replacing the manual
+// add-pair-to-lens.js / createLendingMarket steps. Idempotent: the chain is
+// checked before each step, and a revert meaning "already done"
+// (ALREADY_ADDED, MarketExists) counts as done, so a rerun or a race with a
+// human is harmless.
+//
+// Usage: node scripts/register-pairs.js [--once] [--network <name>]
+//   --once  Run a single pass and exit (for cron); non-zero exit if it failed
+const { args } = parseNetworkArgs();
+const log = createLogger('registrar');
+
+const osito = connect();
+const { wallet, lensLite, lendingFactory } = osito;
+if (!wallet) throw new Error('PRIVATE_KEY is required to register pairs');
+const txManager = createTxManager(wallet);
+
+// Configuration
+const CONFIG = {
+  POLLING_INTERVAL: Number(process.env.POLLING_INTERVAL || 60000),
+  ONCE: args.includes('--once'),
+  LOG_CHUNK_SIZE: Number(process.env.LOG_CHUNK_SIZE || 10000),
+  CREATE_MARKETS: process.env.CREATE_MARKETS !== 'false',
+  CHAIN_ID: osito.profile.chainId
+};
+
+const multicall = createMulticall(osito.provider, { address: process.env.MULTICALL3 || osito.profile.addresses.Multicall3 });
+// Own cache file, so this job and the keeper never write the same one
+const discovery = createPairDiscovery(osito, {
+  multicall,
+  chunkSize: CONFIG.LOG_CHUNK_SIZE,
+  cacheFile: path.join(STATE_DIR, `registrar-pairs-${CONFIG.CHAIN_ID}.json`),
+  logger: log
+});
+
+// Custom error name or require() reason of a reverted call
+function revertReason(error) {
+  if (error.revert && error.revert.name !== 'Error') return error.revert.name;
+  return error.reason || error.shortMessage || error.message;
+}
+
+/**
+ * Run one registration step unless it is already done
+ * @param {Object} step
+ * @param {string} step.label
+ * @param {() => Promise<boolean>} step.isDone Reads the chain
+ * @param {ethers.BaseContractMethod} step.method
+ * @param {Array} step.args
+ * @param {string} step.doneReason Revert reason meaning the step is already done
+ * @param {import('./lib/logger').Logger} stepLog
+ * @returns {Promise<boolean>} Whether a transaction was sent
+ */
+async function runStep(step, stepLog) {
+  if (await step.isDone()) {
+    stepLog.info('Already done', { step: step.label });
+    return false;
+  }
+
+  try {
+    await step.method.staticCall(...step.args);
+  } catch (error) {
+    const reason = revertReason(error);
+    if (reason === step.doneReason) {
+      stepLog.info('Already done', { step: step.label, reason });
+      return false;
+    }
+    throw new Error(`${step.label} would revert: ${reason}`);
+  }
+
+  const request = await step.method.populateTransaction(...step.args);
+  const pending = await txManager.send(request, { label: step.label });
+  stepLog.info('Sent', { step: step.label, txHash: pending.hashes[0] });
+
+  const receipt = await txManager.wait(pending);
+  if (receipt.status !== 1) {
+    // Someone else may have done it between the simulation and inclusion
+    if (await step.isDone()) {
+      stepLog.info('Done by another transaction', { step: step.label, txHash: receipt.hash });
+      return false;
+    }
+    throw new Error(`${step.label} reverted in ${receipt.hash}`);
+  }
+  stepLog.info('Confirmed', { step: step.label, txHash: receipt.hash, block: receipt.blockNumber });
+  return true;
+}
+
+async function registerPair(pair) {
+  const pairLog = log.child({ pair: pair.pair, token: pair.token });
+
+  if (!pair.inLens) {
+    await runStep({
+      label: 'LensLite.addPair',
+      isDone: () => lensLite.isPair(pair.pair),
+      method: lensLite.addPair,
+      args: [pair.pair],
+      doneReason: 'ALREADY_ADDED'
+    }, pairLog);
+  }
+
+  if (!pair.market && CONFIG.CREATE_MARKETS) {
+    await runStep({
+      label: 'LendingFactory.createLendingMarket',
+      isDone: async () => (await lendingFactory.collateralVaults(pair.pair)) !== ethers.ZeroAddress,
+      method: lendingFactory.createLendingMarket,
+      args: [pair.pair],
+      doneReason: 'MarketExists'
+    }, pairLog);
+  }
+}
+
+// One pass over launched pairs; pairs are independent, so one failing does
+// not stop the rest. Shutdown is checked between pairs.
+async function runTick({ tick, stopping }) {
+  log.info('Tick', { tick });
+
+  const pairs = (await discovery.refresh()).filter(pair => pair.launched);
+  const todo = pairs.filter(pair => !pair.inLens || (!pair.market && CONFIG.CREATE_MARKETS));
+  log.info('Found launched pairs', { count: pairs.length, toRegister: todo.length });
+
+  let failures = 0;
+  for (const pair of todo) {
+    if (stopping()) break;
+    try {
+      await registerPair(pair);
+    } catch (error) {
+      failures++;
+      log.error('Error registering pair', { pair: pair.pair, err: error });
+    }
+  }
+  if (failures > 0) throw new Error(`${failures} of ${todo.length} pairs failed to register`);
+}
+
+async function runRegistrar() {
+  if (!lensLite || !lendingFactory) throw new Error('LensLite and LendingFactory addresses are required');
+
+  log.info('Starting Osito V5 Pair Registrar', {
+    chainId: CONFIG.CHAIN_ID,
+    sender: wallet.address,
+    lensLite: osito.profile.addresses.LensLite,
+    lendingFactory: osito.profile.addresses.LendingFactory,
+    createMarkets: CONFIG.CREATE_MARKETS,
+    pairCache: discovery.file,
+    mode: CONFIG.ONCE ? 'single pass' : `polling every ${CONFIG.POLLING_INTERVAL / 1000}s`
+  });
+
+  const loop = createLoop(runTick, {
+    name: 'registrar',
+    intervalMs: CONFIG.POLLING_INTERVAL,
+    once: CONFIG.ONCE,
+    onError: error => log.error('Tick failed', { err: error.message })
+  });
+  const removeSignalHandlers = handleShutdownSignals(loop, 'registrar');
+
+  // Finish whatever a previous run left in flight before sending more
+  await txManager.resumePending();
+
+  const failures = await loop.run();
+  removeSignalHandlers();
+  osito.provider.destroy();
+
+  log.info('Registrar stopped');
+  if (CONFIG.ONCE && failures > 0) process.exitCode = 1;
+}
+
+runRegistrar().catch(error => {
+  log.error('Fatal error', error);
+  process.exit(1);
+});
@@ -1,32 +1,18 @@
 const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env.testnet') });
+const { connect, loadProfile } = require('./lib/osito');
+const { resolveAddress } = require('./lib/addresses');
+const { createLogger } = require('./lib/logger');
+
+const log = createLogger('fee-analysis');
+// CHOP was launched on the berachain-bepolia deployment
+const osito = connect(loadProfile(undefined, { deployment: 'berachain-bepolia' }));
 
 // Configuration
 const CONFIG = {
-  RPC_URL: process.env.RPC_URL,
-  PRIVATE_KEY: process.env.PRIVATE_KEY,
-  PAIR_ADDRESS: '0x45b0A2EE6d3F91584647D3ac8B94A50bf456F69C',
-  FEE_ROUTER: '0xD42c1CA2875bdebBd0b657726E26Fb5b57ebe6AB'
-};
-
-// Load ABIs
-const loadABI = (contractName) => {
-  const abiPath = path.join(__dirname, '..', 'out', `${contractName}.sol`, `${contractName}.json`);
-  const artifact = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
-  return artifact.abi;
+  PAIR_ADDRESS: resolveAddress(osito.profile.chainId, 'CHOP', osito.profile.deployment),
+  FEE_ROUTER: resolveAddress(osito.profile.chainId, 'CHOP.feeRouter', osito.profile.deployment)
 };
 
-// Initialize provider and wallet
-const provider = new ethers.JsonRpcProvider(CONFIG.RPC_URL);
-const wallet = new ethers.Wallet(CONFIG.PRIVATE_KEY, provider);
-
-// Contract ABIs
-const PAIR_ABI = loadABI('OsitoPair');
-const TOKEN_ABI = loadABI('OsitoToken');
-const FEE_ROUTER_ABI = loadABI('FeeRouter');
-
 async function captureState(pair, label) {
   const [reserve0, reserve1] = await pair.getReserves();
   const tokIsToken0 = await pair.tokIsToken0();
@@ -36,7 +22,7 @@ async function captureState(pair, label) {
   const tokAddr = tokIsToken0 ? token0 : token1;
   const qtAddr = tokIsToken0 ? token1 : token0;
   
-  const tokContract = new ethers.Contract(tokAddr, TOKEN_ABI, provider);
+  const tokContract = osito.token(tokAddr);
   const tokSupply = await tokContract.totalSupply();
   
   const rTok = tokIsToken0 ? reserve0 : reserve1;
@@ -50,17 +36,17 @@ async function captureState(pair, label) {
   const kLast = await pair.kLast();
   const currentK = reserve0 * reserve1;
   
-  console.log(`\n📊 ${label}:`);
-  console.log('  Reserves:');
-  console.log(`    TOK: ${ethers.formatEther(rTok)}`);
-  console.log(`    QT:  ${ethers.formatEther(rQt)}`);
-  console.log(`  Spot Price: ${ethers.formatEther(spotPrice)} QT/TOK`);
-  console.log(`  TOK Supply: ${ethers.formatEther(tokSupply)}`);
-  console.log(`  Market Cap: ${ethers.formatEther(marketCap)} QT`);
-  console.log(`  LP Supply: ${ethers.formatEther(totalLpSupply)}`);
-  console.log(`  FeeRouter LP: ${ethers.formatEther(feeRouterLp)}`);
-  console.log(`  Current K: ${currentK}`);
-  console.log(`  K Last: ${kLast}`);
+  log.info(label, {
+    reserveTok: ethers.formatEther(rTok),
+    reserveQt: ethers.formatEther(rQt),
+    spotPrice: ethers.formatEther(spotPrice),
+    tokSupply: ethers.formatEther(tokSupply),
+    marketCap: ethers.formatEther(marketCap),
+    lpSupply: ethers.formatEther(totalLpSupply),
+    feeRouterLp: ethers.formatEther(feeRouterLp),
+    k: currentK,
+    kLast
+  });
   
   return {
     rTok,
@@ -78,23 +64,20 @@ async function captureState(pair, label) {
 }
 
 async function simulateFeeCollection() {
-  console.log('🔬 RIGOROUS FEE COLLECTION ANALYSIS');
-  console.log('=====================================\n');
-  
-  const pair = new ethers.Contract(CONFIG.PAIR_ADDRESS, PAIR_ABI, wallet);
-  const feeRouter = new ethers.Contract(CONFIG.FEE_ROUTER, FEE_ROUTER_ABI, wallet);
+  const pair = osito.pair(CONFIG.PAIR_ADDRESS);
+  const feeRouter = osito.feeRouter(CONFIG.FEE_ROUTER);
   
   // Capture initial state
   const beforeState = await captureState(pair, 'BEFORE Fee Collection');
   
   // Check if there are fees to collect
   if (beforeState.currentK <= beforeState.kLast) {
-    console.log('\n⚠️  No K growth, no fees to collect');
+    log.warn('No K growth, no fees to collect');
     return;
   }
   
   const kGrowth = ((beforeState.currentK - beforeState.kLast) * 10000n) / beforeState.kLast;
-  console.log(`\n📈 K Growth: ${Number(kGrowth) / 100}%`);
+  log.info('K growth', { kGrowthPct: Number(kGrowth) / 100 });
   
   // Calculate expected LP mint using contract formula
   const rootK = sqrt(beforeState.currentK);
@@ -106,8 +89,6 @@ async function simulateFeeCollection() {
     const oneSixth = numerator / denominator;
     const expectedLpMint = oneSixth * 54n / 10n; // 90% of fees
     
-    console.log(`\n🧮 Expected LP Mint: ${ethers.formatEther(expectedLpMint)}`);
-    
     // Calculate what will be removed from reserves
     const newTotalLp = beforeState.totalLpSupply + expectedLpMint;
     const lpPercent = expectedLpMint * 10000n / newTotalLp;
@@ -115,9 +96,12 @@ async function simulateFeeCollection() {
     const tokToRemove = beforeState.rTok * expectedLpMint / newTotalLp;
     const qtToRemove = beforeState.rQt * expectedLpMint / newTotalLp;
     
-    console.log(`\n⚠️  Expected Reserve Removal:`);
-    console.log(`    TOK: ${ethers.formatEther(tokToRemove)} (${Number(lpPercent)/100}% of reserves)`);
-    console.log(`    QT:  ${ethers.formatEther(qtToRemove)} (${Number(lpPercent)/100}% of reserves)`);
+    log.info('Expected LP mint and reserve removal', {
+      lpMinted: ethers.formatEther(expectedLpMint),
+      tokRemoved: ethers.formatEther(tokToRemove),
+      qtRemoved: ethers.formatEther(qtToRemove),
+      reservesRemovedPct: Number(lpPercent) / 100
+    });
     
     const newRTok = beforeState.rTok - tokToRemove;
     const newRQt = beforeState.rQt - qtToRemove;
@@ -125,60 +109,55 @@ async function simulateFeeCollection() {
     const newTokSupply = beforeState.tokSupply - tokToRemove; // TOK gets burned
     const newMarketCap = newSpotPrice * newTokSupply / 10n**18n;
     
-    console.log(`\n📊 PREDICTED After Fee Collection:`);
-    console.log('  Reserves:');
-    console.log(`    TOK: ${ethers.formatEther(newRTok)}`);
-    console.log(`    QT:  ${ethers.formatEther(newRQt)}`);
-    console.log(`  Spot Price: ${ethers.formatEther(newSpotPrice)} QT/TOK`);
-    console.log(`  TOK Supply: ${ethers.formatEther(newTokSupply)}`);
-    console.log(`  Market Cap: ${ethers.formatEther(newMarketCap)} QT`);
+    log.info('PREDICTED after fee collection', {
+      reserveTok: ethers.formatEther(newRTok),
+      reserveQt: ethers.formatEther(newRQt),
+      spotPrice: ethers.formatEther(newSpotPrice),
+      tokSupply: ethers.formatEther(newTokSupply),
+      marketCap: ethers.formatEther(newMarketCap)
+    });
     
     // Calculate the ACTUAL price change
     const priceRatioBefore = beforeState.rQt * 10000n / beforeState.rTok;
     const priceRatioAfter = newRQt * 10000n / newRTok;
     const priceChange = priceRatioBefore > 0n ? ((priceRatioAfter - priceRatioBefore) * 10000n) / priceRatioBefore : 0n;
     
-    console.log(`\n🎯 CRITICAL ANALYSIS:`);
-    console.log(`  Price Ratio Before: ${priceRatioBefore}`);
-    console.log(`  Price Ratio After: ${priceRatioAfter}`);
-    console.log(`  Price Change: ${Number(priceChange) / 100}%`);
-    console.log(`  Market Cap Change: ${ethers.formatEther(newMarketCap - beforeState.marketCap)} QT`);
+    log.info('Critical analysis', {
+      priceRatioBefore,
+      priceRatioAfter,
+      priceChangePct: Number(priceChange) / 100,
+      marketCapChange: ethers.formatEther(newMarketCap - beforeState.marketCap)
+    });
     
     if (Math.abs(Number(priceChange)) < 1) {
-      console.log(`\n✅ Price ratio remains virtually unchanged (< 0.01% change)`);
-      console.log(`   This confirms UniV2 behavior: removing liquidity proportionally doesn't change price`);
-      console.log(`\n⚠️  BUT: Market cap still decreases because:`);
-      console.log(`   1. Spot price stays ~same`);
-      console.log(`   2. TOK supply decreases from burning`);
-      console.log(`   3. Market Cap = price × supply, so MC decreases!`);
+      // UniV2 behavior: removing liquidity proportionally doesn't change price,
+      // but market cap = price x supply and the supply shrinks by the burn
+      log.info('Price ratio virtually unchanged (< 0.01%), but market cap still decreases as TOK supply is burned');
     }
   }
   
-  console.log('\n---\nExecuting actual fee collection...\n');
-  
   // Actually collect fees
   try {
     const tx = await feeRouter.collectFees({ gasLimit: 500000 });
-    console.log(`Transaction: ${tx.hash}`);
+    log.info('Executing actual fee collection', { txHash: tx.hash });
     const receipt = await tx.wait();
-    console.log(`Confirmed in block ${receipt.blockNumber}`);
+    log.info('Confirmed', { txHash: receipt.hash, block: receipt.blockNumber });
     
     // Capture state after
     const afterState = await captureState(pair, 'ACTUAL After Fee Collection');
     
     // Compare
-    console.log('\n📊 COMPARISON:');
-    console.log(`  Reserve TOK Change: ${ethers.formatEther(afterState.rTok - beforeState.rTok)}`);
-    console.log(`  Reserve QT Change: ${ethers.formatEther(afterState.rQt - beforeState.rQt)}`);
-    console.log(`  Spot Price Change: ${ethers.formatEther(afterState.spotPrice - beforeState.spotPrice)}`);
-    console.log(`  TOK Supply Change: ${ethers.formatEther(afterState.tokSupply - beforeState.tokSupply)}`);
-    console.log(`  Market Cap Change: ${ethers.formatEther(afterState.marketCap - beforeState.marketCap)}`);
-    
     const actualPriceChange = ((afterState.spotPrice - beforeState.spotPrice) * 10000n) / beforeState.spotPrice;
-    console.log(`  Actual Price Change: ${Number(actualPriceChange) / 100}%`);
-    
+    log.info('Comparison', {
+      reserveTokChange: ethers.formatEther(afterState.rTok - beforeState.rTok),
+      reserveQtChange: ethers.formatEther(afterState.rQt - beforeState.rQt),
+      spotPriceChange: ethers.formatEther(afterState.spotPrice - beforeState.spotPrice),
+      tokSupplyChange: ethers.formatEther(afterState.tokSupply - beforeState.tokSupply),
+      marketCapChange: ethers.formatEther(afterState.marketCap - beforeState.marketCap),
+      priceChangePct: Number(actualPriceChange) / 100
+    });
   } catch (error) {
-    console.error('Fee collection failed:', error.message);
+    log.error('Fee collection failed', error);
   }
 }
 
@@ -196,4 +175,4 @@ function sqrt(value) {
   return z;
 }
 
-simulateFeeCollection().catch(console.error);
\ No newline at end of file
+simulateFeeCollection().catch(error => log.error('Failed', error));
\ No newline at end of file
@@ -1,49 +1,37 @@
 const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env.testnet') });
+const { connect } = require('./lib/osito');
+const { parseNetworkArgs } = require('./lib/networks');
+const { describeError } = require('./lib/receipts');
+const { createLogger } = require('./lib/logger');
 
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-
-const loadABI = (contractName) => {
-  const abiPath = path.join(__dirname, '..', 'out', `${contractName}.sol`, `${contractName}.json`);
-  const artifact = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
-  return artifact.abi;
-};
+// Usage: node scripts/simulate-collect-fees.js [feeRouter] [--network <name>]
+// Runs collectFees() as a static call and decodes the revert, if any
+// (default: FEE_ROUTER from the env file).
+const { args } = parseNetworkArgs();
+const log = createLogger('simulate-collect-fees');
+const osito = connect(undefined, { readOnly: true });
 
 async function simulateCollectFees() {
-  console.log('=== Simulating collectFees() ===\n');
-  
-  const feeRouterABI = loadABI('FeeRouter');
-  const feeRouter = new ethers.Contract(process.env.FEE_ROUTER, feeRouterABI, provider);
-  
+  const feeRouterAddress = args[0] || process.env.FEE_ROUTER;
+  const feeRouter = osito.feeRouter(feeRouterAddress);
+  const routerLog = log.child({ feeRouter: feeRouterAddress });
+
   // Also check LP balance
-  const pairABI = loadABI('OsitoPair');
-  const pair = new ethers.Contract(process.env.TOK_PAIR, pairABI, provider);
-  const lpBalance = await pair.balanceOf(process.env.FEE_ROUTER);
-  console.log('FeeRouter LP balance:', ethers.formatEther(lpBalance));
-  
+  const pair = osito.pair(await feeRouter.pair());
+  const lpBalance = await pair.balanceOf(feeRouterAddress);
+  routerLog.info('FeeRouter LP balance', { lp: ethers.formatEther(lpBalance) });
+
   try {
     // Simulate the call
     await feeRouter.collectFees.staticCall();
-    console.log('Simulation succeeded!');
+    routerLog.info('Simulation succeeded');
   } catch (error) {
-    console.error('Simulation failed:', error.message);
-    console.error('Reason:', error.reason);
-    console.error('Method:', error.method);
-    console.error('Error code:', error.code);
-    
-    if (error.data) {
-      console.error('\nError data:', error.data);
-      
-      // Try to decode revert reason
-      if (error.data.startsWith('0x08c379a0')) {
-        // Standard revert string
-        const reason = ethers.AbiCoder.defaultAbiCoder().decode(['string'], '0x' + error.data.slice(10));
-        console.error('Revert reason:', reason[0]);
-      }
-    }
+    routerLog.warn('Simulation failed', {
+      reason: describeError(error.data),
+      code: error.code,
+      data: error.data || null
+    });
   }
 }
 
-simulateCollectFees().catch(console.error);
\ No newline at end of file
+simulateCollectFees().catch(error => log.error('Failed', error));
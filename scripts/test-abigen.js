@@ -0,0 +1,138 @@
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { pathToFileURL } = require('url');
+const { ethers } = require('ethers');
+const { CONTRACTS, OUT_DIR, loadABI } = require('./lib/osito');
+const { abiHash } = require('./lib/abigen');
+
+// scripts/generate-abis.js end to end: builds the package from out/ into a
+// temp directory, then checks the ABI constants against the artifacts, that
+// the CommonJS and ESM entry points export the same thing and match
+// package.json, and the error selector table.
+// Run: node scripts/test-abigen.js (needs forge build output; skipped without it)
+
+// Generate into `dir`; returns the files as written
+function generate(dir, ...args) {
+  const result = spawnSync(process.execPath, [path.join(__dirname, 'generate-abis.js'), '--out', dir, ...args], { encoding: 'utf8' });
+  if (result.status !== 0) throw new Error(`generate-abis.js exited ${result.status}: ${result.stdout}${result.stderr}`);
+  return {
+    read: (file) => fs.readFileSync(path.join(dir, file), 'utf8'),
+    json: (file) => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')),
+    path: (file) => path.join(dir, file)
+  };
+}
+
+function checks(pkg, contracts) {
+  return [
+    ['package.json: entry points exist', () => {
+      const manifest = pkg.json('package.json');
+      const entry = manifest.exports['.'];
+      assert.strictEqual(manifest.name, '@osito/abis');
+      assert.strictEqual(manifest.main, './index.cjs');
+      assert.strictEqual(manifest.module, './index.mjs');
+      assert.strictEqual(manifest.types, './index.d.ts');
+      for (const file of [entry.require, entry.import, entry.types]) assert.ok(fs.existsSync(pkg.path(file)), `${file} missing`);
+    }],
+
+    ['version: 0.0.0-<abi hash> by default', () => {
+      const build = pkg.json('build.json');
+      assert.strictEqual(build.abiHash, abiHash(contracts));
+      assert.strictEqual(build.version, `0.0.0-${build.abiHash.slice(0, 12)}`);
+      assert.strictEqual(pkg.json('package.json').version, build.version);
+      assert.deepStrictEqual(build.contracts, CONTRACTS);
+    }],
+
+    ['index.cjs: ABI constants match the artifacts', () => {
+      const cjs = require(pkg.path('index.cjs'));
+      for (const name of CONTRACTS) {
+        assert.deepStrictEqual(cjs[`${name}Abi`], contracts[name], `${name}Abi`);
+        assert.strictEqual(cjs.abis[name], cjs[`${name}Abi`], `abis.${name}`);
+        assert.deepStrictEqual(pkg.json(`abi/${name}.json`), { contractName: name, abi: contracts[name] });
+      }
+    }],
+
+    ['index.mjs: same exports as index.cjs', async () => {
+      const esm = await import(pathToFileURL(pkg.path('index.mjs')).href);
+      const cjs = require(pkg.path('index.cjs'));
+      assert.deepStrictEqual(Object.keys(esm).sort(), Object.keys(cjs).sort());
+      for (const key of Object.keys(cjs)) assert.deepStrictEqual(esm[key], cjs[key], key);
+    }],
+
+    ['index.d.ts: declares every export', () => {
+      const types = pkg.read('index.d.ts');
+      for (const name of CONTRACTS) {
+        assert.ok(types.includes(`export declare const ${name}Abi:`), `${name}Abi`);
+        assert.ok(types.includes(`export interface ${name}Functions {`), `${name}Functions`);
+      }
+      assert.ok(types.includes('export declare const errorSelectors: Record<string, ErrorSelector>;'));
+    }],
+
+    ['errorSelectors: every custom error plus Error and Panic', () => {
+      const { errorSelectors } = require(pkg.path('index.cjs'));
+      assert.deepStrictEqual(pkg.json('errors.json'), errorSelectors);
+
+      assert.deepStrictEqual(errorSelectors['0x08c379a0'], { name: 'Error', signature: 'Error(string)', contracts: [] });
+      assert.deepStrictEqual(errorSelectors['0x4e487b71'], { name: 'Panic', signature: 'Panic(uint256)', contracts: [] });
+      for (const [name, abi] of Object.entries(contracts)) {
+        new ethers.Interface(abi).forEachError(fragment => {
+          const entry = errorSelectors[fragment.selector];
+          assert.ok(entry, `${name}: no selector for ${fragment.format('sighash')}`);
+          assert.strictEqual(entry.signature, fragment.format('sighash'));
+          assert.ok(entry.contracts.includes(name), `${fragment.name} not listed for ${name}`);
+        });
+      }
+      for (const [selector, entry] of Object.entries(errorSelectors)) {
+        assert.strictEqual(ethers.id(entry.signature).slice(0, 10), selector, entry.signature);
+      }
+    }],
+
+    ['--version, --name and --contracts', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'osito-abis-'));
+      try {
+        const subset = generate(dir, '--version', '1.2.3', '--name', '@test/abis', '--contracts', 'FeeRouter,OsitoPair');
+        assert.strictEqual(subset.json('package.json').version, '1.2.3');
+        assert.strictEqual(subset.json('package.json').name, '@test/abis');
+        assert.deepStrictEqual(Object.keys(require(subset.path('index.cjs')).abis), ['FeeRouter', 'OsitoPair']);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }]
+  ];
+}
+
+async function main() {
+  if (!fs.existsSync(OUT_DIR)) {
+    console.log(`SKIP  no forge build output at ${OUT_DIR} (run forge build)`);
+    return;
+  }
+  const contracts = Object.fromEntries(CONTRACTS.map(name => [name, loadABI(name)]));
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'osito-abis-'));
+  let failures = 0;
+
+  try {
+    const list = checks(generate(dir), contracts);
+    console.log(`=== ABI package (${list.length}) ===\n`);
+
+    for (const [name, check] of list) {
+      try {
+        await check();
+        console.log(`PASS  ${name}`);
+      } catch (error) {
+        failures++;
+        console.log(`FAIL  ${name}: ${error.message}`);
+      }
+    }
+    console.log(`\n${list.length - failures}/${list.length} passed`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  if (failures > 0) process.exit(1);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,201 @@
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { loadABI, loadArtifact } = require('./lib/osito');
+const { openIndexDb } = require('./lib/indexdb');
+const { createIndexer } = require('./lib/indexer');
+const { calculateAmountOut } = require('./lib/quote');
+const { RESOLUTIONS, pairCandles } = require('./lib/candles');
+const { connectTestChain, deployArtifact, deployLaunchpad, skipReason, startTestChain } = require('./lib/testchain');
+const { createLogger } = require('./lib/logger');
+
+// Golden test for lib/candles.js on a throwaway anvil chain: trades on two
+// pairs at fixed timestamps, then checks every candle at every resolution
+// against getReserves at the candle's close. One pair comes from the
+// launchpad (TOK is token0); the other is deployed by hand with WBERA as
+// token0, the ordering the subgraph prices the wrong way up. The launchpad
+// cannot create that ordering, so the test registers the hand-made pair in
+// the index as a launch before syncing; both go through pairCandles().
+// Run: node scripts/test-candles.js (needs anvil on PATH and forge build
+// output; skipped without them)
+const PORT = Number(process.env.ANVIL_PORT || 8548);
+const SUPPLY = ethers.parseEther('1000000');
+const LIQUIDITY = ethers.parseEther('1');
+// Seconds after the start of trading (a day boundary); chosen to leave empty
+// 1m, 5m, 1h and 1d buckets between trades
+const TRADES = [
+  { at: 5, buy: ethers.parseEther('0.2') },
+  { at: 30, buy: ethers.parseEther('0.05') },
+  { at: 65, sellShare: 2n },
+  { at: 200, buy: ethers.parseEther('0.5') },
+  { at: 610, sellShare: 3n },
+  { at: 4000, buy: ethers.parseEther('0.1') },
+  { at: 90000, sellShare: 2n },
+  { at: 90061, buy: ethers.parseEther('0.01') }
+];
+// Trading stops here; the chain head (and so the last candle) is later
+const END = 90500;
+
+async function deploy(wallet) {
+  const { wbera, launchpad } = await deployLaunchpad(wallet);
+
+  // TOK is token0
+  const launched = await (await launchpad.launchToken(
+    'Candle A', 'CNDA', SUPPLY, 'ipfs://CNDA', LIQUIDITY, 200, 30, ethers.parseEther('500000')
+  )).wait();
+  const { args } = launchpad.interface.parseLog(launched.logs.find(log => log.address === launchpad.target));
+
+  // WBERA is token0: the same construction as the launchpad, with the
+  // tokens the other way round
+  const tokB = await deployArtifact(loadArtifact('OsitoToken'), wallet, 'Candle B', 'CNDB', SUPPLY, 'ipfs://CNDB', wallet.address);
+  const pairB = await deployArtifact(loadArtifact('OsitoPair'), wallet, wbera.target, tokB.target, 200, 30, ethers.parseEther('500000'), false);
+  await (await tokB.transfer(pairB.target, SUPPLY)).wait();
+  await (await wbera.transfer(pairB.target, LIQUIDITY)).wait();
+  const minted = await (await pairB.mint(ethers.ZeroAddress)).wait();
+
+  return {
+    wbera,
+    launchpad,
+    pairs: [
+      { label: 'launchpad pair (TOK token0)', pair: args.pair, token: args.token, tokIsToken0: true },
+      { label: 'reversed pair (WBERA token0)', pair: pairB.target, token: tokB.target, tokIsToken0: false, block: minted.blockNumber }
+    ]
+  };
+}
+
+// Trade on the pair directly, sized with the router formula
+async function trade(wallet, wbera, entry, step) {
+  const pair = new ethers.Contract(entry.pair, loadABI('OsitoPair'), wallet);
+  const tok = new ethers.Contract(entry.token, loadABI('OsitoToken'), wallet);
+  const [[reserve0, reserve1], feeBps] = await Promise.all([pair.getReserves(), pair.currentFeeBps()]);
+  const [rTOK, rQT] = entry.tokIsToken0 ? [reserve0, reserve1] : [reserve1, reserve0];
+
+  const buy = step.buy !== undefined;
+  const amountIn = buy ? step.buy : (await tok.balanceOf(wallet.address)) / step.sellShare;
+  const amountOut = buy ? calculateAmountOut(amountIn, rQT, rTOK, feeBps) : calculateAmountOut(amountIn, rTOK, rQT, feeBps);
+  // TOK out on a buy, QT out on a sell
+  const tokOut = buy === entry.tokIsToken0;
+
+  await (await (buy ? wbera : tok).transfer(entry.pair, amountIn)).wait();
+  await (await pair.swap(tokOut ? amountOut : 0n, tokOut ? 0n : amountOut, wallet.address)).wait();
+  return buy ? amountIn : amountOut;
+}
+
+async function main() {
+  const skip = skipReason();
+  if (skip) {
+    console.log(`SKIP  ${skip}`);
+    return;
+  }
+  const chain = await startTestChain(PORT);
+  const { rpc, wallet } = chain;
+  let osito = null;
+  let index = null;
+
+  try {
+    const { wbera, launchpad, pairs } = await deploy(wallet);
+
+    const now = (await rpc.getBlock('latest')).timestamp;
+    const start = now - (now % RESOLUTIONS['1d']) + 2 * RESOLUTIONS['1d'];
+    const expected = new Map(pairs.map(entry => [entry.pair, { volume: 0n, swaps: 0 }]));
+    for (const step of TRADES) {
+      // Later blocks follow on from this timestamp; a step's transactions
+      // take far less than the gap to the next step
+      await rpc.send('anvil_setNextBlockTimestamp', [start + step.at]);
+      for (const entry of pairs) {
+        const totals = expected.get(entry.pair);
+        totals.volume += await trade(wallet, wbera, entry, step);
+        totals.swaps++;
+      }
+    }
+    await rpc.send('anvil_setNextBlockTimestamp', [start + END]);
+    await rpc.send('evm_mine', []);
+
+    // Index everything, all of it final
+    osito = connectTestChain(chain, 'anvil-candles-test', { OsitoLaunchpad: launchpad.target });
+    index = openIndexDb(':memory:', { chainId: osito.profile.chainId, startBlock: 0 });
+    // What the indexer would have stored for a TokenLaunched of the
+    // reversed pair: the pair is tracked from its first block on
+    const reversed = pairs.find(entry => !entry.tokIsToken0);
+    index.writeBatch({
+      nextBlock: index.nextBlock(),
+      blocks: [],
+      contracts: [{ address: reversed.pair, kind: 'pair', pair: reversed.pair, firstBlock: reversed.block }],
+      launches: [{
+        pair: reversed.pair,
+        token: reversed.token,
+        feeRouter: null,
+        tokIsToken0: false,
+        name: 'Candle B',
+        symbol: 'CNDB',
+        supply: SUPPLY,
+        metadataURI: 'ipfs://CNDB',
+        block: reversed.block
+      }],
+      markets: [],
+      events: []
+    });
+    const head = await rpc.getBlock('latest');
+    await createIndexer(osito, index, { confirmations: 0, logger: createLogger('test-candles', { level: 'warn' }) }).sync(head.number);
+
+    // Block timestamps, to find the block at each candle's close
+    const blocks = [];
+    for (let number = 0; number <= head.number; number++) blocks.push((await rpc.getBlock(number)).timestamp);
+    const closingBlock = (time) => {
+      let number = -1;
+      while (number + 1 < blocks.length && blocks[number + 1] <= time) number++;
+      return number;
+    };
+
+    console.log('=== Candle golden test (anvil) ===\n');
+
+    for (const entry of pairs) {
+      const pair = new ethers.Contract(entry.pair, loadABI('OsitoPair'), rpc);
+      // QT reserve located by token address, independently of tokIsToken0
+      const qtIsToken0 = (await pair.token0()) === wbera.target;
+      const prices = new Map();
+      const priceAt = async (blockTag) => {
+        if (!prices.has(blockTag)) {
+          const [reserve0, reserve1] = await pair.getReserves({ blockTag });
+          const [rQT, rTOK] = qtIsToken0 ? [reserve0, reserve1] : [reserve1, reserve0];
+          prices.set(blockTag, rQT * 10n ** 18n / rTOK);
+        }
+        return prices.get(blockTag);
+      };
+
+      assert.strictEqual(index.pair(entry.pair).tokIsToken0, entry.tokIsToken0, `${entry.label}: token order in the index`);
+
+      for (const [resolution, seconds] of Object.entries(RESOLUTIONS)) {
+        const candles = pairCandles(index, entry.pair, { resolution, toTime: head.timestamp });
+        assert.ok(candles.length > 0, `${resolution}: no candles`);
+        let previousClose = null;
+        for (const [i, candle] of candles.entries()) {
+          const where = `${entry.label} ${resolution} candle ${new Date(candle.timestamp * 1000).toISOString()}`;
+          if (i > 0) assert.strictEqual(candle.timestamp, candles[i - 1].timestamp + seconds, `${where}: gap not filled`);
+          assert.strictEqual(candle.close, await priceAt(closingBlock(candle.timestamp + seconds - 1)), `${where}: close`);
+          if (previousClose !== null) assert.strictEqual(candle.open, previousClose, `${where}: open`);
+          assert.ok(candle.low <= candle.open && candle.low <= candle.close, `${where}: low`);
+          assert.ok(candle.high >= candle.open && candle.high >= candle.close, `${where}: high`);
+          if (candle.swapCount === 0 && i > 0) assert.strictEqual(candle.high, candle.low, `${where}: empty candle moved`);
+          previousClose = candle.close;
+        }
+        assert.strictEqual(candles[candles.length - 1].timestamp, head.timestamp - (head.timestamp % seconds), `${resolution}: not filled to the head`);
+
+        const totals = expected.get(entry.pair);
+        assert.strictEqual(candles.reduce((sum, candle) => sum + candle.volume, 0n), totals.volume, `${resolution}: volume`);
+        assert.strictEqual(candles.reduce((sum, candle) => sum + candle.swapCount, 0), totals.swaps, `${resolution}: swapCount`);
+        console.log(`PASS  ${entry.label} ${resolution}: ${candles.length} candles`);
+      }
+    }
+
+    console.log('\nAll candle checks passed');
+  } finally {
+    if (index) index.close();
+    if (osito) osito.provider.destroy();
+    chain.stop();
+  }
+}
+
+main().catch(error => {
+  console.error(`FAIL  ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,45 @@
+const path = require('path');
+const collect = require('./lib/collect');
+
+// lib/collect.js against FeeRouter.collectFees() outcomes recorded on a
+// chain: the LP OsitoPair._mintFee minted to the router, the TOK burned and
+// the QT sent to the treasury, or the burn revert when a share rounds to 0.
+// Run: node scripts/test-collect-vectors.js (exits non-zero on any mismatch)
+const FIXTURE = path.join(__dirname, 'fixtures', 'collect-vectors.json');
+
+function runVector(vector) {
+  const prediction = collect.predictCollect(vector.state);
+  if (vector.reverts) {
+    return prediction.burnReverts ? null : `expected revert ${vector.reverts}, got a burn of ${prediction.lpBurned} LP`;
+  }
+  if (prediction.burnReverts) return `unexpected burn revert for ${prediction.lpBurned} LP`;
+
+  const mintFee = collect.predictMintFee(vector.state);
+  if (mintFee !== BigInt(vector.lpMinted)) return `predictMintFee: expected ${vector.lpMinted}, got ${mintFee}`;
+  for (const field of ['lpMinted', 'tokBurned', 'qtToTreasury']) {
+    if (prediction[field] !== BigInt(vector[field])) return `${field}: expected ${vector[field]}, got ${prediction[field]}`;
+  }
+  return null;
+}
+
+function main() {
+  const { vectors } = require(FIXTURE);
+  let failures = 0;
+
+  console.log(`=== FeeRouter.collectFees vectors (${vectors.length}) ===\n`);
+
+  for (const vector of vectors) {
+    const failure = runVector(vector);
+    if (failure) {
+      failures++;
+      console.log(`FAIL  ${vector.name}: ${failure}`);
+    } else {
+      console.log(`PASS  ${vector.name}: ${vector.reverts ? `reverts ${vector.reverts}` : `${vector.tokBurned} TOK burned, ${vector.qtToTreasury} QT`}`);
+    }
+  }
+
+  console.log(`\n${vectors.length - failures}/${vectors.length} passed`);
+  if (failures > 0) process.exit(1);
+}
+
+main();
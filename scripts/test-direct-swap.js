@@ -1,87 +1,70 @@
 const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env.testnet') });
+const { connect } = require('./lib/osito');
+const { parseNetworkArgs } = require('./lib/networks');
+const quote = require('./lib/quote');
+const { createTxManager } = require('./lib/txmanager');
+const { createLogger } = require('./lib/logger');
 
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-
-const loadABI = (contractName) => {
-  const abiPath = path.join(__dirname, '..', 'out', `${contractName}.sol`, `${contractName}.json`);
-  const artifact = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
-  return artifact.abi;
-};
+// Usage: node scripts/test-direct-swap.js [pair] [--network <name>]
+// Buys TOK by calling OsitoPair.swap directly, without the SwapRouter: wraps
+// BERA, sends the WBERA to the pair and swaps for the quoted amount
+// (default pair: TOK_PAIR).
+const { args } = parseNetworkArgs();
+const log = createLogger('test-direct-swap');
+const osito = connect();
+const { wallet } = osito;
+if (!wallet) throw new Error(`No PRIVATE_KEY for network ${osito.profile.name}`);
+const txManager = createTxManager(wallet);
 
 // Simple WBERA interface
 const WBERA_ABI = [
   "function deposit() payable",
-  "function approve(address spender, uint256 amount) returns (bool)",
   "function transfer(address to, uint256 amount) returns (bool)"
 ];
 
 async function testDirectSwap() {
-  console.log('=== Testing Direct Swap to Generate Fees ===\n');
-  
-  const pairABI = loadABI('OsitoPair');
-  const pair = new ethers.Contract(process.env.TOK_PAIR, pairABI, wallet);
-  const wbera = new ethers.Contract(process.env.WBERA_ADDRESS, WBERA_ABI, wallet);
-  
+  const pairAddress = args[0] || process.env.TOK_PAIR;
+  const pair = osito.pair(pairAddress);
+  const wbera = new ethers.Contract(osito.profile.addresses.WBERA, WBERA_ABI, wallet);
+  const pairLog = log.child({ pair: pairAddress });
+
   // Check initial state
-  const [r0, r1] = await pair.getReserves();
-  const kBefore = r0 * r1;
-  console.log('Initial reserves:');
-  console.log('TOK (r0):', ethers.formatEther(r0));
-  console.log('WBERA (r1):', ethers.formatEther(r1));
-  console.log('K before:', kBefore.toString());
-  
+  const state = await quote.fetchPairState(pair);
+  pairLog.info('Initial reserves', {
+    reserve0: ethers.formatEther(state.reserve0),
+    reserve1: ethers.formatEther(state.reserve1),
+    k: state.reserve0 * state.reserve1,
+    feeBps: state.feeBps
+  });
+
   // Swap amount
   const swapAmount = ethers.parseEther('0.0001');
-  
+  const { amountOut } = quote.quoteExactIn(state, swapAmount, false);
+
   try {
-    // 1. Wrap BERA to WBERA
-    console.log('\n1. Wrapping BERA to WBERA...');
-    const wrapTx = await wbera.deposit({ value: swapAmount });
-    await wrapTx.wait();
-    console.log('Wrapped successfully');
-    
-    // 2. Transfer WBERA to pair
-    console.log('\n2. Transferring WBERA to pair...');
-    const transferTx = await wbera.transfer(process.env.TOK_PAIR, swapAmount);
-    await transferTx.wait();
-    console.log('Transferred successfully');
-    
-    // 3. Calculate expected output (with fee)
-    const fee = await pair.currentFeeBps();
-    console.log('Current fee:', fee.toString(), 'bps');
-    
-    const amountInWithFee = swapAmount * (10000n - fee) / 10000n;
-    const numerator = amountInWithFee * r0;
-    const denominator = r1 + amountInWithFee;
-    const amountOut = numerator / denominator;
-    
-    console.log('\n3. Swapping...');
-    console.log('Expected TOK out:', ethers.formatEther(amountOut));
-    
-    // 4. Execute swap
-    const swapTx = await pair.swap(amountOut, 0n, wallet.address);
-    console.log('Swap transaction:', swapTx.hash);
-    const receipt = await swapTx.wait();
-    console.log('Swap successful!');
-    
+    // 1. Wrap BERA to WBERA, 2. transfer it to the pair
+    await txManager.sendAndWait(await wbera.deposit.populateTransaction({ value: swapAmount }), { label: 'wrap BERA' });
+    await txManager.sendAndWait(await wbera.transfer.populateTransaction(pairAddress, swapAmount), { label: 'transfer WBERA' });
+
+    // 3. Swap for the TOK side
+    pairLog.info('Swapping', { expectedTok: ethers.formatEther(amountOut) });
+    const [a0Out, a1Out] = state.tokIsToken0 ? [amountOut, 0n] : [0n, amountOut];
+    const receipt = await txManager.sendAndWait(await pair.swap.populateTransaction(a0Out, a1Out, wallet.address), { label: 'swap' });
+    pairLog.info('Swap confirmed', { txHash: receipt.hash });
+
     // Check K after
-    const [r0After, r1After] = await pair.getReserves();
+    const [[r0After, r1After], kLast] = await Promise.all([pair.getReserves(), pair.kLast()]);
     const kAfter = r0After * r1After;
-    const kLast = await pair.kLast();
-    
-    console.log('\nAfter swap:');
-    console.log('TOK (r0):', ethers.formatEther(r0After));
-    console.log('WBERA (r1):', ethers.formatEther(r1After));
-    console.log('K after:', kAfter.toString());
-    console.log('K last:', kLast.toString());
-    console.log('K growth:', ((kAfter - kLast) * 10000n / kLast).toString(), 'bps');
+    pairLog.info('After swap', {
+      reserve0: ethers.formatEther(r0After),
+      reserve1: ethers.formatEther(r1After),
+      k: kAfter,
+      kLast,
+      kGrowthBps: kLast > 0n ? (kAfter - kLast) * 10000n / kLast : null
+    });
   } catch (error) {
-    console.error('Error:', error.message);
+    pairLog.error('Direct swap failed', error);
   }
 }
 
-testDirectSwap().catch(console.error);
\ No newline at end of file
+testDirectSwap().catch(error => log.error('Failed', error));
@@ -1,62 +1,56 @@
 const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env.testnet') });
+const { connect } = require('./lib/osito');
+const { parseNetworkArgs } = require('./lib/networks');
+const { createTxManager } = require('./lib/txmanager');
+const { decodeReceipt, describeError } = require('./lib/receipts');
+const { createLogger } = require('./lib/logger');
 
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-
-const loadABI = (contractName) => {
-  const abiPath = path.join(__dirname, '..', 'out', `${contractName}.sol`, `${contractName}.json`);
-  const artifact = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
-  return artifact.abi;
-};
+// Usage: node scripts/test-fee-collection.js [feeRouter] [--network <name>]
+// Sends collectFees() and prints the decoded receipt (default: FEE_ROUTER).
+const { args } = parseNetworkArgs();
+const log = createLogger('test-fee-collection');
+const osito = connect();
+if (!osito.wallet) throw new Error(`No PRIVATE_KEY for network ${osito.profile.name}`);
+const txManager = createTxManager(osito.wallet);
 
 async function testFeeCollection() {
-  console.log('=== Testing Fee Collection ===\n');
-  
-  const feeRouterABI = loadABI('FeeRouter');
-  const pairABI = loadABI('OsitoPair');
-  
-  const feeRouter = new ethers.Contract(process.env.FEE_ROUTER, feeRouterABI, wallet);
-  const pair = new ethers.Contract(process.env.TOK_PAIR, pairABI, provider);
-  
-  // Check LP balance
-  const lpBalance = await pair.balanceOf(process.env.FEE_ROUTER);
-  console.log('FeeRouter LP balance:', ethers.formatEther(lpBalance));
-  
-  if (lpBalance === 0n) {
-    console.log('No LP balance to collect fees from');
-    return;
-  }
-  
+  const feeRouterAddress = args[0] || process.env.FEE_ROUTER;
+  const feeRouter = osito.feeRouter(feeRouterAddress);
+  const pair = osito.pair(await feeRouter.pair());
+  const routerLog = log.child({ feeRouter: feeRouterAddress });
+
   // Check K growth
-  const [r0, r1] = await pair.getReserves();
+  const [[r0, r1], kLast] = await Promise.all([pair.getReserves(), pair.kLast()]);
   const currentK = r0 * r1;
-  const kLast = await pair.kLast();
-  
-  console.log('\nCurrent K:', currentK.toString());
-  console.log('K Last:', kLast.toString());
-  console.log('K Growth:', ((currentK - kLast) * 100n / kLast).toString() + '%');
-  
+  routerLog.info('K values', {
+    k: currentK,
+    kLast,
+    kGrowthBps: kLast > 0n ? (currentK - kLast) * 10000n / kLast : null
+  });
+
+  if (currentK <= kLast) {
+    routerLog.info('No K growth since the last fee mint: nothing to collect');
+    return;
+  }
+
   try {
-    console.log('\nCalling collectFees()...');
-    const tx = await feeRouter.collectFees({ gasLimit: 500000 });
-    console.log('Transaction:', tx.hash);
-    
-    const receipt = await tx.wait();
-    console.log('Status:', receipt.status === 1 ? 'SUCCESS' : 'FAILED');
-    console.log('Gas used:', receipt.gasUsed.toString());
-    
-    // Parse logs
-    for (const log of receipt.logs) {
-      console.log('\nLog:', log);
-    }
+    const receipt = await txManager.sendAndWait(
+      await feeRouter.collectFees.populateTransaction({ gasLimit: 500000 }),
+      { label: 'collectFees' }
+    );
+    const summary = decodeReceipt(receipt);
+    routerLog.info('Fees collected', {
+      txHash: receipt.hash,
+      gasUsed: receipt.gasUsed,
+      feesCollected: summary.feesCollected.map(fees => ({
+        tokBurned: ethers.formatEther(fees.tokBurned),
+        qtCollected: ethers.formatEther(fees.qtCollected)
+      })),
+      events: summary.events.map(event => event.name)
+    });
   } catch (error) {
-    console.error('\nError:', error.message);
-    console.error('Reason:', error.reason);
-    console.error('Data:', error.data);
+    routerLog.error('collectFees failed', { reason: describeError(error.data), error: error.message });
   }
 }
 
-testFeeCollection().catch(console.error);
\ No newline at end of file
+testFeeCollection().catch(error => log.error('Failed', error));
@@ -0,0 +1,133 @@
+const assert = require('node:assert');
+const path = require('path');
+const fees = require('./lib/fees');
+
+// lib/fees.js against OsitoPair.currentFeeBps() read from pairs deployed on
+// a chain (start, midpoint, at and past feeDecayTarget, feeDecayTarget == 0
+// and the start < end underflow), then projectFeeDecay() against a fixed
+// FeesCollected history with hand-computed velocities.
+// Run: node scripts/test-fees-vectors.js (exits non-zero on any mismatch)
+const FIXTURE = path.join(__dirname, 'fixtures', 'fees-vectors.json');
+
+const WAD = 10n ** 18n;
+const DAY = 86400;
+const NOW = 1000000;
+
+// 40M of the 100M decay target burned: fee 100 - 70 * 40 / 100 = 72 bps
+const PARAMS = { startFeeBps: 100n, endFeeBps: 30n, feeDecayTarget: 100000000n * WAD, initialSupply: 1000000000n * WAD };
+const SUPPLY = PARAMS.initialSupply - 40000000n * WAD;
+const HISTORY = [
+  { timestamp: NOW - 3 * DAY, tokBurned: 10000000n * WAD },
+  { timestamp: NOW + 100, tokBurned: 1000000n * WAD }, // after `now`, ignored
+  { timestamp: NOW - 3600, tokBurned: 5000000n * WAD },
+  { timestamp: 100000, tokBurned: 20000000n * WAD },
+  { timestamp: NOW - DAY, tokBurned: 5000000n * WAD }
+];
+
+function runVector(vector) {
+  try {
+    const feeBps = fees.currentFeeBps(vector.params, vector.totalSupply);
+    if (vector.reverts) return `expected revert ${vector.reverts}, got ${feeBps}`;
+    if (feeBps !== BigInt(vector.feeBps)) return `expected ${vector.feeBps}, got ${feeBps}`;
+  } catch (error) {
+    if (!error.reason) throw error;
+    if (error.reason !== vector.reverts) return `unexpected revert ${error.reason}`;
+  }
+  return null;
+}
+
+const projections = [
+  ['projectFeeDecay: all history up to now', () => {
+    // 40M burned since t=100000, 900000s ago; 60M left
+    const projection = fees.projectFeeDecay(PARAMS, SUPPLY, HISTORY, { now: NOW });
+    assert.strictEqual(projection.feeBps, 72n);
+    assert.strictEqual(projection.burned, 40000000n * WAD);
+    assert.strictEqual(projection.remaining, 60000000n * WAD);
+    assert.strictEqual(projection.progressBps, 4000n);
+    assert.strictEqual(projection.samples, 4);
+    assert.strictEqual(projection.burnedPerDay, 3840000n * WAD);
+    assert.strictEqual(projection.secondsToEndFee, 1350000);
+    assert.strictEqual(projection.endFeeAt, NOW + 1350000);
+  }],
+
+  ['projectFeeDecay: 3-day window', () => {
+    // 20M burned in the last 259200s: 60M takes three times as long
+    const projection = fees.projectFeeDecay(PARAMS, SUPPLY, HISTORY, { now: NOW, window: 3 * DAY });
+    assert.strictEqual(projection.samples, 3);
+    assert.strictEqual(projection.burnedPerDay, 20000000n * WAD / 3n);
+    assert.strictEqual(projection.secondsToEndFee, 777600);
+  }],
+
+  ['projectFeeDecay: history order does not matter', () => {
+    const sorted = [...HISTORY].sort((a, b) => a.timestamp - b.timestamp);
+    assert.deepStrictEqual(
+      fees.projectFeeDecay(PARAMS, SUPPLY, [...sorted].reverse(), { now: NOW }),
+      fees.projectFeeDecay(PARAMS, SUPPLY, sorted, { now: NOW })
+    );
+  }],
+
+  ['projectFeeDecay: seconds to end fee round up', () => {
+    // 3 TOK over 2s, 10 TOK left: 6.67s -> 7s
+    const params = { ...PARAMS, feeDecayTarget: 10n, initialSupply: 100n };
+    const history = [{ timestamp: NOW - 2, tokBurned: 3n }];
+    assert.strictEqual(fees.projectFeeDecay(params, 100n, history, { now: NOW }).secondsToEndFee, 7);
+  }],
+
+  ['projectFeeDecay: no velocity without history or elapsed time', () => {
+    for (const history of [[], [{ timestamp: NOW, tokBurned: WAD }]]) {
+      const projection = fees.projectFeeDecay(PARAMS, SUPPLY, history, { now: NOW });
+      assert.strictEqual(projection.burnedPerDay, 0n);
+      assert.strictEqual(projection.secondsToEndFee, null);
+      assert.strictEqual(projection.endFeeAt, null);
+    }
+  }],
+
+  ['projectFeeDecay: already past feeDecayTarget', () => {
+    const projection = fees.projectFeeDecay(PARAMS, PARAMS.initialSupply - 150000000n * WAD, HISTORY, { now: NOW });
+    assert.strictEqual(projection.feeBps, 30n);
+    assert.strictEqual(projection.remaining, 0n);
+    assert.strictEqual(projection.progressBps, 10000n);
+    assert.strictEqual(projection.secondsToEndFee, 0);
+    assert.strictEqual(projection.endFeeAt, NOW);
+  }],
+
+  ['projectFeeDecay: feeDecayTarget == 0', () => {
+    const projection = fees.projectFeeDecay({ ...PARAMS, feeDecayTarget: 0n }, PARAMS.initialSupply, [], { now: NOW });
+    assert.strictEqual(projection.feeBps, 30n);
+    assert.strictEqual(projection.progressBps, 10000n);
+    assert.strictEqual(projection.secondsToEndFee, 0);
+  }]
+];
+
+function main() {
+  const { vectors } = require(FIXTURE);
+  const total = vectors.length + projections.length;
+  let failures = 0;
+
+  console.log(`=== Fee decay vectors (${total}) ===\n`);
+
+  for (const vector of vectors) {
+    const failure = runVector(vector);
+    if (failure) {
+      failures++;
+      console.log(`FAIL  ${vector.name}: ${failure}`);
+    } else {
+      console.log(`PASS  ${vector.name}: ${vector.reverts ? `reverts ${vector.reverts}` : `${vector.feeBps} bps`}`);
+    }
+  }
+
+  for (const [name, check] of projections) {
+    try {
+      check();
+      console.log(`PASS  ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`FAIL  ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${total - failures}/${total} passed`);
+  if (failures > 0) process.exit(1);
+}
+
+main();
@@ -0,0 +1,186 @@
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { openIndexDb } = require('./lib/indexdb');
+const { createIndexer } = require('./lib/indexer');
+const { connectTestChain, deployLaunchpad, skipReason, startTestChain } = require('./lib/testchain');
+const { createLogger } = require('./lib/logger');
+
+// Reorg handling of the event indexer (lib/indexer.js) against a throwaway
+// anvil chain. Reorgs are forced with evm_snapshot / evm_revert: revert to a
+// snapshot, then mine a different chain on top of it. The launchpad deploys
+// with CREATE, so a launch on the replacement chain gets the address the
+// reorged-out one had: launches are told apart by symbol and transaction.
+// Run: node scripts/test-indexer-reorg.js (needs anvil on PATH and forge build
+// output; skipped without them)
+const PORT = Number(process.env.ANVIL_PORT || 8547);
+const CONFIRMATIONS = 2;
+// Small chunks, so a sync spans several ranges
+const CHUNK_SIZE = 3;
+
+async function main() {
+  const skip = skipReason();
+  if (skip) {
+    console.log(`SKIP  ${skip}`);
+    return;
+  }
+  const chain = await startTestChain(PORT);
+  const { rpc } = chain;
+  let osito = null;
+  let index = null;
+
+  try {
+    const { launchpad } = await deployLaunchpad(chain.wallet);
+
+    // Launch transaction hash by symbol
+    const launchTx = new Map();
+    const launch = async (symbol) => {
+      const tx = await launchpad.launchToken(
+        `Reorg ${symbol}`, symbol, ethers.parseEther('1000000'), `ipfs://${symbol}`,
+        ethers.parseEther('0.001'), 200, 30, ethers.parseEther('500000')
+      );
+      const receipt = await tx.wait();
+      launchTx.set(symbol, receipt.hash);
+      return launchpad.interface.parseLog(receipt.logs.find(log => log.address === launchpad.target)).args.pair;
+    };
+    const mine = (blocks) => rpc.send('anvil_mine', [ethers.toQuantity(blocks)]);
+    const snapshot = () => rpc.send('evm_snapshot', []);
+    const revert = async (id) => assert.strictEqual(await rpc.send('evm_revert', [id]), true);
+
+    osito = connectTestChain(chain, 'anvil-reorg-test', { OsitoLaunchpad: launchpad.target });
+    index = openIndexDb(':memory:', { chainId: osito.profile.chainId, startBlock: 0 });
+    const indexer = createIndexer(osito, index, {
+      chunkSize: CHUNK_SIZE,
+      confirmations: CONFIRMATIONS,
+      logger: createLogger('test-indexer-reorg', { level: 'warn' })
+    });
+    const sync = async () => indexer.sync(await rpc.getBlockNumber());
+    // Runs a hook once, right after the next eth_getLogs answered
+    let afterGetLogs = null;
+    const getLogs = osito.provider.getLogs.bind(osito.provider);
+    osito.provider.getLogs = async (filter) => {
+      const logs = await getLogs(filter);
+      const hook = afterGetLogs;
+      afterGetLogs = null;
+      if (hook) await hook();
+      return logs;
+    };
+    const indexed = (pair) => index.pair(pair) !== null;
+    const eventsOf = (pair) => index.events({ address: pair });
+    const symbolOf = (pair) => (index.pair(pair) || {}).symbol;
+    // Events of a launch's transaction, wherever they were emitted
+    const eventsOfLaunch = (symbol) => index.events().filter(event => event.txHash === launchTx.get(symbol));
+
+    // Every stored block must still be on the chain
+    const assertCanonical = async () => {
+      for (const stored of index.blocksAbove(-1)) {
+        const block = await rpc.getBlock(stored.number);
+        assert.strictEqual(stored.hash, block.hash, `stored block ${stored.number} is not canonical`);
+      }
+      assert.strictEqual(index.nextBlock(), await rpc.getBlockNumber() + 1);
+    };
+
+    console.log('=== Indexer reorg handling (anvil) ===\n');
+
+    // 1. Plain sync
+    const pairA = await launch('A');
+    await mine(2);
+    let result = await sync();
+    assert.strictEqual(result.reorgs, 0);
+    assert.ok(indexed(pairA), 'pair A indexed');
+    assert.ok(eventsOf(pairA).length > 0, 'pair A events indexed');
+    await assertCanonical();
+    console.log('PASS  initial sync indexes launch A');
+
+    // 2. Replace the tip with a longer chain: B is reorged out, C replaces it
+    const beforeB = await snapshot();
+    const pairB = await launch('B');
+    await mine(1);
+    await sync();
+    assert.strictEqual(symbolOf(pairB), 'B', 'pair B indexed before the reorg');
+
+    await revert(beforeB);
+    const pairC = await launch('C');
+    await mine(3);
+    result = await sync();
+    assert.strictEqual(result.reorgs, 1);
+    assert.ok(index.pairs().every(pair => pair.symbol !== 'B'), 'pair B rolled back');
+    assert.strictEqual(eventsOfLaunch('B').length, 0, 'pair B events rolled back');
+    assert.strictEqual(symbolOf(pairC), 'C', 'pair C indexed');
+    assert.ok(eventsOfLaunch('C').length > 0, 'pair C events indexed');
+    assert.strictEqual(symbolOf(pairA), 'A', 'pair A kept');
+    await assertCanonical();
+    console.log('PASS  reorg onto a longer chain rolls back B and indexes C');
+
+    // 3. Replace the tip with a shorter chain: the head ends up below the
+    //    index checkpoint
+    const beforeD = await snapshot();
+    await mine(1);
+    const pairD = await launch('D');
+    await sync();
+    assert.strictEqual(symbolOf(pairD), 'D', 'pair D indexed before the reorg');
+
+    await revert(beforeD);
+    await mine(1);
+    result = await sync();
+    assert.strictEqual(result.reorgs, 1);
+    assert.ok(!indexed(pairD), 'pair D rolled back');
+    assert.strictEqual(eventsOfLaunch('D').length, 0, 'pair D events rolled back');
+    await assertCanonical();
+    console.log('PASS  reorg onto a shorter chain rolls back D');
+
+    // 4. A reorg between eth_getLogs and the block reads: the logs come from
+    //    empty blocks that are then replaced by a launch, so no log hash
+    //    gives it away; the range's last block hash does
+    const beforeF = await snapshot();
+    await mine(2);
+    const head = await rpc.getBlockNumber();
+    let pairF = null;
+    afterGetLogs = async () => {
+      await revert(beforeF);
+      pairF = await launch('F');
+      await mine(head - await rpc.getBlockNumber());
+    };
+    result = await indexer.sync(head);
+    assert.ok(pairF, 'reorg happened during the sync');
+    assert.strictEqual(symbolOf(pairF), 'F', 'pair F indexed after the retry');
+    assert.ok(eventsOfLaunch('F').length > 0, 'pair F events indexed');
+    await assertCanonical();
+    console.log('PASS  reorg between getLogs and the block reads is retried');
+
+    // 5. Only blocks CONFIRMATIONS below the head are final
+    const beforeE = await snapshot();
+    const pairE = await launch('E');
+    await sync();
+    const launchBlockE = index.pair(pairE).launchBlock;
+    assert.strictEqual(index.finalBlock(), await rpc.getBlockNumber() - CONFIRMATIONS);
+    assert.ok(index.finalBlock() < launchBlockE, 'E not final yet');
+    assert.strictEqual(index.events({ address: pairE, confirmed: true }).length, 0);
+    assert.ok(index.events({ confirmed: true }).every(event => event.block <= index.finalBlock()));
+
+    await mine(CONFIRMATIONS);
+    await sync();
+    assert.ok(index.finalBlock() >= launchBlockE, 'E final after confirmations');
+    assert.strictEqual(index.events({ address: pairE, confirmed: true }).length, eventsOf(pairE).length);
+    console.log('PASS  confirmed events stop at the confirmation depth');
+
+    // 6. A reorg below the final block is refused, and nothing is dropped
+    await revert(beforeE);
+    await mine(CONFIRMATIONS + 5);
+    const nextBlock = index.nextBlock();
+    await assert.rejects(sync(), /Reorg deeper than/);
+    assert.ok(indexed(pairE), 'final data kept');
+    assert.strictEqual(index.nextBlock(), nextBlock);
+    console.log('PASS  reorg deeper than the confirmation depth throws');
+
+    console.log('\nAll reorg checks passed');
+  } finally {
+    if (index) index.close();
+    if (osito) osito.provider.destroy();
+    chain.stop();
+  }
+}
+
+main().catch(error => {
+  console.error(`FAIL  ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,42 @@
+const path = require('path');
+const math = require('./lib/math');
+
+// lib/math.js against values read from the contracts: Solady
+// FixedPointMathLib.mulDiv/sqrt and Solidity 0.8 checked arithmetic,
+// including the reverts.
+// Run: node scripts/test-math-vectors.js (exits non-zero on any mismatch)
+const FIXTURE = path.join(__dirname, 'fixtures', 'math-vectors.json');
+
+function runVector(vector) {
+  try {
+    const result = math[vector.op](...vector.args.map(BigInt));
+    if (vector.reverts) return `expected revert ${vector.reverts}, got ${result}`;
+    if (result !== BigInt(vector.result)) return `expected ${vector.result}, got ${result}`;
+  } catch (error) {
+    if (!error.reason) throw error;
+    if (error.reason !== vector.reverts) return `unexpected revert ${error.reason}`;
+  }
+  return null;
+}
+
+function main() {
+  const { vectors } = require(FIXTURE);
+  let failures = 0;
+
+  console.log(`=== Math golden vectors (${vectors.length}) ===\n`);
+
+  for (const vector of vectors) {
+    const failure = runVector(vector);
+    if (failure) {
+      failures++;
+      console.log(`FAIL  ${vector.name}: ${failure}`);
+    } else {
+      console.log(`PASS  ${vector.name}: ${vector.reverts ? `reverts ${vector.reverts}` : vector.result}`);
+    }
+  }
+
+  console.log(`\n${vectors.length - failures}/${vectors.length} passed`);
+  if (failures > 0) process.exit(1);
+}
+
+main();
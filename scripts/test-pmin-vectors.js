@@ -0,0 +1,41 @@
+const path = require('path');
+const pmin = require('./lib/pmin');
+
+// Golden vectors shared with newtest/unit/PMinLibGoldenVectors.t.sol, which
+// reads the same fixture.
+// Run: node scripts/test-pmin-vectors.js (exits non-zero on any mismatch)
+const FIXTURE = path.join(__dirname, 'fixtures', 'pmin-vectors.json');
+
+function runVector(vector) {
+  try {
+    const pMin = pmin.calculate(vector.tokReserves, vector.qtReserves, vector.tokTotalSupply, vector.feeBps);
+    if (vector.reverts) return `expected revert ${vector.reverts}, got ${pMin}`;
+    if (pMin !== BigInt(vector.pMin)) return `expected ${vector.pMin}, got ${pMin}`;
+  } catch (error) {
+    if (!error.reason) throw error;
+    if (error.reason !== vector.reverts) return `unexpected revert ${error.reason}`;
+  }
+  return null;
+}
+
+function main() {
+  const { vectors } = require(FIXTURE);
+  let failures = 0;
+
+  console.log(`=== PMinLib golden vectors (${vectors.length}) ===\n`);
+
+  for (const vector of vectors) {
+    const failure = runVector(vector);
+    if (failure) {
+      failures++;
+      console.log(`FAIL  ${vector.name}: ${failure}`);
+    } else {
+      console.log(`PASS  ${vector.name}: ${vector.reverts ? `reverts ${vector.reverts}` : vector.pMin}`);
+    }
+  }
+
+  console.log(`\n${vectors.length - failures}/${vectors.length} passed`);
+  if (failures > 0) process.exit(1);
+}
+
+main();
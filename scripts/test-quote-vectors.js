@@ -0,0 +1,53 @@
+const path = require('path');
+const quote = require('./lib/quote');
+
+// lib/quote.js against SwapRouter._calculateAmountOut, with values read from
+// the contract, reverts included, and calculateAmountIn against the smallest
+// input the contract turns into the requested output.
+// Run: node scripts/test-quote-vectors.js (exits non-zero on any mismatch)
+const FIXTURE = path.join(__dirname, 'fixtures', 'quote-vectors.json');
+
+// Run `quote` on a vector, or describe how it differs from `expected`
+function runVector(vector, quote, expected) {
+  try {
+    const amount = quote();
+    if (vector.reverts) return `expected revert ${vector.reverts}, got ${amount}`;
+    if (amount !== BigInt(vector[expected])) return `expected ${vector[expected]}, got ${amount}`;
+  } catch (error) {
+    if (!error.reason) throw error;
+    if (error.reason !== vector.reverts) return `unexpected revert ${error.reason}`;
+  }
+  return null;
+}
+
+function main() {
+  const fixture = require(FIXTURE);
+  const suites = [
+    ['calculateAmountOut', fixture.amountOut, 'amountOut',
+      v => quote.calculateAmountOut(v.amountIn, v.reserveIn, v.reserveOut, v.feeBps)],
+    ['calculateAmountIn', fixture.amountIn, 'amountIn',
+      v => quote.calculateAmountIn(v.amountOut, v.reserveIn, v.reserveOut, v.feeBps)]
+  ];
+  const total = suites.reduce((sum, [, vectors]) => sum + vectors.length, 0);
+  let failures = 0;
+
+  console.log(`=== SwapRouter quote vectors (${total}) ===`);
+
+  for (const [name, vectors, expected, run] of suites) {
+    console.log(`\n${name}`);
+    for (const vector of vectors) {
+      const failure = runVector(vector, () => run(vector), expected);
+      if (failure) {
+        failures++;
+        console.log(`FAIL  ${vector.name}: ${failure}`);
+      } else {
+        console.log(`PASS  ${vector.name}: ${vector.reverts ? `reverts ${vector.reverts}` : vector[expected]}`);
+      }
+    }
+  }
+
+  console.log(`\n${total - failures}/${total} passed`);
+  if (failures > 0) process.exit(1);
+}
+
+main();
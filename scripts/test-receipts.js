@@ -0,0 +1,179 @@
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { loadABI } = require('./lib/osito');
+const receipts = require('./lib/receipts');
+
+// lib/receipts.js against logs encoded from the contract ABIs: the
+// collectFees() sequence (fee LP mint, LP burn, TOK burn, FeesCollected), a
+// launch and a swap, each checked through the typed summary fields, plus
+// unknown logs and revert data.
+// Run: node scripts/test-receipts.js (exits non-zero on any failure)
+const WAD = 10n ** 18n;
+const LAUNCHPAD = ethers.getAddress('0x00000000000000000000000000000000000000a1');
+const TOK = ethers.getAddress('0x00000000000000000000000000000000000000a2');
+const PAIR = ethers.getAddress('0x00000000000000000000000000000000000000a3');
+const FEE_ROUTER = ethers.getAddress('0x00000000000000000000000000000000000000a4');
+const WBERA = ethers.getAddress('0x00000000000000000000000000000000000000a5');
+const TRADER = ethers.getAddress('0x00000000000000000000000000000000000000b1');
+const ZERO = ethers.ZeroAddress;
+
+const pairInterface = new ethers.Interface(loadABI('OsitoPair'));
+const tokenInterface = new ethers.Interface(loadABI('OsitoToken'));
+const feeRouterInterface = new ethers.Interface(loadABI('FeeRouter'));
+const launchpadInterface = new ethers.Interface(loadABI('OsitoLaunchpad'));
+
+// A log as the node returns it
+function encodeLog(iface, address, name, values) {
+  return { address, ...iface.encodeEventLog(name, values) };
+}
+
+function receiptOf(logs) {
+  return {
+    hash: '0x' + '11'.repeat(32),
+    blockNumber: 42,
+    from: TRADER,
+    to: FEE_ROUTER,
+    status: 1,
+    gasUsed: 160000n,
+    gasPrice: 2n * 10n ** 9n,
+    logs: logs.map((log, index) => ({ ...log, index }))
+  };
+}
+
+// FeeRouter.collectFees(): the pair mints fee LP to the router, the router
+// burns it for TOK + WBERA, burns the TOK and sends the WBERA on
+const LP = 6940145071133602781n;
+const TOK_OUT = 208833283996353381709810n;
+const QT_OUT = 230652729431227n;
+const COLLECT = receiptOf([
+  encodeLog(pairInterface, PAIR, 'Transfer', [ZERO, FEE_ROUTER, LP]),
+  encodeLog(pairInterface, PAIR, 'Transfer', [FEE_ROUTER, PAIR, LP]),
+  encodeLog(pairInterface, PAIR, 'Transfer', [PAIR, ZERO, LP]),
+  encodeLog(tokenInterface, TOK, 'Transfer', [PAIR, FEE_ROUTER, TOK_OUT]),
+  encodeLog(tokenInterface, WBERA, 'Transfer', [PAIR, FEE_ROUTER, QT_OUT]),
+  encodeLog(pairInterface, PAIR, 'Sync', [900000000n * WAD, WAD]),
+  encodeLog(pairInterface, PAIR, 'Burn', [FEE_ROUTER, TOK_OUT, QT_OUT, FEE_ROUTER]),
+  encodeLog(tokenInterface, TOK, 'Transfer', [FEE_ROUTER, ZERO, TOK_OUT]),
+  encodeLog(tokenInterface, WBERA, 'Transfer', [FEE_ROUTER, TRADER, QT_OUT]),
+  encodeLog(feeRouterInterface, FEE_ROUTER, 'FeesCollected', [TOK_OUT, QT_OUT])
+]);
+
+// A launch followed by a buy, plus a log from some other contract
+const SUPPLY = 1000000000n * WAD;
+const UNKNOWN = { address: WBERA, topics: [ethers.id('Deposit(address,uint256)'), ethers.zeroPadValue(TRADER, 32)], data: ethers.toBeHex(WAD, 32) };
+const LAUNCH_AND_SWAP = receiptOf([
+  encodeLog(launchpadInterface, LAUNCHPAD, 'TokenLaunched', [TOK, PAIR, FEE_ROUTER, 'Test Token', 'TEST', SUPPLY, 'ipfs://test']),
+  UNKNOWN,
+  encodeLog(pairInterface, PAIR, 'Swap', [TRADER, 0n, WAD / 10n, 9000000n * WAD, 0n, TRADER]),
+  encodeLog(pairInterface, PAIR, 'Sync', [SUPPLY - 9000000n * WAD, WAD + WAD / 10n])
+]);
+
+const checks = [
+  ['decodeReceipt: transaction fields', () => {
+    const summary = receipts.decodeReceipt(COLLECT);
+    assert.strictEqual(summary.txHash, COLLECT.hash);
+    assert.strictEqual(summary.block, 42);
+    assert.strictEqual(summary.success, true);
+    assert.strictEqual(summary.gasUsed, 160000n);
+    assert.strictEqual(summary.gasCost, 320000n * 10n ** 9n);
+    assert.strictEqual(summary.events.length, COLLECT.logs.length);
+    assert.deepStrictEqual(summary.unknown, []);
+  }],
+
+  ['decodeReceipt: FeesCollected', () => {
+    assert.deepStrictEqual(receipts.decodeReceipt(COLLECT).feesCollected, [
+      { feeRouter: FEE_ROUTER, tokBurned: TOK_OUT, qtCollected: QT_OUT }
+    ]);
+  }],
+
+  ['decodeReceipt: Transfers to zero are LP or token burns', () => {
+    // The pair also emits Sync/Burn, so its burn is LP; the TOK's is a token burn
+    assert.deepStrictEqual(receipts.decodeReceipt(COLLECT).tokenBurns, [
+      { token: PAIR, from: PAIR, amount: LP, kind: 'lp' },
+      { token: TOK, from: FEE_ROUTER, amount: TOK_OUT, kind: 'token' }
+    ]);
+  }],
+
+  ['decodeReceipt: Burn and Sync', () => {
+    const summary = receipts.decodeReceipt(COLLECT);
+    assert.deepStrictEqual(summary.burns, [
+      { pair: PAIR, sender: FEE_ROUTER, amount0: TOK_OUT, amount1: QT_OUT, to: FEE_ROUTER }
+    ]);
+    assert.deepStrictEqual(summary.syncs, [{ pair: PAIR, reserve0: 900000000n * WAD, reserve1: WAD }]);
+  }],
+
+  ['decodeReceipt: TokenLaunched', () => {
+    assert.deepStrictEqual(receipts.decodeReceipt(LAUNCH_AND_SWAP).launches, [{
+      launchpad: LAUNCHPAD,
+      token: TOK,
+      pair: PAIR,
+      feeRouter: FEE_ROUTER,
+      name: 'Test Token',
+      symbol: 'TEST',
+      supply: SUPPLY,
+      metadataURI: 'ipfs://test'
+    }]);
+  }],
+
+  ['decodeReceipt: Swap and Sync', () => {
+    const summary = receipts.decodeReceipt(LAUNCH_AND_SWAP);
+    assert.deepStrictEqual(summary.swaps, [{
+      pair: PAIR,
+      sender: TRADER,
+      amount0In: 0n,
+      amount1In: WAD / 10n,
+      amount0Out: 9000000n * WAD,
+      amount1Out: 0n,
+      to: TRADER
+    }]);
+    assert.deepStrictEqual(summary.syncs, [{ pair: PAIR, reserve0: SUPPLY - 9000000n * WAD, reserve1: WAD + WAD / 10n }]);
+    assert.deepStrictEqual(summary.tokenBurns, []);
+    assert.deepStrictEqual(summary.feesCollected, []);
+  }],
+
+  ['decodeReceipt: logs no Osito ABI matches are kept as unknown', () => {
+    const summary = receipts.decodeReceipt(LAUNCH_AND_SWAP);
+    assert.strictEqual(summary.unknown.length, 1);
+    assert.strictEqual(summary.unknown[0].address, WBERA);
+    assert.deepStrictEqual(summary.events.map(event => event.name), ['TokenLaunched', 'Swap', 'Sync']);
+  }],
+
+  ['decodeLog: matched by topic, with address and log index', () => {
+    const event = receipts.decodeLog(COLLECT.logs[9]);
+    assert.strictEqual(event.name, 'FeesCollected');
+    assert.strictEqual(event.signature, 'FeesCollected(uint256,uint256)');
+    assert.strictEqual(event.address, FEE_ROUTER);
+    assert.strictEqual(event.logIndex, 9);
+    assert.deepStrictEqual(event.args, { tokBurned: TOK_OUT, qtCollected: QT_OUT });
+  }],
+
+  ['describeError: Error(string), custom errors and Panic', () => {
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    assert.strictEqual(receipts.describeError('0x08c379a0' + coder.encode(['string'], ['RESTRICTED']).slice(2)), 'RESTRICTED');
+    assert.strictEqual(receipts.describeError(ethers.id('MarketExists()').slice(0, 10)), 'MarketExists()');
+    assert.strictEqual(receipts.describeError('0x4e487b71' + coder.encode(['uint256'], [0x11]).slice(2)), 'Panic(17)');
+    assert.strictEqual(receipts.describeError('0x'), 'reverted without data');
+    assert.strictEqual(receipts.describeError('0xdeadbeef'), 'reverted with 0xdeadbeef');
+  }]
+];
+
+function main() {
+  let failures = 0;
+
+  console.log(`=== Receipt decoding (${checks.length}) ===\n`);
+
+  for (const [name, check] of checks) {
+    try {
+      check();
+      console.log(`PASS  ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`FAIL  ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${checks.length - failures}/${checks.length} passed`);
+  if (failures > 0) process.exit(1);
+}
+
+main();
@@ -0,0 +1,186 @@
+const assert = require('node:assert');
+const http = require('http');
+const { ethers } = require('ethers');
+const { loadABI, loadArtifact } = require('./lib/osito');
+const { openIndexDb } = require('./lib/indexdb');
+const { createIndexer } = require('./lib/indexer');
+const { fetchAllMarkets } = require('./lib/lens');
+const { calculateAmountOut } = require('./lib/quote');
+const { pairCandles } = require('./lib/candles');
+const { createSubgraphClient } = require('./lib/subgraph');
+const { reconcile } = require('./lib/reconcile');
+const { connectTestChain, deployArtifact, deployLaunchpad, skipReason, startTestChain } = require('./lib/testchain');
+const { createLogger } = require('./lib/logger');
+
+// lib/reconcile.js against a throwaway anvil chain and a local mock of the
+// subgraph's GraphQL API. The mock serves the chain's own numbers for one
+// pair and deliberately broken ones (inverted price, unscaled price, missing
+// swaps, an unknown pair) for the others; each must be flagged with the
+// right cause, and nothing else.
+// Run: node scripts/test-reconcile.js (needs anvil on PATH and forge build
+// output; skipped without them)
+const PORT = Number(process.env.ANVIL_PORT || 8549);
+const RESOLUTION = '1h';
+
+// Buy TOK with `amount` WBERA directly on the pair (TOK is token0)
+async function buy(wallet, wbera, pairAddress, amount) {
+  const pair = new ethers.Contract(pairAddress, loadABI('OsitoPair'), wallet);
+  const [[reserve0, reserve1], feeBps] = await Promise.all([pair.getReserves(), pair.currentFeeBps()]);
+  await (await wbera.transfer(pairAddress, amount)).wait();
+  await (await pair.swap(calculateAmountOut(amount, reserve1, reserve0, feeBps), 0n, wallet.address)).wait();
+}
+
+/**
+ * Mock subgraph: answers _meta, ositoPairs and candles from `state`, or a
+ * GraphQL error when state.error is set
+ */
+function startMockSubgraph(state) {
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      const { query, variables } = JSON.parse(body);
+      let reply;
+      if (state.error) {
+        reply = { errors: [{ message: state.error }] };
+      } else if (query.includes('_meta')) {
+        reply = { data: { _meta: { block: { number: state.block } } } };
+      } else if (query.includes('ositoPairs')) {
+        const pairs = state.pairs.filter(pair => pair.id > variables.lastId).sort((a, b) => (a.id < b.id ? -1 : 1));
+        reply = { data: { ositoPairs: pairs.slice(0, variables.first) } };
+      } else if (query.includes('candles')) {
+        const candles = (state.candles[variables.pair] || []).slice().sort((a, b) => Number(b.timestamp) - Number(a.timestamp));
+        reply = { data: { candles: candles.slice(0, variables.first) } };
+      } else {
+        reply = { errors: [{ message: `mock cannot answer ${query}` }] };
+      }
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(reply));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function main() {
+  const skip = skipReason();
+  if (skip) {
+    console.log(`SKIP  ${skip}`);
+    return;
+  }
+  const chain = await startTestChain(PORT);
+  const { rpc, wallet } = chain;
+  let osito = null;
+  let index = null;
+  let server = null;
+
+  try {
+    const { wbera, launchpad } = await deployLaunchpad(wallet);
+    const lensLite = await deployArtifact(loadArtifact('LensLite'), wallet);
+
+    const pairs = {};
+    const tokens = {};
+    for (const symbol of ['GOOD', 'FLIP', 'WEI']) {
+      const receipt = await (await launchpad.launchToken(
+        `Reconcile ${symbol}`, symbol, ethers.parseEther('1000000'), `ipfs://${symbol}`,
+        ethers.parseEther('1'), 200, 30, ethers.parseEther('500000')
+      )).wait();
+      const { pair, token } = launchpad.interface.parseLog(receipt.logs.find(log => log.address === launchpad.target)).args;
+      await (await lensLite.addPair(pair)).wait();
+      for (const amount of ['0.1', '0.25', '0.05']) await buy(wallet, wbera, pair, ethers.parseEther(amount));
+      pairs[symbol] = pair;
+      tokens[symbol] = token;
+    }
+    // The subgraph lags: it has not seen this last trade
+    const subgraphBlock = await rpc.getBlockNumber();
+    await buy(wallet, wbera, pairs.GOOD, ethers.parseEther('0.3'));
+
+    osito = connectTestChain(chain, 'anvil-reconcile-test', { OsitoLaunchpad: launchpad.target, LensLite: lensLite.target });
+    index = openIndexDb(':memory:', { chainId: osito.profile.chainId, startBlock: 0 });
+    await createIndexer(osito, index, { confirmations: 0, logger: createLogger('test-reconcile', { level: 'warn' }) })
+      .sync(await rpc.getBlockNumber());
+
+    // What a correct subgraph at subgraphBlock would serve
+    const markets = await fetchAllMarkets(osito.lensLite, { blockTag: subgraphBlock });
+    const state = { block: subgraphBlock, pairs: [], candles: {}, error: null };
+    for (const [symbol, pair] of Object.entries(pairs)) {
+      const id = pair.toLowerCase();
+      const spotPrice = markets.find(market => market.core === pair).spotPrice;
+      state.pairs.push({
+        id,
+        token0: tokens[symbol].toLowerCase(),
+        token1: wbera.target.toLowerCase(),
+        token0Symbol: symbol,
+        token1Symbol: 'WBERA',
+        lastPrice: spotPrice.toString(),
+        swapCount: String(index.events({ address: pair, name: 'Swap', toBlock: subgraphBlock }).length)
+      });
+      state.candles[id] = pairCandles(index, pair, { resolution: RESOLUTION, toBlock: subgraphBlock }).map(candle => (
+        Object.fromEntries(Object.entries(candle).map(([key, value]) => [key, String(value)]))
+      ));
+    }
+
+    // Break FLIP's price (TOK per QT) and WEI's (decimal, not 1e18-scaled)
+    // and hide one of WEI's swaps
+    const entry = (symbol) => state.pairs.find(pair => pair.id === pairs[symbol].toLowerCase());
+    entry('FLIP').lastPrice = (10n ** 36n / BigInt(entry('FLIP').lastPrice)).toString();
+    entry('WEI').lastPrice = ethers.formatEther(entry('WEI').lastPrice);
+    entry('WEI').swapCount = String(Number(entry('WEI').swapCount) - 1);
+    const weiCandles = state.candles[entry('WEI').id];
+    const lastWeiCandle = weiCandles[weiCandles.length - 1];
+    lastWeiCandle.swapCount = String(Number(lastWeiCandle.swapCount) - 1);
+    // A pair only the subgraph knows
+    const stray = ethers.Wallet.createRandom().address.toLowerCase();
+    state.pairs.push({ id: stray, token0: stray, token1: wbera.target.toLowerCase(), token0Symbol: 'X', token1Symbol: 'WBERA', lastPrice: '1', swapCount: '0' });
+
+    server = await startMockSubgraph(state);
+    const subgraph = createSubgraphClient(`http://127.0.0.1:${server.address().port}/`);
+
+    console.log('=== Subgraph reconciliation (anvil + mock subgraph) ===\n');
+
+    const result = await reconcile({ osito, subgraph, index }, { resolution: RESOLUTION });
+    const found = (symbol) => result.divergences.filter(divergence => divergence.pair === ethers.getAddress(pairs[symbol]));
+    const causes = (symbol) => Object.fromEntries(found(symbol).map(divergence => [divergence.check, divergence.cause]));
+    assert.strictEqual(result.block, subgraphBlock);
+    assert.strictEqual(result.pairs, 4);
+    assert.deepStrictEqual(result.skipped, []);
+
+    assert.deepStrictEqual(found('GOOD'), [], 'GOOD matches at the subgraph block despite the later trade');
+    console.log('PASS  matching pair (read at the lagging subgraph block) has no divergences');
+
+    assert.deepStrictEqual(causes('FLIP'), {
+      'lastPrice vs reserves': 'inverted token order',
+      'lastPrice vs LensLite spotPrice': 'inverted token order'
+    });
+    console.log('PASS  inverted price is attributed to token order');
+
+    const wei = causes('WEI');
+    assert.strictEqual(wei['lastPrice vs reserves'], 'wei scaling (x1e-18)');
+    assert.strictEqual(wei['lastPrice vs LensLite spotPrice'], 'wei scaling (x1e-18)');
+    assert.match(wei['swapCount vs index'], /^missing swaps \(subgraph has \d+ of \d+\)$/);
+    const candleChecks = Object.keys(wei).filter(check => check.startsWith('candle '));
+    const hidden = Number(lastWeiCandle.swapCount);
+    assert.deepStrictEqual(candleChecks.map(check => wei[check]), [`missing swaps (subgraph has ${hidden} of ${hidden + 1})`]);
+    console.log('PASS  unscaled price and missing swaps are flagged');
+
+    const strays = result.divergences.filter(divergence => divergence.pair === ethers.getAddress(stray));
+    assert.deepStrictEqual(strays.map(divergence => divergence.check), ['pair on chain']);
+    assert.strictEqual(result.divergences.length, found('FLIP').length + found('WEI').length + strays.length);
+    console.log('PASS  pair unknown to the chain is flagged');
+
+    state.error = 'indexing_error';
+    await assert.rejects(reconcile({ osito, subgraph, index }), /Subgraph error: indexing_error/);
+    console.log('PASS  GraphQL errors are raised');
+
+    console.log('\nAll reconciliation checks passed');
+  } finally {
+    if (server) server.close();
+    if (index) index.close();
+    if (osito) osito.provider.destroy();
+    chain.stop();
+  }
+}
+
+main().catch(error => {
+  console.error(`FAIL  ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,243 @@
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const recovery = require('./lib/recovery');
+const { createTxManager } = require('./lib/txmanager');
+const { createLogger } = require('./lib/logger');
+
+// lib/recovery.js against hand-computed CollateralVault.recover() outcomes:
+// debt accrual, the split of the swapped collateral, and the recover/skip
+// decision for an underwater position (no bonus) and a profitable one. Then
+// how lib/txmanager.js recovers a nonce from a transaction stuck past
+// maxBumps, against an in-process node that never mines it.
+// Run: node scripts/test-recovery.js (exits non-zero on any failure)
+const WAD = 10n ** 18n;
+const GAS = 200000n;
+const GWEI = 10n ** 9n;
+
+// 1000 TOK against a pool of 1M TOK / 1 QT: collateral worth ~0.000999 QT
+const RESERVES = { rTok: 1000000n * WAD, rQt: WAD };
+const COLLATERAL = 1000n * WAD;
+const QT_OUT = 999000999000999n;
+
+// Borrowed 0.002 QT at index 1.0; the lender index has since reached 1.05
+const UNDERWATER = {
+  account: '0x0000000000000000000000000000000000000001',
+  collateral: COLLATERAL,
+  principal: 2000000000000000n,
+  interestIndex: WAD,
+  lastHealthy: 0n,
+  healthy: false
+};
+const UNDERWATER_DEBT = 2100000000000000n;
+
+const POLICY = { minBonus: 0n, maxGasPrice: null, minProfitMultiple: 1n };
+
+// anvil's default account #0
+const KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const RECIPIENT = '0x0000000000000000000000000000000000000002';
+
+/**
+ * Node that accepts every broadcast and mines only what `mines(tx)` allows;
+ * the others stay out of the nonce count, as if dropped from the mempool.
+ * `rejects(tx)` refuses a broadcast outright.
+ */
+function stuckNode({ mines = () => false, rejects = () => false } = {}) {
+  const sent = [];
+  const receipts = new Map();
+  let mined = 0;
+  return {
+    sent,
+    getNetwork: async () => ({ chainId: 31337n }),
+    send: async () => { throw new Error('eth_feeHistory not supported'); },
+    getFeeData: async () => ({ gasPrice: GWEI, maxPriorityFeePerGas: GWEI }),
+    getTransactionCount: async () => mined,
+    getTransactionReceipt: async (hash) => receipts.get(hash) || null,
+    broadcastTransaction: async (signed) => {
+      const tx = ethers.Transaction.from(signed);
+      if (rejects(tx)) throw new Error('replacement transaction underpriced');
+      sent.push(tx);
+      if (mines(tx)) {
+        mined = tx.nonce + 1;
+        receipts.set(tx.hash, { hash: tx.hash, blockNumber: 1, status: 1 });
+      }
+    }
+  };
+}
+
+async function stuckTxManager(node) {
+  const wallet = new ethers.Wallet(KEY, node);
+  const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'osito-txmanager-'));
+  const txManager = createTxManager(wallet, {
+    stateDir,
+    stuckTimeoutMs: 0,
+    pollIntervalMs: 1,
+    maxBumps: 2,
+    logger: createLogger('test-recovery', { level: 'error' })
+  });
+  return { wallet, txManager, cleanup: () => fs.rmSync(stateDir, { recursive: true, force: true }) };
+}
+
+const transfer = { to: RECIPIENT, value: 1n, gasLimit: 21000n };
+
+const checks = [
+  ['accruedBorrowIndex: half a year at 5%', () => {
+    const lender = { borrowIndex: WAD, borrowRate: 5n * WAD / 100n, lastAccrueTime: 1000n };
+    assert.strictEqual(recovery.accruedBorrowIndex(lender, 1000n + 365n * 24n * 60n * 60n / 2n), 1025000000000000000n);
+    assert.strictEqual(recovery.accruedBorrowIndex(lender, 999n), WAD, 'no accrual before lastAccrueTime');
+  }],
+
+  ['currentDebt: scaled by the borrow index', () => {
+    assert.strictEqual(recovery.currentDebt(UNDERWATER, 1050000000000000000n), UNDERWATER_DEBT);
+    assert.strictEqual(recovery.currentDebt({ ...UNDERWATER, interestIndex: 0n }, 1050000000000000000n), UNDERWATER.principal,
+      'principal as-is without an interest index');
+  }],
+
+  ['recoverBlocker: grace period', () => {
+    const position = { ...UNDERWATER, lastHealthy: 1000n };
+    assert.strictEqual(recovery.recoverBlocker(position, 1000n + recovery.GRACE_PERIOD - 1n), 'grace period ends in 1s');
+    assert.strictEqual(recovery.recoverBlocker(position, 1000n + recovery.GRACE_PERIOD), null);
+    assert.strictEqual(recovery.recoverBlocker({ ...position, healthy: true }, 1000n + recovery.GRACE_PERIOD), 'position healthy');
+  }],
+
+  ['predictRecover: underwater position', () => {
+    assert.deepStrictEqual(recovery.predictRecover(UNDERWATER, RESERVES, UNDERWATER_DEBT), {
+      qtOut: QT_OUT,
+      debt: UNDERWATER_DEBT,
+      repaid: QT_OUT,
+      loss: 1100999000999001n,
+      bonus: 0n,
+      lenderProfit: 0n,
+      dust: false
+    });
+  }],
+
+  ['predictRecover: profitable position', () => {
+    assert.deepStrictEqual(recovery.predictRecover(UNDERWATER, RESERVES, 100000000000000n), {
+      qtOut: QT_OUT,
+      debt: 100000000000000n,
+      repaid: 100000000000000n,
+      loss: 0n,
+      bonus: 8990009990009n,
+      lenderProfit: 890010989010990n,
+      dust: false
+    });
+  }],
+
+  ['decideRecover: underwater skipped without protectLenders', () => {
+    const prediction = recovery.predictRecover(UNDERWATER, RESERVES, UNDERWATER_DEBT);
+    const decision = recovery.decideRecover(prediction, { gasEstimate: GAS, gasPrice: GWEI }, POLICY);
+    assert.strictEqual(decision.recover, false);
+    assert.strictEqual(decision.gasCost, GAS * GWEI);
+  }],
+
+  ['decideRecover: underwater recovered at a cost with protectLenders', () => {
+    const prediction = recovery.predictRecover(UNDERWATER, RESERVES, UNDERWATER_DEBT);
+    const decision = recovery.decideRecover(prediction, { gasEstimate: GAS, gasPrice: GWEI }, { ...POLICY, protectLenders: true });
+    assert.strictEqual(decision.recover, true, decision.reason);
+    assert.match(decision.reason, /^protecting lenders at a cost of 0\.0002: repays 0\.000999000999000999/);
+  }],
+
+  ['decideRecover: protectLenders bounded by maxProtectCost and the amount repaid', () => {
+    const prediction = recovery.predictRecover(UNDERWATER, RESERVES, UNDERWATER_DEBT);
+    const cost = { gasEstimate: GAS, gasPrice: GWEI };
+    const capped = recovery.decideRecover(prediction, cost, { ...POLICY, protectLenders: true, maxProtectCost: ethers.parseEther('0.0001') });
+    assert.strictEqual(capped.recover, false);
+    assert.match(capped.reason, /gas cost above max 0\.0001 to protect lenders/);
+    // 5x the gas cost is 0.001 QT, more than the 0.000999 repaid
+    const notWorth = recovery.decideRecover(prediction, cost, { ...POLICY, minProfitMultiple: 5n, protectLenders: true });
+    assert.strictEqual(notWorth.recover, false);
+    assert.match(notWorth.reason, /repaid 0\.000999000999000999 below 5x gas cost/);
+  }],
+
+  ['decideRecover: bonus equal to the gas cost recovers', () => {
+    const prediction = recovery.predictRecover(UNDERWATER, RESERVES, 100000000000000n);
+    // 8990009990009 wei of bonus at 1 wei per gas
+    const decision = recovery.decideRecover(prediction, { gasEstimate: prediction.bonus, gasPrice: 1n }, POLICY);
+    assert.strictEqual(decision.recover, true, decision.reason);
+    const short = recovery.decideRecover(prediction, { gasEstimate: prediction.bonus + 1n, gasPrice: 1n }, POLICY);
+    assert.strictEqual(short.recover, false);
+  }],
+
+  ['decideRecover: dust and gas price ceiling', () => {
+    const dust = recovery.predictRecover({ ...UNDERWATER, collateral: 1n }, RESERVES, UNDERWATER_DEBT);
+    assert.strictEqual(dust.dust, true);
+    assert.strictEqual(recovery.decideRecover(dust, { gasEstimate: GAS, gasPrice: 0n }, { ...POLICY, protectLenders: true }).reason, 'dust position');
+    const prediction = recovery.predictRecover(UNDERWATER, RESERVES, UNDERWATER_DEBT);
+    const decision = recovery.decideRecover(prediction, { gasEstimate: GAS, gasPrice: 2n * GWEI }, { ...POLICY, maxGasPrice: GWEI, protectLenders: true });
+    assert.strictEqual(decision.reason, 'gas price 2.0 gwei above max 1.0 gwei');
+  }],
+
+  ['txmanager: past maxBumps the nonce is cancelled with a self-transfer', async () => {
+    const node = stuckNode({ mines: tx => tx.to === new ethers.Wallet(KEY).address });
+    const { wallet, txManager, cleanup } = await stuckTxManager(node);
+    try {
+      await assert.rejects(txManager.sendAndWait(transfer, { label: 'stuck' }), /Nonce 0 cancelled after 2 fee bumps: stuck was not executed/);
+      // Original, two bumps, then the cancel
+      assert.deepStrictEqual(node.sent.map(tx => tx.nonce), [0, 0, 0, 0]);
+      const [original, , lastBump, cancel] = node.sent;
+      assert.strictEqual(original.to, RECIPIENT);
+      assert.strictEqual(cancel.to, wallet.address);
+      assert.strictEqual(cancel.value, 0n);
+      assert.strictEqual(cancel.data, '0x');
+      assert.ok(cancel.maxFeePerGas > lastBump.maxFeePerGas, 'cancel outbids the last bump');
+      assert.deepStrictEqual(await txManager.pending(), [], 'cancelled entry is not kept');
+      // The cancel used up nonce 0
+      await txManager.send(transfer);
+      assert.strictEqual(node.sent[node.sent.length - 1].nonce, 1);
+    } finally {
+      cleanup();
+    }
+  }],
+
+  ['txmanager: a cancel the node refuses gives the nonce back', async () => {
+    const node = stuckNode({ rejects: tx => tx.to === new ethers.Wallet(KEY).address });
+    const { txManager, cleanup } = await stuckTxManager(node);
+    try {
+      await assert.rejects(txManager.sendAndWait(transfer), /Could not cancel nonce 0 after 2 fee bumps: replacement transaction underpriced/);
+      assert.deepStrictEqual(await txManager.pending(), []);
+      // Nothing was mined: the next send fills nonce 0 instead of queueing behind it
+      await txManager.send(transfer);
+      assert.strictEqual(node.sent[node.sent.length - 1].nonce, 0);
+    } finally {
+      cleanup();
+    }
+  }],
+
+  ['txmanager: resumePending drops an entry that runs out of bumps', async () => {
+    const node = stuckNode({ rejects: tx => tx.to === new ethers.Wallet(KEY).address });
+    const { txManager, cleanup } = await stuckTxManager(node);
+    try {
+      // Left pending by a previous run
+      await txManager.send(transfer, { label: 'previous run' });
+      assert.strictEqual((await txManager.pending()).length, 1);
+      assert.deepStrictEqual(await txManager.resumePending(), []);
+      assert.deepStrictEqual(await txManager.pending(), [], 'a restart does not wait on it again');
+    } finally {
+      cleanup();
+    }
+  }]
+];
+
+async function main() {
+  let failures = 0;
+
+  console.log(`=== Recovery model (${checks.length}) ===\n`);
+
+  for (const [name, check] of checks) {
+    try {
+      await check();
+      console.log(`PASS  ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`FAIL  ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${checks.length - failures}/${checks.length} passed`);
+  if (failures > 0) process.exit(1);
+}
+
+main();
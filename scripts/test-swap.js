@@ -1,67 +1,62 @@
 const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env.testnet') });
+const { connect } = require('./lib/osito');
+const { parseNetworkArgs } = require('./lib/networks');
+const quote = require('./lib/quote');
+const { createTxManager } = require('./lib/txmanager');
+const { createLogger } = require('./lib/logger');
 
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+// Usage: node scripts/test-swap.js [pair] [--network <name>]
+// Buys TOK with 0.0001 BERA through the SwapRouter and prints the K growth
+// (default pair: TOK_PAIR).
+const { args } = parseNetworkArgs();
+const log = createLogger('test-swap');
+const osito = connect();
+const { wallet } = osito;
+if (!wallet) throw new Error(`No PRIVATE_KEY for network ${osito.profile.name}`);
+const txManager = createTxManager(wallet);
 
-const loadABI = (contractName) => {
-  const abiPath = path.join(__dirname, '..', 'out', `${contractName}.sol`, `${contractName}.json`);
-  const artifact = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
-  return artifact.abi;
-};
+const SLIPPAGE_BPS = 100n; // 1%
 
 async function testSwap() {
-  console.log('=== Testing Swap to Generate Fees ===\n');
-  
-  const routerABI = loadABI('SwapRouter');
-  const pairABI = loadABI('OsitoPair');
-  const tokenABI = loadABI('OsitoToken');
-  
-  const router = new ethers.Contract(process.env.SWAP_ROUTER, routerABI, wallet);
-  const pair = new ethers.Contract(process.env.TOK_PAIR, pairABI, provider);
-  const tok = new ethers.Contract(process.env.TOK, tokenABI, provider);
-  
+  const pairAddress = args[0] || process.env.TOK_PAIR;
+  const pair = osito.pair(pairAddress);
+  const pairLog = log.child({ pair: pairAddress });
+
   // Check initial state
-  const [r0, r1] = await pair.getReserves();
-  const kBefore = r0 * r1;
-  console.log('Initial reserves:');
-  console.log('TOK:', ethers.formatEther(r0));
-  console.log('WBERA:', ethers.formatEther(r1));
-  console.log('K before:', kBefore.toString());
-  
+  const state = await quote.fetchPairState(pair);
+  const kBefore = state.reserve0 * state.reserve1;
+  pairLog.info('Initial reserves', {
+    reserve0: ethers.formatEther(state.reserve0),
+    reserve1: ethers.formatEther(state.reserve1),
+    k: kBefore
+  });
+
   // Swap 0.0001 WBERA for TOK
   const swapAmount = ethers.parseEther('0.0001');
-  
+  const { amountOut } = quote.quoteExactIn(state, swapAmount, false);
   try {
-    console.log('\nSwapping 0.0001 WBERA for TOK...');
-    const tx = await router.swapExactETHForTokens(
-      0, // min out
-      [process.env.WBERA_ADDRESS, process.env.TOK],
+    const receipt = await txManager.sendAndWait(await osito.swapRouter.swapExactETHForTokens.populateTransaction(
+      pairAddress,
+      quote.minAmountOut(amountOut, SLIPPAGE_BPS),
       wallet.address,
       Math.floor(Date.now() / 1000) + 3600,
       { value: swapAmount }
-    );
-    
-    console.log('Transaction:', tx.hash);
-    const receipt = await tx.wait();
-    console.log('Status:', receipt.status === 1 ? 'SUCCESS' : 'FAILED');
-    
+    ), { label: 'buy' });
+    pairLog.info('Swap confirmed', { txHash: receipt.hash, quotedTok: ethers.formatEther(amountOut) });
+
     // Check K after
-    const [r0After, r1After] = await pair.getReserves();
+    const [[r0After, r1After], kLast] = await Promise.all([pair.getReserves(), pair.kLast()]);
     const kAfter = r0After * r1After;
-    const kLast = await pair.kLast();
-    
-    console.log('\nAfter swap:');
-    console.log('TOK:', ethers.formatEther(r0After));
-    console.log('WBERA:', ethers.formatEther(r1After));
-    console.log('K after:', kAfter.toString());
-    console.log('K last:', kLast.toString());
-    console.log('K growth:', ((kAfter - kBefore) * 100n / kBefore).toString() + '%');
+    pairLog.info('After swap', {
+      reserve0: ethers.formatEther(r0After),
+      reserve1: ethers.formatEther(r1After),
+      k: kAfter,
+      kLast,
+      kGrowthBps: (kAfter - kBefore) * 10000n / kBefore
+    });
   } catch (error) {
-    console.error('Error:', error.message);
+    pairLog.error('Swap failed', error);
   }
 }
 
-testSwap().catch(console.error);
\ No newline at end of file
+testSwap().catch(error => log.error('Failed', error));
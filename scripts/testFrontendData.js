@@ -1,39 +1,11 @@
-const { ethers } = require("ethers");
+const { connect, loadProfile } = require("./lib/osito");
+const { fetchAllMarkets } = require("./lib/lens");
+const { createLogger } = require("./lib/logger");
 
-// LensLite contract
-const LENS_LITE = "0xADfd8BC5Bcb4a202Ad5e8Cc6cfff1f93D79410D6";
-const RPC_URL = "https://palpable-icy-valley.bera-bepolia.quiknode.pro/b2800b4de9d7290d7750adfc75463992a80dfabb/";
-
-const LENS_LITE_ABI = [
-  {
-    "inputs": [{"name": "from", "type": "uint256"}, {"name": "count", "type": "uint256"}],
-    "name": "markets",
-    "outputs": [{
-      "components": [
-        {"name": "core", "type": "address"},
-        {"name": "token", "type": "address"},
-        {"name": "T", "type": "uint128"},
-        {"name": "Q", "type": "uint128"},
-        {"name": "B", "type": "uint128"},
-        {"name": "pMin", "type": "uint256"},
-        {"name": "feeBp", "type": "uint256"},
-        {"name": "spotPrice", "type": "uint256"},
-        {"name": "tvl", "type": "uint256"},
-        {"name": "utilization", "type": "uint256"},
-        {"name": "apy", "type": "uint256"},
-        {"name": "totalSupply", "type": "uint256"},
-        {"name": "totalSupplyImmutable", "type": "uint256"},
-        {"name": "name", "type": "string"},
-        {"name": "symbol", "type": "string"},
-        {"name": "metadataURI", "type": "string"}
-      ],
-      "name": "out",
-      "type": "tuple[]"
-    }],
-    "stateMutability": "view",
-    "type": "function"
-  }
-];
+// Select the network with --network. FROB and CHOP are listed by the
+// LensLite of the berachain-bepolia deployment they were launched on
+const log = createLogger("testFrontendData");
+const osito = connect(loadProfile(undefined, { deployment: "berachain-bepolia" }), { readOnly: true });
 
 // Simulate frontend calculation
 function calculateCoreMetrics({ T, Q, B, totalSupply, pMin, spotPrice, beraUsdPrice }) {
@@ -83,27 +55,23 @@ function formatScientific(num) {
 }
 
 async function main() {
-  const provider = new ethers.JsonRpcProvider(RPC_URL);
-  const lensLite = new ethers.Contract(LENS_LITE, LENS_LITE_ABI, provider);
-  
-  console.log("SIMULATING FRONTEND MARKET CAP CALCULATION");
-  console.log("=".repeat(60));
+  const { lensLite } = osito;
   
-  const markets = await lensLite.markets(0, 50);
+  const markets = await fetchAllMarkets(lensLite);
   const beraUsdPrice = 0.05; // Assume $0.05 for testnet
   
   for (const market of markets) {
     if (market.symbol === 'FROB' || market.symbol === 'CHOP') {
-      console.log(`\n${market.symbol} TOKEN:`);
-      console.log("-".repeat(40));
+      const marketLog = log.child({ pair: market.core, symbol: market.symbol });
       
       // Raw data
-      console.log("Raw Data from LensLite:");
-      console.log(`  spotPrice: ${market.spotPrice.toString()}`);
-      console.log(`  pMin: ${market.pMin.toString()}`);
-      console.log(`  totalSupply: ${market.totalSupply.toString()}`);
-      console.log(`  T: ${market.T.toString()}`);
-      console.log(`  Q: ${market.Q.toString()}`);
+      marketLog.info("LensLite data", {
+        spotPrice: market.spotPrice,
+        pMin: market.pMin,
+        totalSupply: market.totalSupply,
+        T: market.T,
+        Q: market.Q
+      });
       
       // Calculate metrics like frontend does
       const coreMetrics = calculateCoreMetrics({
@@ -116,26 +84,26 @@ async function main() {
         beraUsdPrice
       });
       
-      console.log("\nCalculated Core Metrics:");
-      console.log(`  price (decimal): ${coreMetrics.price}`);
-      console.log(`  floor (decimal): ${coreMetrics.floor}`);
-      console.log(`  marketCapBera: ${coreMetrics.marketCapBera}`);
-      console.log(`  marketCapUsd: ${coreMetrics.marketCapUsd}`);
-      
-      console.log("\nWhat Frontend Shows:");
-      console.log(`  Market Cap: $${formatScientific(coreMetrics.marketCapUsd)}`);
-      console.log(`  Floor: $${formatScientific(coreMetrics.floorUsd)}`);
-      console.log(`  Price: $${formatScientific(coreMetrics.priceUsd)}`);
+      marketLog.info("Frontend metrics", {
+        price: coreMetrics.price,
+        floor: coreMetrics.floor,
+        marketCapBera: coreMetrics.marketCapBera,
+        marketCapUsd: coreMetrics.marketCapUsd,
+        shownMarketCap: `$${formatScientific(coreMetrics.marketCapUsd)}`,
+        shownFloor: `$${formatScientific(coreMetrics.floorUsd)}`,
+        shownPrice: `$${formatScientific(coreMetrics.priceUsd)}`
+      });
       
       // Calculate with wrong pMin (what's actually happening)
       const wrongFloor = coreMetrics.floor;
       if (wrongFloor > 1000) {
-        console.log("\n⚠️  PROBLEM DETECTED:");
-        console.log(`  Floor price is ${wrongFloor.toExponential(2)} - way too high!`);
-        console.log(`  This would show as: $${formatScientific(wrongFloor * beraUsdPrice)}`);
+        marketLog.warn("Floor price way too high", {
+          floor: wrongFloor.toExponential(2),
+          shown: `$${formatScientific(wrongFloor * beraUsdPrice)}`
+        });
       }
     }
   }
 }
 
-main().catch(console.error);
\ No newline at end of file
+main().catch(error => log.error("Failed", error));
@@ -1,20 +1,30 @@
-const { ethers } = require('ethers');
-require('dotenv').config({ path: require('path').join(__dirname, '..', '.env.testnet') });
+const { connect } = require('./lib/osito');
+const { parseNetworkArgs } = require('./lib/networks');
+const { describeError } = require('./lib/receipts');
+const { createLogger } = require('./lib/logger');
 
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+// Usage: node scripts/trace-collect-fees.js [feeRouter] [--network <name>]
+// Call trace of collectFees() via debug_traceCall, falling back to eth_call
+// where the node has no debug namespace (default: FEE_ROUTER). Calls from
+// the wallet address when a key is configured.
+const { args } = parseNetworkArgs();
+const log = createLogger('trace-collect-fees');
+const osito = connect();
 
 async function traceCollectFees() {
-  console.log('=== Tracing collectFees() ===\n');
-  
+  const { provider } = osito;
+  const feeRouterAddress = args[0] || process.env.FEE_ROUTER;
+  const routerLog = log.child({ feeRouter: feeRouterAddress });
+  const call = {
+    from: osito.wallet ? osito.wallet.address : undefined,
+    to: feeRouterAddress,
+    data: osito.feeRouter(feeRouterAddress).interface.encodeFunctionData('collectFees')
+  };
+
   try {
     // Use debug_traceCall to see exactly what happens
     const result = await provider.send('debug_traceCall', [
-      {
-        from: '0x37A9B9Df87B2cd3fC73A9C0Ad10B4Aff2D52bCc5',
-        to: process.env.FEE_ROUTER,
-        data: '0xc8796572', // collectFees()
-        gas: '0x7a120' // 500k gas
-      },
+      { ...call, gas: '0x7a120' }, // 500k gas
       'latest',
       {
         tracer: 'callTracer',
@@ -23,27 +33,18 @@ async function traceCollectFees() {
         }
       }
     ]);
-    
-    console.log('Trace result:', JSON.stringify(result, null, 2));
+
+    routerLog.info('Trace result', { trace: result });
   } catch (error) {
-    console.error('Trace error:', error);
-    
     // If debug_traceCall is not available, try eth_call
-    console.log('\nTrying eth_call instead...');
+    routerLog.warn('debug_traceCall failed, trying eth_call', { error: error.message });
     try {
-      const result = await provider.call({
-        from: '0x37A9B9Df87B2cd3fC73A9C0Ad10B4Aff2D52bCc5',
-        to: process.env.FEE_ROUTER,
-        data: '0xc8796572'
-      });
-      console.log('Call result:', result);
+      const result = await provider.call(call);
+      routerLog.info('Call succeeded', { result });
     } catch (callError) {
-      console.error('Call error:', callError.message);
-      if (callError.data) {
-        console.log('Error data:', callError.data);
-      }
+      routerLog.warn('Call reverted', { reason: describeError(callError.data), data: callError.data || null });
     }
   }
 }
 
-traceCollectFees().catch(console.error);
\ No newline at end of file
+traceCollectFees().catch(error => log.error('Failed', error));
@@ -1,51 +1,45 @@
 const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env.testnet') });
+const { connect } = require('./lib/osito');
+const { parseNetworkArgs } = require('./lib/networks');
+const { createTxManager } = require('./lib/txmanager');
+const { createLogger } = require('./lib/logger');
 
-// Setup
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-
-// Load ABIs
-const loadABI = (contractName) => {
-  const abiPath = path.join(__dirname, '..', 'out', `${contractName}.sol`, `${contractName}.json`);
-  const artifact = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
-  return artifact.abi;
-};
-
-const SWAP_ROUTER_ABI = loadABI('SwapRouter');
+// Usage: node scripts/trade-test.js [pair] [--network <name>]
+// Buys TOK with 0.05 BERA and prints the K growth since the last fee mint
+// (default pair: TOK_PAIR).
+const { args } = parseNetworkArgs();
+const log = createLogger('trade-test');
+const osito = connect();
+const { wallet } = osito;
+if (!wallet) throw new Error(`No PRIVATE_KEY for network ${osito.profile.name}`);
+const txManager = createTxManager(wallet);
 
 async function doTrade() {
-  const swapRouter = new ethers.Contract(process.env.SWAP_ROUTER, SWAP_ROUTER_ABI, wallet);
-  
+  const pairAddress = args[0] || process.env.TOK_PAIR;
+  const pair = osito.pair(pairAddress);
+  const pairLog = log.child({ pair: pairAddress });
+
   // Buy TOK with 0.05 BERA
-  console.log('Executing swap: 0.05 BERA -> TOK');
-  const tx = await swapRouter.swapExactETHForTokens(
-    process.env.TOK_PAIR, // pair address
+  pairLog.info('Buying TOK', { amountIn: '0.05' });
+  const receipt = await txManager.sendAndWait(await osito.swapRouter.swapExactETHForTokens.populateTransaction(
+    pairAddress,
     0, // minAmountOut
     wallet.address,
     Math.floor(Date.now() / 1000) + 300, // deadline
     { value: ethers.parseEther('0.05') }
-  );
-  
-  console.log('Transaction:', tx.hash);
-  const receipt = await tx.wait();
-  console.log('Confirmed in block:', receipt.blockNumber);
-  
+  ), { label: 'buy' });
+  pairLog.info('Trade confirmed', { txHash: receipt.hash, block: receipt.blockNumber });
+
   // Check reserves after
-  const pairABI = loadABI('OsitoPair');
-  const pair = new ethers.Contract(process.env.TOK_PAIR, pairABI, wallet);
-  const [r0, r1] = await pair.getReserves();
+  const [[r0, r1], kLast] = await Promise.all([pair.getReserves(), pair.kLast()]);
   const kAfter = r0 * r1;
-  const kLast = await pair.kLast();
-  
-  console.log('\nAfter trade:');
-  console.log('Reserve0:', r0.toString());
-  console.log('Reserve1:', r1.toString());
-  console.log('Current K:', kAfter.toString());
-  console.log('kLast:', kLast.toString());
-  console.log('K growth:', ((kAfter - kLast) * 10000n / kLast).toString(), 'bps');
+  pairLog.info('After trade', {
+    reserve0: r0,
+    reserve1: r1,
+    k: kAfter,
+    kLast,
+    kGrowthBps: kLast > 0n ? (kAfter - kLast) * 10000n / kLast : null
+  });
 }
 
-doTrade().catch(console.error);
\ No newline at end of file
+doTrade().catch(error => log.error('Failed', error));
@@ -1,66 +1,59 @@
 const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env.testnet') });
+const { connect } = require('./lib/osito');
+const { parseNetworkArgs } = require('./lib/networks');
+const { createTxManager } = require('./lib/txmanager');
+const { createLogger } = require('./lib/logger');
 
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-
-const loadABI = (contractName) => {
-  const abiPath = path.join(__dirname, '..', 'out', `${contractName}.sol`, `${contractName}.json`);
-  const artifact = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
-  return artifact.abi;
-};
+// Usage: node scripts/trigger-burn.js [pair] [--network <name>]
+// Burns a little of the wallet's own LP, which runs OsitoPair._mintFee and
+// mints the pending fee LP to the FeeRouter (default pair: TOK_PAIR). Only
+// useful to wallets that hold LP; fee LP is normally minted by collectFees().
+const { args } = parseNetworkArgs();
+const log = createLogger('trigger-burn');
+const osito = connect();
+if (!osito.wallet) throw new Error(`No PRIVATE_KEY for network ${osito.profile.name}`);
+const { wallet } = osito;
+const txManager = createTxManager(wallet);
 
 async function triggerFeeMintViaBurn() {
-  const pairAddress = process.env.TOK_PAIR;
-  const pairABI = loadABI('OsitoPair');
-  const pair = new ethers.Contract(pairAddress, pairABI, wallet);
-  
+  const pairAddress = args[0] || process.env.TOK_PAIR;
+  const pair = osito.pair(pairAddress);
+  const pairLog = log.child({ pair: pairAddress });
+
   // Check our LP balance
   const lpBalance = await pair.balanceOf(wallet.address);
-  console.log('Our LP balance:', ethers.formatEther(lpBalance));
-  
-  if (lpBalance === 0n) {
-    console.log('No LP tokens to burn');
+  pairLog.info('Wallet LP balance', { lp: ethers.formatEther(lpBalance) });
+
+  // burn() needs at least 1 wei of each token out
+  const [totalSupply, [r0, r1]] = await Promise.all([pair.totalSupply(), pair.getReserves()]);
+  const minLp = [(totalSupply + r0 - 1n) / r0, (totalSupply + r1 - 1n) / r1].reduce((a, b) => (a > b ? a : b));
+  const burnAmount = minLp * 2n;
+  if (lpBalance < burnAmount) {
+    pairLog.info('Not enough LP tokens to burn', { required: burnAmount });
     return;
   }
-  
+
   // Check FeeRouter balance before
   const feeRouterAddress = await pair.feeRouter();
   const feeRouterLPBefore = await pair.balanceOf(feeRouterAddress);
-  console.log('\nFeeRouter LP before:', ethers.formatEther(feeRouterLPBefore));
-  
-  // Transfer 1 wei of LP to pair and burn it
-  const burnAmount = 1n; // Just 1 wei to trigger fee mint
-  console.log('\nBurning', burnAmount.toString(), 'wei of LP to trigger fee mint...');
-  
-  // Transfer LP to pair
-  let tx = await pair.transfer(pairAddress, burnAmount);
-  await tx.wait();
-  console.log('Transferred LP to pair');
-  
-  // Burn to trigger fee mint
-  tx = await pair.burn(wallet.address);
-  const receipt = await tx.wait();
-  console.log('Burn tx:', tx.hash);
-  
-  // Check FeeRouter balance after
-  const feeRouterLPAfter = await pair.balanceOf(feeRouterAddress);
-  console.log('\nFeeRouter LP after:', ethers.formatEther(feeRouterLPAfter));
-  
-  const feeLPMinted = feeRouterLPAfter - feeRouterLPBefore;
-  console.log('Fee LP minted to FeeRouter:', ethers.formatEther(feeLPMinted));
-  
-  // Check kLast update
-  const [r0, r1] = await pair.getReserves();
-  const currentK = r0 * r1;
-  const kLast = await pair.kLast();
-  
-  console.log('\nPair state after burn:');
-  console.log('Current K:', currentK.toString());
-  console.log('kLast:', kLast.toString());
-  console.log('K updated?:', currentK.toString() === kLast.toString() ? 'YES ✅' : 'NO ❌');
+
+  // Transfer LP to pair, then burn to trigger fee mint
+  pairLog.info('Burning LP to trigger fee mint', { lpWei: burnAmount });
+  await txManager.sendAndWait(await pair.transfer.populateTransaction(pairAddress, burnAmount), { label: 'transfer LP' });
+  await txManager.sendAndWait(await pair.burn.populateTransaction(wallet.address), { label: 'burn LP' });
+
+  // Check FeeRouter balance and kLast after
+  const [feeRouterLPAfter, [a0, a1], kLast] = await Promise.all([
+    pair.balanceOf(feeRouterAddress),
+    pair.getReserves(),
+    pair.kLast()
+  ]);
+  pairLog.info('Pair state after burn', {
+    feeLpMinted: ethers.formatEther(feeRouterLPAfter - feeRouterLPBefore),
+    k: a0 * a1,
+    kLast,
+    kUpdated: a0 * a1 === kLast
+  });
 }
 
-triggerFeeMintViaBurn().catch(console.error);
\ No newline at end of file
+triggerFeeMintViaBurn().catch(error => log.error('Failed', error));
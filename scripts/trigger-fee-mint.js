@@ -1,98 +1,60 @@
 const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env.testnet') });
+const { connect } = require('./lib/osito');
+const { parseNetworkArgs } = require('./lib/networks');
+const { predictMintFee, fetchCollectState } = require('./lib/collect');
+const { createTxManager } = require('./lib/txmanager');
+const { decodeReceipt, describeError } = require('./lib/receipts');
+const { createLogger } = require('./lib/logger');
 
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-
-const loadABI = (contractName) => {
-  const abiPath = path.join(__dirname, '..', 'out', `${contractName}.sol`, `${contractName}.json`);
-  const artifact = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
-  return artifact.abi;
-};
+// Usage: node scripts/trigger-fee-mint.js [pair] [--network <name>]
+// Mints the pending fee LP to the FeeRouter. OsitoPair.mint() only takes
+// the initial mint and the FeeRouter (anyone else gets RESTRICTED, checked
+// here with a static call), so the fee mint goes through
+// FeeRouter.collectFees(), which burns it in the same transaction
+// (default pair: TOK_PAIR).
+const { args } = parseNetworkArgs();
+const log = createLogger('trigger-fee-mint');
+const osito = connect();
+const { wallet } = osito;
+if (!wallet) throw new Error(`No PRIVATE_KEY for network ${osito.profile.name}`);
+const txManager = createTxManager(wallet);
 
 async function triggerFeeMint() {
-  const pairAddress = process.env.TOK_PAIR;
-  const tokAddress = '0xEF059a38E7566285aC2577824ABcd9Ba64080899';
-  const wberaAddress = '0x6969696969696969696969696969696969696969';
-  
-  // Load contracts
-  const tokABI = loadABI('OsitoToken');
-  const wberaABI = [
-    {
-      "constant": false,
-      "inputs": [],
-      "name": "deposit",
-      "outputs": [],
-      "payable": true,
-      "type": "function"
-    },
-    {
-      "constant": false,
-      "inputs": [
-        {"name": "to", "type": "address"},
-        {"name": "amount", "type": "uint256"}
-      ],
-      "name": "transfer",
-      "outputs": [{"name": "", "type": "bool"}],
-      "type": "function"
-    }
-  ];
-  const pairABI = loadABI('OsitoPair');
-  
-  const tok = new ethers.Contract(tokAddress, tokABI, wallet);
-  const wbera = new ethers.Contract(wberaAddress, wberaABI, wallet);
-  const pair = new ethers.Contract(pairAddress, pairABI, wallet);
-  
-  // Get current reserves to calculate amounts
-  const [r0, r1] = await pair.getReserves();
-  console.log('Current reserves:');
-  console.log('TOK:', ethers.formatEther(r0));
-  console.log('WBERA:', ethers.formatEther(r1));
-  
-  // Add tiny amount of liquidity to trigger fee mint
-  const tokAmount = ethers.parseEther('0.001'); // 0.001 TOK
-  const wberaAmount = tokAmount * r1 / r0; // Proportional WBERA
-  
-  console.log('\nAdding liquidity to trigger fee mint:');
-  console.log('TOK amount:', ethers.formatEther(tokAmount));
-  console.log('WBERA amount:', ethers.formatEther(wberaAmount));
-  
-  // Wrap BERA
-  console.log('\nWrapping BERA...');
-  let tx = await wbera.deposit({ value: wberaAmount });
-  await tx.wait();
-  
-  // Transfer tokens to pair
-  console.log('Transferring tokens to pair...');
-  tx = await tok.transfer(pairAddress, tokAmount);
-  await tx.wait();
-  
-  tx = await wbera.transfer(pairAddress, wberaAmount);
-  await tx.wait();
-  
-  // Check FeeRouter balance before mint
+  const pairAddress = args[0] || process.env.TOK_PAIR;
+  const pair = osito.pair(pairAddress);
   const feeRouterAddress = await pair.feeRouter();
-  const lpBalanceBefore = await pair.balanceOf(feeRouterAddress);
-  console.log('\nFeeRouter LP balance before mint:', ethers.formatEther(lpBalanceBefore));
-  
-  // Mint to trigger fee collection
-  console.log('\nCalling mint to trigger fee collection...');
-  tx = await pair.mint(wallet.address);
-  const receipt = await tx.wait();
-  console.log('Mint transaction:', tx.hash);
-  
-  // Check if fees were minted
-  const lpBalanceAfter = await pair.balanceOf(feeRouterAddress);
-  console.log('FeeRouter LP balance after mint:', ethers.formatEther(lpBalanceAfter));
-  
-  const feeLPMinted = lpBalanceAfter - lpBalanceBefore;
-  console.log('Fee LP tokens minted:', ethers.formatEther(feeLPMinted));
-  
-  // Update kLast
-  const kLast = await pair.kLast();
-  console.log('\nNew kLast:', kLast.toString());
+  const pairLog = log.child({ pair: pairAddress, feeRouter: feeRouterAddress });
+
+  try {
+    await pair.mint.staticCall(wallet.address);
+    pairLog.warn('mint() to the wallet would succeed: the pair does not restrict minting');
+  } catch (error) {
+    pairLog.info('mint() to the wallet is restricted', { reason: describeError(error.data) });
+  }
+
+  const state = await fetchCollectState(pair, feeRouterAddress, address => osito.token(address));
+  const pendingLp = predictMintFee(state);
+  pairLog.info('Fee LP pending', { lp: ethers.formatEther(pendingLp) });
+  if (pendingLp === 0n) return;
+
+  const receipt = await txManager.sendAndWait(
+    await osito.feeRouter(feeRouterAddress).collectFees.populateTransaction(),
+    { label: 'collectFees' }
+  );
+
+  // Fee LP shows up as a Transfer from the zero address to the FeeRouter
+  const minted = decodeReceipt(receipt).events.find(event =>
+    event.name === 'Transfer' &&
+    event.address.toLowerCase() === pairAddress.toLowerCase() &&
+    event.args.from === ethers.ZeroAddress &&
+    event.args.to.toLowerCase() === feeRouterAddress.toLowerCase()
+  );
+  pairLog.info('Fee LP minted', {
+    txHash: receipt.hash,
+    predicted: ethers.formatEther(pendingLp),
+    minted: minted ? ethers.formatEther(minted.args.amount) : '0',
+    kLast: await pair.kLast()
+  });
 }
 
-triggerFeeMint().catch(console.error);
\ No newline at end of file
+triggerFeeMint().catch(error => log.error('Failed', error));
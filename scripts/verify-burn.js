@@ -1,126 +1,92 @@
 const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env.testnet') });
+const { connect } = require('./lib/osito');
+const { parseNetworkArgs } = require('./lib/networks');
+const { decodeReceipt } = require('./lib/receipts');
+const { createLogger } = require('./lib/logger');
 
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-
-const loadABI = (contractName) => {
-  const abiPath = path.join(__dirname, '..', 'out', `${contractName}.sol`, `${contractName}.json`);
-  const artifact = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
-  return artifact.abi;
-};
+// Usage: node scripts/verify-burn.js [txHash] [--network <name>]
+// Checks that a collectFees() transaction burned TOK, then reads the supply
+// and pair state of the pair whose FeeRouter emitted FeesCollected (or
+// TOK_PAIR when it emitted none). Exits 1 when nothing was burned.
+const { args } = parseNetworkArgs();
+const log = createLogger('verify-burn');
+const osito = connect(undefined, { readOnly: true });
 
 async function verifyBurn() {
-  const txHash = '0xdde766a6374128c2bb560f43e519869f587471a7eb73e53e8159ec3e5f9d1d70';
+  const { provider } = osito;
+  const txHash = args[0] || '0xdde766a6374128c2bb560f43e519869f587471a7eb73e53e8159ec3e5f9d1d70';
+  const txLog = log.child({ txHash });
   const receipt = await provider.getTransactionReceipt(txHash);
+  if (!receipt) throw new Error(`No receipt for ${txHash} on ${osito.profile.name}`);
+  const summary = decodeReceipt(receipt);
   
-  console.log('Fee Collection Transaction:', txHash);
-  console.log('Block:', receipt.blockNumber);
-  console.log('Status:', receipt.status === 1 ? 'SUCCESS' : 'FAILED');
-  console.log('Gas Used:', receipt.gasUsed.toString());
-  
-  // Parse logs
-  const FEE_ROUTER_ABI = loadABI('FeeRouter');
-  const TOK_ABI = loadABI('OsitoToken');
-  const PAIR_ABI = loadABI('OsitoPair');
-  
-  const feeRouterInterface = new ethers.Interface(FEE_ROUTER_ABI);
-  const tokInterface = new ethers.Interface(TOK_ABI);
-  const pairInterface = new ethers.Interface(PAIR_ABI);
-  
-  console.log('\n=== TRANSACTION LOGS ===');
-  let burnFound = false;
-  let feesCollected = false;
+  txLog.info('Fee collection transaction', {
+    block: summary.block,
+    success: summary.success,
+    gasUsed: summary.gasUsed
+  });
   
-  for (const log of receipt.logs) {
-    console.log('\nLog from:', log.address);
-    
-    // Try to parse as FeeRouter event
-    try {
-      const parsed = feeRouterInterface.parseLog(log);
-      if (parsed && parsed.name === 'FeesCollected') {
-        console.log('✅ FeesCollected Event Found!');
-        console.log('  TOK burned:', ethers.formatEther(parsed.args[0]), 'TOK');
-        console.log('  QT collected:', ethers.formatEther(parsed.args[1]), 'WBERA');
-        feesCollected = true;
-      }
-    } catch (e) {}
-    
-    // Try to parse as Transfer/Burn event
-    try {
-      const parsed = tokInterface.parseLog(log);
-      if (parsed && parsed.name === 'Transfer') {
-        if (parsed.args.to === '0x0000000000000000000000000000000000000000') {
-          console.log('🔥 BURN Event Found!');
-          console.log('  From:', parsed.args.from);
-          console.log('  Amount:', ethers.formatEther(parsed.args.amount), 'TOK');
-          burnFound = true;
-        }
-      }
-    } catch (e) {}
-    
-    // Try to parse as Pair event
-    try {
-      const parsed = pairInterface.parseLog(log);
-      if (parsed) {
-        console.log('Pair Event:', parsed.name);
-        if (parsed.name === 'Mint' || parsed.name === 'Burn' || parsed.name === 'Sync') {
-          console.log('  Args:', parsed.args);
-        }
-      }
-    } catch (e) {}
+  for (const event of summary.events) {
+    txLog.debug(event.name, { address: event.address, logIndex: event.logIndex, ...event.args });
+  }
+  for (const entry of summary.unknown) {
+    txLog.debug('Unknown log', { address: entry.address, topic: entry.topics[0] });
   }
   
-  if (!feesCollected) {
-    console.log('\n❌ No FeesCollected event found');
+  for (const fees of summary.feesCollected) {
+    txLog.info('FeesCollected', {
+      feeRouter: fees.feeRouter,
+      tokBurned: ethers.formatEther(fees.tokBurned),
+      qtCollected: ethers.formatEther(fees.qtCollected)
+    });
   }
-  if (!burnFound) {
-    console.log('❌ No burn event found');
+  const tokBurns = summary.tokenBurns.filter(burn => burn.kind === 'token');
+  for (const burn of tokBurns) {
+    txLog.info('TOK burn', { token: burn.token, from: burn.from, amount: ethers.formatEther(burn.amount) });
   }
   
-  // Check token supply
-  const tokAddress = '0xEF059a38E7566285aC2577824ABcd9Ba64080899';
-  const tok = new ethers.Contract(tokAddress, TOK_ABI, provider);
-  
-  const currentSupply = await tok.totalSupply();
-  console.log('\n=== TOKEN SUPPLY ===');
-  console.log('Current TOK Supply:', ethers.formatEther(currentSupply), 'TOK');
-  
-  // Check if supply decreased from initial
-  const pairAddress = process.env.TOK_PAIR;
-  const pair = new ethers.Contract(pairAddress, PAIR_ABI, provider);
-  const initialSupply = await pair.initialSupply();
+  if (summary.feesCollected.length === 0) txLog.warn('No FeesCollected event found');
+  if (tokBurns.length === 0) {
+    txLog.warn('No burn event found');
+    process.exitCode = 1;
+  }
   
-  console.log('Initial TOK Supply:', ethers.formatEther(initialSupply), 'TOK');
-  console.log('Burned Amount:', ethers.formatEther(initialSupply - currentSupply), 'TOK');
+  const pairAddress = summary.feesCollected.length > 0
+    ? await osito.feeRouter(summary.feesCollected[0].feeRouter).pair()
+    : process.env.TOK_PAIR;
+  const pair = osito.pair(pairAddress);
+  const [tokIsToken0, token0, token1] = await Promise.all([pair.tokIsToken0(), pair.token0(), pair.token1()]);
   
-  // Check current state
-  const [r0, r1] = await pair.getReserves();
+  // Supply against the pair's initial supply, and the current reserves
+  const tok = osito.token(tokIsToken0 ? token0 : token1);
+  const [currentSupply, initialSupply, [r0, r1], kLast, feeRouterAddress] = await Promise.all([
+    tok.totalSupply(),
+    pair.initialSupply(),
+    pair.getReserves(),
+    pair.kLast(),
+    pair.feeRouter()
+  ]);
+  // The FeeRouter burns all of its LP in collectFees(), so it should hold none
+  const lpBalance = await pair.balanceOf(feeRouterAddress);
   const currentK = r0 * r1;
-  const kLast = await pair.kLast();
   
-  console.log('\n=== PAIR STATE ===');
-  console.log('Reserve0 (TOK):', ethers.formatEther(r0));
-  console.log('Reserve1 (WBERA):', ethers.formatEther(r1));
-  console.log('Current K:', currentK.toString());
-  console.log('kLast:', kLast.toString());
-  console.log('K matches?:', currentK.toString() === kLast.toString() ? 'YES ✅' : 'NO ❌');
-  
-  // Check FeeRouter LP balance
-  const feeRouterAddress = await pair.feeRouter();
-  const lpBalance = await pair.balanceOf(feeRouterAddress);
-  const principalLp = await provider.call({
-    to: feeRouterAddress,
-    data: '0x' + ethers.id('principalLp()').slice(2, 10)
+  log.info('Pair state', {
+    pair: pairAddress,
+    tok: tok.target,
+    initialSupply: ethers.formatEther(initialSupply),
+    currentSupply: ethers.formatEther(currentSupply),
+    burned: ethers.formatEther(initialSupply - currentSupply),
+    reserve0: ethers.formatEther(r0),
+    reserve1: ethers.formatEther(r1),
+    k: currentK,
+    kLast,
+    kMatchesKLast: currentK === kLast,
+    feeRouter: feeRouterAddress,
+    feeRouterLp: ethers.formatEther(lpBalance)
   });
-  
-  console.log('\n=== FEE ROUTER STATE ===');
-  console.log('FeeRouter:', feeRouterAddress);
-  console.log('LP Balance:', ethers.formatEther(lpBalance));
-  const principalLpBigInt = BigInt(principalLp);
-  console.log('Principal LP:', ethers.formatEther(principalLpBigInt));
-  console.log('Excess LP:', ethers.formatEther(lpBalance - principalLpBigInt));
 }
 
-verifyBurn().catch(console.error);
\ No newline at end of file
+verifyBurn().catch(error => {
+  log.error('Failed', error);
+  process.exit(1);
+});
@@ -1,35 +1,50 @@
-const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env.testnet') });
+const { connect, loadArtifact } = require('./lib/osito');
+const { parseNetworkArgs } = require('./lib/networks');
+const { createLogger } = require('./lib/logger');
 
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+// Usage: node scripts/verify-feerouter-bytecode.js [feeRouter] [--network <name>]
+// Compares a FeeRouter's deployed code with out/FeeRouter.sol (default:
+// FEE_ROUTER from the env file). The immutables (treasury, factory, pair)
+// are filled in at deploy time, so they are zeroed before comparing.
+const { args } = parseNetworkArgs();
+const log = createLogger('verify-feerouter-bytecode');
+const osito = connect(undefined, { readOnly: true });
+
+/** Deployed code with the immutable slots zeroed, as in the artifact */
+function maskImmutables(code, immutableReferences) {
+  let hex = code.slice(2);
+  for (const refs of Object.values(immutableReferences || {})) {
+    for (const { start, length } of refs) {
+      hex = hex.slice(0, start * 2) + '00'.repeat(length) + hex.slice((start + length) * 2);
+    }
+  }
+  return '0x' + hex;
+}
 
 async function verifyBytecode() {
-  console.log('=== Verifying FeeRouter Bytecode ===\n');
+  const feeRouterAddress = args[0] || process.env.FEE_ROUTER;
   
   // Get deployed bytecode
-  const deployedBytecode = await provider.getCode(process.env.FEE_ROUTER);
-  console.log('Deployed bytecode length:', deployedBytecode.length);
-  console.log('First 100 chars:', deployedBytecode.substring(0, 100));
+  const deployedBytecode = await osito.provider.getCode(feeRouterAddress);
   
   // Load expected bytecode
-  const artifactPath = path.join(__dirname, '..', 'out', 'FeeRouter.sol', 'FeeRouter.json');
-  const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
-  const expectedBytecode = artifact.deployedBytecode.object;
-  
-  console.log('\nExpected bytecode length:', expectedBytecode.length);
-  console.log('First 100 chars:', expectedBytecode.substring(0, 100));
+  const { object: expectedBytecode, immutableReferences } = loadArtifact('FeeRouter').deployedBytecode;
   
-  // Simple check - deployed bytecode should contain expected bytecode
-  // (deployed might have constructor args appended)
-  const matches = deployedBytecode.includes(expectedBytecode.substring(2));
-  console.log('\nBytecode matches:', matches);
+  const matches = maskImmutables(deployedBytecode, immutableReferences).toLowerCase() === expectedBytecode.toLowerCase();
+  const fields = {
+    feeRouter: feeRouterAddress,
+    deployedLength: deployedBytecode.length,
+    deployedStart: deployedBytecode.substring(0, 100),
+    expectedLength: expectedBytecode.length,
+    expectedStart: expectedBytecode.substring(0, 100),
+    matches
+  };
   
-  if (!matches) {
-    console.log('\n⚠️  WARNING: Deployed bytecode does not match expected!');
-    console.log('The contract at', process.env.FEE_ROUTER, 'may be outdated');
+  if (matches) {
+    log.info('Deployed bytecode matches the build', fields);
+  } else {
+    log.warn('Deployed bytecode does not match the build: the contract may be outdated', fields);
   }
 }
 
-verifyBytecode().catch(console.error);
\ No newline at end of file
+verifyBytecode().catch(error => log.error('Failed', error));